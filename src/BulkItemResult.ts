@@ -0,0 +1,25 @@
+/** @module core */
+
+/**
+ * Result of writing a single data item in a bulk operation.
+ * 
+ * @see [[IBulkWriter]]
+ * @see [[IBulkSetter]]
+ */
+export class BulkItemResult<T> {
+    /** Written item or null if the item was not found or failed to be written. */
+    public item: T;
+    /** Error that prevented writing the item or null for success. */
+    public error: any;
+
+    /**
+     * Creates a new instance of the result.
+     * 
+     * @param item      (optional) a written item.
+     * @param error     (optional) an error that prevented writing the item.
+     */
+    public constructor(item?: T, error?: any) {
+        this.item = item != null ? item : null;
+        this.error = error != null ? error : null;
+    }
+}
@@ -0,0 +1,48 @@
+/** @module core */
+
+/**
+ * Event about a change of a data item sent by persistence components.
+ * 
+ * Created items have only <code>newItem</code>, deleted and evicted items have only <code>oldItem</code>
+ * and updated items have both.
+ * 
+ * @see [[IChangeListener]]
+ */
+export class ChangeEvent<T> {
+    /** Type of the event sent when an item is created. */
+    public static readonly Created: string = "created";
+    /** Type of the event sent when an item is updated. */
+    public static readonly Updated: string = "updated";
+    /** Type of the event sent when an item is deleted. */
+    public static readonly Deleted: string = "deleted";
+    /** Type of the event sent when an item is evicted from a persistence with limited capacity. */
+    public static readonly Evicted: string = "evicted";
+
+    /** Event type: created, updated, deleted or evicted. */
+    public type: string;
+    /** Transaction id of the operation that changed the item. */
+    public correlationId: string;
+    /** Time when the item was changed. */
+    public time: Date;
+    /** Item before the change. */
+    public oldItem: T;
+    /** Item after the change. */
+    public newItem: T;
+
+    /**
+     * Creates a new instance of the event.
+     * 
+     * @param type              an event type: created, updated, deleted or evicted.
+     * @param correlationId     (optional) transaction id of the operation that changed the item.
+     * @param oldItem           (optional) an item before the change.
+     * @param newItem           (optional) an item after the change.
+     * @param time              (optional) time when the item was changed. Default: current time.
+     */
+    public constructor(type: string, correlationId?: string, oldItem?: T, newItem?: T, time?: Date) {
+        this.type = type;
+        this.correlationId = correlationId;
+        this.oldItem = oldItem;
+        this.newItem = newItem;
+        this.time = time || new Date();
+    }
+}
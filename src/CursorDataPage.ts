@@ -0,0 +1,22 @@
+/** @module core */
+import { DataPage } from 'pip-services3-commons-node';
+
+/**
+ * Data page returned for [[CursorPagingParams]] with a cursor to request the next page.
+ */
+export class CursorDataPage<T> extends DataPage<T> {
+    /** The cursor to request the next page or null if this page is the last one. */
+    public cursor: string;
+
+    /**
+     * Creates a new instance of the data page.
+     * 
+     * @param data      (optional) a list of items of the page.
+     * @param total     (optional) the total number of items.
+     * @param cursor    (optional) the cursor to request the next page.
+     */
+    public constructor(data?: T[], total?: number, cursor?: string) {
+        super(data, total);
+        this.cursor = cursor != null ? cursor : null;
+    }
+}
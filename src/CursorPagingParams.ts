@@ -0,0 +1,36 @@
+/** @module core */
+import { PagingParams } from 'pip-services3-commons-node';
+
+/**
+ * Paging parameters that request pages by a cursor instead of a number of skipped items.
+ * 
+ * The cursor points to the last item of the previous page, so pages neither repeat
+ * nor miss items when other items are inserted or deleted between requests.
+ * The first page is requested without a cursor, and every next page with the cursor
+ * returned in the previous [[CursorDataPage]]. Skip is ignored.
+ * 
+ * ### Example ###
+ * 
+ *     persistence.getPageByFilter("123", null, new CursorPagingParams(null, 10), (err, page) => {
+ *         let cursorPage = <CursorDataPage<MyData>>page;
+ *         persistence.getPageByFilter("123", null, new CursorPagingParams(cursorPage.cursor, 10), (err, page) => {
+ *             ...
+ *         });
+ *     });
+ */
+export class CursorPagingParams extends PagingParams {
+    /** The cursor returned with the previous page or null to get the first page. */
+    public cursor: string;
+
+    /**
+     * Creates a new instance of the paging parameters.
+     * 
+     * @param cursor    (optional) a cursor returned with the previous page.
+     * @param take      (optional) a number of items to return.
+     * @param total     (optional) true to return the total number of items.
+     */
+    public constructor(cursor?: string, take?: any, total?: any) {
+        super(null, take, total);
+        this.cursor = cursor != null ? cursor : null;
+    }
+}
@@ -0,0 +1,26 @@
+/** @module core */
+import { BulkItemResult } from './BulkItemResult';
+
+/**
+ * Interface for data processing components that can set (create or update)
+ * multiple data items at once.
+ */
+export interface IBulkSetter<T> {
+    /**
+     * Sets multiple data items. Existing items are updated, and missing ones are created.
+     * 
+     * @param correlation_id    (optional) transaction id to trace execution through call chain.
+     * @param items             items to be set.
+     * @param callback          (optional) callback function that receives results for each item or error.
+     */
+    setMany(correlation_id: string, items: T[], callback?: (err: any, results: BulkItemResult<T>[]) => void): void;
+
+    /**
+     * Sets multiple data items and returns a promise.
+     * 
+     * @param correlation_id    (optional) transaction id to trace execution through call chain.
+     * @param items             items to be set.
+     * @returns a promise that is resolved with results of writing every item.
+     */
+    setManyAsync?(correlation_id: string, items: T[]): Promise<BulkItemResult<T>[]>;
+}
@@ -0,0 +1,65 @@
+/** @module core */
+import { BulkItemResult } from './BulkItemResult';
+
+/**
+ * Interface for data processing components that can create, update and delete
+ * multiple data items at once.
+ * 
+ * Every item is written independently: a failure of one item does not prevent
+ * writing the others, and results are returned for each item in the same order.
+ */
+export interface IBulkWriter<T, K> {
+    /**
+     * Creates multiple data items.
+     * 
+     * @param correlation_id    (optional) transaction id to trace execution through call chain.
+     * @param items             items to be created.
+     * @param callback          (optional) callback function that receives results for each item or error.
+     */
+    createMany(correlation_id: string, items: T[], callback?: (err: any, results: BulkItemResult<T>[]) => void): void;
+
+    /**
+     * Creates multiple data items and returns a promise.
+     * 
+     * @param correlation_id    (optional) transaction id to trace execution through call chain.
+     * @param items             items to be created.
+     * @returns a promise that is resolved with results of writing every item.
+     */
+    createManyAsync?(correlation_id: string, items: T[]): Promise<BulkItemResult<T>[]>;
+
+    /**
+     * Updates multiple data items.
+     * 
+     * @param correlation_id    (optional) transaction id to trace execution through call chain.
+     * @param items             items to be updated.
+     * @param callback          (optional) callback function that receives results for each item or error.
+     */
+    updateMany(correlation_id: string, items: T[], callback?: (err: any, results: BulkItemResult<T>[]) => void): void;
+
+    /**
+     * Updates multiple data items and returns a promise.
+     * 
+     * @param correlation_id    (optional) transaction id to trace execution through call chain.
+     * @param items             items to be updated.
+     * @returns a promise that is resolved with results of writing every item.
+     */
+    updateManyAsync?(correlation_id: string, items: T[]): Promise<BulkItemResult<T>[]>;
+
+    /**
+     * Deletes multiple data items by their unique ids.
+     * 
+     * @param correlation_id    (optional) transaction id to trace execution through call chain.
+     * @param ids               ids of data items to be deleted.
+     * @param callback          (optional) callback function that receives error or null for success.
+     */
+    deleteByIds(correlation_id: string, ids: K[], callback?: (err: any) => void): void;
+
+    /**
+     * Deletes multiple data items by their unique ids and returns a promise.
+     * 
+     * @param correlation_id    (optional) transaction id to trace execution through call chain.
+     * @param ids               ids of data items to be deleted.
+     * @returns a promise that is resolved when the operation completes.
+     */
+    deleteByIdsAsync?(correlation_id: string, ids: K[]): Promise<void>;
+}
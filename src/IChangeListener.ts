@@ -0,0 +1,17 @@
+/** @module core */
+import { ChangeEvent } from './ChangeEvent';
+
+/**
+ * Interface for components that receive notifications about changes of data items.
+ * 
+ * Listeners can be added to persistence components directly or
+ * via references with <code>\*:change-listener:\*:\*:1.0</code> descriptor.
+ */
+export interface IChangeListener<T> {
+    /**
+     * Receives a notification about a change of a data item.
+     * 
+     * @param event     an event with the changed item.
+     */
+    onChange(event: ChangeEvent<T>): void;
+}
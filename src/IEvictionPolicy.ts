@@ -0,0 +1,55 @@
+/** @module core */
+
+/**
+ * Interface for policies that choose which data items to evict
+ * when a persistence component with limited capacity is full.
+ * 
+ * Policies track items by their references. Persistence components
+ * notify them about added, accessed, replaced and removed items.
+ * 
+ * @see [[LruEvictionPolicy]]
+ * @see [[LfuEvictionPolicy]]
+ * @see [[FifoEvictionPolicy]]
+ */
+export interface IEvictionPolicy<T> {
+    /**
+     * Starts tracking of an added item.
+     * 
+     * @param item  an added item.
+     */
+    add(item: T): void;
+
+    /**
+     * Registers an access to a tracked item.
+     * 
+     * @param item  an accessed item.
+     */
+    access(item: T): void;
+
+    /**
+     * Replaces a tracked item with its new version.
+     * 
+     * @param oldItem   a replaced item.
+     * @param newItem   a new version of the item.
+     */
+    replace(oldItem: T, newItem: T): void;
+
+    /**
+     * Stops tracking of a removed item.
+     * 
+     * @param item  a removed item.
+     */
+    remove(item: T): void;
+
+    /**
+     * Chooses an item to be evicted. The item stays tracked until it is removed.
+     * 
+     * @returns an item to be evicted or null if there are no items.
+     */
+    select(): T;
+
+    /**
+     * Stops tracking of all items.
+     */
+    clear(): void;
+}
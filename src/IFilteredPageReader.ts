@@ -19,4 +19,15 @@ export interface IFilteredPageReader<T> {
      */
     getPageByFilter(correlation_id: string, filter: FilterParams, paging: PagingParams, sort: SortParams, 
         callback: (err: any, page: DataPage<T>) => void): void;
+
+    /**
+     * Gets a page of data items using filter parameters and returns a promise.
+     * 
+     * @param correlation_id    (optional) transaction id to trace execution through call chain.
+     * @param filter            (optional) filter parameters
+     * @param paging            (optional) paging parameters
+     * @param sort              (optional) sort parameters
+     * @returns a promise that is resolved with a data page.
+     */
+    getPageByFilterAsync?(correlation_id: string, filter: FilterParams, paging: PagingParams, sort: SortParams): Promise<DataPage<T>>;
 }
@@ -16,4 +16,14 @@ export interface IFilteredReader<T> {
      */
     getListByFilter(correlation_id: string, filter: FilterParams, sort: SortParams, 
         callback: (err: any, items: T[]) => void): void;
+
+    /**
+     * Gets a list of data items using filter parameters and returns a promise.
+     * 
+     * @param correlation_id    (optional) transaction id to trace execution through call chain.
+     * @param filter             (optional) filter parameters
+     * @param sort              (optional) sort parameters
+     * @returns a promise that is resolved with a list of data items.
+     */
+    getListByFilterAsync?(correlation_id: string, filter: FilterParams, sort: SortParams): Promise<T[]>;
 }
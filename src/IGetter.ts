@@ -13,4 +13,13 @@ export interface IGetter<T extends IIdentifiable<K>, K> {
      * @param callback          callback function that receives an item or error.
      */
     getOneById(correlation_id: string, id: K, callback: (err: any, item: T) => void): void;
+
+    /**
+     * Gets a data item by its unique id and returns a promise.
+     * 
+     * @param correlation_id    (optional) transaction id to trace execution through call chain.
+     * @param id                an id of item to be retrieved.
+     * @returns a promise that is resolved with the data item or null if it was not found.
+     */
+    getOneByIdAsync?(correlation_id: string, id: K): Promise<T>;
 }
@@ -0,0 +1,18 @@
+/** @module core */
+
+/**
+ * Single change of data items recorded in a journal.
+ * 
+ * Changes refer to items by their positions in the list of items,
+ * so replaying them in the same order over the same list reproduces the changes.
+ * 
+ * @see [[IJournalSaver]]
+ */
+export interface IJournalEntry<T> {
+    /** Operation type: create, update, delete or clear. */
+    operation: string;
+    /** Position of the updated or deleted item. */
+    position?: number;
+    /** Created or updated item. */
+    item?: T;
+}
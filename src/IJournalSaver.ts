@@ -0,0 +1,29 @@
+/** @module core */
+import { ISaver } from './ISaver';
+import { IJournalEntry } from './IJournalEntry';
+
+/**
+ * Interface for data processing components that save data items
+ * by appending individual changes to a journal.
+ */
+export interface IJournalSaver<T> extends ISaver<T> {
+    /**
+     * Appends changes of data items to the journal.
+     * 
+     * @param correlation_id    (optional) transaction id to trace execution through call chain. 
+     * @param changes           a list of changes in the order they were made.
+     * @param items             a list of all items after the changes. It is used to compact the journal.
+     * @param callback          (optional) callback function that receives error or null for success.
+     */
+    append(correlation_id: string, changes: IJournalEntry<T>[], items: T[], callback?: (err?: any) => void): void;
+
+    /**
+     * Saves changes of data items and returns a promise.
+     * 
+     * @param correlation_id    (optional) transaction id to trace execution through call chain. 
+     * @param changes           a list of changes in the order they were made.
+     * @param items             a list of all items after the changes. It is used to compact the journal.
+     * @returns a promise that is resolved when the operation completes.
+     */
+    appendAsync?(correlation_id: string, changes: IJournalEntry<T>[], items: T[]): Promise<void>;
+}
@@ -11,4 +11,12 @@ export interface ILoader<T> {
      * @param callback          (optional) callback function that receives a list of data items or error.
      */
     load(correlation_id: string, callback: (err: any, items: T[]) => void): void;
+
+    /**
+     * Loads data items and returns a promise.
+     * 
+     * @param correlation_id    (optional) transaction id to trace execution through call chain. 
+     * @returns a promise that is resolved with a list of data items.
+     */
+    loadAsync?(correlation_id: string): Promise<T[]>;
 }
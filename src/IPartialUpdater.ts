@@ -14,4 +14,14 @@ export interface IPartialUpdater<T, K> {
      * @param callback          callback function that receives updated item or error.
      */
     updatePartially(correlation_id: string, id: K, data: AnyValueMap, callback?: (err: any, item: T) => void): void;
+
+    /**
+     * Updates only few selected fields in a data item and returns a promise.
+     * 
+     * @param correlation_id    (optional) transaction id to trace execution through call chain.
+     * @param id                an id of data item to be updated.
+     * @param data              a map with fields to be updated.
+     * @returns a promise that is resolved with the updated item.
+     */
+    updatePartiallyAsync?(correlation_id: string, id: K, data: AnyValueMap): Promise<T>;
 }
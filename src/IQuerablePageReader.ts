@@ -18,4 +18,15 @@ export interface IQuerablePageReader<T> {
      */
     getPageByQuery(correlation_id: string, query: string, paging: PagingParams, sort: SortParams, 
         callback: (err: any, page: DataPage<T>) => void): void;
+
+    /**
+     * Gets a page of data items using a query string and returns a promise.
+     * 
+     * @param correlation_id    (optional) transaction id to trace execution through call chain.
+     * @param query             (optional) a query string
+     * @param paging            (optional) paging parameters
+     * @param sort              (optional) sort parameters
+     * @returns a promise that is resolved with a data page.
+     */
+    getPageByQueryAsync?(correlation_id: string, query: string, paging: PagingParams, sort: SortParams): Promise<DataPage<T>>;
 }
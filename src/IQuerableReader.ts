@@ -14,4 +14,14 @@ export interface IQuerableReader<T> {
      * @param callback          callback function that receives list of items or error.
      */
     getListByQuery(correlation_id: string, query: string, sort: SortParams, callback: (err: any, items: T[]) => void): void;
+
+    /**
+     * Gets a list of data items using a query string and returns a promise.
+     * 
+     * @param correlation_id    (optional) transaction id to trace execution through call chain.
+     * @param query             (optional) a query string
+     * @param sort              (optional) sort parameters
+     * @returns a promise that is resolved with a list of data items.
+     */
+    getListByQueryAsync?(correlation_id: string, query: string, sort: SortParams): Promise<T[]>;
 }
@@ -12,4 +12,13 @@ export interface ISaver<T> {
      * @param callback          (optional) callback function that receives error or null for success.
      */
     save(correlation_id: string, items: T[], callback?: (err?: any) => void): void;
+
+    /**
+     * Saves given data items and returns a promise.
+     * 
+     * @param correlation_id    (optional) transaction id to trace execution through call chain. 
+     * @param item              a list of items to save.
+     * @returns a promise that is resolved when the operation completes.
+     */
+    saveAsync?(correlation_id: string, items: T[]): Promise<void>;
 }
@@ -13,4 +13,13 @@ export interface ISetter<T> {
      * @param callback          (optional) callback function that receives updated item or error.
      */
     set(correlation_id: string, item: T, callback?: (err: any, item: T) => void): void;
+
+    /**
+     * Sets a data item. If the data item exists it updates it, otherwise it creates a new data item and returns a promise.
+     * 
+     * @param correlation_id    (optional) transaction id to trace execution through call chain.
+     * @param item              a item to be set.
+     * @returns a promise that is resolved with the set item.
+     */
+    setAsync?(correlation_id: string, item: T): Promise<T>;
 }
@@ -14,6 +14,15 @@ export interface IWriter<T, K> {
      */
     create(correlation_id: string, item: T, callback?: (err: any, item: T) => void): void;
 
+    /**
+     * Creates a data item and returns a promise.
+     * 
+     * @param correlation_id    (optional) transaction id to trace execution through call chain.
+     * @param item              an item to be created.
+     * @returns a promise that is resolved with the created item.
+     */
+    createAsync?(correlation_id: string, item: T): Promise<T>;
+
     /**
      * Updates a data item.
      * 
@@ -23,6 +32,15 @@ export interface IWriter<T, K> {
      */
     update(correlation_id: string, item: T, callback?: (err: any, item: T) => void): void;
 
+    /**
+     * Updates a data item and returns a promise.
+     * 
+     * @param correlation_id    (optional) transaction id to trace execution through call chain.
+     * @param item              an item to be updated.
+     * @returns a promise that is resolved with the updated item or null if it was not found.
+     */
+    updateAsync?(correlation_id: string, item: T): Promise<T>;
+
     /**
      * Deleted a data item by it's unique id.
      * 
@@ -31,4 +49,13 @@ export interface IWriter<T, K> {
      * @param callback          (optional) callback function that receives deleted item or error.
      */
     deleteById(correlation_id: string, id: K, callback?: (err: any, item: T) => void): void;
+
+    /**
+     * Deletes a data item by its unique id and returns a promise.
+     * 
+     * @param correlation_id    (optional) transaction id to trace execution through call chain.
+     * @param id                an id of the item to be deleted
+     * @returns a promise that is resolved with the deleted item or null if it was not found.
+     */
+    deleteByIdAsync?(correlation_id: string, id: K): Promise<T>;
 }
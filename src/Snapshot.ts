@@ -0,0 +1,37 @@
+/** @module core */
+
+/**
+ * Point-in-time copy of all data items of a persistence component.
+ * 
+ * Snapshots are versioned, so components can reject snapshots in formats they do not support.
+ * 
+ * @see [[MemoryPersistence.createSnapshot]]
+ * @see [[MemoryPersistence.restoreSnapshot]]
+ */
+export class Snapshot<T> {
+    /** Version of the snapshot format created by this library. */
+    public static readonly CurrentVersion: number = 1;
+
+    /** Version of the snapshot format. */
+    public version: number;
+    /** Time when the snapshot was taken. */
+    public time: Date;
+    /** Number of items in the snapshot. */
+    public count: number;
+    /** Copies of data items. */
+    public items: T[];
+
+    /**
+     * Creates a new instance of the snapshot.
+     * 
+     * @param items     (optional) copies of data items.
+     * @param time      (optional) time when the snapshot was taken. Default: current time.
+     * @param version   (optional) version of the snapshot format. Default: [[CurrentVersion]]
+     */
+    public constructor(items?: T[], time?: Date, version?: number) {
+        this.items = items || [];
+        this.count = this.items.length;
+        this.time = time || new Date();
+        this.version = version != null ? version : Snapshot.CurrentVersion;
+    }
+}
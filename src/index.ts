@@ -4,14 +4,26 @@
  * Contains interfaces for various design patterns that work with data.
  */
 export { IPartialUpdater } from './IPartialUpdater';
+export { BulkItemResult } from './BulkItemResult';
+export { ChangeEvent } from './ChangeEvent';
+export { IChangeListener } from './IChangeListener';
+export { CursorDataPage } from './CursorDataPage';
+export { CursorPagingParams } from './CursorPagingParams';
+export { IEvictionPolicy } from './IEvictionPolicy';
 export { IFilteredPageReader } from './IFilteredPageReader';
 export { IFilteredReader } from './IFilteredReader';
+export { IBulkSetter } from './IBulkSetter';
+export { IBulkWriter } from './IBulkWriter';
 export { IGetter } from './IGetter';
+export { IJournalEntry } from './IJournalEntry';
+export { IJournalSaver } from './IJournalSaver';
 export { ILoader } from './ILoader';
 export { IQuerablePageReader } from './IQuerablePageReader';
 export { IQuerableReader } from './IQuerableReader';
 export { ISaver } from './ISaver';
 export { ISetter } from './ISetter';
 export { IWriter } from './IWriter';
+export { Snapshot } from './Snapshot';
 
 export * from './persistence';
+export * from './test';
@@ -0,0 +1,188 @@
+/** @module persistence */
+/** @hidden */
+let _ = require('lodash');
+
+import { BadRequestException } from 'pip-services3-commons-node';
+
+import { SortComposer } from './SortComposer';
+
+/**
+ * Helper class that groups data items and calculates aggregated values
+ * like <code>$group</code> stage of MongoDB aggregation pipelines.
+ *
+ * Items are grouped by values of one or more fields. Nested fields are defined
+ * using dot notation, and field names can start with <code>$</code> like in MongoDB.
+ * Each result has the group values in <code>_id</code>: a single value when grouped by one field,
+ * an object with field values when grouped by several fields, or null when items are not grouped.
+ *
+ * Aggregates are defined as an object where keys are result fields and values are operators:
+ * - <code>{ $count: {} }</code>: number of items in the group
+ * - <code>{ $sum: "field" }</code>: sum of numeric values. <code>{ $sum: 1 }</code> also counts items
+ * - <code>{ $avg: "field" }</code>: average of numeric values or null if there are none
+ * - <code>{ $min: "field" }</code>, <code>{ $max: "field" }</code>: the least or the greatest non-null value
+ *
+ * Groups are returned in the order their first items go in the list.
+ *
+ * @see [[MemoryPersistence.getAggregateByFilter]]
+ *
+ * ### Example ###
+ *
+ *     let results = AggregateComposer.apply(orders, "status", {
+ *         count: { $count: {} },
+ *         total: { $sum: "amount" },
+ *         last: { $max: "create_time" }
+ *     });
+ *     console.log(results);    // Result: [{ _id: "new", count: 2, total: 15.5, last: ... }, ...]
+ */
+export class AggregateComposer {
+
+    /**
+     * Groups data items and calculates aggregated values for every group.
+     *
+     * @param items         a list of data items.
+     * @param groupBy       (optional) a field or a list of fields to group by. Null puts all items into one group.
+     * @param aggregates    an object with result fields as keys and aggregate operators as values.
+     * @returns a list of results with group values in <code>_id</code> and aggregated values.
+     *
+     * @throws a BadRequestException when aggregates contain unsupported operators or invalid arguments.
+     */
+    public static apply<T>(items: T[], groupBy: string | string[], aggregates: any): any[] {
+        let fields: string[] = groupBy == null ? [] : _.isArray(groupBy) ? <string[]>groupBy : [<string>groupBy];
+        fields = _.map(fields, (field) => AggregateComposer.getFieldName(field));
+
+        let calculators = AggregateComposer.composeCalculators(aggregates);
+
+        let groups = new Map<string, { id: any, items: T[] }>();
+        for (let item of items || []) {
+            let values = _.map(fields, (field) => _.get(item, field, null));
+            let key = AggregateComposer.getValueKey(values);
+
+            let group = groups.get(key);
+            if (group == null) {
+                let id = fields.length == 0 ? null
+                    : fields.length == 1 ? values[0] : _.zipObject(fields, values);
+                group = { id: id, items: [] };
+                groups.set(key, group);
+            }
+            group.items.push(item);
+        }
+
+        let results: any[] = [];
+        groups.forEach((group) => {
+            let result: any = { _id: group.id };
+            for (let name of Object.keys(calculators))
+                result[name] = calculators[name](group.items);
+            results.push(result);
+        });
+
+        return results;
+    }
+
+    /**
+     * Gets distinct values of a field in data items. Elements of array values
+     * are treated as separate values like in MongoDB. Null and missing values are skipped.
+     *
+     * @param items     a list of data items.
+     * @param field     a field name. Nested fields are defined using dot notation.
+     * @returns a list of distinct values in the order they first go in the list.
+     */
+    public static distinct<T>(items: T[], field: string): any[] {
+        field = AggregateComposer.getFieldName(field);
+
+        let keys = new Set<string>();
+        let results: any[] = [];
+
+        for (let item of items || []) {
+            let value = _.get(item, field, null);
+            let values = _.isArray(value) ? value : [value];
+
+            for (let v of values) {
+                if (v == null) continue;
+
+                let key = AggregateComposer.getValueKey(v);
+                if (keys.has(key)) continue;
+
+                keys.add(key);
+                results.push(v);
+            }
+        }
+
+        return results;
+    }
+
+    private static getFieldName(field: any): string {
+        if (!_.isString(field) || field == "" || field == "$") {
+            throw new BadRequestException(
+                null, "INVALID_AGGREGATE_FIELD", "Aggregate field must be a non-empty string"
+            ).withDetails("field", field);
+        }
+
+        return field[0] == "$" ? field.substring(1) : field;
+    }
+
+    private static getValueKey(value: any): string {
+        // Types are included to distinguish values like 1 and "1"
+        return JSON.stringify(_.cloneDeepWith(value, (v) => _.isDate(v) ? { $date: v.getTime() } : undefined))
+            + ":" + typeof value;
+    }
+
+    private static composeCalculators(aggregates: any): { [name: string]: (items: any[]) => any } {
+        if (!_.isPlainObject(aggregates)) {
+            throw new BadRequestException(
+                null, "INVALID_AGGREGATE", "Aggregates must be an object with result fields as keys"
+            ).withDetails("aggregates", aggregates);
+        }
+
+        let calculators: { [name: string]: (items: any[]) => any } = {};
+
+        for (let name of Object.keys(aggregates)) {
+            let aggregate = aggregates[name];
+            let operators = _.isPlainObject(aggregate) ? Object.keys(aggregate) : [];
+            if (operators.length != 1) {
+                throw new BadRequestException(
+                    null, "INVALID_AGGREGATE", "Aggregate " + name + " must have a single operator"
+                ).withDetails("name", name);
+            }
+
+            calculators[name] = AggregateComposer.composeCalculator(operators[0], aggregate[operators[0]]);
+        }
+
+        return calculators;
+    }
+
+    private static composeCalculator(operator: string, arg: any): (items: any[]) => any {
+        if (operator == "$count")
+            return (items) => items.length;
+
+        if (operator == "$sum" && _.isNumber(arg))
+            return (items) => items.length * arg;
+
+        if (!_.includes(["$sum", "$avg", "$min", "$max"], operator)) {
+            throw new BadRequestException(
+                null, "UNSUPPORTED_AGGREGATE_OPERATOR", "Aggregate operator " + operator + " is not supported"
+            ).withDetails("operator", operator);
+        }
+
+        let field = AggregateComposer.getFieldName(arg);
+
+        return (items) => {
+            let values = _.filter(_.map(items, (item) => _.get(item, field, null)), (value) => value != null);
+
+            switch (operator) {
+                case "$sum":
+                    return _.sumBy(values, (value) => _.isNumber(value) ? value : 0);
+                case "$avg": {
+                    let numbers = _.filter(values, _.isNumber);
+                    return numbers.length > 0 ? _.sum(numbers) / numbers.length : null;
+                }
+                default: {
+                    let direction = operator == "$min" ? -1 : 1;
+                    return _.reduce(values, (result, value) =>
+                        result == null || SortComposer.compareValues(value, result) * direction > 0 ? value : result,
+                    null);
+                }
+            }
+        };
+    }
+
+}
@@ -0,0 +1,237 @@
+/** @module persistence */
+import { IIdentifiable } from 'pip-services3-commons-node';
+import { AnyValueMap } from 'pip-services3-commons-node';
+
+import { MemoryPersistence } from './MemoryPersistence';
+import { PromiseAdapter } from './PromiseAdapter';
+import { BulkItemResult } from '../BulkItemResult';
+
+/**
+ * Abstract base class of [[IdentifiableMemoryPersistence]] with promise-based variants
+ * of its callback methods.
+ * 
+ * It completes promise variants of [[MemoryPersistence]] methods that are declared
+ * in [[AsyncMemoryPersistence]], so persistence classes contain only callback methods.
+ * Every variant calls the callback method, so overridden methods in child classes are used
+ * by both APIs. Promises are rejected with the same errors that are passed to callbacks.
+ * 
+ * @see [[IdentifiableMemoryPersistence]]
+ * @see [[PromiseAdapter]]
+ * 
+ * ### Example ###
+ * 
+ *     let persistence = new MyIdentifiableMemoryPersistence();
+ *     
+ *     await persistence.openAsync("123");
+ *     let item = await persistence.setAsync("123", { id: "1", name: "ABC" });
+ *     item = await persistence.getOneByIdAsync("123", "1");
+ *     await persistence.closeAsync("123");
+ */
+export abstract class AsyncIdentifiableMemoryPersistence<T extends IIdentifiable<K>, K> extends MemoryPersistence<T> {
+
+    public abstract getListByIds(correlationId: string, ids: K[],
+        callback: (err: any, items: T[]) => void): void;
+    public abstract getOneById(correlationId: string, id: K, callback: (err: any, item: T) => void): void;
+    public abstract set(correlationId: string, item: T, callback?: (err: any, item: T) => void): void;
+    public abstract update(correlationId: string, item: T, callback?: (err: any, item: T) => void): void;
+    public abstract updatePartially(correlationId: string, id: K, data: AnyValueMap,
+        callback?: (err: any, item: T) => void): void;
+    public abstract deleteById(correlationId: string, id: K, callback?: (err: any, item: T) => void): void;
+    public abstract deleteByIdAndVersion(correlationId: string, id: K, version: string,
+        callback?: (err: any, item: T) => void): void;
+    public abstract deleteByIds(correlationId: string, ids: K[], callback?: (err: any) => void): void;
+    public abstract restoreById(correlationId: string, id: K, callback?: (err: any, item: T) => void): void;
+    public abstract purgeDeleted(correlationId: string, olderThan: Date,
+        callback?: (err: any, count: number) => void): void;
+    public abstract sweepExpired(correlationId: string, callback?: (err: any, count: number) => void): void;
+    public abstract createMany(correlationId: string, items: T[],
+        callback?: (err: any, results: BulkItemResult<T>[]) => void): void;
+    public abstract updateMany(correlationId: string, items: T[],
+        callback?: (err: any, results: BulkItemResult<T>[]) => void): void;
+    public abstract setMany(correlationId: string, items: T[],
+        callback?: (err: any, results: BulkItemResult<T>[]) => void): void;
+    protected abstract updateByFilter(correlationId: string, filter: any, data: AnyValueMap,
+        callback?: (err: any, items: T[]) => void): void;
+    protected abstract upsertByFilter(correlationId: string, filter: any, data: AnyValueMap,
+        callback?: (err: any, items: T[]) => void): void;
+
+    /**
+     * Gets a list of data items retrieved by given unique ids and returns a promise.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param ids               ids of data items to be retrieved
+     * @returns a promise that is resolved with a list of data items.
+     */
+    public getListByIdsAsync(correlationId: string, ids: K[]): Promise<T[]> {
+        return PromiseAdapter.invoke<T[]>((callback) => this.getListByIds(correlationId, ids, callback));
+    }
+
+    /**
+     * Gets a data item by its unique id and returns a promise.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param id                an id of data item to be retrieved.
+     * @returns a promise that is resolved with the data item or null if it was not found.
+     */
+    public getOneByIdAsync(correlationId: string, id: K): Promise<T> {
+        return PromiseAdapter.invoke<T>((callback) => this.getOneById(correlationId, id, callback));
+    }
+
+    /**
+     * Sets a data item and returns a promise.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param item              an item to be set.
+     * @returns a promise that is resolved with the set item.
+     */
+    public setAsync(correlationId: string, item: T): Promise<T> {
+        return PromiseAdapter.invoke<T>((callback) => this.set(correlationId, item, callback));
+    }
+
+    /**
+     * Updates a data item and returns a promise.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param item              an item to be updated.
+     * @returns a promise that is resolved with the updated item or null if it was not found.
+     */
+    public updateAsync(correlationId: string, item: T): Promise<T> {
+        return PromiseAdapter.invoke<T>((callback) => this.update(correlationId, item, callback));
+    }
+
+    /**
+     * Updates only few selected fields in a data item and returns a promise.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param id                an id of data item to be updated.
+     * @param data              a map with fields to be updated and update operators.
+     * @returns a promise that is resolved with the updated item or null if it was not found.
+     */
+    public updatePartiallyAsync(correlationId: string, id: K, data: AnyValueMap): Promise<T> {
+        return PromiseAdapter.invoke<T>((callback) => this.updatePartially(correlationId, id, data, callback));
+    }
+
+    /**
+     * Deletes a data item by its unique id and returns a promise.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param id                an id of the item to be deleted
+     * @returns a promise that is resolved with the deleted item or null if it was not found.
+     */
+    public deleteByIdAsync(correlationId: string, id: K): Promise<T> {
+        return PromiseAdapter.invoke<T>((callback) => this.deleteById(correlationId, id, callback));
+    }
+
+    /**
+     * Deletes a data item by its unique id when its version matches and returns a promise.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param id                an id of the item to be deleted
+     * @param version           an expected version of the item or null to skip the check.
+     * @returns a promise that is resolved with the deleted item or null if it was not found.
+     */
+    public deleteByIdAndVersionAsync(correlationId: string, id: K, version: string): Promise<T> {
+        return PromiseAdapter.invoke<T>((callback) => this.deleteByIdAndVersion(correlationId, id, version, callback));
+    }
+
+    /**
+     * Deletes multiple data items by their unique ids and returns a promise.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param ids               ids of data items to be deleted.
+     * @returns a promise that is resolved when the operation completes.
+     */
+    public deleteByIdsAsync(correlationId: string, ids: K[]): Promise<void> {
+        return PromiseAdapter.invoke<void>((callback) => this.deleteByIds(correlationId, ids, callback));
+    }
+
+    /**
+     * Restores a soft deleted data item by its unique id and returns a promise.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param id                an id of the item to be restored.
+     * @returns a promise that is resolved with the restored item or null if it was not found.
+     */
+    public restoreByIdAsync(correlationId: string, id: K): Promise<T> {
+        return PromiseAdapter.invoke<T>((callback) => this.restoreById(correlationId, id, callback));
+    }
+
+    /**
+     * Permanently removes soft deleted data items and returns a promise.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param olderThan         (optional) time to remove only items deleted before it.
+     * @returns a promise that is resolved with the number of removed items.
+     */
+    public purgeDeletedAsync(correlationId: string, olderThan: Date): Promise<number> {
+        return PromiseAdapter.invoke<number>((callback) => this.purgeDeleted(correlationId, olderThan, callback));
+    }
+
+    /**
+     * Permanently removes expired data items and returns a promise.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @returns a promise that is resolved with the number of removed items.
+     */
+    public sweepExpiredAsync(correlationId: string): Promise<number> {
+        return PromiseAdapter.invoke<number>((callback) => this.sweepExpired(correlationId, callback));
+    }
+
+    /**
+     * Creates multiple data items and returns a promise.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param items             items to be created.
+     * @returns a promise that is resolved with results of writing every item.
+     */
+    public createManyAsync(correlationId: string, items: T[]): Promise<BulkItemResult<T>[]> {
+        return PromiseAdapter.invoke<BulkItemResult<T>[]>((callback) => this.createMany(correlationId, items, callback));
+    }
+
+    /**
+     * Updates multiple data items and returns a promise.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param items             items to be updated.
+     * @returns a promise that is resolved with results of writing every item.
+     */
+    public updateManyAsync(correlationId: string, items: T[]): Promise<BulkItemResult<T>[]> {
+        return PromiseAdapter.invoke<BulkItemResult<T>[]>((callback) => this.updateMany(correlationId, items, callback));
+    }
+
+    /**
+     * Sets multiple data items and returns a promise.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param items             items to be set.
+     * @returns a promise that is resolved with results of writing every item.
+     */
+    public setManyAsync(correlationId: string, items: T[]): Promise<BulkItemResult<T>[]> {
+        return PromiseAdapter.invoke<BulkItemResult<T>[]>((callback) => this.setMany(correlationId, items, callback));
+    }
+
+    /**
+     * Updates data items that match to a given filter and returns a promise.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param filter            (optional) a filter function, FilterParams or a condition object to filter items.
+     * @param data              a map with fields to be updated and update operators.
+     * @returns a promise that is resolved with the updated items.
+     */
+    protected updateByFilterAsync(correlationId: string, filter: any, data: AnyValueMap): Promise<T[]> {
+        return PromiseAdapter.invoke<T[]>((callback) => this.updateByFilter(correlationId, filter, data, callback));
+    }
+
+    /**
+     * Updates data items that match to a given filter or creates a new item and returns a promise.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param filter            (optional) a filter function, FilterParams or a condition object to filter items.
+     * @param data              a map with fields to be updated and update operators.
+     * @returns a promise that is resolved with the updated or created items.
+     */
+    protected upsertByFilterAsync(correlationId: string, filter: any, data: AnyValueMap): Promise<T[]> {
+        return PromiseAdapter.invoke<T[]>((callback) => this.upsertByFilter(correlationId, filter, data, callback));
+    }
+
+}
@@ -0,0 +1,307 @@
+/** @module persistence */
+
+import { PagingParams } from 'pip-services3-commons-node';
+import { SortParams } from 'pip-services3-commons-node';
+import { DataPage } from 'pip-services3-commons-node';
+
+import { ILoader } from '../ILoader';
+import { ISaver } from '../ISaver';
+import { Snapshot } from '../Snapshot';
+import { PromiseAdapter } from './PromiseAdapter';
+
+/**
+ * Abstract base class of [[MemoryPersistence]] with promise-based variants of its callback methods.
+ * 
+ * Every variant calls the callback method, so overridden methods in child classes are used
+ * by both APIs. Promises are rejected with the same errors that are passed to callbacks.
+ * Promise variants of [[IdentifiableMemoryPersistence]] methods are declared
+ * in [[AsyncIdentifiableMemoryPersistence]].
+ * 
+ * @see [[MemoryPersistence]]
+ * @see [[PromiseAdapter]]
+ * 
+ * ### Example ###
+ * 
+ *     let persistence = new MyMemoryPersistence();
+ *     
+ *     await persistence.openAsync("123");
+ *     let item = await persistence.createAsync("123", { name: "ABC" });
+ *     await persistence.closeAsync("123");
+ */
+export abstract class AsyncMemoryPersistence<T> {
+
+    public abstract open(correlationId: string, callback?: (err: any) => void): void;
+    public abstract close(correlationId: string, callback?: (err: any) => void): void;
+    public abstract save(correlationId: string, callback?: (err: any) => void): void;
+    public abstract flush(correlationId: string, callback?: (err: any) => void): void;
+    public abstract reload(correlationId: string, callback?: (err: any) => void): void;
+    public abstract commitTransaction(correlationId: string, callback?: (err: any) => void): void;
+    public abstract runInTransaction(correlationId: string, action: (callback: (err?: any) => void) => void,
+        callback?: (err: any) => void): void;
+    public abstract clear(correlationId: string, callback?: (err?: any) => void): void;
+
+    protected abstract getPageByFilter(correlationId: string, filter: any, paging: PagingParams, sort: any, select: any,
+        callback: (err: any, page: DataPage<T>) => void): void;
+    protected abstract getCountByFilter(correlationId: string, filter: any,
+        callback: (err: any, count: number) => void): void;
+    protected abstract getAggregateByFilter(correlationId: string, filter: any, groupBy: string | string[], aggregates: any,
+        callback: (err: any, results: any[]) => void): void;
+    protected abstract getDistinctValues(correlationId: string, field: string, filter: any,
+        callback: (err: any, values: any[]) => void): void;
+    protected abstract getListByFilter(correlationId: string, filter: any, sort: any, select: any,
+        callback: (err: any, items: T[]) => void): void;
+    public abstract getPageByQuery(correlationId: string, query: string, paging: PagingParams, sort: SortParams,
+        callback: (err: any, page: DataPage<T>) => void): void;
+    public abstract getListByQuery(correlationId: string, query: string, sort: SortParams,
+        callback: (err: any, items: T[]) => void): void;
+    protected abstract getOneRandom(correlationId: string, filter: any, callback: (err: any, item: T) => void): void;
+    public abstract create(correlationId: string, item: T, callback?: (err: any, item: T) => void): void;
+    protected abstract deleteByFilter(correlationId: string, filter: any, callback?: (err: any) => void): void;
+
+    public abstract restoreSnapshot(correlationId: string, snapshot: Snapshot<T>, callback?: (err: any) => void): void;
+    public abstract exportSnapshot(correlationId: string, saver: ISaver<Snapshot<T>>,
+        callback?: (err: any, snapshot: Snapshot<T>) => void): void;
+    public abstract importSnapshot(correlationId: string, loader: ILoader<Snapshot<T>>,
+        callback?: (err: any, snapshot: Snapshot<T>) => void): void;
+
+    /**
+     * Opens the component and returns a promise.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @returns a promise that is resolved when the operation completes.
+     */
+    public openAsync(correlationId: string): Promise<void> {
+        return PromiseAdapter.invoke<void>((callback) => this.open(correlationId, callback));
+    }
+
+    /**
+     * Closes the component and returns a promise.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @returns a promise that is resolved when the operation completes.
+     */
+    public closeAsync(correlationId: string): Promise<void> {
+        return PromiseAdapter.invoke<void>((callback) => this.close(correlationId, callback));
+    }
+
+    /**
+     * Saves items according to the save policy and returns a promise.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @returns a promise that is resolved when the operation completes.
+     */
+    public saveAsync(correlationId: string): Promise<void> {
+        return PromiseAdapter.invoke<void>((callback) => this.save(correlationId, callback));
+    }
+
+    /**
+     * Saves all items right away and returns a promise.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @returns a promise that is resolved when the operation completes.
+     */
+    public flushAsync(correlationId: string): Promise<void> {
+        return PromiseAdapter.invoke<void>((callback) => this.flush(correlationId, callback));
+    }
+
+    /**
+     * Commits the active transaction and returns a promise.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @returns a promise that is resolved when the operation completes.
+     */
+    public commitTransactionAsync(correlationId: string): Promise<void> {
+        return PromiseAdapter.invoke<void>((callback) => this.commitTransaction(correlationId, callback));
+    }
+
+    /**
+     * Runs an asynchronous action in a transaction and returns a promise.
+     * The transaction is committed when the action is resolved and rolled back when it is rejected.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param action            an action that returns a promise.
+     * @returns a promise that is resolved when the transaction is committed.
+     */
+    public runInTransactionAsync(correlationId: string, action: () => Promise<any>): Promise<void> {
+        return PromiseAdapter.invoke<void>((callback) => {
+            this.runInTransaction(correlationId, (callback) => {
+                action().then(() => callback(), callback);
+            }, callback);
+        });
+    }
+
+    /**
+     * Clears component state and returns a promise.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @returns a promise that is resolved when the operation completes.
+     */
+    public clearAsync(correlationId: string): Promise<void> {
+        return PromiseAdapter.invoke<void>((callback) => this.clear(correlationId, callback));
+    }
+
+    /**
+     * Gets a page of data items retrieved by a given filter and returns a promise.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param filter            (optional) a filter function, FilterParams or a condition object to filter items.
+     * @param paging            (optional) paging parameters: PagingParams or [[CursorPagingParams]].
+     * @param sort              (optional) sorting parameters.
+     * @param select            (optional) projection parameters.
+     * @returns a promise that is resolved with a data page.
+     */
+    protected getPageByFilterAsync(correlationId: string, filter: any, paging: PagingParams, sort: any, select: any): Promise<DataPage<T>> {
+        return PromiseAdapter.invoke<DataPage<T>>((callback) => this.getPageByFilter(correlationId, filter, paging, sort, select, callback));
+    }
+
+    /**
+     * Gets a number of items retrieved by a given filter and returns a promise.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param filter            (optional) a filter function, FilterParams or a condition object to filter items.
+     * @returns a promise that is resolved with the number of items.
+     */
+    protected getCountByFilterAsync(correlationId: string, filter: any): Promise<number> {
+        return PromiseAdapter.invoke<number>((callback) => this.getCountByFilter(correlationId, filter, callback));
+    }
+
+    /**
+     * Groups data items retrieved by a given filter, calculates aggregated values and returns a promise.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param filter            (optional) a filter function, FilterParams or a condition object to filter items.
+     * @param groupBy           (optional) a field or a list of fields to group by.
+     * @param aggregates        an object with result fields as keys and aggregate operators as values.
+     * @returns a promise that is resolved with a list of results.
+     */
+    protected getAggregateByFilterAsync(correlationId: string, filter: any, groupBy: string | string[], aggregates: any): Promise<any[]> {
+        return PromiseAdapter.invoke<any[]>((callback) => this.getAggregateByFilter(correlationId, filter, groupBy, aggregates, callback));
+    }
+
+    /**
+     * Gets distinct values of a field in data items retrieved by a given filter and returns a promise.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param field             a field name.
+     * @param filter            (optional) a filter function, FilterParams or a condition object to filter items.
+     * @returns a promise that is resolved with a list of distinct values.
+     */
+    protected getDistinctValuesAsync(correlationId: string, field: string, filter: any): Promise<any[]> {
+        return PromiseAdapter.invoke<any[]>((callback) => this.getDistinctValues(correlationId, field, filter, callback));
+    }
+
+    /**
+     * Gets a list of data items retrieved by a given filter and returns a promise.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param filter            (optional) a filter function, FilterParams or a condition object to filter items.
+     * @param sort              (optional) sorting parameters.
+     * @param select            (optional) projection parameters.
+     * @returns a promise that is resolved with a list of data items.
+     */
+    protected getListByFilterAsync(correlationId: string, filter: any, sort: any, select: any): Promise<T[]> {
+        return PromiseAdapter.invoke<T[]>((callback) => this.getListByFilter(correlationId, filter, sort, select, callback));
+    }
+
+    /**
+     * Gets a page of data items retrieved by a query string and returns a promise.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param query             (optional) a query string
+     * @param paging            (optional) paging parameters: PagingParams or [[CursorPagingParams]].
+     * @param sort              (optional) sort parameters.
+     * @returns a promise that is resolved with a data page.
+     */
+    public getPageByQueryAsync(correlationId: string, query: string, paging: PagingParams, sort: SortParams): Promise<DataPage<T>> {
+        return PromiseAdapter.invoke<DataPage<T>>((callback) => this.getPageByQuery(correlationId, query, paging, sort, callback));
+    }
+
+    /**
+     * Gets a list of data items retrieved by a query string and returns a promise.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param query             (optional) a query string
+     * @param sort              (optional) sort parameters.
+     * @returns a promise that is resolved with a list of data items.
+     */
+    public getListByQueryAsync(correlationId: string, query: string, sort: SortParams): Promise<T[]> {
+        return PromiseAdapter.invoke<T[]>((callback) => this.getListByQuery(correlationId, query, sort, callback));
+    }
+
+    /**
+     * Gets a random item from items that match to a given filter and returns a promise.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param filter            (optional) a filter function, FilterParams or a condition object to filter items.
+     * @returns a promise that is resolved with a random item.
+     */
+    protected getOneRandomAsync(correlationId: string, filter: any): Promise<T> {
+        return PromiseAdapter.invoke<T>((callback) => this.getOneRandom(correlationId, filter, callback));
+    }
+
+    /**
+     * Creates a data item and returns a promise.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param item              an item to be created.
+     * @returns a promise that is resolved with the created item.
+     */
+    public createAsync(correlationId: string, item: T): Promise<T> {
+        return PromiseAdapter.invoke<T>((callback) => this.create(correlationId, item, callback));
+    }
+
+    /**
+     * Deletes data items that match to a given filter and returns a promise.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param filter            (optional) a filter function, FilterParams or a condition object to filter items.
+     * @returns a promise that is resolved when the operation completes.
+     */
+    protected deleteByFilterAsync(correlationId: string, filter: any): Promise<void> {
+        return PromiseAdapter.invoke<void>((callback) => this.deleteByFilter(correlationId, filter, callback));
+    }
+
+    /**
+     * Restores a snapshot and returns a promise.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param snapshot          a snapshot to be restored.
+     * @returns a promise that is resolved when the operation completes.
+     */
+    public restoreSnapshotAsync(correlationId: string, snapshot: Snapshot<T>): Promise<void> {
+        return PromiseAdapter.invoke<void>((callback) => this.restoreSnapshot(correlationId, snapshot, callback));
+    }
+
+    /**
+     * Creates a snapshot, writes it with a saver and returns a promise.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param saver             a saver to write the snapshot.
+     * @returns a promise that is resolved with the written snapshot.
+     */
+    public exportSnapshotAsync(correlationId: string, saver: ISaver<Snapshot<T>>): Promise<Snapshot<T>> {
+        return PromiseAdapter.invoke<Snapshot<T>>((callback) => this.exportSnapshot(correlationId, saver, callback));
+    }
+
+    /**
+     * Reads a snapshot with a loader, restores it and returns a promise.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param loader            a loader to read the snapshot.
+     * @returns a promise that is resolved with the restored snapshot.
+     */
+    public importSnapshotAsync(correlationId: string, loader: ILoader<Snapshot<T>>): Promise<Snapshot<T>> {
+        return PromiseAdapter.invoke<Snapshot<T>>((callback) => this.importSnapshot(correlationId, loader, callback));
+    }
+
+    /**
+     * Reloads items from external data source and returns a promise.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @returns a promise that is resolved when the operation completes.
+     */
+    public reloadAsync(correlationId: string): Promise<void> {
+        return PromiseAdapter.invoke<void>((callback) => this.reload(correlationId, callback));
+    }
+
+}
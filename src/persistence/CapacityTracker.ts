@@ -0,0 +1,260 @@
+/** @module persistence */
+/** @hidden */
+let _ = require('lodash');
+
+import { ConfigException } from 'pip-services3-commons-node';
+
+import { IEvictionPolicy } from '../IEvictionPolicy';
+import { LruEvictionPolicy } from './LruEvictionPolicy';
+import { LfuEvictionPolicy } from './LfuEvictionPolicy';
+import { FifoEvictionPolicy } from './FifoEvictionPolicy';
+
+/**
+ * Tracker of data items stored in memory with limits on their number and approximate memory size.
+ *
+ * Items are tracked only while limits are set. The tracker notifies the eviction policy
+ * about tracked items and sums up their sizes when the memory limit is set.
+ * It also counts hits, misses and evictions of items.
+ *
+ * It is used by [[MemoryPersistence]] to choose items to evict when the limits are exceeded.
+ *
+ * @see [[IEvictionPolicy]]
+ *
+ * ### Example ###
+ *
+ *     let tracker = new CapacityTracker<MyData>((item) => JSON.stringify(item).length * 2);
+ *     tracker.setLimits(2, 0);
+ *     tracker.reset(items);
+ *
+ *     tracker.evict(() => items.length, (item) => {
+ *         tracker.remove(item);
+ *         items.splice(items.indexOf(item), 1);
+ *         return true;
+ *     });
+ */
+export class CapacityTracker<T> {
+    private _estimateSize: (item: T) => number;
+    private _maxItems: number = 0;
+    private _maxMemory: number = 0;
+    private _policy: IEvictionPolicy<T> = new LruEvictionPolicy<T>();
+    private _sizes = new Map<T, number>();
+    private _memorySize: number = 0;
+    private _stats = { hits: 0, misses: 0, evictions: 0 };
+
+    /**
+     * Creates a new instance of the tracker.
+     *
+     * @param estimateSize  a function that returns an approximate item size in bytes.
+     */
+    public constructor(estimateSize: (item: T) => number) {
+        this._estimateSize = estimateSize;
+    }
+
+    /**
+     * Creates a built-in eviction policy by its name: <code>lru</code>, <code>lfu</code> or <code>fifo</code>.
+     *
+     * @param name  a name of the policy.
+     * @returns a created eviction policy.
+     * @throws a ConfigException when the policy is not supported.
+     */
+    public static createPolicy<T>(name: string): IEvictionPolicy<T> {
+        switch (name) {
+            case "lru": return new LruEvictionPolicy<T>();
+            case "lfu": return new LfuEvictionPolicy<T>();
+            case "fifo": return new FifoEvictionPolicy<T>();
+        }
+
+        throw new ConfigException(
+            null, "INVALID_EVICTION_POLICY", "Eviction policy " + name + " is not supported"
+        ).withDetails("eviction_policy", name);
+    }
+
+    /**
+     * Gets the maximum number of items or 0 when it is not limited.
+     */
+    public get maxItems(): number {
+        return this._maxItems;
+    }
+
+    /**
+     * Gets the maximum memory size of items in bytes or 0 when it is not limited.
+     */
+    public get maxMemory(): number {
+        return this._maxMemory;
+    }
+
+    /**
+     * Gets the approximate memory size of tracked items in bytes.
+     * It is calculated only when the memory limit is set.
+     */
+    public get memorySize(): number {
+        return this._memorySize;
+    }
+
+    /**
+     * Gets the policy that chooses items to evict.
+     */
+    public get policy(): IEvictionPolicy<T> {
+        return this._policy;
+    }
+
+    /**
+     * Sets the policy that chooses items to evict.
+     * Items shall be [[reset]] to track them by the new policy.
+     *
+     * @param value     the eviction policy or null to use the default <code>lru</code> policy.
+     */
+    public set policy(value: IEvictionPolicy<T>) {
+        this._policy = value || new LruEvictionPolicy<T>();
+    }
+
+    /**
+     * Sets the limits. Items shall be [[reset]] to track them with the new limits.
+     *
+     * @param maxItems      the maximum number of items or 0 to not limit it.
+     * @param maxMemory     the maximum memory size of items in bytes or 0 to not limit it.
+     */
+    public setLimits(maxItems: number, maxMemory: number): void {
+        this._maxItems = maxItems;
+        this._maxMemory = maxMemory;
+    }
+
+    /**
+     * Checks if any of the limits is set.
+     *
+     * @returns true if items are limited and false otherwise.
+     */
+    public isBounded(): boolean {
+        return this._maxItems > 0 || this._maxMemory > 0;
+    }
+
+    /**
+     * Checks if tracked items exceed the limits.
+     *
+     * @param count     the number of stored items.
+     * @returns true if items shall be evicted and false otherwise.
+     */
+    public isOverLimits(count: number): boolean {
+        return (this._maxItems > 0 && count > this._maxItems)
+            // Keep at least one item even if it is larger than the limit
+            || (this._maxMemory > 0 && this._memorySize > this._maxMemory && count > 1);
+    }
+
+    /**
+     * Chooses an item to evict.
+     *
+     * @returns a chosen item or null if no items are tracked.
+     */
+    public select(): T {
+        return this._policy.select();
+    }
+
+    /**
+     * Starts tracking of an added item.
+     *
+     * @param item  an added item.
+     */
+    public add(item: T): void {
+        if (!this.isBounded()) return;
+
+        this._policy.add(item);
+        if (this._maxMemory > 0) {
+            let size = this._estimateSize(item);
+            this._sizes.set(item, size);
+            this._memorySize += size;
+        }
+    }
+
+    /**
+     * Gets numbers of hits, misses and evictions since the tracker was created.
+     *
+     * @returns an object with numbers of hits, misses and evictions.
+     */
+    public getStats(): { hits: number, misses: number, evictions: number } {
+        return _.clone(this._stats);
+    }
+
+    /**
+     * Registers an access to an item and counts it as a hit or a miss.
+     *
+     * @param item  an accessed item or null if it was not found.
+     */
+    public access(item: T): void {
+        if (item == null) {
+            this._stats.misses++;
+            return;
+        }
+
+        this._stats.hits++;
+        if (this.isBounded())
+            this._policy.access(item);
+    }
+
+    /**
+     * Replaces a tracked item with its new version.
+     *
+     * @param oldItem   a replaced item.
+     * @param item      a new version of the item.
+     */
+    public replace(oldItem: T, item: T): void {
+        if (!this.isBounded()) return;
+
+        this._policy.replace(oldItem, item);
+        if (this._maxMemory > 0) {
+            let size = this._estimateSize(item);
+            this._memorySize += size - (this._sizes.get(oldItem) || 0);
+            this._sizes.delete(oldItem);
+            this._sizes.set(item, size);
+        }
+    }
+
+    /**
+     * Stops tracking of a removed item.
+     *
+     * @param item  a removed item.
+     */
+    public remove(item: T): void {
+        if (!this.isBounded()) return;
+
+        this._policy.remove(item);
+        if (this._maxMemory > 0) {
+            this._memorySize -= this._sizes.get(item) || 0;
+            this._sizes.delete(item);
+        }
+    }
+
+    /**
+     * Evicts items chosen by the policy while the limits are exceeded.
+     *
+     * @param count     a function that returns the number of stored items.
+     * @param remove    a function that removes an item and returns false if it is not stored.
+     * @returns the number of evicted items.
+     */
+    public evict(count: () => number, remove: (item: T) => boolean): number {
+        let evicted = 0;
+        while (this.isOverLimits(count())) {
+            let item = this.select();
+            if (item == null || !remove(item)) break;
+            evicted++;
+        }
+
+        this._stats.evictions += evicted;
+        return evicted;
+    }
+
+    /**
+     * Clears the tracker and starts tracking of given items.
+     *
+     * @param items     a list of stored items.
+     */
+    public reset(items: T[]): void {
+        this._policy.clear();
+        this._sizes.clear();
+        this._memorySize = 0;
+
+        if (!this.isBounded()) return;
+        for (let item of items)
+            this.add(item);
+    }
+
+}
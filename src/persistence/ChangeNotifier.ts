@@ -0,0 +1,100 @@
+/** @module persistence */
+/** @hidden */
+let _ = require('lodash');
+
+import { IReferenceable } from 'pip-services3-commons-node';
+import { IReferences } from 'pip-services3-commons-node';
+import { Descriptor } from 'pip-services3-commons-node';
+import { ILogger } from 'pip-services3-components-node';
+
+import { IChangeListener } from '../IChangeListener';
+import { ChangeEvent } from '../ChangeEvent';
+
+/**
+ * Notifier that sends events about changed data items to registered listeners.
+ *
+ * Errors raised by listeners are logged and do not affect other listeners.
+ * It is used by [[MemoryPersistence]] to notify [[IChangeListener]] components.
+ *
+ * ### References ###
+ *
+ * - <code>\*:change-listener:\*:\*:1.0</code>  (optional) [[IChangeListener]] components to receive notifications about changed items
+ *
+ * ### Example ###
+ *
+ *     let notifier = new ChangeNotifier<MyData>(logger);
+ *     notifier.add(listener);
+ *
+ *     notifier.send(new ChangeEvent<MyData>(ChangeEvent.Created, "123", null, item));
+ */
+export class ChangeNotifier<T> implements IReferenceable {
+    private _logger: ILogger;
+    private _listeners: IChangeListener<T>[] = [];
+
+    /**
+     * Creates a new instance of the notifier.
+     *
+     * @param logger    a logger to log errors of listeners.
+     */
+    public constructor(logger: ILogger) {
+        this._logger = logger;
+    }
+
+    /**
+     * Sets references to dependent components and adds referenced change listeners.
+     *
+     * @param references    references to locate the component dependencies.
+     */
+    public setReferences(references: IReferences): void {
+        let listeners = references.getOptional<IChangeListener<T>>(
+            new Descriptor("*", "change-listener", "*", "*", "1.0")
+        );
+        for (let listener of listeners)
+            this.add(listener);
+    }
+
+    /**
+     * Checks if any listeners are added, so events have to be created.
+     *
+     * @returns true if events have listeners and false otherwise.
+     */
+    public hasListeners(): boolean {
+        return this._listeners.length > 0;
+    }
+
+    /**
+     * Adds a listener to receive notifications about changed items.
+     * Listeners that are already added are skipped.
+     *
+     * @param listener  a listener to be added.
+     */
+    public add(listener: IChangeListener<T>): void {
+        if (listener != null && this._listeners.indexOf(listener) < 0)
+            this._listeners.push(listener);
+    }
+
+    /**
+     * Removes a previously added listener.
+     *
+     * @param listener  a listener to be removed.
+     */
+    public remove(listener: IChangeListener<T>): void {
+        this._listeners = _.filter(this._listeners, (l) => l !== listener);
+    }
+
+    /**
+     * Sends an event to all listeners.
+     *
+     * @param event     an event to be sent.
+     */
+    public send(event: ChangeEvent<T>): void {
+        for (let listener of this._listeners) {
+            try {
+                listener.onChange(event);
+            } catch (ex) {
+                this._logger.error(event.correlationId, ex, "Change listener failed to process %s event", event.type);
+            }
+        }
+    }
+
+}
@@ -0,0 +1,264 @@
+/** @module persistence */
+/** @hidden */
+let _ = require('lodash');
+
+import { ConfigParams } from 'pip-services3-commons-node';
+import { ConfigException } from 'pip-services3-commons-node';
+import { TypeCode } from 'pip-services3-commons-node';
+import { TypeConverter } from 'pip-services3-commons-node';
+import { StringConverter } from 'pip-services3-commons-node';
+import { JsonConverter } from 'pip-services3-commons-node';
+
+import { FilePersister } from './FilePersister';
+
+/**
+ * Persistence component that loads and saves data from/to flat file in CSV format.
+ * 
+ * The first line of the file contains column names. Each following line is a data item.
+ * By default column names are used as item fields, and dot notation defines nested fields
+ * like <code>address.city</code>. Columns can be mapped to other fields in <code>columns</code> section
+ * of the configuration. When the mapping is defined only mapped columns are read and written.
+ * 
+ * Values are read as strings unless their types are set in <code>types</code> section.
+ * Empty values are skipped. Values of array, map and object types are stored as JSON.
+ * 
+ * ### Configuration parameters ###
+ * 
+ * - path:              path to the file where data is stored
+ * - options:
+ *     - backup_count:  number of backup copies of previous data files to keep (default: 0)
+ *     - watch_interval: interval in milliseconds to check the watched data file (default: 1000)
+ *     - locking:       true to lock the data file when it is read or written (default: false)
+ *     - lock_timeout:  time in milliseconds to wait for locks of other processes (default: 5000)
+ *     - lock_stale_timeout: age in milliseconds after which locks are considered stale (default: 30000)
+ *     - read_modify_write: true to detect modifications made by other processes before writes (default: false)
+ *     - delimiter:     character that separates values (default: ",")
+ * - columns:           map of column names to item fields
+ * - types:             map of item fields to their types: string, boolean, integer, long, float, double, datetime, array, map or object
+ * 
+ * ### Example ###
+ * 
+ *     let persister = new CsvFilePersister("./data/users.csv");
+ *     persister.configure(ConfigParams.fromTuples(
+ *         "columns.User Id", "id",
+ *         "columns.City", "address.city",
+ *         "columns.Age", "age",
+ *         "types.age", "integer"
+ *     ));
+ * 
+ *     persister.load("123", (err, items) => {
+ *         console.log(items);      // Result: [{ id: "1", address: { city: "Tucson" }, age: 30 }, ...]
+ *     });
+ */
+export class CsvFilePersister<T> extends FilePersister<T> {
+    private _delimiter: string = ",";
+    private _columns: { [column: string]: string } = null;
+    private _types: { [field: string]: TypeCode } = {};
+
+    /**
+     * Creates a new instance of the persistence.
+     * 
+     * @param path  (optional) a path to the file where data is stored.
+     */
+    public constructor(path?: string) {
+        super(path);
+    }
+
+    /**
+     * Gets the character that separates values.
+     * 
+     * @returns the delimiter character.
+     */
+    public get delimiter(): string {
+        return this._delimiter;
+    }
+
+    /**
+     * Sets the character that separates values.
+     * 
+     * @param value     the delimiter character.
+     */
+    public set delimiter(value: string) {
+        this._delimiter = value;
+    }
+
+    /**
+     * Configures component by passing configuration parameters.
+     * 
+     * @param config    configuration parameters to be set.
+     */
+    public configure(config: ConfigParams): void {
+        super.configure(config);
+
+        this._delimiter = config.getAsStringWithDefault("options.delimiter", this._delimiter);
+        if (this._delimiter.length != 1) {
+            throw new ConfigException(
+                null, "INVALID_DELIMITER", "CSV delimiter must be a single character"
+            ).withDetails("delimiter", this._delimiter);
+        }
+
+        let columns = config.getSection("columns");
+        if (columns.length() > 0) {
+            this._columns = {};
+            for (let column of columns.getKeys())
+                this._columns[column] = columns.getAsString(column);
+        }
+
+        let types = config.getSection("types");
+        for (let field of types.getKeys())
+            this._types[field] = this.parseType(field, types.getAsString(field));
+    }
+
+    private parseType(field: string, name: string): TypeCode {
+        for (let type = TypeCode.String; type <= TypeCode.Map; type++) {
+            if (TypeConverter.toString(type) == name.toLowerCase())
+                return type;
+        }
+
+        throw new ConfigException(
+            null, "INVALID_TYPE", "Type " + name + " of field " + field + " is not supported"
+        ).withDetails("field", field).withDetails("type", name);
+    }
+
+    private parseRecords(data: string): string[][] {
+        let records: string[][] = [];
+        let record: string[] = [];
+        let value = "";
+        let quoted = false;
+
+        let endRecord = () => {
+            record.push(value);
+            // Skip empty lines
+            if (record.length > 1 || record[0] != "")
+                records.push(record);
+            record = [];
+            value = "";
+        };
+
+        // Skip the byte order mark
+        let start = data.charCodeAt(0) == 0xFEFF ? 1 : 0;
+
+        for (let index = start; index < data.length; index++) {
+            let chr = data[index];
+
+            if (quoted) {
+                if (chr != '"') value += chr;
+                else if (data[index + 1] == '"') value += data[++index];
+                else quoted = false;
+            } else if (chr == '"') {
+                quoted = true;
+            } else if (chr == this._delimiter) {
+                record.push(value);
+                value = "";
+            } else if (chr == "\n" || chr == "\r") {
+                if (chr == "\r" && data[index + 1] == "\n") index++;
+                endRecord();
+            } else {
+                value += chr;
+            }
+        }
+
+        if (quoted)
+            throw new Error("CSV file contains unterminated quoted value");
+        if (value != "" || record.length > 0)
+            endRecord();
+
+        return records;
+    }
+
+    private convertValue(field: string, value: string): any {
+        let type = this._types[field];
+        if (type == null || type == TypeCode.String) return value;
+
+        let result = type == TypeCode.Array || type == TypeCode.Map || type == TypeCode.Object
+            ? JSON.parse(value) : TypeConverter.toNullableType(type, value);
+
+        if (result == null)
+            throw new Error("Value " + value + " of field " + field + " is not " + TypeConverter.toString(type));
+
+        return result;
+    }
+
+    /**
+     * Converts the content of a CSV file into data items.
+     * 
+     * @param data  the content of a data file.
+     * @returns a list of data items.
+     */
+    protected parseData(data: string): T[] {
+        let records = this.parseRecords(data);
+        if (records.length == 0) return [];
+
+        let fields = _.map(records[0], (column) => {
+            column = column.trim();
+            return this._columns != null ? this._columns[column] : column;
+        });
+
+        let items: T[] = [];
+        for (let record of records.slice(1)) {
+            let item: any = {};
+            for (let index = 0; index < fields.length; index++) {
+                let field = fields[index];
+                let value = record[index];
+                if (field == null || field == "" || value == null || value == "") continue;
+
+                _.set(item, field, this.convertValue(field, value));
+            }
+            items.push(item);
+        }
+
+        return items;
+    }
+
+    private collectFields(value: any, prefix: string, fields: string[]): void {
+        if (_.isPlainObject(value) && !_.isEmpty(value)) {
+            for (let key in value)
+                this.collectFields(value[key], prefix != null ? prefix + "." + key : key, fields);
+        } else if (prefix != null && !_.includes(fields, prefix)) {
+            fields.push(prefix);
+        }
+    }
+
+    private formatValue(value: any): string {
+        if (value == null) return "";
+
+        let text = _.isArray(value) || _.isPlainObject(value)
+            ? JsonConverter.toJson(value) : StringConverter.toString(value);
+
+        let quoted = text.indexOf(this._delimiter) >= 0 || /["\r\n]/.test(text) || text.trim() != text;
+        return quoted ? '"' + text.replace(/"/g, '""') + '"' : text;
+    }
+
+    /**
+     * Converts data items into CSV.
+     * 
+     * @param items     a list of data items.
+     * @returns the content of a data file.
+     */
+    protected formatData(items: T[]): string {
+        items = items || [];
+
+        let columns: string[];
+        let fields: string[];
+        if (this._columns != null) {
+            columns = _.keys(this._columns);
+            fields = _.values(this._columns);
+        } else {
+            fields = [];
+            for (let item of items)
+                this.collectFields(item, null, fields);
+            columns = fields;
+        }
+
+        if (columns.length == 0) return "";
+
+        let lines = [ _.map(columns, (column) => this.formatValue(column)).join(this._delimiter) ];
+        for (let item of items) {
+            let values = _.map(fields, (field) => this.formatValue(_.get(item, field)));
+            lines.push(values.join(this._delimiter));
+        }
+
+        return lines.join("\n") + "\n";
+    }
+
+}
@@ -0,0 +1,115 @@
+/** @module persistence */
+/** @hidden */
+let _ = require('lodash');
+
+import { BadRequestException } from 'pip-services3-commons-node';
+
+import { CursorPagingParams } from '../CursorPagingParams';
+import { CursorDataPage } from '../CursorDataPage';
+import { SortComposer } from './SortComposer';
+
+/**
+ * Helper class that extracts pages of data items requested by cursors.
+ *
+ * Items are ordered by sort values followed by item keys. A cursor holds the sort values
+ * and the key of the last item of a page, so the next page starts right after that item
+ * even when other items were inserted or deleted. Cursors are opaque base64 strings.
+ *
+ * @see [[CursorPagingParams]]
+ * @see [[MemoryPersistence]]
+ *
+ * ### Example ###
+ *
+ *     let getKey = (item) => item.id;
+ *     let page = CursorComposer.apply("123", items, new CursorPagingParams(null, 10), sort, getKey, 100);
+ *     let next = CursorComposer.apply("123", items, new CursorPagingParams(page.cursor, 10), sort, getKey, 100);
+ */
+export class CursorComposer {
+
+    /**
+     * Encodes sort values and a key of an item into a cursor.
+     *
+     * @param key   a list of sort values followed by the item key.
+     * @returns an encoded cursor.
+     */
+    public static encode(key: any[]): string {
+        // Dates are marked to restore them as dates and not as strings
+        let value = _.cloneDeepWith(key, (v) => _.isDate(v) ? { $date: v.getTime() } : undefined);
+        return Buffer.from(JSON.stringify(value)).toString("base64");
+    }
+
+    /**
+     * Decodes sort values and a key of an item from a cursor.
+     *
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param cursor            an encoded cursor.
+     * @returns a list of sort values followed by the item key.
+     * @throws a BadRequestException when the cursor is invalid.
+     */
+    public static decode(correlationId: string, cursor: string): any[] {
+        let key: any = null;
+        try {
+            key = JSON.parse(Buffer.from(cursor, "base64").toString(), (name, value) => {
+                let isDate = _.isPlainObject(value) && _.size(value) == 1 && _.isNumber(value.$date);
+                return isDate ? new Date(value.$date) : value;
+            });
+        } catch (ex) {
+            // The error is reported below
+        }
+
+        if (!_.isArray(key)) {
+            throw new BadRequestException(
+                correlationId, "INVALID_CURSOR", "Paging cursor is invalid"
+            ).withDetails("cursor", cursor);
+        }
+
+        return key;
+    }
+
+    /**
+     * Sorts data items and extracts a page that starts right after the item in the cursor.
+     *
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param items             a list of items to be paged.
+     * @param paging            cursor paging parameters.
+     * @param sort              (optional) sorting parameters. See [[SortComposer]] for supported formats.
+     * @param getKey            a function that returns a key that distinguishes items with the same sort values.
+     * @param maxPageSize       a maximum number of items in the page.
+     * @returns a page of items with a cursor to the next page.
+     * @throws a BadRequestException when the cursor is invalid.
+     */
+    public static apply<T>(correlationId: string, items: T[], paging: CursorPagingParams, sort: any,
+        getKey: (item: T) => any, maxPageSize: number): CursorDataPage<T> {
+        let take = paging.getTake(maxPageSize);
+        let total = paging.total ? items.length : null;
+
+        let composeKey = SortComposer.composeKey(sort);
+        let compare = SortComposer.composeKeyComparator(sort);
+
+        let entries = _.map(items, (item) => {
+            let key = composeKey(item);
+            key.push(getKey(item));
+            return { item: item, key: key };
+        });
+        entries.sort((entry1, entry2) => compare(entry1.key, entry2.key));
+
+        // Find the first item after the cursor
+        let start = 0;
+        if (paging.cursor != null && paging.cursor != "") {
+            let cursorKey = CursorComposer.decode(correlationId, paging.cursor);
+            let end = entries.length;
+            while (start < end) {
+                let middle = (start + end) >> 1;
+                if (compare(entries[middle].key, cursorKey) <= 0) start = middle + 1;
+                else end = middle;
+            }
+        }
+
+        let pageEntries = entries.slice(start, start + take);
+        let cursor = pageEntries.length > 0 && start + take < entries.length
+            ? CursorComposer.encode(_.last(pageEntries).key) : null;
+
+        return new CursorDataPage<T>(_.map(pageEntries, (entry) => entry.item), total, cursor);
+    }
+
+}
@@ -0,0 +1,128 @@
+/** @module persistence */
+import { ConfigParams } from 'pip-services3-commons-node';
+import { DateTimeConverter } from 'pip-services3-commons-node';
+import { ObjectReader } from 'pip-services3-commons-node';
+import { ObjectWriter } from 'pip-services3-commons-node';
+
+/**
+ * Tracker of expire times of data items.
+ *
+ * Items expire when the time in their expire time field has passed. With a time to live
+ * the expire time is set on every write, unless the written item has its own expire time.
+ * A sweeper periodically removes expired items while it is started.
+ *
+ * It is used by [[IdentifiableMemoryPersistence]] to hide and remove expired items.
+ *
+ * ### Configuration parameters ###
+ *
+ * - options:
+ *     - ttl:                 Default time-to-live of items in milliseconds, 0 to keep items forever (default: 0)
+ *     - expiration:          Enables expiration of items (default: true when ttl is set)
+ *     - expire_time_field:   Name of the item expire time field (default: "expire_time")
+ *     - sweep_interval:      Interval in milliseconds to remove expired items, 0 to disable the sweeper (default: 60000)
+ *
+ * ### Example ###
+ *
+ *     let tracker = new ExpirationTracker<MyData>();
+ *     tracker.configure(ConfigParams.fromTuples("options.ttl", 60000));
+ *
+ *     tracker.setExpireTime(item);
+ *     tracker.startSweeper(() => {
+ *         items = items.filter((item) => !tracker.isExpired(item));
+ *     });
+ */
+export class ExpirationTracker<T> {
+    private _ttl: number = 0;
+    private _enabled: boolean = false;
+    private _expireTimeField: string = "expire_time";
+    private _sweepInterval: number = 60000;
+    private _sweepTimer: any = null;
+
+    /**
+     * Configures component by passing configuration parameters.
+     *
+     * @param config    configuration parameters to be set.
+     */
+    public configure(config: ConfigParams): void {
+        this._ttl = config.getAsLongWithDefault("options.ttl", this._ttl);
+        this._enabled = config.getAsBooleanWithDefault("options.expiration", this._enabled || this._ttl > 0);
+        this._expireTimeField = config.getAsStringWithDefault("options.expire_time_field", this._expireTimeField);
+        this._sweepInterval = config.getAsLongWithDefault("options.sweep_interval", this._sweepInterval);
+    }
+
+    /**
+     * Gets the default time-to-live of items in milliseconds or 0 when items are kept forever.
+     */
+    public get ttl(): number {
+        return this._ttl;
+    }
+
+    /**
+     * Checks if expiration is enabled.
+     *
+     * @returns true if items can expire and false otherwise.
+     */
+    public isEnabled(): boolean {
+        return this._enabled;
+    }
+
+    /**
+     * Checks if a data item is expired.
+     *
+     * @param item  a data item to be checked.
+     * @param now   (optional) current time in milliseconds.
+     * @returns true if expiration is enabled and the item expire time has passed.
+     */
+    public isExpired(item: T, now?: number): boolean {
+        if (!this._enabled || item == null) return false;
+
+        let expireTime = DateTimeConverter.toNullableDateTime(ObjectReader.getProperty(item, this._expireTimeField));
+        return expireTime != null && expireTime.getTime() <= (now != null ? now : Date.now());
+    }
+
+    /**
+     * Sets the expire time of a written item when the time to live is set.
+     * Items with their own expire times keep them.
+     *
+     * @param item      a written item.
+     * @param oldItem   (optional) a stored item replaced by the written one.
+     */
+    public setExpireTime(item: T, oldItem?: T): void {
+        if (this._ttl <= 0) return;
+
+        let expireTime = DateTimeConverter.toNullableDateTime(ObjectReader.getProperty(item, this._expireTimeField));
+        if (expireTime != null) {
+            // The expire time of the stored item was passed back with the whole item
+            let oldExpireTime = oldItem != null
+                ? DateTimeConverter.toNullableDateTime(ObjectReader.getProperty(oldItem, this._expireTimeField))
+                : null;
+            if (oldExpireTime == null || oldExpireTime.getTime() != expireTime.getTime()) return;
+        }
+
+        ObjectWriter.setProperty(item, this._expireTimeField, new Date(Date.now() + this._ttl));
+    }
+
+    /**
+     * Starts the sweeper when expiration is enabled and the sweep interval is set.
+     *
+     * @param sweep     a function that removes expired items.
+     */
+    public startSweeper(sweep: () => void): void {
+        if (!this._enabled || this._sweepInterval <= 0 || this._sweepTimer != null) return;
+
+        this._sweepTimer = setInterval(sweep, this._sweepInterval);
+        // The sweeper shall not keep the process running
+        this._sweepTimer.unref();
+    }
+
+    /**
+     * Stops the sweeper.
+     */
+    public stopSweeper(): void {
+        if (this._sweepTimer != null) {
+            clearInterval(this._sweepTimer);
+            this._sweepTimer = null;
+        }
+    }
+
+}
@@ -0,0 +1,96 @@
+/** @module persistence */
+import { IEvictionPolicy } from '../IEvictionPolicy';
+
+/**
+ * Eviction policy that evicts items in the order they were added.
+ * Replaced items keep their place in the queue.
+ *
+ * @see [[MemoryPersistence]]
+ */
+export class FifoEvictionPolicy<T> implements IEvictionPolicy<T> {
+    private _entries = new Map<T, { item: T, removed: boolean }>();
+    private _queue: { item: T, removed: boolean }[] = [];
+    private _head: number = 0;
+
+    /**
+     * Starts tracking of an added item.
+     *
+     * @param item  an added item.
+     */
+    public add(item: T): void {
+        if (this._entries.has(item)) return;
+
+        let entry = { item: item, removed: false };
+        this._entries.set(item, entry);
+        this._queue.push(entry);
+    }
+
+    /**
+     * Registers an access to a tracked item. Accesses do not change the order of items.
+     *
+     * @param item  an accessed item.
+     */
+    public access(item: T): void {
+        // Nothing to do
+    }
+
+    /**
+     * Replaces a tracked item with its new version.
+     *
+     * @param oldItem   a replaced item.
+     * @param newItem   a new version of the item.
+     */
+    public replace(oldItem: T, newItem: T): void {
+        let entry = this._entries.get(oldItem);
+        if (entry == null) {
+            this.add(newItem);
+            return;
+        }
+
+        this._entries.delete(oldItem);
+        entry.item = newItem;
+        this._entries.set(newItem, entry);
+    }
+
+    /**
+     * Stops tracking of a removed item.
+     *
+     * @param item  a removed item.
+     */
+    public remove(item: T): void {
+        let entry = this._entries.get(item);
+        if (entry == null) return;
+
+        this._entries.delete(item);
+        // Removed entries are skipped when the queue is read
+        entry.removed = true;
+    }
+
+    /**
+     * Chooses the earliest added item to be evicted.
+     *
+     * @returns an item to be evicted or null if there are no items.
+     */
+    public select(): T {
+        while (this._head < this._queue.length && this._queue[this._head].removed)
+            this._head++;
+
+        // Drop skipped entries once they take most of the queue
+        if (this._head > 1000 && this._head * 2 > this._queue.length) {
+            this._queue = this._queue.slice(this._head);
+            this._head = 0;
+        }
+
+        return this._head < this._queue.length ? this._queue[this._head].item : null;
+    }
+
+    /**
+     * Stops tracking of all items.
+     */
+    public clear(): void {
+        this._entries.clear();
+        this._queue = [];
+        this._head = 0;
+    }
+
+}
@@ -1,8 +1,11 @@
 /** @module persistence */
 import { ConfigParams } from 'pip-services3-commons-node';
+import { IReferences } from 'pip-services3-commons-node';
 import { IConfigurable } from 'pip-services3-commons-node';
 
-import { JsonFilePersister } from './JsonFilePersister'
+import { FilePersister } from './FilePersister';
+import { JsonFilePersister } from './JsonFilePersister';
+import { FilePersisterBinding } from './FilePersisterBinding';
 import { MemoryPersistence } from './MemoryPersistence';
 
 /**
@@ -14,16 +17,38 @@ import { MemoryPersistence } from './MemoryPersistence';
  * over the data items must be implemented in child classes by
  * accessing this._items property and calling [[save]] method.
  * 
+ * When read-modify-write mode is enabled and another process modified the data file,
+ * saves fail with ConflictException. To recover, call [[reload]] to load the data file
+ * and discard the unsaved changes, and then retry the failed changes.
+ * 
  * @see [[MemoryPersistence]]
  * @see [[JsonFilePersister]]
+ * @see [[FilePersisterFactory]]
  * 
  * ### Configuration parameters ###
  * 
  * - path:                path to the file where data is stored
+ * - format:              file format: json, yaml, csv or ndjson (default: detected by file extension or json)
+ * - options:
+ *     - max_page_size:   Maximum number of items returned in a single page (default: 100)
+ *     - save_policy:     Policy to save changes: immediate, debounce, batch or close (default: immediate)
+ *     - save_interval:   Interval in milliseconds to save changes with debounce policy (default: 1000)
+ *     - save_changes:    Number of changes to save them with batch policy (default: 100)
+ *     - backup_count:    Number of backup copies of previous data files to keep (default: 0)
+ *     - watch:           Reloads items when the data file is changed by another process (default: false)
+ *     - watch_interval:  Interval in milliseconds to check the data file for changes (default: 1000)
+ *     - locking:         Locks the data file when it is read or written by several processes (default: false)
+ *     - lock_timeout:    Time in milliseconds to wait for locks of other processes (default: 5000)
+ *     - lock_stale_timeout: Age in milliseconds after which locks are considered stale (default: 30000)
+ *     - lock_retry_interval: Interval in milliseconds to check if locks of other processes are released (default: 50)
+ *     - read_modify_write: Fails saves with ConflictException when the data file was modified by another process (default: false)
+ *     - invalid_load_action: Action with invalid items on load: report, quarantine or fail (default: report).
+ *                        Quarantined items are appended to the quarantine file next to the data file
  * 
  * ### References ###
  * 
  * - <code>\*:logger:\*:\*:1.0</code>   (optional) [[https://pip-services3-node.github.io/pip-services3-components-node/interfaces/log.ilogger.html ILogger]] components to pass log messages
+ * - <code>\*:change-listener:\*:\*:1.0</code> (optional) [[IChangeListener]] components to receive notifications about changed items
  * 
  * ### Example ###
  * 
@@ -46,20 +71,25 @@ import { MemoryPersistence } from './MemoryPersistence';
  *     }
  */
 export class FilePersistence<T> extends MemoryPersistence<T> implements IConfigurable {
-    protected readonly _persister: JsonFilePersister<T>;
+    protected _persister: FilePersister<T>;
+
+    private _formatSelectable: boolean = false;
 
     /**
      * Creates a new instance of the persistence.
      * 
      * @param persister    (optional) a persister component that loads and saves data from/to flat file.
+     *                     When it is not set the persister is chosen by the configured file format.
      */
-    public constructor(persister?: JsonFilePersister<T>) {
+    public constructor(persister?: FilePersister<T>) {
+        let formatSelectable = persister == null;
         if (persister == null)
             persister = new JsonFilePersister<T>();
 
         super(persister, persister);
 
         this._persister = persister;
+        this._formatSelectable = formatSelectable;
     }
 
     /**
@@ -68,7 +98,60 @@ export class FilePersistence<T> extends MemoryPersistence<T> implements IConfigu
      * @param config    configuration parameters to be set.
      */
     public configure(config: ConfigParams): void {
-        this._persister.configure(config);
+        super.configure(config);
+
+        this._persister = FilePersisterBinding.configure<T>(this._persister, config, this._formatSelectable);
+        this._loader = this._persister;
+        this._saver = this._persister;
+    }
+
+    /**
+	 * Sets references to dependent components.
+	 * 
+	 * @param references 	references to locate the component dependencies. 
+     */
+    public setReferences(references: IReferences): void {
+        super.setReferences(references);
+        this._persister.setReferences(references);
+    }
+
+    /**
+	 * Opens the component and starts watching the data file when it is enabled.
+	 * 
+	 * @param correlationId 	(optional) transaction id to trace execution through call chain.
+     * @param callback 			callback function that receives error or null no errors occured.
+     */
+    public open(correlationId: string, callback?: (err: any) => void): void {
+        FilePersisterBinding.open(correlationId, this._persister,
+            (callback) => super.open(correlationId, callback),
+            (callback) => this.reload(correlationId, callback),
+            callback
+        );
+    }
+
+    /**
+	 * Stops watching the data file and closes the component.
+	 * 
+	 * @param correlationId 	(optional) transaction id to trace execution through call chain.
+     * @param callback 			callback function that receives error or null no errors occured.
+     */
+    public close(correlationId: string, callback?: (err: any) => void): void {
+        FilePersisterBinding.close(correlationId, this._persister,
+            (callback) => super.close(correlationId, callback), callback
+        );
+    }
+
+    /**
+     * Quarantines invalid items found on load and appends them to the quarantine file of the persister.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param items             a list of invalid items.
+     * @param callback          callback function that receives error or null for success.
+     */
+    protected quarantineItems(correlationId: string, items: T[], callback: (err: any) => void): void {
+        FilePersisterBinding.quarantine(correlationId, this._persister, items,
+            (callback) => super.quarantineItems(correlationId, items, callback), callback
+        );
     }
 
 }
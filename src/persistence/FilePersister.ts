@@ -0,0 +1,725 @@
+/** @module persistence */
+/** @hidden */
+const fs = require('fs');
+/** @hidden */
+const os = require('os');
+
+import { IConfigurable } from 'pip-services3-commons-node';
+import { IReferenceable } from 'pip-services3-commons-node';
+import { IReferences } from 'pip-services3-commons-node';
+import { ConfigParams } from 'pip-services3-commons-node';
+import { ConfigException } from 'pip-services3-commons-node';
+import { ConflictException } from 'pip-services3-commons-node';
+import { FileException } from 'pip-services3-commons-node';
+import { JsonConverter } from 'pip-services3-commons-node';
+import { IdGenerator } from 'pip-services3-commons-node';
+import { CompositeLogger } from 'pip-services3-components-node';
+
+import { ILoader } from '../ILoader';
+import { ISaver } from '../ISaver';
+
+import { PromiseAdapter } from './PromiseAdapter';
+
+/**
+ * Abstract persistence component that loads and saves data from/to flat file.
+ * 
+ * Child classes define the file format by implementing [[parseData]] and [[formatData]] methods.
+ * 
+ * Data is written atomically: it goes into a temporary file that is flushed to disk
+ * and then renamed over the data file. Optionally the persister keeps a number of
+ * rotating backups of previous versions of the file (<code>data.json.1.bak</code> is the latest)
+ * and restores data from them when the data file is corrupted.
+ * 
+ * The persister can watch the data file for modifications made by other processes with [[watch]] method.
+ * Its own writes are recognized by file stats and ignored. File persistences start watching via [[watchForReload]]
+ * when it is enabled in the configuration. The file is checked periodically or right away by [[checkChanges]].
+ * 
+ * When several processes share the data file, locking shall be enabled. Before the file is read or written
+ * the persister creates a lock file next to it (<code>data.json.lock</code>) and waits until locks of other persisters
+ * are released. Each persister marks its locks with a random token, so persisters in the same process
+ * do not take over locks of each other. Locks of processes that do not exist anymore and locks older
+ * than the stale timeout are taken over: the stale lock is atomically renamed and checked before it is removed,
+ * and the lock token is checked again right before the data file is replaced.
+ * 
+ * In read-modify-write mode the persister also reads the file before it is written and fails the save
+ * with ConflictException when the file was modified by another process since it was loaded.
+ * To recover, the data shall be loaded again and the changes shall be retried on top of it,
+ * like <code>persistence.reload()</code> followed by the failed write in file persistences.
+ * 
+ * Errors of saves called without a callback are sent to the logger, since saves may wait for locks asynchronously.
+ * 
+ * Invalid items quarantined by persistences are appended to <code>data.json.quarantine</code> file
+ * with one item in JSON per line, regardless of the data file format.
+ * 
+ * @see [[JsonFilePersister]]
+ * @see [[YamlFilePersister]]
+ * @see [[CsvFilePersister]]
+ * @see [[NdJsonFilePersister]]
+ * 
+ * ### Configuration parameters ###
+ * 
+ * - path:              path to the file where data is stored
+ * - options:
+ *     - backup_count:  number of backup copies of previous data files to keep (default: 0)
+ *     - watch:         true to let persistences reload items when the data file is changed by another process (default: false)
+ *     - watch_interval: interval in milliseconds to check the watched data file (default: 1000)
+ *     - locking:       true to lock the data file when it is read or written (default: false)
+ *     - lock_timeout:  time in milliseconds to wait for locks of other processes (default: 5000)
+ *     - lock_stale_timeout: age in milliseconds after which locks are considered stale (default: 30000)
+ *     - lock_retry_interval: interval in milliseconds to check if locks of other processes are released (default: 50)
+ *     - read_modify_write: true to detect modifications made by other processes before writes (default: false)
+ */
+export abstract class FilePersister<T> implements ILoader<T>, ISaver<T>, IConfigurable, IReferenceable {
+    /**
+     * The logger.
+     */
+    protected _logger: CompositeLogger = new CompositeLogger();
+
+    private _path: string;
+    private _backupCount: number = 0;
+    private _corrupted: boolean = false;
+    private _watchEnabled: boolean = false;
+    private _watchInterval: number = 1000;
+    private _watchedPath: string = null;
+    private _watchListener: (current: any) => void = null;
+    private _fileStamp: string = null;
+    private _locking: boolean = false;
+    private _lockTimeout: number = 5000;
+    private _lockStaleTimeout: number = 30000;
+    private _locked: boolean = false;
+    private _readModifyWrite: boolean = false;
+    private _lastData: string = null;
+    private _lockRetryInterval: number = 50;
+    private _lockToken: string = IdGenerator.nextLong();
+
+    /**
+     * Creates a new instance of the persistence.
+     * 
+     * @param path  (optional) a path to the file where data is stored.
+     */
+    public constructor(path?: string) {
+        this._path = path;
+    }
+
+    /**
+     * Gets the file path where data is stored.
+     * 
+     * @returns the file path where data is stored.
+     */
+    public get path(): string {
+        return this._path;
+    }
+
+    /**
+     * Sets the file path where data is stored.
+     * 
+     * @param value     the file path where data is stored.
+     */
+    public set path(value: string) {
+        this._path = value;
+    }
+
+    /**
+     * Gets the number of backup copies of previous data files to keep.
+     * 
+     * @returns the number of backup copies.
+     */
+    public get backupCount(): number {
+        return this._backupCount;
+    }
+
+    /**
+     * Sets the number of backup copies of previous data files to keep.
+     * 
+     * @param value     the number of backup copies. 0 disables backups.
+     */
+    public set backupCount(value: number) {
+        this._backupCount = value;
+    }
+
+    /**
+     * Checks if persistences shall watch the data file and reload items when it is changed.
+     * 
+     * @returns true if watching is enabled and false otherwise.
+     */
+    public get watchEnabled(): boolean {
+        return this._watchEnabled;
+    }
+
+    /**
+     * Enables or disables watching of the data file by persistences.
+     * 
+     * @param value     true to enable watching.
+     */
+    public set watchEnabled(value: boolean) {
+        this._watchEnabled = value;
+    }
+
+    /**
+     * Gets the interval to check the watched data file.
+     * 
+     * @returns the interval in milliseconds.
+     */
+    public get watchInterval(): number {
+        return this._watchInterval;
+    }
+
+    /**
+     * Sets the interval to check the watched data file.
+     * The new interval is used when watching is started.
+     * 
+     * @param value     the interval in milliseconds.
+     */
+    public set watchInterval(value: number) {
+        this._watchInterval = value;
+    }
+
+    /**
+     * Checks if the data file is locked when it is read or written.
+     * 
+     * @returns true if locking is enabled and false otherwise.
+     */
+    public get locking(): boolean {
+        return this._locking;
+    }
+
+    /**
+     * Enables or disables locking of the data file when it is read or written.
+     * 
+     * @param value     true to enable locking.
+     */
+    public set locking(value: boolean) {
+        this._locking = value;
+    }
+
+    /**
+     * Checks if the data file is read before it is written to detect modifications made by other processes.
+     * 
+     * @returns true if read-modify-write mode is enabled and false otherwise.
+     */
+    public get readModifyWrite(): boolean {
+        return this._readModifyWrite;
+    }
+
+    /**
+     * Enables or disables read-modify-write mode. The mode takes effect when data is loaded next time.
+     * 
+     * @param value     true to enable read-modify-write mode.
+     */
+    public set readModifyWrite(value: boolean) {
+        this._readModifyWrite = value;
+    }
+
+    /**
+     * Configures component by passing configuration parameters.
+     * 
+     * @param config    configuration parameters to be set.
+     */
+    public configure(config: ConfigParams): void {
+        this._path = config.getAsStringWithDefault("path", this._path);
+        this._backupCount = config.getAsIntegerWithDefault("options.backup_count", this._backupCount);
+        this._watchEnabled = config.getAsBooleanWithDefault("options.watch", this._watchEnabled);
+        this._watchInterval = config.getAsIntegerWithDefault("options.watch_interval", this._watchInterval);
+        this._locking = config.getAsBooleanWithDefault("options.locking", this._locking);
+        this._lockTimeout = config.getAsIntegerWithDefault("options.lock_timeout", this._lockTimeout);
+        this._lockStaleTimeout = config.getAsIntegerWithDefault("options.lock_stale_timeout", this._lockStaleTimeout);
+        this._lockRetryInterval = config.getAsIntegerWithDefault("options.lock_retry_interval", this._lockRetryInterval);
+        this._readModifyWrite = config.getAsBooleanWithDefault("options.read_modify_write", this._readModifyWrite);
+    }
+
+    /**
+     * Sets references to dependent components.
+     * 
+     * @param references    references to locate the component dependencies.
+     */
+    public setReferences(references: IReferences): void {
+        this._logger.setReferences(references);
+    }
+
+    /**
+     * Converts the content of a data file into data items.
+     * 
+     * @param data  the content of a data file.
+     * @returns a list of data items.
+     * 
+     * @throws an error when the content is invalid.
+     */
+    protected abstract parseData(data: string): T[];
+
+    /**
+     * Converts data items into the content of a data file.
+     * 
+     * @param items     a list of data items.
+     * @returns the content of a data file.
+     */
+    protected abstract formatData(items: T[]): string;
+
+    private getBackupPath(index: number): string {
+        return this._path + "." + index + ".bak";
+    }
+
+    private readFile(path: string): T[] {
+        let data: string = fs.readFileSync(path, "utf8");
+        return this.parseData(data);
+    }
+
+    private getFileStamp(stats: any): string {
+        return stats.ino + ":" + stats.size + ":" + stats.mtimeMs;
+    }
+
+    private updateFileStamp(): void {
+        try {
+            this._fileStamp = this.getFileStamp(fs.statSync(this._path));
+        } catch (ex) {
+            this._fileStamp = null;
+        }
+    }
+
+    private getLockPath(): string {
+        return this._path + ".lock";
+    }
+
+    private readLockOwner(lockPath: string): any {
+        try {
+            return JSON.parse(fs.readFileSync(lockPath, "utf8"));
+        } catch (ex) {
+            // The lock was released or it is being written
+            return null;
+        }
+    }
+
+    /**
+     * Checks if the lock file is stale.
+     * 
+     * @returns the content of the stale lock file or null if the lock is alive.
+     */
+    private getStaleLock(lockPath: string): string {
+        let data: string = null;
+        try {
+            let stats = fs.statSync(lockPath);
+            data = fs.readFileSync(lockPath, "utf8");
+            if (Date.now() - stats.mtimeMs > this._lockStaleTimeout) return data;
+
+            let owner = JSON.parse(data);
+            // Locks are released right after reads and writes, so a lock of this persister is left by a failure
+            if (owner.token != null && owner.token == this._lockToken) return data;
+            // Locks of other persisters in this process are alive
+            if (owner.host != os.hostname() || owner.pid == null || owner.pid == process.pid) return null;
+
+            process.kill(owner.pid, 0);
+            return null;
+        } catch (ex) {
+            // The owner process does not exist anymore
+            if (ex.code == "ESRCH") return data;
+            // The lock was released or it is being written
+            return null;
+        }
+    }
+
+    /**
+     * Removes the stale lock file unless it was replaced by a live lock after it was checked.
+     * 
+     * @returns true if the lock can be taken again and false when the stale lock cannot be removed.
+     */
+    private removeStaleLock(lockPath: string, data: string): boolean {
+        // Rename is atomic, so only one persister takes over the stale lock
+        let stalePath = lockPath + "." + this._lockToken + ".stale";
+        try {
+            fs.renameSync(lockPath, stalePath);
+        } catch (ex) {
+            // Another persister removed the lock first
+            return ex.code == "ENOENT";
+        }
+
+        try {
+            if (fs.readFileSync(stalePath, "utf8") != data) {
+                // A live lock was taken by mistake, so it is put back unless the file is locked again
+                try {
+                    fs.linkSync(stalePath, lockPath);
+                } catch (ex) {
+                    // The owner fails its write when it checks the lock
+                }
+            }
+        } finally {
+            try {
+                fs.unlinkSync(stalePath);
+            } catch (ex) {
+                // Ignore cleanup errors
+            }
+        }
+
+        return true;
+    }
+
+    private lock(correlation_id: string, callback: (err: any) => void): void {
+        if (!this._locking) {
+            callback(null);
+            return;
+        }
+
+        let lockPath = this.getLockPath();
+        let deadline = Date.now() + this._lockTimeout;
+
+        let attempt = () => {
+            let err = null;
+            try {
+                let fd = fs.openSync(lockPath, "wx");
+                try {
+                    fs.writeSync(fd, JsonConverter.toJson({
+                        pid: process.pid, host: os.hostname(), token: this._lockToken, time: new Date()
+                    }));
+                } finally {
+                    fs.closeSync(fd);
+                }
+                this._locked = true;
+            } catch (ex) {
+                if (ex.code != "EEXIST") {
+                    err = new FileException(correlation_id, "LOCK_FAILED", "Failed to lock data file: " + this._path)
+                        .withCause(ex);
+                }
+            }
+
+            if (this._locked || err != null) {
+                callback(err);
+                return;
+            }
+
+            let staleLock = this.getStaleLock(lockPath);
+            if (staleLock != null && this.removeStaleLock(lockPath, staleLock)) {
+                attempt();
+                return;
+            }
+
+            if (Date.now() >= deadline) {
+                err = new ConflictException(
+                    correlation_id, "FILE_LOCKED", "Data file " + this._path + " is locked by another process"
+                ).withDetails("path", this._path);
+                callback(err);
+                return;
+            }
+
+            setTimeout(attempt, Math.min(this._lockRetryInterval, this._lockTimeout));
+        };
+
+        attempt();
+    }
+
+    private checkLock(correlation_id: string): void {
+        if (!this._locked) return;
+
+        let owner = this.readLockOwner(this.getLockPath());
+        if (owner != null && owner.token == this._lockToken) return;
+
+        this._locked = false;
+        throw new ConflictException(
+            correlation_id, "LOCK_LOST", "Lock of data file " + this._path + " was taken over by another process"
+        ).withDetails("path", this._path);
+    }
+
+    private unlock(): void {
+        if (!this._locked) return;
+
+        this._locked = false;
+
+        // Locks taken over by other persisters are not removed
+        let lockPath = this.getLockPath();
+        let owner = this.readLockOwner(lockPath);
+        if (owner == null || owner.token != this._lockToken) return;
+
+        try {
+            fs.unlinkSync(lockPath);
+        } catch (ex) {
+            // The lock was removed by another persister
+        }
+    }
+
+    private readItems(correlation_id: string): T[] {
+        if (!fs.existsSync(this._path)) {
+            this._lastData = null;
+            return [];
+        }
+
+        this.updateFileStamp();
+
+        try {
+            let data: string = fs.readFileSync(this._path, "utf8");
+            let arr = this.parseData(data);
+            this._corrupted = false;
+            if (this._readModifyWrite) this._lastData = data;
+            return arr;
+        } catch (ex) {
+            // Recover data from the latest valid backup
+            for (let index = 1; index <= this._backupCount; index++) {
+                let backupPath = this.getBackupPath(index);
+                if (!fs.existsSync(backupPath)) continue;
+
+                try {
+                    let arr = this.readFile(backupPath);
+                    // Do not let the corrupted file replace valid backups on the next save
+                    this._corrupted = true;
+                    return arr;
+                } catch (ex) {
+                    // Try an older backup
+                }
+            }
+
+            throw new FileException(correlation_id, "READ_FAILED", "Failed to read data file: " + this._path)
+                .withCause(ex);
+        }
+    }
+
+    /**
+     * Loads data items from external file.
+     * 
+     * @param correlation_id    (optional) transaction id to trace execution through call chain.
+     * @param callback          callback function that receives loaded items or error.
+     */
+    public load(correlation_id: string, callback: (err: any, data: T[]) => void): void {
+        if (this._path == null) {
+            callback(new ConfigException(null, "NO_PATH", "Data file path is not set"), null);
+            return;
+        }
+
+        this.lock(correlation_id, (err) => {
+            if (err != null) {
+                callback(err, null);
+                return;
+            }
+
+            let arr: T[] = null;
+            try {
+                arr = this.readItems(correlation_id);
+            } catch (ex) {
+                err = ex;
+            } finally {
+                this.unlock();
+            }
+
+            callback(err, arr);
+        });
+    }
+
+    private checkConflicts(correlation_id: string): void {
+        // Corrupted files are replaced by recovered data
+        if (!this._readModifyWrite || this._corrupted) return;
+
+        let data: string = fs.existsSync(this._path) ? fs.readFileSync(this._path, "utf8") : null;
+        if (data == this._lastData) return;
+
+        throw new ConflictException(
+            correlation_id, "CONCURRENT_MODIFICATION",
+            "Data file " + this._path + " was modified by another process since it was loaded"
+        ).withDetails("path", this._path);
+    }
+
+    private writeItems(correlation_id: string, items: T[]): void {
+        let tempPath = this._path + ".tmp";
+
+        try {
+            let data = this.formatData(items);
+
+            // Write into a temporary file and make sure it reached the disk
+            let fd = fs.openSync(tempPath, "w");
+            try {
+                fs.writeSync(fd, data);
+                fs.fsyncSync(fd);
+            } finally {
+                fs.closeSync(fd);
+            }
+
+            this.checkLock(correlation_id);
+
+            if (!this._corrupted)
+                this.rotateBackups();
+
+            // Rename is atomic, so the data file is either old or new but never partially written
+            fs.renameSync(tempPath, this._path);
+            this._corrupted = false;
+            this.updateFileStamp();
+            if (this._readModifyWrite) this._lastData = data;
+        } catch (ex) {
+            try {
+                if (fs.existsSync(tempPath)) fs.unlinkSync(tempPath);
+            } catch (ex) {
+                // Ignore cleanup errors
+            }
+
+            if (ex instanceof ConflictException) throw ex;
+            throw new FileException(correlation_id, "WRITE_FAILED", "Failed to write data file: " + this._path)
+                .withCause(ex);
+        }
+    }
+
+    /**
+     * Saves given data items to external file.
+     * In read-modify-write mode the file is read before it is written, and when it was
+     * modified by another process since it was loaded the save fails with ConflictException.
+     * 
+     * @param correlation_id    (optional) transaction id to trace execution through call chain.
+     * @param items             list if data items to save
+     * @param callback          callback function that error or null for success.
+     */
+    public save(correlation_id: string, items: T[], callback?: (err: any) => void): void {
+        this.lock(correlation_id, (err) => {
+            if (err == null) {
+                try {
+                    this.checkConflicts(correlation_id);
+                    this.writeItems(correlation_id, items);
+                } catch (ex) {
+                    err = ex;
+                } finally {
+                    this.unlock();
+                }
+            }
+
+            // Saves may wait for locks in timers, so errors cannot be thrown
+            if (callback) callback(err);
+            else if (err != null) this._logger.error(correlation_id, err, "Failed to save data file %s", this._path);
+        });
+    }
+
+    /**
+     * Appends invalid items to the quarantine file next to the data file.
+     * 
+     * @param correlation_id    (optional) transaction id to trace execution through call chain.
+     * @param items             a list of invalid items.
+     * @param callback          callback function that receives error or null for success.
+     */
+    public quarantine(correlation_id: string, items: T[], callback: (err: any) => void): void {
+        let path = this._path + ".quarantine";
+
+        try {
+            let lines = items.map((item) => JsonConverter.toJson(item) + "\n").join("");
+            fs.appendFileSync(path, lines);
+        } catch (ex) {
+            let err = new FileException(correlation_id, "WRITE_FAILED", "Failed to write quarantine file: " + path)
+                .withCause(ex);
+            callback(err);
+            return;
+        }
+
+        callback(null);
+    }
+
+    /**
+     * Starts watching the data file for modifications made by other processes.
+     * The file is checked periodically, so atomic replacements of the file are detected as well.
+     * Writes made by this persister and removals of the file are ignored.
+     * 
+     * @param correlation_id    (optional) transaction id to trace execution through call chain.
+     * @param listener          a function called when the file is modified.
+     */
+    public watch(correlation_id: string, listener: () => void): void {
+        this.unwatch(correlation_id);
+
+        this._watchedPath = this._path;
+        this._watchListener = (current) => {
+            // Stats of a missing file are zeros
+            if (current.mtimeMs == 0) return;
+
+            let stamp = this.getFileStamp(current);
+            if (stamp == this._fileStamp) return;
+
+            this._fileStamp = stamp;
+            listener();
+        };
+
+        fs.watchFile(this._watchedPath, { persistent: false, interval: this._watchInterval }, this._watchListener);
+    }
+
+    /**
+     * Starts watching the data file when watching is enabled and calls a reload function
+     * when the file is modified by another process. Errors of the reload are logged.
+     * 
+     * @param correlation_id    (optional) transaction id to trace execution through call chain.
+     * @param reload            a function that reloads data items and calls back when it is done.
+     */
+    public watchForReload(correlation_id: string, reload: (callback: (err: any) => void) => void): void {
+        if (!this._watchEnabled) return;
+
+        this.watch(correlation_id, () => {
+            this._logger.debug(correlation_id, "Data file %s was changed by another process", this._path);
+            reload((err) => {
+                if (err) this._logger.error(correlation_id, err, "Failed to reload changed data file %s", this._path);
+            });
+        });
+    }
+
+    /**
+     * Checks the watched data file for modifications right away without waiting for the next interval.
+     * 
+     * @param correlation_id    (optional) transaction id to trace execution through call chain.
+     */
+    public checkChanges(correlation_id: string): void {
+        if (this._watchListener == null) return;
+
+        let stats: any;
+        try {
+            stats = fs.statSync(this._watchedPath);
+        } catch (ex) {
+            // Removals of the file are ignored
+            return;
+        }
+
+        this._watchListener(stats);
+    }
+
+    /**
+     * Stops watching the data file.
+     * 
+     * @param correlation_id    (optional) transaction id to trace execution through call chain.
+     */
+    public unwatch(correlation_id: string): void {
+        if (this._watchListener == null) return;
+
+        fs.unwatchFile(this._watchedPath, this._watchListener);
+        this._watchedPath = null;
+        this._watchListener = null;
+    }
+
+    private rotateBackups(): void {
+        if (this._backupCount <= 0 || !fs.existsSync(this._path)) return;
+
+        for (let index = this._backupCount - 1; index > 0; index--) {
+            let backupPath = this.getBackupPath(index);
+            if (fs.existsSync(backupPath))
+                fs.renameSync(backupPath, this.getBackupPath(index + 1));
+        }
+
+        // Copy instead of rename to keep the data file in place until it is replaced
+        fs.copyFileSync(this._path, this.getBackupPath(1));
+    }
+
+    /**
+     * Loads data items from external file and returns a promise.
+     * 
+     * @param correlation_id    (optional) transaction id to trace execution through call chain.
+     * @returns a promise that is resolved with loaded items.
+     */
+    public loadAsync(correlation_id: string): Promise<T[]> {
+        return PromiseAdapter.invoke<T[]>((callback) => this.load(correlation_id, callback));
+    }
+
+    /**
+     * Saves given data items to external file and returns a promise.
+     * 
+     * @param correlation_id    (optional) transaction id to trace execution through call chain.
+     * @param items             list if data items to save
+     * @returns a promise that is resolved when data is saved.
+     */
+    public saveAsync(correlation_id: string, items: T[]): Promise<void> {
+        return PromiseAdapter.invoke<void>((callback) => this.save(correlation_id, items, callback));
+    }
+
+    /**
+     * Appends invalid items to the quarantine file and returns a promise.
+     * 
+     * @param correlation_id    (optional) transaction id to trace execution through call chain.
+     * @param items             a list of invalid items.
+     * @returns a promise that is resolved when items are written.
+     */
+    public quarantineAsync(correlation_id: string, items: T[]): Promise<void> {
+        return PromiseAdapter.invoke<void>((callback) => this.quarantine(correlation_id, items, callback));
+    }
+
+}
@@ -0,0 +1,107 @@
+/** @module persistence */
+import { ConfigParams } from 'pip-services3-commons-node';
+
+import { FilePersister } from './FilePersister';
+import { FilePersisterFactory } from './FilePersisterFactory';
+
+/**
+ * Helper class that binds file persisters to persistence components.
+ *
+ * It selects persisters by the configured file format, watches data files while
+ * persistence components are opened and quarantines invalid items in files.
+ * It keeps [[FilePersistence]] and [[IdentifiableFilePersistence]] consistent
+ * as they extend different memory persistence classes.
+ *
+ * @see [[FilePersister]]
+ * @see [[FilePersisterFactory]]
+ *
+ * ### Example ###
+ *
+ *     let persister = FilePersisterBinding.configure<MyData>(
+ *         new JsonFilePersister<MyData>(), ConfigParams.fromTuples("path", "./data/users.csv"), true
+ *     );
+ *     console.log(persister instanceof CsvFilePersister);  // Result: true
+ */
+export class FilePersisterBinding {
+
+    /**
+     * Configures a persister and replaces it with a persister for the configured file format
+     * when the format can be selected. The format is set by the <code>format</code> parameter
+     * or detected by the extension of the configured path.
+     *
+     * @param persister     a current persister.
+     * @param config        configuration parameters to be set.
+     * @param selectable    true to select the persister by the configured format.
+     * @returns the configured persister: the current one or a new one for the configured format.
+     */
+    public static configure<T>(persister: FilePersister<T>, config: ConfigParams,
+        selectable: boolean): FilePersister<T> {
+        if (selectable) {
+            let format = config.getAsNullableString("format")
+                || FilePersisterFactory.detectFormat(config.getAsNullableString("path"));
+            if (format != null)
+                persister = FilePersisterFactory.create<T>(format, persister.path);
+        }
+
+        persister.configure(config);
+        return persister;
+    }
+
+    /**
+     * Opens a persistence component and starts watching the data file when it is enabled.
+     *
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param persister         a persister of the component.
+     * @param open              a function that opens the component.
+     * @param reload            a function that reloads the component when the data file is changed.
+     * @param callback          (optional) callback function that receives error or null no errors occured.
+     */
+    public static open<T>(correlationId: string, persister: FilePersister<T>,
+        open: (callback: (err: any) => void) => void,
+        reload: (callback: (err: any) => void) => void,
+        callback?: (err: any) => void): void {
+        open((err) => {
+            if (err == null)
+                persister.watchForReload(correlationId, reload);
+
+            if (callback) callback(err);
+        });
+    }
+
+    /**
+     * Stops watching the data file and closes a persistence component.
+     *
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param persister         a persister of the component.
+     * @param close             a function that closes the component.
+     * @param callback          (optional) callback function that receives error or null no errors occured.
+     */
+    public static close<T>(correlationId: string, persister: FilePersister<T>,
+        close: (callback: (err: any) => void) => void, callback?: (err: any) => void): void {
+        persister.unwatch(correlationId);
+        close(callback);
+    }
+
+    /**
+     * Appends invalid items to the quarantine file of a persister and then
+     * quarantines them in a persistence component.
+     *
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param persister         a persister of the component.
+     * @param items             a list of invalid items.
+     * @param quarantine        a function that quarantines the items in the component.
+     * @param callback          callback function that receives error or null for success.
+     */
+    public static quarantine<T>(correlationId: string, persister: FilePersister<T>, items: T[],
+        quarantine: (callback: (err: any) => void) => void, callback: (err: any) => void): void {
+        persister.quarantine(correlationId, items, (err) => {
+            if (err != null) {
+                callback(err);
+                return;
+            }
+
+            quarantine(callback);
+        });
+    }
+
+}
@@ -0,0 +1,78 @@
+/** @module persistence */
+import { ConfigException } from 'pip-services3-commons-node';
+
+import { FilePersister } from './FilePersister';
+import { JsonFilePersister } from './JsonFilePersister';
+import { YamlFilePersister } from './YamlFilePersister';
+import { CsvFilePersister } from './CsvFilePersister';
+import { NdJsonFilePersister } from './NdJsonFilePersister';
+
+/**
+ * Helper class that creates file persisters for supported file formats:
+ * <code>json</code>, <code>yaml</code>, <code>csv</code> and <code>ndjson</code>.
+ * 
+ * @see [[FilePersistence]]
+ * @see [[FilePersister]]
+ * 
+ * ### Example ###
+ * 
+ *     let format = FilePersisterFactory.detectFormat("./data/users.csv");    // Result: "csv"
+ *     let persister = FilePersisterFactory.create<MyData>(format);
+ */
+export class FilePersisterFactory {
+
+    /**
+     * Detects the file format by the file extension.
+     * 
+     * @param path  a path to the data file.
+     * @returns the file format or null if the extension is not recognized.
+     */
+    public static detectFormat(path: string): string {
+        let match = /\.([^.\/\\]+)$/.exec(path || "");
+        let extension = match != null ? match[1].toLowerCase() : null;
+
+        switch (extension) {
+            case "json":
+                return "json";
+            case "yml":
+            case "yaml":
+                return "yaml";
+            case "csv":
+                return "csv";
+            case "ndjson":
+            case "jsonl":
+                return "ndjson";
+        }
+
+        return null;
+    }
+
+    /**
+     * Creates a file persister for a given file format.
+     * 
+     * @param format    a file format: json, yaml, csv or ndjson.
+     * @param path      (optional) a path to the data file.
+     * @returns the created persister.
+     * 
+     * @throws a ConfigException when the format is not supported.
+     */
+    public static create<T>(format: string, path?: string): FilePersister<T> {
+        switch ((format || "").toLowerCase()) {
+            case "json":
+                return new JsonFilePersister<T>(path);
+            case "yml":
+            case "yaml":
+                return new YamlFilePersister<T>(path);
+            case "csv":
+                return new CsvFilePersister<T>(path);
+            case "ndjson":
+            case "jsonl":
+                return new NdJsonFilePersister<T>(path);
+        }
+
+        throw new ConfigException(
+            null, "INVALID_FORMAT", "File format " + format + " is not supported"
+        ).withDetails("format", format);
+    }
+
+}
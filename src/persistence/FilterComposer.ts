@@ -0,0 +1,366 @@
+/** @module persistence */
+/** @hidden */
+let _ = require('lodash');
+
+import { StringValueMap } from 'pip-services3-commons-node';
+import { StringConverter } from 'pip-services3-commons-node';
+import { BadRequestException } from 'pip-services3-commons-node';
+
+/**
+ * Helper class that converts filter parameters into a predicate function
+ * that checks if a data item matches the filter.
+ *
+ * Filter can be defined as:
+ * - [[https://pip-services3-node.github.io/pip-services3-commons-node/classes/data.filterparams.html FilterParams]]
+ *   where every key is a field name (nested fields are defined using dot notation)
+ *   and the value must be equal to the string representation of the field value.
+ * - a condition object in MongoDB style with field names as keys and expected values
+ *   or operators as values. Supported operators are <code>$eq</code>, <code>$ne</code>,
+ *   <code>$gt</code>, <code>$gte</code>, <code>$lt</code>, <code>$lte</code>, <code>$in</code>,
+ *   <code>$nin</code>, <code>$regex</code> (with <code>$options</code>), <code>$exists</code>,
+ *   <code>$size</code>, <code>$all</code>, <code>$elemMatch</code>, <code>$not</code>
+ *   and logical <code>$and</code>, <code>$or</code>, <code>$nor</code>.
+ * - a custom predicate function that is returned as it is.
+ *
+ * Just like in MongoDB, when a field path goes through an array,
+ * the condition matches if any element of the array matches it.
+ *
+ * @see [[MemoryPersistence]]
+ *
+ * ### Example ###
+ *
+ *     let filter = FilterComposer.compose({
+ *         status: { $in: ["active", "pending"] },
+ *         "address.city": "Tucson",
+ *         $or: [ { age: { $gt: 30 } }, { name: { $regex: "^A", $options: "i" } } ]
+ *     });
+ *
+ *     let items = _.filter(persons, filter);
+ */
+export class FilterComposer {
+
+    /**
+     * Composes a predicate function from filter parameters.
+     *
+     * @param filter    filter parameters: FilterParams, a condition object or a predicate function.
+     * @returns a predicate function or <code>null</code> if filter is not defined.
+     *
+     * @throws a BadRequestException when the condition contains unsupported operators or invalid arguments.
+     */
+    public static compose(filter: any): (item: any) => boolean {
+        if (filter == null) return null;
+        if (_.isFunction(filter)) return filter;
+
+        if (filter instanceof StringValueMap)
+            return FilterComposer.composeFilterParams(filter);
+
+        if (_.isObject(filter) && !_.isArray(filter))
+            return FilterComposer.composeCondition(filter);
+
+        throw new BadRequestException(
+            null, "INVALID_FILTER", "Filter must be FilterParams, a condition object or a function"
+        ).withDetails("filter", filter);
+    }
+
+    /**
+     * Gets values of fields that are compared for equality with simple values
+     * at the top level of the filter. It allows to use indexes to find matching items.
+     *
+     * @param filter    filter parameters: FilterParams or a condition object.
+     * @returns a map of field names and expected values. Values from FilterParams are returned as strings.
+     */
+    public static getEqualityValues(filter: any): any {
+        let result: any = {};
+
+        if (filter instanceof StringValueMap) {
+            for (let key of filter.getKeys()) {
+                let value = filter.getAsNullableString(key);
+                if (value != null) result[key] = value;
+            }
+        } else if (_.isObject(filter) && !_.isArray(filter) && !_.isFunction(filter)) {
+            FilterComposer.collectEqualityValues(filter, result);
+        }
+
+        return result;
+    }
+
+    private static collectEqualityValues(condition: any, result: any): void {
+        for (let key of Object.keys(condition)) {
+            let value = condition[key];
+
+            if (key == "$and" && _.isArray(value)) {
+                for (let c of value) {
+                    if (_.isPlainObject(c))
+                        FilterComposer.collectEqualityValues(c, result);
+                }
+                continue;
+            }
+            if (key[0] == "$") continue;
+
+            if (FilterComposer.isOperatorObject(value) && _.has(value, "$eq"))
+                value = value.$eq;
+            if (_.isString(value) || _.isNumber(value) || _.isBoolean(value) || _.isDate(value))
+                result[key] = value;
+        }
+    }
+
+    /**
+     * Gets all values that can be found in an item by a field name.
+     * Nested fields are defined using dot notation. When the path goes through arrays
+     * the values are collected from all their elements. Arrays found at the end
+     * of the path are returned together with their elements.
+     *
+     * @param item      an item to get values from.
+     * @param field     a name of the field.
+     * @returns a list of found values.
+     */
+    public static getFieldValues(item: any, field: string): any[] {
+        return FilterComposer.getValues(item, FilterComposer.splitPath(field));
+    }
+
+    private static composeFilterParams(filter: StringValueMap): (item: any) => boolean {
+        let predicates: ((item: any) => boolean)[] = [];
+
+        for (let key of filter.getKeys()) {
+            let value = filter.getAsNullableString(key);
+            if (value == null) continue;
+
+            let path = FilterComposer.splitPath(key);
+            predicates.push((item) => {
+                let values = FilterComposer.getValues(item, path);
+                return _.some(values, (v) => StringConverter.toNullableString(v) == value);
+            });
+        }
+
+        return FilterComposer.combineAll(predicates);
+    }
+
+    private static composeCondition(condition: any): (item: any) => boolean {
+        let predicates: ((item: any) => boolean)[] = [];
+
+        for (let key of Object.keys(condition)) {
+            let value = condition[key];
+
+            switch (key) {
+                case "$and":
+                    predicates.push(FilterComposer.combineAll(FilterComposer.composeConditions(key, value)));
+                    break;
+                case "$or":
+                    predicates.push(FilterComposer.combineAny(FilterComposer.composeConditions(key, value)));
+                    break;
+                case "$nor":
+                    let any = FilterComposer.combineAny(FilterComposer.composeConditions(key, value));
+                    predicates.push((item) => !any(item));
+                    break;
+                default:
+                    if (key[0] == "$")
+                        throw FilterComposer.unsupportedOperator(key);
+                    predicates.push(FilterComposer.composeField(FilterComposer.splitPath(key), value));
+            }
+        }
+
+        return FilterComposer.combineAll(predicates);
+    }
+
+    private static composeConditions(operator: string, conditions: any): ((item: any) => boolean)[] {
+        if (!_.isArray(conditions) || conditions.length == 0)
+            throw FilterComposer.invalidArgument(operator, "a non-empty array of conditions");
+
+        return _.map(conditions, (c) => FilterComposer.composeCondition(c));
+    }
+
+    private static isOperatorObject(value: any): boolean {
+        if (!_.isPlainObject(value)) return false;
+        let keys = Object.keys(value);
+        return keys.length > 0 && _.every(keys, (k) => k[0] == "$");
+    }
+
+    private static composeField(path: string[], spec: any): (item: any) => boolean {
+        if (_.isRegExp(spec))
+            return FilterComposer.composeOperator(path, "$regex", spec, null);
+
+        if (!FilterComposer.isOperatorObject(spec))
+            return FilterComposer.composeOperator(path, "$eq", spec, null);
+
+        let predicates: ((item: any) => boolean)[] = [];
+        for (let operator of Object.keys(spec)) {
+            // Options are processed together with $regex
+            if (operator == "$options") {
+                if (!_.has(spec, "$regex"))
+                    throw FilterComposer.invalidArgument(operator, "$regex operator");
+                continue;
+            }
+            predicates.push(FilterComposer.composeOperator(path, operator, spec[operator], spec["$options"]));
+        }
+        return FilterComposer.combineAll(predicates);
+    }
+
+    private static composeOperator(path: string[], operator: string, arg: any, options: string): (item: any) => boolean {
+        let get = (item: any) => FilterComposer.getValues(item, path);
+
+        // Regular expressions in values are matched without global and sticky flags
+        if (_.isRegExp(arg)) arg = FilterComposer.toRegExp(arg, null);
+        else if (_.isArray(arg)) arg = _.map(arg, (a) => _.isRegExp(a) ? FilterComposer.toRegExp(a, null) : a);
+
+        switch (operator) {
+            case "$eq":
+                return (item) => FilterComposer.containsValue(get(item), arg);
+            case "$ne":
+                return (item) => !FilterComposer.containsValue(get(item), arg);
+            case "$gt":
+                return (item) => _.some(get(item), (v) => FilterComposer.compareValues(v, arg) > 0);
+            case "$gte":
+                return (item) => _.some(get(item), (v) => FilterComposer.compareValues(v, arg) >= 0);
+            case "$lt":
+                return (item) => _.some(get(item), (v) => FilterComposer.compareValues(v, arg) < 0);
+            case "$lte":
+                return (item) => _.some(get(item), (v) => FilterComposer.compareValues(v, arg) <= 0);
+            case "$in":
+                if (!_.isArray(arg)) throw FilterComposer.invalidArgument(operator, "an array");
+                return (item) => {
+                    let values = get(item);
+                    return _.some(arg, (a) => FilterComposer.containsValue(values, a));
+                };
+            case "$nin":
+                if (!_.isArray(arg)) throw FilterComposer.invalidArgument(operator, "an array");
+                return (item) => {
+                    let values = get(item);
+                    return !_.some(arg, (a) => FilterComposer.containsValue(values, a));
+                };
+            case "$regex":
+                let regex = FilterComposer.toRegExp(arg, options);
+                return (item) => _.some(get(item), (v) => _.isString(v) && regex.test(v));
+            case "$exists":
+                return (item) => (get(item).length > 0) == !!arg;
+            case "$size":
+                if (!_.isNumber(arg)) throw FilterComposer.invalidArgument(operator, "a number");
+                return (item) => _.some(FilterComposer.getArrays(item, path), (a) => a.length == arg);
+            case "$all":
+                if (!_.isArray(arg)) throw FilterComposer.invalidArgument(operator, "an array");
+                return (item) => _.some(FilterComposer.getArrays(item, path),
+                    (a) => _.every(arg, (v) => FilterComposer.containsValue(a, v)));
+            case "$elemMatch":
+                if (!_.isPlainObject(arg)) throw FilterComposer.invalidArgument(operator, "a condition object");
+                let match = FilterComposer.isOperatorObject(arg)
+                    ? FilterComposer.composeField([], arg)
+                    : FilterComposer.composeCondition(arg);
+                return (item) => _.some(FilterComposer.getArrays(item, path), (a) => _.some(a, match));
+            case "$not":
+                if (!_.isRegExp(arg) && !FilterComposer.isOperatorObject(arg))
+                    throw FilterComposer.invalidArgument(operator, "an operator object or a regular expression");
+                let not = FilterComposer.composeField(path, arg);
+                return (item) => !not(item);
+            default:
+                throw FilterComposer.unsupportedOperator(operator);
+        }
+    }
+
+    private static toRegExp(value: any, options: string): RegExp {
+        if (!_.isRegExp(value) && !_.isString(value))
+            throw FilterComposer.invalidArgument("$regex", "a string or a regular expression");
+
+        // Global and sticky flags make test() stateful and skip matches in following items
+        let flags = (options != null ? options : (_.isRegExp(value) ? value.flags : "")).replace(/[gy]/g, "");
+
+        try {
+            return new RegExp(_.isRegExp(value) ? value.source : value, flags);
+        } catch (ex) {
+            throw FilterComposer.invalidArgument("$regex", "a valid regular expression").withCause(ex);
+        }
+    }
+
+    private static splitPath(field: string): string[] {
+        return field == "" ? [] : field.split(".");
+    }
+
+    /**
+     * Gets all values that can be found by the path.
+     * When the path goes through arrays the values are collected from all elements.
+     * Arrays found at the end of the path are returned together with their elements.
+     */
+    private static getValues(item: any, path: string[]): any[] {
+        let result: any[] = [];
+        FilterComposer.collectValues(item, path, 0, true, result);
+        return result;
+    }
+
+    private static getArrays(item: any, path: string[]): any[][] {
+        let result: any[] = [];
+        FilterComposer.collectValues(item, path, 0, false, result);
+        return _.filter(result, _.isArray);
+    }
+
+    private static collectValues(value: any, path: string[], index: number, expand: boolean, result: any[]): void {
+        if (index == path.length) {
+            result.push(value);
+            if (expand && _.isArray(value))
+                result.push(...value);
+            return;
+        }
+
+        if (value == null || !_.isObject(value)) return;
+
+        let name = path[index];
+        if (_.isArray(value)) {
+            if (/^\d+$/.test(name)) {
+                let pos = parseInt(name);
+                if (pos < value.length)
+                    FilterComposer.collectValues(value[pos], path, index + 1, expand, result);
+            } else {
+                for (let element of value)
+                    FilterComposer.collectValues(element, path, index, expand, result);
+            }
+        } else if (_.has(value, name)) {
+            FilterComposer.collectValues(value[name], path, index + 1, expand, result);
+        }
+    }
+
+    private static containsValue(values: any[], expected: any): boolean {
+        // Null matches missing fields as well as null values
+        if (expected == null)
+            return values.length == 0 || _.some(values, (v) => v == null);
+
+        if (_.isRegExp(expected))
+            return _.some(values, (v) => _.isString(v) && expected.test(v));
+
+        return _.some(values, (v) => _.isEqual(v, expected));
+    }
+
+    private static compareValues(value1: any, value2: any): number {
+        if (value1 == null || value2 == null)
+            return NaN;
+
+        if (_.isDate(value1) && _.isDate(value2)) {
+            value1 = value1.getTime();
+            value2 = value2.getTime();
+        } else if (typeof value1 != typeof value2 || _.isObject(value1)) {
+            // Values of different types are not comparable
+            return NaN;
+        }
+
+        return value1 < value2 ? -1 : value1 > value2 ? 1 : 0;
+    }
+
+    private static combineAll(predicates: ((item: any) => boolean)[]): (item: any) => boolean {
+        if (predicates.length == 1) return predicates[0];
+        return (item) => _.every(predicates, (p) => p(item));
+    }
+
+    private static combineAny(predicates: ((item: any) => boolean)[]): (item: any) => boolean {
+        if (predicates.length == 1) return predicates[0];
+        return (item) => _.some(predicates, (p) => p(item));
+    }
+
+    private static unsupportedOperator(operator: string): BadRequestException {
+        return <BadRequestException>new BadRequestException(
+            null, "UNSUPPORTED_FILTER_OPERATOR", "Filter operator " + operator + " is not supported"
+        ).withDetails("operator", operator);
+    }
+
+    private static invalidArgument(operator: string, expected: string): BadRequestException {
+        return <BadRequestException>new BadRequestException(
+            null, "INVALID_FILTER_ARGUMENT", "Filter operator " + operator + " expects " + expected
+        ).withDetails("operator", operator);
+    }
+
+}
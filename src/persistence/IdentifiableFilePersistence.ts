@@ -1,9 +1,12 @@
 /** @module persistence */
 import { IIdentifiable } from 'pip-services3-commons-node';
 import { ConfigParams } from 'pip-services3-commons-node';
+import { IReferences } from 'pip-services3-commons-node';
 
 import { IdentifiableMemoryPersistence } from './IdentifiableMemoryPersistence';
-import { JsonFilePersister } from './JsonFilePersister'
+import { FilePersister } from './FilePersister';
+import { JsonFilePersister } from './JsonFilePersister';
+import { FilePersisterBinding } from './FilePersisterBinding';
 
 /**
  * Abstract persistence component that stores data in flat files
@@ -18,18 +21,48 @@ import { JsonFilePersister } from './JsonFilePersister'
  * accessing cached items via this._items property and calling [[save]] method
  * on updates.
  * 
+ * When read-modify-write mode is enabled and another process modified the data file,
+ * writes fail with ConflictException while their changes stay in memory unsaved.
+ * To recover, call [[reload]] to load the data file and discard the unsaved changes,
+ * and then retry the failed writes.
+ * 
  * @see [[JsonFilePersister]]
+ * @see [[FilePersisterFactory]]
  * @see [[MemoryPersistence]]
  * 
  * ### Configuration parameters ###
  * 
  * - path:                    path to the file where data is stored
+ * - format:                  file format: json, yaml, csv or ndjson (default: detected by file extension or json)
  * - options:
  *     - max_page_size:       Maximum number of items returned in a single page (default: 100)
+ *     - save_policy:         Policy to save changes: immediate, debounce, batch or close (default: immediate)
+ *     - save_interval:       Interval in milliseconds to save changes with debounce policy (default: 1000)
+ *     - save_changes:        Number of changes to save them with batch policy (default: 100)
+ *     - versioned:           Enables optimistic concurrency with item versions (default: false)
+ *     - version_field:       Name of the item version field (default: "version")
+ *     - soft_delete:         Enables soft delete of items (default: false)
+ *     - deleted_field:       Name of the item deleted flag field (default: "deleted")
+ *     - delete_time_field:   Name of the item delete time field (default: "delete_time")
+ *     - ttl:                 Default time-to-live of items in milliseconds, 0 to keep items forever (default: 0)
+ *     - expiration:          Enables expiration of items (default: true when ttl is set)
+ *     - expire_time_field:   Name of the item expire time field (default: "expire_time")
+ *     - sweep_interval:      Interval in milliseconds to remove expired items, 0 to disable the sweeper (default: 60000)
+ *     - backup_count:        Number of backup copies of previous data files to keep (default: 0)
+ *     - watch:               Reloads items when the data file is changed by another process (default: false)
+ *     - watch_interval:      Interval in milliseconds to check the data file for changes (default: 1000)
+ *     - locking:             Locks the data file when it is read or written by several processes (default: false)
+ *     - lock_timeout:        Time in milliseconds to wait for locks of other processes (default: 5000)
+ *     - lock_stale_timeout:  Age in milliseconds after which locks are considered stale (default: 30000)
+ *     - lock_retry_interval: Interval in milliseconds to check if locks of other processes are released (default: 50)
+ *     - read_modify_write:   Fails saves with ConflictException when the data file was modified by another process (default: false)
+ *     - invalid_load_action: Action with invalid items on load: report, quarantine or fail (default: report).
+ *                            Quarantined items are appended to the quarantine file next to the data file
  * 
  * ### References ###
  * 
  * - <code>\*:logger:\*:\*:1.0</code>       (optional) [[https://pip-services3-node.github.io/pip-services3-components-node/interfaces/log.ilogger.html ILogger]] components to pass log messages
+ * - <code>\*:change-listener:\*:\*:1.0</code> (optional) [[IChangeListener]] components to receive notifications about changed items
  * 
  * ### Examples ###
  * 
@@ -73,20 +106,25 @@ import { JsonFilePersister } from './JsonFilePersister'
  *     });
  */
 export class IdentifiableFilePersistence<T extends IIdentifiable<K>, K> extends IdentifiableMemoryPersistence<T, K> {
-    protected readonly _persister: JsonFilePersister<T>;
+    protected _persister: FilePersister<T>;
+
+    private _formatSelectable: boolean = false;
 
     /**
      * Creates a new instance of the persistence.
      * 
      * @param persister    (optional) a persister component that loads and saves data from/to flat file.
+     *                     When it is not set the persister is chosen by the configured file format.
      */
-    public constructor(persister?: JsonFilePersister<T>) {
-        if (persister == null) 
+    public constructor(persister?: FilePersister<T>) {
+        let formatSelectable = persister == null;
+        if (persister == null)
             persister = new JsonFilePersister<T>();
 
         super(persister, persister);
 
         this._persister = persister;
+        this._formatSelectable = formatSelectable;
     }
 
     /**
@@ -96,7 +134,59 @@ export class IdentifiableFilePersistence<T extends IIdentifiable<K>, K> extends
      */
     public configure(config: ConfigParams): void {
         super.configure(config);
-        this._persister.configure(config);
+
+        this._persister = FilePersisterBinding.configure<T>(this._persister, config, this._formatSelectable);
+        this._loader = this._persister;
+        this._saver = this._persister;
+    }
+
+    /**
+	 * Sets references to dependent components.
+	 * 
+	 * @param references 	references to locate the component dependencies. 
+     */
+    public setReferences(references: IReferences): void {
+        super.setReferences(references);
+        this._persister.setReferences(references);
+    }
+
+    /**
+	 * Opens the component and starts watching the data file when it is enabled.
+	 * 
+	 * @param correlationId 	(optional) transaction id to trace execution through call chain.
+     * @param callback 			callback function that receives error or null no errors occured.
+     */
+    public open(correlationId: string, callback?: (err: any) => void): void {
+        FilePersisterBinding.open(correlationId, this._persister,
+            (callback) => super.open(correlationId, callback),
+            (callback) => this.reload(correlationId, callback),
+            callback
+        );
+    }
+
+    /**
+	 * Stops watching the data file and closes the component.
+	 * 
+	 * @param correlationId 	(optional) transaction id to trace execution through call chain.
+     * @param callback 			callback function that receives error or null no errors occured.
+     */
+    public close(correlationId: string, callback?: (err: any) => void): void {
+        FilePersisterBinding.close(correlationId, this._persister,
+            (callback) => super.close(correlationId, callback), callback
+        );
+    }
+
+    /**
+     * Quarantines invalid items found on load and appends them to the quarantine file of the persister.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param items             a list of invalid items.
+     * @param callback          callback function that receives error or null for success.
+     */
+    protected quarantineItems(correlationId: string, items: T[], callback: (err: any) => void): void {
+        FilePersisterBinding.quarantine(correlationId, this._persister, items,
+            (callback) => super.quarantineItems(correlationId, items, callback), callback
+        );
     }
 
 }
@@ -6,13 +6,28 @@ import { IIdentifiable } from 'pip-services3-commons-node';
 import { AnyValueMap } from 'pip-services3-commons-node';
 import { ObjectWriter } from 'pip-services3-commons-node';
 import { IdGenerator } from 'pip-services3-commons-node';
+import { ConfigParams } from 'pip-services3-commons-node';
+import { ObjectReader } from 'pip-services3-commons-node';
+import { IntegerConverter } from 'pip-services3-commons-node';
+import { StringConverter } from 'pip-services3-commons-node';
+import { BooleanConverter } from 'pip-services3-commons-node';
+import { DateTimeConverter } from 'pip-services3-commons-node';
+import { ConflictException } from 'pip-services3-commons-node';
 
-import { MemoryPersistence } from './MemoryPersistence';
+import { AsyncIdentifiableMemoryPersistence } from './AsyncIdentifiableMemoryPersistence';
+import { MemoryIndex } from './MemoryIndex';
+import { FilterComposer } from './FilterComposer';
+import { UpdateComposer } from './UpdateComposer';
+import { ExpirationTracker } from './ExpirationTracker';
 import { IWriter } from '../IWriter';
 import { IGetter } from '../IGetter';
 import { ISetter } from '../ISetter';
+import { IBulkWriter } from '../IBulkWriter';
+import { IBulkSetter } from '../IBulkSetter';
+import { BulkItemResult } from '../BulkItemResult';
 import { ILoader } from '../ILoader';
 import { ISaver } from '../ISaver';
+import { ChangeEvent } from '../ChangeEvent';
 
 /**
  * Abstract persistence component that stores data in memory
@@ -21,17 +36,57 @@ import { ISaver } from '../ISaver';
  * 
  * In basic scenarios child classes shall only override [[getPageByFilter]],
  * [[getListByFilter]] or [[deleteByFilter]] operations with specific filter function.
+ * Instead of a function they can also pass FilterParams or MongoDB-style condition
+ * objects that are converted into filter functions by [[FilterComposer]].
  * All other operations can be used out of the box. 
  * 
  * In complex scenarios child classes can implement additional operations by 
  * accessing cached items via this._items property and calling [[save]] method
  * on updates.
  * 
+ * Items are indexed by their ids, so operations with individual items do not
+ * scan the entire list. Creating an item with an id that already exists
+ * fails with ConflictException.
+ * 
+ * When versioning is enabled, every write sets a sequential version into items
+ * (see [[https://pip-services3-node.github.io/pip-services3-commons-node/interfaces/data.iversioned.html IVersioned interface]]).
+ * Updates and deletes that carry a version different from the stored one
+ * are rejected with ConflictException. Writes without version are not checked.
+ * 
+ * When soft delete is enabled, delete operations do not remove items but mark them
+ * with a deleted flag and a delete time. Deleted items are hidden from reads and updates
+ * unless a filter explicitly checks the deleted flag, like <code>{ deleted: true }</code>.
+ * They can be restored with [[restoreById]] or removed permanently with [[purgeDeleted]].
+ * Deleted items keep their ids and unique keys until they are purged, and [[set]] replaces them with new items.
+ * 
+ * When expiration is enabled, items expire at the time stored in their expire time field.
+ * Items created, updated or set without the expire time or with the expire time of the stored item
+ * get a new one from the default time-to-live, so updates of whole items start a new time-to-live period
+ * while partial updates keep it. Expire times changed by writes are kept as they are.
+ * Expired items are hidden from reads and updates as soon as they expire, and they are
+ * removed by a background sweeper that runs while the component is opened or by [[sweepExpired]].
+ * Expire times and the sweeper are managed by [[ExpirationTracker]].
+ * 
  * @see [[MemoryPersistence]]
  * 
+ * ### Configuration parameters ###
+ * 
+ * - options:
+ *     - max_page_size:       Maximum number of items returned in a single page (default: 100)
+ *     - versioned:           Enables optimistic concurrency with item versions (default: false)
+ *     - version_field:       Name of the item version field (default: "version")
+ *     - soft_delete:         Enables soft delete of items (default: false)
+ *     - deleted_field:       Name of the item deleted flag field (default: "deleted")
+ *     - delete_time_field:   Name of the item delete time field (default: "delete_time")
+ *     - ttl:                 Default time-to-live of items in milliseconds, 0 to keep items forever (default: 0)
+ *     - expiration:          Enables expiration of items (default: true when ttl is set)
+ *     - expire_time_field:   Name of the item expire time field (default: "expire_time")
+ *     - sweep_interval:      Interval in milliseconds to remove expired items, 0 to disable the sweeper (default: 60000)
+ * 
  * ### References ###
  * 
  * - <code>\*:logger:\*:\*:1.0</code>     (optional) [[https://pip-services3-node.github.io/pip-services3-components-node/interfaces/log.ilogger.html ILogger]] components to pass log messages
+ * - <code>\*:change-listener:\*:\*:1.0</code> (optional) [[IChangeListener]] components to receive notifications about changed items
  * 
  * ### Examples ###
  * 
@@ -71,8 +126,16 @@ import { ISaver } from '../ISaver';
  *         )
  *     });
  */
-export class IdentifiableMemoryPersistence<T extends IIdentifiable<K>, K> extends MemoryPersistence<T> 
-    implements IWriter<T, K>, IGetter<T, K>, ISetter<T> {
+export class IdentifiableMemoryPersistence<T extends IIdentifiable<K>, K> extends AsyncIdentifiableMemoryPersistence<T, K> 
+    implements IWriter<T, K>, IGetter<T, K>, ISetter<T>, IBulkWriter<T, K>, IBulkSetter<T> {
+    protected _versioned: boolean = false;
+    protected _versionField: string = "version";
+    protected _softDelete: boolean = false;
+    protected _deletedField: string = "deleted";
+    protected _deleteTimeField: string = "delete_time";
+
+    private _idIndex: MemoryIndex<T>;
+    private _expirations = new ExpirationTracker<T>();
 
     /**
      * Creates a new instance of the persistence.
@@ -82,6 +145,167 @@ export class IdentifiableMemoryPersistence<T extends IIdentifiable<K>, K> extend
      */
     public constructor(loader?: ILoader<T>, saver?: ISaver<T>) {
         super(loader, saver);
+        this._idIndex = this.defineIndex("id", "id", true);
+    }
+
+    /**
+     * Configures component by passing configuration parameters.
+     * 
+     * @param config    configuration parameters to be set.
+     */
+    public configure(config: ConfigParams): void {
+        super.configure(config);
+
+        this._versioned = config.getAsBooleanWithDefault("options.versioned", this._versioned);
+        this._versionField = config.getAsStringWithDefault("options.version_field", this._versionField);
+        this._softDelete = config.getAsBooleanWithDefault("options.soft_delete", this._softDelete);
+        this._deletedField = config.getAsStringWithDefault("options.deleted_field", this._deletedField);
+        this._deleteTimeField = config.getAsStringWithDefault("options.delete_time_field", this._deleteTimeField);
+        this._expirations.configure(config);
+    }
+
+    /**
+	 * Opens the component and starts the sweeper of expired items.
+	 * 
+	 * @param correlationId 	(optional) transaction id to trace execution through call chain.
+     * @param callback 			callback function that receives error or null no errors occured.
+     */
+    public open(correlationId: string, callback?: (err: any) => void): void {
+        super.open(correlationId, (err) => {
+            if (err == null) {
+                this._expirations.startSweeper(() => {
+                    this.sweepExpired(correlationId, (err) => {
+                        if (err != null)
+                            this._logger.error(correlationId, err, "Failed to remove expired items");
+                    });
+                });
+            }
+
+            if (callback) callback(err);
+        });
+    }
+
+    /**
+	 * Stops the sweeper of expired items and closes the component.
+	 * 
+	 * @param correlationId 	(optional) transaction id to trace execution through call chain.
+     * @param callback 			callback function that receives error or null no errors occured.
+     */
+    public close(correlationId: string, callback?: (err: any) => void): void {
+        this._expirations.stopSweeper();
+
+        super.close(correlationId, callback);
+    }
+
+    /**
+     * Checks that a version of written item matches the version of the stored item.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param stored            a stored item.
+     * @param version           a version of the written item or null to skip the check.
+     * @returns a ConflictException or null if versions match or versioning is disabled.
+     */
+    protected checkVersion(correlationId: string, stored: T, version: any): ConflictException {
+        if (!this._versioned || version == null) return null;
+
+        let storedVersion = ObjectReader.getProperty(stored, this._versionField);
+        if (StringConverter.toNullableString(storedVersion) == StringConverter.toNullableString(version))
+            return null;
+
+        return <ConflictException>new ConflictException(
+            correlationId,
+            "VERSION_CONFLICT",
+            "Item " + stored.id + " was changed by someone else. Expected version " + version
+                + " but stored version is " + storedVersion
+        )
+        .withDetails("id", stored.id)
+        .withDetails("version", version)
+        .withDetails("stored_version", storedVersion);
+    }
+
+    /**
+     * Sets the next version into a written item when versioning is enabled.
+     * 
+     * @param item      a written item.
+     * @param stored    (optional) a stored item that is going to be replaced.
+     */
+    protected setNextVersion(item: T, stored?: T): void {
+        if (!this._versioned) return;
+
+        let version = stored != null
+            ? IntegerConverter.toIntegerWithDefault(ObjectReader.getProperty(stored, this._versionField), 0)
+            : 0;
+        ObjectWriter.setProperty(item, this._versionField, StringConverter.toString(version + 1));
+    }
+
+    /**
+     * Finds a position of a data item by its unique id.
+     * 
+     * @param id    an id of data item to be found.
+     * @returns the item position in <code>this._items</code> or -1 if item was not found.
+     */
+    protected findPositionById(id: K): number {
+        if (id == null) return -1;
+
+        this.ensureIndexes();
+        let items = this._idIndex.find({ id: id });
+        return items != null && items.length > 0 ? this.getItemPosition(items[0]) : -1;
+    }
+
+    /**
+     * Gets a key that distinguishes an item from other items with the same sort values in cursor paging.
+     * 
+     * @param item  an item to get the key.
+     * @returns the item id.
+     */
+    protected getCursorKey(item: T): any {
+        return item.id;
+    }
+
+    /**
+     * Checks if a data item is soft deleted.
+     * 
+     * @param item  a data item to be checked.
+     * @returns true if soft delete is enabled and the item is marked as deleted.
+     */
+    protected isDeleted(item: T): boolean {
+        return this._softDelete && item != null
+            && BooleanConverter.toBoolean(ObjectReader.getProperty(item, this._deletedField));
+    }
+
+    /**
+     * Checks if a data item is expired.
+     * 
+     * @param item  a data item to be checked.
+     * @param now   (optional) current time in milliseconds.
+     * @returns true if expiration is enabled and the item expire time has passed.
+     */
+    protected isExpired(item: T, now?: number): boolean {
+        return this._expirations.isExpired(item, now);
+    }
+
+    private findVisiblePositionById(id: K): number {
+        let index = this.findPositionById(id);
+        if (index < 0) return -1;
+
+        let item = this._items[index];
+        return this.isDeleted(item) || this.isExpired(item) ? -1 : index;
+    }
+
+    /**
+     * Composes a predicate that hides expired items from read operations and
+     * soft deleted items unless the filter explicitly checks the deleted flag.
+     * 
+     * @param filter    (optional) a filter of the read operation.
+     * @returns a predicate function or null if all items are visible.
+     */
+    protected composeVisibilityFilter(filter: any): (item: T) => boolean {
+        let hideDeleted = this._softDelete
+            && !_.has(FilterComposer.getEqualityValues(filter), this._deletedField);
+        if (!hideDeleted && !this._expirations.isEnabled()) return null;
+
+        let now = Date.now();
+        return (item) => !(hideDeleted && this.isDeleted(item)) && !this.isExpired(item, now);
     }
 
     /**
@@ -107,8 +331,9 @@ export class IdentifiableMemoryPersistence<T extends IIdentifiable<K>, K> extend
      * @param callback          callback function that receives data item or error.
      */
     public getOneById(correlationId: string, id: K, callback: (err: any, item: T) => void): void {
-        let items = this._items.filter((x) => {return x.id == id;});
-        let item = items.length > 0 ? items[0] : null;
+        let index = this.findVisiblePositionById(id);
+        let item = index >= 0 ? this._items[index] : null;
+        this.accessItem(item);
 
         if (item != null)
             this._logger.trace(correlationId, "Retrieved item %s", id);
@@ -126,9 +351,19 @@ export class IdentifiableMemoryPersistence<T extends IIdentifiable<K>, K> extend
      * @param callback          (optional) callback function that receives created item or error.
      */
     public create(correlationId: string, item: T, callback?: (err: any, item: T) => void): void {
-        if (item.id == null) {
+        if (item.id == null || this._versioned || this._expirations.ttl > 0) {
             item = _.clone(item);
-            ObjectWriter.setProperty(item, "id", IdGenerator.nextLong());
+            if (item.id == null)
+                ObjectWriter.setProperty(item, "id", IdGenerator.nextLong());
+            this.setNextVersion(item);
+            this._expirations.setExpireTime(item);
+        }
+
+        // Expired items that were not swept yet shall not block new items with the same id
+        let index = this.findPositionById(item.id);
+        if (index >= 0 && this.isExpired(this._items[index])) {
+            let oldItem = this.removeItem(index);
+            this.notifyChange(correlationId, ChangeEvent.Deleted, oldItem, null);
         }
 
         super.create(correlationId, item, callback);
@@ -147,13 +382,30 @@ export class IdentifiableMemoryPersistence<T extends IIdentifiable<K>, K> extend
         if (item.id == null)
             ObjectWriter.setProperty(item, "id", IdGenerator.nextLong());
 
-        let index = this._items.map((x) => { return x.id; }).indexOf(item.id);
+        let index = this.findPositionById(item.id);
+        let oldItem = index >= 0 ? this._items[index] : null;
 
-        if (index < 0) this._items.push(item);
-        else this._items[index] = item;
+        let err = oldItem != null
+            ? this.checkVersion(correlationId, oldItem, ObjectReader.getProperty(item, this._versionField))
+            : null;
+        err = err || this.validateItem(correlationId, item)
+            || this.checkUniqueIndexes(correlationId, item, oldItem);
+        if (err != null) {
+            if (callback) callback(err, null);
+            return;
+        }
+
+        this.setNextVersion(item, oldItem);
+        this._expirations.setExpireTime(item, oldItem);
+
+        if (index < 0) this.insertItem(item);
+        else this.replaceItem(index, item);
 
         this._logger.trace(correlationId, "Set item %s", item.id);
 
+        let updated = oldItem != null && !this.isDeleted(oldItem) && !this.isExpired(oldItem);
+        this.notifyChange(correlationId, updated ? ChangeEvent.Updated : ChangeEvent.Created, updated ? oldItem : null, item);
+
         this.save(correlationId, (err) => {
             if (callback) callback(err, item)
         });
@@ -167,18 +419,33 @@ export class IdentifiableMemoryPersistence<T extends IIdentifiable<K>, K> extend
      * @param callback          (optional) callback function that receives updated item or error.
      */
     public update(correlationId: string, item: T, callback?: (err: any, item: T) => void): void {
-        let index = this._items.map((x) => { return x.id; }).indexOf(item.id);
+        let index = this.findVisiblePositionById(item.id);
 
         if (index < 0) {
             this._logger.trace(correlationId, "Item %s was not found", item.id);
-            callback(null, null);
+            if (callback) callback(null, null);
             return;
         }
 
+        let oldItem = this._items[index];
         item = _.clone(item);
-        this._items[index] = item;
+
+        let err = this.checkVersion(correlationId, oldItem, ObjectReader.getProperty(item, this._versionField))
+            || this.validateItem(correlationId, item)
+            || this.checkUniqueIndexes(correlationId, item, oldItem);
+        if (err != null) {
+            if (callback) callback(err, null);
+            return;
+        }
+
+        this.setNextVersion(item, oldItem);
+        this._expirations.setExpireTime(item, oldItem);
+
+        this.replaceItem(index, item);
         this._logger.trace(correlationId, "Updated item %s", item.id);
 
+        this.notifyChange(correlationId, ChangeEvent.Updated, oldItem, item);
+
         this.save(correlationId, (err) => {
             if (callback) callback(err, item)
         });
@@ -187,27 +454,51 @@ export class IdentifiableMemoryPersistence<T extends IIdentifiable<K>, K> extend
     /**
      * Updates only few selected fields in a data item.
      * 
+     * Nested fields can be updated using dot notation, and the data can contain
+     * update operators like <code>$inc</code>, <code>$push</code> or <code>$unset</code>.
+     * The update is applied to a copy of the stored item, so it stays untouched when the update fails.
+     * See [[UpdateComposer]] for supported operators.
+     * 
      * @param correlation_id    (optional) transaction id to trace execution through call chain.
      * @param id                an id of data item to be updated.
-     * @param data              a map with fields to be updated.
+     * @param data              a map with fields to be updated and update operators.
      * @param callback          callback function that receives updated item or error.
      */
     public updatePartially(correlationId: string, id: K, data: AnyValueMap,
         callback?: (err: any, item: T) => void): void {
             
-        let index = this._items.map((x) => { return x.id; }).indexOf(id);
+        let index = this.findVisiblePositionById(id);
 
         if (index < 0) {
             this._logger.trace(correlationId, "Item %s was not found", id);
-            callback(null, null);
+            if (callback) callback(null, null);
             return;
         }
 
-        let item: any = this._items[index];
-        item = _.extend(item, data.getAsObject())
-        this._items[index] = item;
+        let oldItem = this._items[index];
+        let item: T;
+        try {
+            item = UpdateComposer.apply(oldItem, data);
+        } catch (err) {
+            if (callback) callback(err.withCorrelationId ? err.withCorrelationId(correlationId) : err, null);
+            return;
+        }
+
+        let err = this.checkVersion(correlationId, oldItem, data.get(this._versionField))
+            || this.validateItem(correlationId, item)
+            || this.checkUniqueIndexes(correlationId, item, oldItem);
+        if (err != null) {
+            if (callback) callback(err, null);
+            return;
+        }
+
+        this.setNextVersion(item, oldItem);
+
+        this.replaceItem(index, item);
         this._logger.trace(correlationId, "Partially updated item %s", id);
 
+        this.notifyChange(correlationId, ChangeEvent.Updated, oldItem, item);
+
         this.save(correlationId, (err) => {
             if (callback) callback(err, item)
         });
@@ -221,18 +512,40 @@ export class IdentifiableMemoryPersistence<T extends IIdentifiable<K>, K> extend
      * @param callback          (optional) callback function that receives deleted item or error.
      */
     public deleteById(correlationId: string, id: K, callback?: (err: any, item: T) => void): void {
-        var index = this._items.map((x) => { return x.id; }).indexOf(id);
-        var item = this._items[index];
+        this.deleteByIdAndVersion(correlationId, id, null, callback);
+    }
+
+    /**
+     * Deleted a data item by it's unique id when its version matches the stored version.
+     * The version is checked only when versioning is enabled.
+     * 
+     * @param correlation_id    (optional) transaction id to trace execution through call chain.
+     * @param id                an id of the item to be deleted
+     * @param version           an expected version of the item or null to skip the check.
+     * @param callback          (optional) callback function that receives deleted item or error.
+     */
+    public deleteByIdAndVersion(correlationId: string, id: K, version: string,
+        callback?: (err: any, item: T) => void): void {
+        let index = this.findVisiblePositionById(id);
 
         if (index < 0) {
             this._logger.trace(correlationId, "Item %s was not found", id);
-            callback(null, null);
+            if (callback) callback(null, null);
             return;
         }
 
-        this._items.splice(index, 1);
+        let err = this.checkVersion(correlationId, this._items[index], version);
+        if (err != null) {
+            if (callback) callback(err, null);
+            return;
+        }
+
+        let oldItem = this._items[index];
+        let item = this._softDelete ? this.markDeleted(index, true) : this.removeItem(index);
         this._logger.trace(correlationId, "Deleted item by %s", id);
 
+        this.notifyChange(correlationId, ChangeEvent.Deleted, oldItem, null);
+
         this.save(correlationId, (err) => {
             if (callback) callback(err, item)
         });
@@ -252,4 +565,362 @@ export class IdentifiableMemoryPersistence<T extends IIdentifiable<K>, K> extend
         this.deleteByFilter(correlationId, filter, callback);
     }
 
+    /**
+     * Deletes data items that match to a given filter.
+     * When soft delete is enabled the items are marked as deleted.
+     * 
+     * This method shall be called by a public deleteByFilter method from child class that
+     * receives FilterParams and converts them into a filter function or passes them as they are.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param filter            a filter function, FilterParams or a condition object to filter items.
+     *                          See [[FilterComposer]] for supported formats. An empty condition deletes all items.
+     * @param callback          (optional) callback function that receives error or null for success.
+     */
+    protected deleteByFilter(correlationId: string, filter: any, callback?: (err: any) => void): void {
+        if (!this._softDelete) {
+            super.deleteByFilter(correlationId, filter, callback);
+            return;
+        }
+
+        let predicate: (item: T) => boolean;
+        try {
+            predicate = this.composeDeleteFilter(correlationId, filter);
+        } catch (err) {
+            if (callback) callback(err);
+            return;
+        }
+
+        let deleted: T[] = [];
+        for (let position = 0; position < this._items.length; position++) {
+            let item = this._items[position];
+            if (this.isDeleted(item) || this.isExpired(item) || (predicate != null && !predicate(item))) continue;
+
+            this.markDeleted(position, true);
+            deleted.push(item);
+        }
+
+        if (deleted.length == 0) {
+            if (callback) callback(null);
+            return;
+        }
+
+        this._logger.trace(correlationId, "Deleted %s items", deleted.length);
+
+        for (let item of deleted)
+            this.notifyChange(correlationId, ChangeEvent.Deleted, item, null);
+
+        this.save(correlationId, callback);
+    }
+
+    /**
+     * Marks or unmarks an item as deleted.
+     * 
+     * @param position  a position of the item in <code>this._items</code>.
+     * @param deleted   true to mark the item as deleted and false to restore it.
+     * @returns the changed item.
+     */
+    private markDeleted(position: number, deleted: boolean): T {
+        let oldItem = this._items[position];
+        let item: any = _.clone(oldItem);
+
+        if (deleted) {
+            item[this._deletedField] = true;
+            item[this._deleteTimeField] = new Date();
+        } else {
+            delete item[this._deletedField];
+            delete item[this._deleteTimeField];
+        }
+
+        this.setNextVersion(item, oldItem);
+        this.replaceItem(position, item);
+        return item;
+    }
+
+    /**
+     * Restores a soft deleted data item by its unique id.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param id                an id of the item to be restored.
+     * @param callback          (optional) callback function that receives restored item or error.
+     *                          The item is null if it was not found or is not deleted.
+     */
+    public restoreById(correlationId: string, id: K, callback?: (err: any, item: T) => void): void {
+        let index = this.findPositionById(id);
+
+        if (index < 0 || !this.isDeleted(this._items[index])) {
+            this._logger.trace(correlationId, "Deleted item %s was not found", id);
+            if (callback) callback(null, null);
+            return;
+        }
+
+        let item = this.markDeleted(index, false);
+        this._logger.trace(correlationId, "Restored item %s", id);
+
+        this.notifyChange(correlationId, ChangeEvent.Created, null, item);
+
+        this.save(correlationId, (err) => {
+            if (callback) callback(err, item);
+        });
+    }
+
+    /**
+     * Permanently removes soft deleted data items.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param olderThan         (optional) time to remove only items deleted before it. Null removes all deleted items.
+     * @param callback          (optional) callback function that receives the number of removed items or error.
+     */
+    public purgeDeleted(correlationId: string, olderThan: Date,
+        callback?: (err: any, count: number) => void): void {
+        let purged = 0;
+
+        for (let position = this._items.length - 1; position >= 0; position--) {
+            let item = this._items[position];
+            if (!this.isDeleted(item)) continue;
+
+            let deleteTime = DateTimeConverter.toNullableDateTime(ObjectReader.getProperty(item, this._deleteTimeField));
+            if (olderThan != null && deleteTime != null && deleteTime.getTime() >= olderThan.getTime()) continue;
+
+            this.removeItem(position);
+            purged++;
+        }
+
+        if (purged == 0) {
+            if (callback) callback(null, 0);
+            return;
+        }
+
+        this._logger.trace(correlationId, "Purged %d deleted items", purged);
+
+        this.save(correlationId, (err) => {
+            if (callback) callback(err, err == null ? purged : null);
+        });
+    }
+
+    /**
+     * Permanently removes expired data items.
+     * It is called periodically by the sweeper while the component is opened.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param callback          (optional) callback function that receives the number of removed items or error.
+     */
+    public sweepExpired(correlationId: string, callback?: (err: any, count: number) => void): void {
+        let now = Date.now();
+        let expired: T[] = [];
+
+        for (let position = this._items.length - 1; position >= 0; position--) {
+            let item = this._items[position];
+            if (!this.isExpired(item, now)) continue;
+
+            this.removeItem(position);
+            expired.push(item);
+        }
+        expired.reverse();
+
+        if (expired.length == 0) {
+            if (callback) callback(null, 0);
+            return;
+        }
+
+        this._logger.trace(correlationId, "Removed %d expired items", expired.length);
+
+        for (let item of expired) {
+            if (!this.isDeleted(item))
+                this.notifyChange(correlationId, ChangeEvent.Deleted, item, null);
+        }
+
+        this.save(correlationId, (err) => {
+            if (callback) callback(err, err == null ? expired.length : null);
+        });
+    }
+
+    private writeItems<V>(values: V[], write: (value: V, callback: (err: any, item: T) => void) => void,
+        callback: (results: BulkItemResult<T>[]) => void): void {
+        let results: BulkItemResult<T>[] = [];
+        let index = 0;
+
+        // Loop instead of recursion to avoid stack overflows when writes complete synchronously
+        let next = () => {
+            while (index < values.length) {
+                let position = index++;
+                let completed = false;
+                let sync = true;
+
+                write(values[position], (err, item) => {
+                    results[position] = new BulkItemResult<T>(err == null ? item : null, err);
+                    completed = true;
+                    if (!sync) next();
+                });
+
+                sync = false;
+                if (!completed) return;
+            }
+
+            callback(results);
+        };
+
+        next();
+    }
+
+    private writeMany<V>(correlationId: string, values: V[],
+        write: (value: V, callback: (err: any, item: T) => void) => void,
+        callback?: (err: any, results: BulkItemResult<T>[]) => void): void {
+        let results: BulkItemResult<T>[] = null;
+
+        // Run in a transaction to save all items at once
+        this.runInTransaction(correlationId, (callback) => {
+            this.writeItems(values || [], write, (r) => {
+                results = r;
+                callback(null);
+            });
+        }, (err) => {
+            if (callback) callback(err, err == null ? results : null);
+        });
+    }
+
+    /**
+     * Creates multiple data items and saves them at once.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param items             items to be created.
+     * @param callback          (optional) callback function that receives results for each item or error.
+     */
+    public createMany(correlationId: string, items: T[],
+        callback?: (err: any, results: BulkItemResult<T>[]) => void): void {
+        this.writeMany(correlationId, items, (item, callback) => {
+            this.create(correlationId, item, callback);
+        }, callback);
+    }
+
+    /**
+     * Updates multiple data items and saves them at once.
+     * Results of items that were not found contain no item and no error.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param items             items to be updated.
+     * @param callback          (optional) callback function that receives results for each item or error.
+     */
+    public updateMany(correlationId: string, items: T[],
+        callback?: (err: any, results: BulkItemResult<T>[]) => void): void {
+        this.writeMany(correlationId, items, (item, callback) => {
+            this.update(correlationId, item, callback);
+        }, callback);
+    }
+
+    /**
+     * Sets multiple data items and saves them at once.
+     * Existing items are updated, and missing ones are created.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param items             items to be set.
+     * @param callback          (optional) callback function that receives results for each item or error.
+     */
+    public setMany(correlationId: string, items: T[],
+        callback?: (err: any, results: BulkItemResult<T>[]) => void): void {
+        this.writeMany(correlationId, items, (item, callback) => {
+            this.set(correlationId, item, callback);
+        }, callback);
+    }
+
+    // Child classes override getListByFilter and getCountByFilter with FilterParams,
+    // so the base implementations are called to pass any filter as it is
+    private getItemsByFilter(correlationId: string, filter: any, callback: (err: any, items: T[]) => void): void {
+        super.getListByFilter(correlationId, filter, null, null, callback);
+    }
+
+    private getItemCountByFilter(correlationId: string, filter: any, callback: (err: any, count: number) => void): void {
+        super.getCountByFilter(correlationId, filter, callback);
+    }
+
+    /**
+     * Updates selected fields in all data items that match to a given filter.
+     * The update is atomic: when any of the items fails to be updated no items are changed.
+     * Inside an active transaction the failed update is rolled back and the transaction continues.
+     * 
+     * This method shall be called by a public updateByFilter method from child class that
+     * receives FilterParams and converts them into a filter function or passes them as they are.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param filter            (optional) a filter function, FilterParams or a condition object to filter items.
+     *                          See [[FilterComposer]] for supported formats.
+     * @param data              a map with fields to be updated.
+     * @param callback          (optional) callback function that receives updated items or error.
+     */
+    protected updateByFilter(correlationId: string, filter: any, data: AnyValueMap,
+        callback?: (err: any, items: T[]) => void): void {
+        let updated: T[] = null;
+
+        this.runInTransaction(correlationId, (callback) => {
+            this.getItemsByFilter(correlationId, filter, (err, items) => {
+                if (err != null) {
+                    callback(err);
+                    return;
+                }
+
+                // Copy the list since items are replaced during the update
+                this.writeItems(items.slice(), (item, callback) => {
+                    this.updatePartially(correlationId, item.id, data, callback);
+                }, (results) => {
+                    let failed = _.find(results, (result) => result.error != null);
+                    if (failed == null)
+                        updated = _.map(results, (result) => result.item);
+                    callback(failed != null ? failed.error : null);
+                });
+            });
+        }, (err) => {
+            if (err == null)
+                this._logger.trace(correlationId, "Updated %d items by filter", updated.length);
+            if (callback) callback(err, updated);
+        });
+    }
+
+    /**
+     * Updates selected fields in all data items that match to a given filter
+     * or creates a new item when no items match.
+     * 
+     * The new item receives the fields from the data and equality conditions of the filter,
+     * like <code>{ key: "ABC" }</code> or <code>FilterParams.fromTuples("key", "ABC")</code>.
+     * Fields in <code>$setOnInsert</code> operator are set only in the created item.
+     * 
+     * This method shall be called by a public upsertByFilter method from child class that
+     * receives FilterParams and converts them into a filter function or passes them as they are.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param filter            (optional) a filter function, FilterParams or a condition object to filter items.
+     *                          See [[FilterComposer]] for supported formats.
+     * @param data              a map with fields to be updated or set in the created item.
+     * @param callback          (optional) callback function that receives updated or created items or error.
+     */
+    protected upsertByFilter(correlationId: string, filter: any, data: AnyValueMap,
+        callback?: (err: any, items: T[]) => void): void {
+        this.getItemCountByFilter(correlationId, filter, (err, count) => {
+            if (err != null) {
+                if (callback) callback(err, null);
+                return;
+            }
+
+            if (count > 0) {
+                this.updateByFilter(correlationId, filter, data, callback);
+                return;
+            }
+
+            let item: any = {};
+            let values = FilterComposer.getEqualityValues(filter);
+            for (let key in values)
+                _.set(item, key, values[key]);
+
+            try {
+                item = UpdateComposer.apply(item, data, true);
+            } catch (err) {
+                if (callback) callback(err.withCorrelationId ? err.withCorrelationId(correlationId) : err, null);
+                return;
+            }
+
+            this.create(correlationId, item, (err, item) => {
+                if (callback) callback(err, err == null ? [item] : null);
+            });
+        });
+    }
+
 }
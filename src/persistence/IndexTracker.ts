@@ -0,0 +1,225 @@
+/** @module persistence */
+/** @hidden */
+let _ = require('lodash');
+
+import { ConflictException } from 'pip-services3-commons-node';
+import { StringValueMap } from 'pip-services3-commons-node';
+
+import { MemoryIndex } from './MemoryIndex';
+import { FilterComposer } from './FilterComposer';
+
+/**
+ * Tracker of positions of data items in a list and of hash indexes over them.
+ *
+ * Items shall be added, replaced and removed via the tracker to keep their positions
+ * and indexes in sync with the list. When the list is replaced or changed directly
+ * the tracker shall be rebuilt.
+ *
+ * It is used by [[MemoryPersistence]] to find items by their positions and by equality conditions.
+ *
+ * @see [[MemoryIndex]]
+ *
+ * ### Example ###
+ *
+ *     let tracker = new IndexTracker<MyData>(items);
+ *     tracker.define(new MemoryIndex<MyData>("key", ["key"], true), items);
+ *
+ *     items.push(item);
+ *     tracker.add(item, items.length - 1);
+ *
+ *     let found = tracker.find({ key: "ABC" });
+ */
+export class IndexTracker<T> {
+    private _indexes: MemoryIndex<T>[] = [];
+    private _positions = new Map<T, number>();
+    private _indexedItems: T[];
+
+    /**
+     * Creates a new instance of the tracker.
+     *
+     * @param items     an initial empty list of items.
+     */
+    public constructor(items: T[]) {
+        this._indexedItems = items;
+    }
+
+    /**
+     * Gets defined indexes.
+     */
+    public get indexes(): MemoryIndex<T>[] {
+        return this._indexes;
+    }
+
+    /**
+     * Adds an index and fills it with items. An index with the same name is replaced.
+     *
+     * @param index     an index to be added.
+     * @param items     a list of tracked items.
+     */
+    public define(index: MemoryIndex<T>, items: T[]): void {
+        for (let item of items)
+            index.add(item);
+
+        this._indexes = _.filter(this._indexes, (i) => i.name != index.name);
+        this._indexes.push(index);
+    }
+
+    /**
+     * Checks if a list of items was replaced or its length was changed since it was tracked.
+     *
+     * @param items     a list of items.
+     * @returns true if the tracker shall be rebuilt and false otherwise.
+     */
+    public isStale(items: T[]): boolean {
+        return this._indexedItems !== items || this._positions.size != items.length;
+    }
+
+    /**
+     * Checks that every item in a list is at its tracked position.
+     * Unlike [[isStale]] it also detects items replaced inside the list.
+     *
+     * @param items     a list of items.
+     * @returns true if all items are tracked and false otherwise.
+     */
+    public isIndexed(items: T[]): boolean {
+        if (this.isStale(items)) return false;
+
+        for (let position = 0; position < items.length; position++) {
+            if (this._positions.get(items[position]) !== position)
+                return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Clears positions and indexes and starts tracking of a list of items.
+     *
+     * @param items     a list of items.
+     */
+    public rebuild(items: T[]): void {
+        this._positions.clear();
+        for (let index of this._indexes)
+            index.clear();
+
+        for (let position = 0; position < items.length; position++) {
+            let item = items[position];
+            this._positions.set(item, position);
+            for (let index of this._indexes)
+                index.add(item);
+        }
+
+        this._indexedItems = items;
+    }
+
+    /**
+     * Gets the tracked position of an item.
+     *
+     * @param item  an item to find.
+     * @returns the item position or -1 if the item is not tracked.
+     */
+    public getPosition(item: T): number {
+        let position = this._positions.get(item);
+        return position != null ? position : -1;
+    }
+
+    /**
+     * Starts tracking of an added item.
+     *
+     * @param item      an added item.
+     * @param position  a position of the item.
+     */
+    public add(item: T, position: number): void {
+        this._positions.set(item, position);
+        for (let index of this._indexes)
+            index.add(item);
+    }
+
+    /**
+     * Replaces a tracked item with a new one at the same position.
+     *
+     * @param oldItem   a replaced item.
+     * @param item      a new item.
+     * @param position  a position of the item.
+     */
+    public replace(oldItem: T, item: T, position: number): void {
+        this.remove(oldItem);
+        this.add(item, position);
+    }
+
+    /**
+     * Stops tracking of a removed item. Positions of following items
+     * shall be updated by [[updatePositions]].
+     *
+     * @param item  a removed item.
+     */
+    public remove(item: T): void {
+        for (let index of this._indexes)
+            index.remove(item);
+        this._positions.delete(item);
+    }
+
+    /**
+     * Updates tracked positions of items starting from a given position.
+     *
+     * @param items     a list of items.
+     * @param start     the first position to update.
+     */
+    public updatePositions(items: T[], start: number): void {
+        for (let position = start; position < items.length; position++)
+            this._positions.set(items[position], position);
+    }
+
+    /**
+     * Checks if an item violates unique indexes.
+     *
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param item              an item to be written.
+     * @param replaced          (optional) a stored item that is going to be replaced.
+     * @returns a ConflictException or null if there are no violations.
+     */
+    public checkUnique(correlationId: string, item: T, replaced?: T): ConflictException {
+        for (let index of this._indexes) {
+            if (!index.unique) continue;
+            if (index.findConflict(item, replaced) == null) continue;
+
+            return <ConflictException>new ConflictException(
+                correlationId,
+                "DUPLICATE_KEY",
+                "Item violates unique index " + index.name + " on " + index.fields.join(", ")
+            )
+            .withDetails("index", index.name)
+            .withDetails("fields", index.fields);
+        }
+
+        return null;
+    }
+
+    /**
+     * Finds items by equality conditions of a filter using the most selective index.
+     *
+     * @param filter    a filter function, FilterParams or a condition object.
+     * @returns a list of candidate items in their natural order or null if no index can be used.
+     */
+    public find(filter: any): T[] {
+        if (filter == null || _.isFunction(filter) || this._indexes.length == 0)
+            return null;
+
+        let values = FilterComposer.getEqualityValues(filter);
+        if (_.isEmpty(values)) return null;
+
+        let result: T[] = null;
+        for (let index of this._indexes) {
+            let items = index.find(values, filter instanceof StringValueMap);
+            if (items != null && (result == null || items.length < result.length))
+                result = items;
+        }
+
+        // Keep the natural order of items
+        if (result != null && result.length > 1)
+            result = _.sortBy(result, (item) => this.getPosition(item));
+
+        return result;
+    }
+
+}
@@ -0,0 +1,166 @@
+/** @module persistence */
+/** @hidden */
+let _ = require('lodash');
+
+import { ConfigParams } from 'pip-services3-commons-node';
+import { ConfigException } from 'pip-services3-commons-node';
+import { ValidationException } from 'pip-services3-commons-node';
+import { Schema } from 'pip-services3-commons-node';
+import { ILogger } from 'pip-services3-components-node';
+
+/**
+ * Validator of data items with a schema on write and load.
+ *
+ * Invalid loaded items are handled according to the configured action:
+ * - <code>report</code>: items are kept and reported in logs (default)
+ * - <code>quarantine</code>: items are removed and kept aside
+ * - <code>fail</code>: the load fails with ValidationException
+ *
+ * It is used by [[MemoryPersistence]] to validate its items.
+ *
+ * ### Configuration parameters ###
+ *
+ * - options:
+ *     - invalid_load_action: Action with invalid items on load: report, quarantine or fail (default: report)
+ *
+ * ### Example ###
+ *
+ *     let validator = new ItemValidator<MyData>(logger);
+ *     validator.schema = new ObjectSchema().withRequiredProperty("key", TypeCode.String);
+ *     validator.configure(ConfigParams.fromTuples("options.invalid_load_action", "quarantine"));
+ *
+ *     validator.checkLoadedItems("123", items, (items, callback) => {
+ *         validator.quarantine(items);
+ *         callback(null);
+ *     }, (err, validItems) => {
+ *         // Invalid items are removed
+ *     });
+ */
+export class ItemValidator<T> {
+    private _logger: ILogger;
+    private _schema: Schema = null;
+    private _invalidLoadAction: string = "report";
+    private _quarantinedItems: T[] = [];
+
+    /**
+     * Creates a new instance of the validator.
+     *
+     * @param logger    a logger to report invalid loaded items.
+     */
+    public constructor(logger: ILogger) {
+        this._logger = logger;
+    }
+
+    /**
+     * Configures component by passing configuration parameters.
+     *
+     * @param config    configuration parameters to be set.
+     *
+     * @throws a ConfigException when the action with invalid loaded items is not supported.
+     */
+    public configure(config: ConfigParams): void {
+        let invalidLoadAction = config.getAsStringWithDefault("options.invalid_load_action", this._invalidLoadAction).toLowerCase();
+        if (!_.includes(["report", "quarantine", "fail"], invalidLoadAction)) {
+            throw new ConfigException(
+                null, "INVALID_LOAD_ACTION", "Action " + invalidLoadAction + " with invalid loaded items is not supported"
+            ).withDetails("invalid_load_action", invalidLoadAction);
+        }
+        this._invalidLoadAction = invalidLoadAction;
+    }
+
+    /**
+     * Gets the schema to validate items.
+     */
+    public get schema(): Schema {
+        return this._schema;
+    }
+
+    /**
+     * Sets the schema to validate items or null to turn validation off.
+     */
+    public set schema(value: Schema) {
+        this._schema = value;
+    }
+
+    /**
+     * Validates a data item with the schema.
+     *
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param item              an item to be validated.
+     * @returns a ValidationException or null if the item is valid or the schema is not set.
+     */
+    public validate(correlationId: string, item: T): ValidationException {
+        return this._schema != null ? this._schema.validateAndReturnException(correlationId, item, false) : null;
+    }
+
+    /**
+     * Gets items that were kept aside by [[quarantine]].
+     *
+     * @returns a list of quarantined items.
+     */
+    public getQuarantinedItems(): T[] {
+        return this._quarantinedItems.slice();
+    }
+
+    /**
+     * Keeps invalid items aside, so they are returned by [[getQuarantinedItems]].
+     *
+     * @param items     a list of invalid items.
+     */
+    public quarantine(items: T[]): void {
+        this._quarantinedItems = this._quarantinedItems.concat(items);
+    }
+
+    /**
+     * Validates loaded items and handles invalid ones according to the configured action.
+     *
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param items             a list of loaded items.
+     * @param quarantine        a function that quarantines invalid items with quarantine action.
+     * @param callback          callback function that receives items to keep or error.
+     */
+    public checkLoadedItems(correlationId: string, items: T[],
+        quarantine: (items: T[], callback: (err: any) => void) => void,
+        callback: (err: any, items: T[]) => void): void {
+        if (this._schema == null) {
+            callback(null, items);
+            return;
+        }
+
+        let validItems: T[] = [];
+        let invalidItems: T[] = [];
+        let errors: ValidationException[] = [];
+
+        for (let item of items) {
+            let err = this.validate(correlationId, item);
+            if (err == null) {
+                validItems.push(item);
+            } else {
+                invalidItems.push(item);
+                errors.push(err);
+            }
+        }
+
+        if (invalidItems.length == 0) {
+            callback(null, items);
+            return;
+        }
+
+        switch (this._invalidLoadAction) {
+            case "fail":
+                callback(errors[0].withDetails("invalid_items", invalidItems.length), null);
+                return;
+            case "quarantine":
+                this._logger.warn(correlationId, "Quarantined %d invalid items. %s", invalidItems.length, errors[0].message);
+                quarantine(invalidItems, (err) => {
+                    callback(err, err == null ? validItems : null);
+                });
+                return;
+            default:
+                for (let err of errors)
+                    this._logger.warn(correlationId, "Loaded invalid item. %s", err.message);
+                callback(null, items);
+        }
+    }
+
+}
@@ -0,0 +1,106 @@
+/** @module persistence */
+/** @hidden */
+let _ = require('lodash');
+
+import { ISaver } from '../ISaver';
+import { IJournalSaver } from '../IJournalSaver';
+import { IJournalEntry } from '../IJournalEntry';
+
+/**
+ * Tracker of changes of data items made since they were last saved to an [[IJournalSaver]].
+ *
+ * While changes are tracked only they are passed to the journal. When it is not known
+ * what was changed, for instance after items were replaced or a save failed,
+ * the tracker is invalidated and all items shall be saved.
+ *
+ * It is used by [[MemoryPersistence]] to save changes to journals like [[JsonJournalPersister]].
+ *
+ * ### Example ###
+ *
+ *     let tracker = new JournalTracker<MyData>();
+ *     tracker.record({ operation: "create", item: item });
+ *
+ *     let journal = JournalTracker.getJournal(saver);
+ *     if (journal != null && tracker.isTracking())
+ *         journal.append("123", tracker.take(), items);
+ *     else
+ *         saver.save("123", items);
+ */
+export class JournalTracker<T> {
+    private _changes: IJournalEntry<T>[] = [];
+
+    /**
+     * Gets a saver as a journal when it implements [[IJournalSaver]].
+     *
+     * @param saver     a saver to be checked.
+     * @returns the journal or null if the saver is not a journal.
+     */
+    public static getJournal<T>(saver: ISaver<T>): IJournalSaver<T> {
+        let journal: any = saver;
+        return journal != null && _.isFunction(journal.append) ? journal : null;
+    }
+
+    /**
+     * Checks if changes are known, so only they can be saved.
+     *
+     * @returns true if changes are tracked and false if all items shall be saved.
+     */
+    public isTracking(): boolean {
+        return this._changes != null;
+    }
+
+    /**
+     * Records a change when changes are tracked.
+     *
+     * @param change    a change of items.
+     */
+    public record(change: IJournalEntry<T>): void {
+        if (this._changes != null)
+            this._changes.push(change);
+    }
+
+    /**
+     * Takes recorded changes to save them and starts tracking new changes.
+     *
+     * @returns a list of changes or null if they are not tracked.
+     */
+    public take(): IJournalEntry<T>[] {
+        let changes = this._changes;
+        this._changes = [];
+        return changes;
+    }
+
+    /**
+     * Starts tracking changes when items are in sync with the saved ones.
+     */
+    public reset(): void {
+        this._changes = [];
+    }
+
+    /**
+     * Stops tracking changes when it is not known what was changed,
+     * so all items are saved next time.
+     */
+    public invalidate(): void {
+        this._changes = null;
+    }
+
+    /**
+     * Creates a checkpoint to roll changes back to it.
+     *
+     * @returns a copy of recorded changes or null if they are not tracked.
+     */
+    public checkpoint(): IJournalEntry<T>[] {
+        return this._changes != null ? this._changes.slice() : null;
+    }
+
+    /**
+     * Rolls changes back to a checkpoint.
+     *
+     * @param checkpoint    a checkpoint returned by [[checkpoint]].
+     */
+    public restore(checkpoint: IJournalEntry<T>[]): void {
+        this._changes = checkpoint;
+    }
+
+}
@@ -1,30 +1,35 @@
 /** @module persistence */
-/** @hidden */
-const fs = require('fs');
-
-import { IConfigurable } from 'pip-services3-commons-node';
-import { ConfigParams } from 'pip-services3-commons-node';
-import { ConfigException } from 'pip-services3-commons-node';
-import { FileException } from 'pip-services3-commons-node';
 import { JsonConverter } from 'pip-services3-commons-node';
+import { MapConverter } from 'pip-services3-commons-node';
 import { ArrayConverter } from 'pip-services3-commons-node';
 
-import { ILoader } from '../ILoader';
-import { ISaver } from '../ISaver';
+import { FilePersister } from './FilePersister';
 
 /**
- * Persistence component that loads and saves data from/to flat file.
+ * Persistence component that loads and saves data from/to flat file in JSON format.
  * 
  * It is used by [[FilePersistence]], but can be useful on its own.
  * 
+ * Data is written atomically: it goes into a temporary file that is flushed to disk
+ * and then renamed over the data file. Optionally the persister keeps a number of
+ * rotating backups of previous versions of the file (<code>data.json.1.bak</code> is the latest)
+ * and restores data from them when the data file is corrupted.
+ * 
  * ### Configuration parameters ###
  * 
- * - path:          path to the file where data is stored
+ * - path:              path to the file where data is stored
+ * - options:
+ *     - backup_count:  number of backup copies of previous data files to keep (default: 0)
+ *     - watch_interval: interval in milliseconds to check the watched data file (default: 1000)
+ *     - locking:       true to lock the data file when it is read or written (default: false)
+ *     - lock_timeout:  time in milliseconds to wait for locks of other processes (default: 5000)
+ *     - lock_stale_timeout: age in milliseconds after which locks are considered stale (default: 30000)
+ *     - read_modify_write: true to detect modifications made by other processes before writes (default: false)
  * 
  * ### Example ###
  * 
  *     let persister = new JsonFilePersister("./data/data.json");
- *     
+ * 
  *     persister.save("123", ["A", "B", "C"], (err) => {
  *         ...
  *         persister.load("123", (err, items) => {
@@ -32,8 +37,7 @@ import { ISaver } from '../ISaver';
  *         });
  *     });
  */
-export class JsonFilePersister<T> implements ILoader<T>, ISaver<T>, IConfigurable {
-    private _path: string;
+export class JsonFilePersister<T> extends FilePersister<T> {
 
     /**
      * Creates a new instance of the persistence.
@@ -41,86 +45,29 @@ export class JsonFilePersister<T> implements ILoader<T>, ISaver<T>, IConfigurabl
      * @param path  (optional) a path to the file where data is stored.
      */
     public constructor(path?: string) {
-        this._path = path;
-    }
-
-    /**
-     * Gets the file path where data is stored.
-     * 
-     * @returns the file path where data is stored.
-     */
-    public get path(): string {
-        return this._path;
+        super(path);
     }
 
     /**
-     * Sets the file path where data is stored.
+     * Converts the content of a JSON file into data items.
      * 
-     * @param value     the file path where data is stored.
+     * @param data  the content of a data file.
+     * @returns a list of data items.
      */
-    public set path(value: string) {
-        this._path = value;
+    protected parseData(data: string): T[] {
+        // Parse JSON directly to detect corrupted files
+        let list = MapConverter.toNullableMap(JSON.parse(data));
+        return ArrayConverter.listToArray(list);
     }
 
     /**
-     * Configures component by passing configuration parameters.
+     * Converts data items into JSON.
      * 
-     * @param config    configuration parameters to be set.
+     * @param items     a list of data items.
+     * @returns the content of a data file.
      */
-    public configure(config: ConfigParams): void {
-        this._path = config.getAsStringWithDefault("path", this._path);
-    }
-
-    /**
-     * Loads data items from external JSON file.
-     * 
-     * @param correlation_id    (optional) transaction id to trace execution through call chain.
-     * @param callback          callback function that receives loaded items or error.
-     */
-    public load(correlation_id: string, callback: (err: any, data: T[]) => void): void {
-        if (this._path == null) {
-            callback(new ConfigException(null, "NO_PATH", "Data file path is not set"), null);
-            return;
-        }
-
-        if (!fs.existsSync(this._path)) {
-            callback(null, []);
-            return;
-        }
-
-        try {
-            let json: any = fs.readFileSync(this._path, "utf8");
-            let list = JsonConverter.toNullableMap(json);
-            let arr = ArrayConverter.listToArray(list);
-
-            callback(null, arr);
-        } catch (ex) {
-            let err = new FileException(correlation_id, "READ_FAILED", "Failed to read data file: " + this._path)
-                .withCause(ex);
-
-            callback(err, null);
-        }
-    }
-
-    /**
-     * Saves given data items to external JSON file.
-     * 
-     * @param correlation_id    (optional) transaction id to trace execution through call chain.
-     * @param items             list if data items to save
-     * @param callback          callback function that error or null for success.
-     */
-    public save(correlation_id: string, items: T[], callback?: (err: any) => void): void {
-        try {
-            let json = JsonConverter.toJson(items);
-            fs.writeFileSync(this._path, json);
-            if (callback) callback(null);
-        } catch (ex) {
-            let err = new FileException(correlation_id, "WRITE_FAILED", "Failed to write data file: " + this._path)
-                .withCause(ex);
-
-            if (callback) callback(err);
-            else throw err;
-        }
+    protected formatData(items: T[]): string {
+        return JsonConverter.toJson(items);
     }
 
 }
@@ -0,0 +1,357 @@
+/** @module persistence */
+/** @hidden */
+const fs = require('fs');
+
+import { IConfigurable } from 'pip-services3-commons-node';
+import { ConfigParams } from 'pip-services3-commons-node';
+import { ConfigException } from 'pip-services3-commons-node';
+import { FileException } from 'pip-services3-commons-node';
+import { JsonConverter } from 'pip-services3-commons-node';
+
+import { ILoader } from '../ILoader';
+import { IJournalSaver } from '../IJournalSaver';
+import { IJournalEntry } from '../IJournalEntry';
+
+import { PromiseAdapter } from './PromiseAdapter';
+
+/**
+ * Persistence component that stores data as a snapshot file and a journal of changes.
+ *
+ * Every change is appended to the journal (<code>data.json.journal</code>) as a separate JSON line,
+ * so writing a change does not depend on the total number of items.
+ * On [[load]] the journal is replayed over the snapshot. When the journal grows
+ * over the configured number of changes it is compacted: all items are written into
+ * the snapshot file and the journal is truncated.
+ *
+ * Journal entries are numbered, and the snapshot keeps the number of the last included entry.
+ * That makes compaction safe when the process stops after the snapshot is written but
+ * before the journal is truncated. A partially written last line of the journal is ignored.
+ *
+ * The persister can be passed as loader and saver to [[MemoryPersistence]].
+ * Saving all items with [[save]] compacts the journal.
+ *
+ * ### Configuration parameters ###
+ *
+ * - path:                  path to the snapshot file where data is stored
+ * - options:
+ *     - compact_changes:   number of journal entries to compact the journal (default: 1000). 0 disables compaction on append.
+ *
+ * ### Example ###
+ *
+ *     let persister = new JsonJournalPersister<MyData>("./data/data.json");
+ *     let persistence = new IdentifiableMemoryPersistence<MyData, string>(persister, persister);
+ *
+ *     persistence.open("123", (err) => {
+ *         persistence.create("123", { id: "1", name: "ABC" }, (err, item) => {
+ *             // Only the created item is appended to ./data/data.json.journal
+ *         });
+ *     });
+ */
+export class JsonJournalPersister<T> implements ILoader<T>, IJournalSaver<T>, IConfigurable {
+    private _path: string;
+    private _compactChanges: number = 1000;
+    private _sequence: number = 0;
+    private _journalSize: number = 0;
+
+    /**
+     * Creates a new instance of the persister.
+     *
+     * @param path  (optional) a path to the snapshot file where data is stored.
+     */
+    public constructor(path?: string) {
+        this._path = path;
+    }
+
+    /**
+     * Gets the path to the snapshot file where data is stored.
+     *
+     * @returns the snapshot file path.
+     */
+    public get path(): string {
+        return this._path;
+    }
+
+    /**
+     * Sets the path to the snapshot file where data is stored.
+     *
+     * @param value     the snapshot file path.
+     */
+    public set path(value: string) {
+        this._path = value;
+    }
+
+    /**
+     * Gets the path to the journal file.
+     *
+     * @returns the journal file path.
+     */
+    public get journalPath(): string {
+        return this._path + ".journal";
+    }
+
+    /**
+     * Gets the number of journal entries to compact the journal.
+     *
+     * @returns the number of journal entries.
+     */
+    public get compactChanges(): number {
+        return this._compactChanges;
+    }
+
+    /**
+     * Sets the number of journal entries to compact the journal.
+     *
+     * @param value     the number of journal entries. 0 disables compaction on append.
+     */
+    public set compactChanges(value: number) {
+        this._compactChanges = value;
+    }
+
+    /**
+     * Configures component by passing configuration parameters.
+     *
+     * @param config    configuration parameters to be set.
+     */
+    public configure(config: ConfigParams): void {
+        this._path = config.getAsStringWithDefault("path", this._path);
+        this._compactChanges = config.getAsIntegerWithDefault("options.compact_changes", this._compactChanges);
+    }
+
+    private readSnapshot(): { sequence: number, items: T[] } {
+        if (!fs.existsSync(this._path))
+            return { sequence: 0, items: [] };
+
+        let value = JSON.parse(fs.readFileSync(this._path, "utf8"));
+
+        // Plain arrays are written by JsonFilePersister
+        if (Array.isArray(value))
+            return { sequence: 0, items: value };
+
+        if (value == null || !Array.isArray(value.items))
+            throw new Error("Snapshot does not contain a list of items");
+
+        return { sequence: value.sequence || 0, items: value.items };
+    }
+
+    private applyEntry(items: T[], entry: IJournalEntry<T>): T[] {
+        let position = entry.position;
+        let valid = position != null && position >= 0 && position < items.length;
+
+        switch (entry.operation) {
+            case "create":
+                items.push(entry.item);
+                return items;
+            case "update":
+                if (!valid) break;
+                items[position] = entry.item;
+                return items;
+            case "delete":
+                if (!valid) break;
+                items.splice(position, 1);
+                return items;
+            case "clear":
+                return [];
+        }
+
+        throw new Error("Journal entry " + JSON.stringify(entry) + " cannot be applied");
+    }
+
+    /**
+     * Loads data items from the snapshot file and replays the journal over them.
+     *
+     * @param correlation_id    (optional) transaction id to trace execution through call chain.
+     * @param callback          callback function that receives loaded items or error.
+     */
+    public load(correlation_id: string, callback: (err: any, data: T[]) => void): void {
+        if (this._path == null) {
+            callback(new ConfigException(null, "NO_PATH", "Data file path is not set"), null);
+            return;
+        }
+
+        let items: T[];
+        let torn = false;
+
+        try {
+            let snapshot = this.readSnapshot();
+            items = snapshot.items;
+            this._sequence = snapshot.sequence;
+            this._journalSize = 0;
+
+            let lines = fs.existsSync(this.journalPath)
+                ? fs.readFileSync(this.journalPath, "utf8").split("\n") : [];
+            // Skip the empty line after the last line break
+            if (lines.length > 0 && lines[lines.length - 1] == "") lines.pop();
+
+            for (let index = 0; index < lines.length; index++) {
+                let entry: any;
+                try {
+                    entry = JSON.parse(lines[index]);
+                } catch (ex) {
+                    // The last line could be partially written when the process stopped
+                    if (index == lines.length - 1) {
+                        torn = true;
+                        break;
+                    }
+                    throw ex;
+                }
+
+                // Entries already included into the snapshot
+                if (entry.sequence <= snapshot.sequence) continue;
+
+                items = this.applyEntry(items, entry);
+                this._sequence = entry.sequence;
+                this._journalSize++;
+            }
+        } catch (ex) {
+            let err = new FileException(correlation_id, "READ_FAILED", "Failed to read data file: " + this._path)
+                .withCause(ex);
+
+            callback(err, null);
+            return;
+        }
+
+        if (!torn) {
+            callback(null, items);
+            return;
+        }
+
+        // Remove the broken line so new entries are not appended after it
+        this.save(correlation_id, items, (err) => {
+            callback(err, err == null ? items : null);
+        });
+    }
+
+    private writeFile(path: string, flags: string, data: string): void {
+        let fd = fs.openSync(path, flags);
+        try {
+            fs.writeSync(fd, data);
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    /**
+     * Compacts the journal by writing all given data items into the snapshot file
+     * and truncating the journal.
+     *
+     * @param correlation_id    (optional) transaction id to trace execution through call chain.
+     * @param items             list of data items to save
+     * @param callback          callback function that error or null for success.
+     */
+    public save(correlation_id: string, items: T[], callback?: (err: any) => void): void {
+        let tempPath = this._path + ".tmp";
+
+        try {
+            let json = JsonConverter.toJson({ sequence: this._sequence, items: items });
+
+            // The snapshot is replaced atomically. If the process stops before the journal
+            // is truncated, entries up to the sequence are skipped on load.
+            this.writeFile(tempPath, "w", json);
+            fs.renameSync(tempPath, this._path);
+
+            if (fs.existsSync(this.journalPath))
+                fs.truncateSync(this.journalPath, 0);
+            this._journalSize = 0;
+
+            if (callback) callback(null);
+        } catch (ex) {
+            try {
+                if (fs.existsSync(tempPath)) fs.unlinkSync(tempPath);
+            } catch (ex) {
+                // Ignore cleanup errors
+            }
+
+            let err = new FileException(correlation_id, "WRITE_FAILED", "Failed to write data file: " + this._path)
+                .withCause(ex);
+
+            if (callback) callback(err);
+            else throw err;
+        }
+    }
+
+    /**
+     * Appends changes of data items to the journal file.
+     * When the journal grows over the configured number of entries it is compacted.
+     *
+     * @param correlation_id    (optional) transaction id to trace execution through call chain.
+     * @param changes           a list of changes in the order they were made.
+     * @param items             a list of all items after the changes. It is used to compact the journal.
+     * @param callback          callback function that error or null for success.
+     */
+    public append(correlation_id: string, changes: IJournalEntry<T>[], items: T[],
+        callback?: (err: any) => void): void {
+        if (changes == null || changes.length == 0) {
+            if (callback) callback(null);
+            return;
+        }
+
+        let sequence = this._sequence;
+
+        try {
+            let lines = "";
+            for (let change of changes) {
+                sequence++;
+                lines += JsonConverter.toJson({
+                    sequence: sequence,
+                    operation: change.operation,
+                    position: change.position,
+                    item: change.item
+                }) + "\n";
+            }
+
+            this.writeFile(this.journalPath, "a", lines);
+        } catch (ex) {
+            let err = new FileException(correlation_id, "WRITE_FAILED", "Failed to write journal file: " + this.journalPath)
+                .withCause(ex);
+
+            if (callback) callback(err);
+            else throw err;
+            return;
+        }
+
+        this._sequence = sequence;
+        this._journalSize += changes.length;
+
+        if (this._compactChanges > 0 && this._journalSize >= this._compactChanges) {
+            this.save(correlation_id, items, callback);
+            return;
+        }
+
+        if (callback) callback(null);
+    }
+
+    /**
+     * Loads data items from external file and returns a promise.
+     * 
+     * @param correlation_id    (optional) transaction id to trace execution through call chain.
+     * @returns a promise that is resolved with loaded items.
+     */
+    public loadAsync(correlation_id: string): Promise<T[]> {
+        return PromiseAdapter.invoke<T[]>((callback) => this.load(correlation_id, callback));
+    }
+
+    /**
+     * Saves given data items to external file and returns a promise.
+     * 
+     * @param correlation_id    (optional) transaction id to trace execution through call chain.
+     * @param items             list if data items to save
+     * @returns a promise that is resolved when data is saved.
+     */
+    public saveAsync(correlation_id: string, items: T[]): Promise<void> {
+        return PromiseAdapter.invoke<void>((callback) => this.save(correlation_id, items, callback));
+    }
+
+    /**
+     * Appends changes of data items to the journal file and returns a promise.
+     * 
+     * @param correlation_id    (optional) transaction id to trace execution through call chain.
+     * @param changes           a list of changes in the order they were made.
+     * @param items             a list of all items after the changes. It is used to compact the journal.
+     * @returns a promise that is resolved when changes are written.
+     */
+    public appendAsync(correlation_id: string, changes: IJournalEntry<T>[], items: T[]): Promise<void> {
+        return PromiseAdapter.invoke<void>((callback) => this.append(correlation_id, changes, items, callback));
+    }
+
+}
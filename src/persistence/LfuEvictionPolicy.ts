@@ -0,0 +1,123 @@
+/** @module persistence */
+import { IEvictionPolicy } from '../IEvictionPolicy';
+
+/**
+ * Eviction policy that evicts the least frequently used items.
+ * Items with the same number of accesses are evicted in the order they were added.
+ *
+ * Replaced items keep their access counts. The last added item is never selected
+ * while there are other items, so new items are not evicted right after they are added.
+ *
+ * @see [[MemoryPersistence]]
+ */
+export class LfuEvictionPolicy<T> implements IEvictionPolicy<T> {
+    private _counts = new Map<T, number>();
+    private _buckets = new Map<number, Set<T>>();
+    private _lastAdded: T = null;
+
+    private addToBucket(item: T, count: number): void {
+        let bucket = this._buckets.get(count);
+        if (bucket == null) {
+            bucket = new Set<T>();
+            this._buckets.set(count, bucket);
+        }
+        bucket.add(item);
+        this._counts.set(item, count);
+    }
+
+    private removeFromBucket(item: T, count: number): void {
+        let bucket = this._buckets.get(count);
+        bucket.delete(item);
+        if (bucket.size == 0)
+            this._buckets.delete(count);
+        this._counts.delete(item);
+    }
+
+    /**
+     * Starts tracking of an added item.
+     *
+     * @param item  an added item.
+     */
+    public add(item: T): void {
+        if (this._counts.has(item)) return;
+
+        this.addToBucket(item, 1);
+        this._lastAdded = item;
+    }
+
+    /**
+     * Registers an access to a tracked item.
+     *
+     * @param item  an accessed item.
+     */
+    public access(item: T): void {
+        let count = this._counts.get(item);
+        if (count == null) return;
+
+        this.removeFromBucket(item, count);
+        this.addToBucket(item, count + 1);
+    }
+
+    /**
+     * Replaces a tracked item with its new version.
+     *
+     * @param oldItem   a replaced item.
+     * @param newItem   a new version of the item.
+     */
+    public replace(oldItem: T, newItem: T): void {
+        let count = this._counts.get(oldItem);
+        if (count == null) {
+            this.add(newItem);
+            return;
+        }
+
+        this.removeFromBucket(oldItem, count);
+        this.addToBucket(newItem, count);
+        if (this._lastAdded === oldItem)
+            this._lastAdded = newItem;
+    }
+
+    /**
+     * Stops tracking of a removed item.
+     *
+     * @param item  a removed item.
+     */
+    public remove(item: T): void {
+        let count = this._counts.get(item);
+        if (count == null) return;
+
+        this.removeFromBucket(item, count);
+        if (this._lastAdded === item)
+            this._lastAdded = null;
+    }
+
+    /**
+     * Chooses the least frequently used item to be evicted.
+     *
+     * @returns an item to be evicted or null if there are no items.
+     */
+    public select(): T {
+        if (this._counts.size == 0) return null;
+
+        // Distinct counts are usually much fewer than items, so sorting them is cheap
+        let counts = Array.from(this._buckets.keys()).sort((a, b) => a - b);
+
+        for (let count of counts) {
+            for (let item of this._buckets.get(count)) {
+                if (item !== this._lastAdded) return item;
+            }
+        }
+
+        return this._lastAdded;
+    }
+
+    /**
+     * Stops tracking of all items.
+     */
+    public clear(): void {
+        this._counts.clear();
+        this._buckets.clear();
+        this._lastAdded = null;
+    }
+
+}
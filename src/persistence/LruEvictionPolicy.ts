@@ -0,0 +1,71 @@
+/** @module persistence */
+import { IEvictionPolicy } from '../IEvictionPolicy';
+
+/**
+ * Eviction policy that evicts the least recently used items.
+ * Items are used when they are added, accessed or replaced.
+ *
+ * @see [[MemoryPersistence]]
+ */
+export class LruEvictionPolicy<T> implements IEvictionPolicy<T> {
+    // Sets keep insertion order, so the least recently used item goes first
+    private _items = new Set<T>();
+
+    /**
+     * Starts tracking of an added item.
+     *
+     * @param item  an added item.
+     */
+    public add(item: T): void {
+        this._items.delete(item);
+        this._items.add(item);
+    }
+
+    /**
+     * Registers an access to a tracked item.
+     *
+     * @param item  an accessed item.
+     */
+    public access(item: T): void {
+        if (this._items.delete(item))
+            this._items.add(item);
+    }
+
+    /**
+     * Replaces a tracked item with its new version.
+     *
+     * @param oldItem   a replaced item.
+     * @param newItem   a new version of the item.
+     */
+    public replace(oldItem: T, newItem: T): void {
+        this._items.delete(oldItem);
+        this._items.add(newItem);
+    }
+
+    /**
+     * Stops tracking of a removed item.
+     *
+     * @param item  a removed item.
+     */
+    public remove(item: T): void {
+        this._items.delete(item);
+    }
+
+    /**
+     * Chooses the least recently used item to be evicted.
+     *
+     * @returns an item to be evicted or null if there are no items.
+     */
+    public select(): T {
+        let first = this._items.values().next();
+        return first.done ? null : first.value;
+    }
+
+    /**
+     * Stops tracking of all items.
+     */
+    public clear(): void {
+        this._items.clear();
+    }
+
+}
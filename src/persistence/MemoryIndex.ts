@@ -0,0 +1,186 @@
+/** @module persistence */
+/** @hidden */
+let _ = require('lodash');
+
+import { StringConverter } from 'pip-services3-commons-node';
+
+import { FilterComposer } from './FilterComposer';
+
+/** @hidden */
+const LooseTypes = ["string", "number", "boolean", "date", "object"];
+
+/**
+ * Hash index over one or more fields of data items stored in memory.
+ *
+ * Field values are compared by their type and string representation,
+ * so numeric 1 and string "1" are different values.
+ * Nested fields are defined using dot notation. When a field contains an array,
+ * the item is indexed by every element of the array.
+ * Items where any of the indexed fields is missing or null are not indexed.
+ *
+ * The index is used by [[MemoryPersistence]] to find items by equality conditions
+ * and to enforce unique constraints.
+ *
+ * @see [[MemoryPersistence.defineIndex]]
+ *
+ * ### Example ###
+ *
+ *     let index = new MemoryIndex<MyData>("name_city", ["name", "address.city"], true);
+ *     index.add({ id: "1", name: "ABC", address: { city: "Tucson" } });
+ *
+ *     let items = index.find({ name: "ABC", "address.city": "Tucson" });
+ */
+export class MemoryIndex<T> {
+    private _name: string;
+    private _fields: string[];
+    private _unique: boolean;
+    private _entries = new Map<string, Set<T>>();
+
+    /**
+     * Creates a new instance of the index.
+     *
+     * @param name      a name of the index.
+     * @param fields    a list of indexed fields.
+     * @param unique    (optional) true to allow only one item per each combination of field values. Default: false
+     */
+    public constructor(name: string, fields: string[], unique: boolean = false) {
+        this._name = name;
+        this._fields = fields;
+        this._unique = unique;
+    }
+
+    /**
+     * Gets the name of the index.
+     */
+    public get name(): string {
+        return this._name;
+    }
+
+    /**
+     * Gets the list of indexed fields.
+     */
+    public get fields(): string[] {
+        return this._fields;
+    }
+
+    /**
+     * Checks if the index is unique.
+     */
+    public get unique(): boolean {
+        return this._unique;
+    }
+
+    /**
+     * Removes all items from the index.
+     */
+    public clear(): void {
+        this._entries.clear();
+    }
+
+    /**
+     * Adds an item to the index.
+     *
+     * @param item  an item to be added.
+     */
+    public add(item: T): void {
+        for (let key of this.getItemKeys(item)) {
+            let entry = this._entries.get(key);
+            if (entry == null) {
+                entry = new Set<T>();
+                this._entries.set(key, entry);
+            }
+            entry.add(item);
+        }
+    }
+
+    /**
+     * Removes an item from the index.
+     * The item must have the same field values as when it was added.
+     *
+     * @param item  an item to be removed.
+     */
+    public remove(item: T): void {
+        for (let key of this.getItemKeys(item)) {
+            let entry = this._entries.get(key);
+            if (entry == null) continue;
+            entry.delete(item);
+            if (entry.size == 0)
+                this._entries.delete(key);
+        }
+    }
+
+    /**
+     * Finds an indexed item that has the same field values as a given item.
+     * It is used to check unique constraints before the item is written.
+     *
+     * @param item      an item to be checked.
+     * @param replaced  (optional) an item that is going to be replaced and shall be ignored.
+     * @returns a conflicting item or null if there are no conflicts.
+     */
+    public findConflict(item: T, replaced?: T): T {
+        for (let key of this.getItemKeys(item)) {
+            let entry = this._entries.get(key);
+            if (entry == null) continue;
+            for (let existing of entry) {
+                if (existing !== replaced) return existing;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Finds items by values of the indexed fields.
+     *
+     * In loose mode string values also match non-string field values with the same
+     * string representation. It is used for FilterParams where all values are strings.
+     *
+     * @param values    a map with values of indexed fields.
+     * @param loose     (optional) true to match values by their string representation only. Default: false
+     * @returns found items or null if values for some indexed fields are not defined.
+     */
+    public find(values: any, loose: boolean = false): T[] {
+        let keys: string[][] = [[]];
+        for (let field of this._fields) {
+            let part = MemoryIndex.toKeyPart(values[field]);
+            if (part == null) return null;
+
+            let parts = [part];
+            if (loose && _.isString(values[field]))
+                parts = _.map(LooseTypes, (type) => type + ":" + values[field]);
+
+            keys = _.flatMap(keys, (key) => _.map(parts, (p) => key.concat([p])));
+        }
+
+        let result = new Set<T>();
+        for (let key of keys) {
+            let entry = this._entries.get(JSON.stringify(key));
+            if (entry != null) entry.forEach((item) => result.add(item));
+        }
+        return Array.from(result);
+    }
+
+    private static toKeyPart(value: any): string {
+        let text = StringConverter.toNullableString(value);
+        if (text == null) return null;
+
+        let type = _.isDate(value) ? "date" : typeof value;
+        return type + ":" + text;
+    }
+
+    private getItemKeys(item: T): string[] {
+        let keys: string[][] = [[]];
+
+        for (let field of this._fields) {
+            let values = _.uniq(_.filter(
+                _.map(FilterComposer.getFieldValues(item, field), (v) => _.isArray(v) ? null : MemoryIndex.toKeyPart(v)),
+                (v) => v != null
+            ));
+            if (values.length == 0) return [];
+
+            keys = _.flatMap(keys, (key) => _.map(values, (value) => key.concat([value])));
+        }
+
+        return _.map(keys, (key) => JSON.stringify(key));
+    }
+
+}
@@ -7,13 +7,46 @@ import { IReferences } from 'pip-services3-commons-node';
 import { IOpenable } from 'pip-services3-commons-node';
 import { ICleanable } from 'pip-services3-commons-node';
 import { PagingParams } from 'pip-services3-commons-node';
+import { SortParams } from 'pip-services3-commons-node';
 import { DataPage } from 'pip-services3-commons-node';
+import { ConflictException } from 'pip-services3-commons-node';
+import { ConfigException } from 'pip-services3-commons-node';
+import { InvalidStateException } from 'pip-services3-commons-node';
+import { BadRequestException } from 'pip-services3-commons-node';
 import { ConfigParams } from 'pip-services3-commons-node';
 import { IConfigurable } from 'pip-services3-commons-node';
+import { JsonConverter } from 'pip-services3-commons-node';
+import { DateTimeConverter } from 'pip-services3-commons-node';
+import { Schema } from 'pip-services3-commons-node';
+import { ValidationException } from 'pip-services3-commons-node';
 import { CompositeLogger } from 'pip-services3-components-node';
+import { CompositeCounters } from 'pip-services3-components-node';
 
 import { ILoader } from '../ILoader';
 import { ISaver } from '../ISaver';
+import { IJournalEntry } from '../IJournalEntry';
+import { IChangeListener } from '../IChangeListener';
+import { ChangeEvent } from '../ChangeEvent';
+import { IEvictionPolicy } from '../IEvictionPolicy';
+import { Snapshot } from '../Snapshot';
+import { IQuerableReader } from '../IQuerableReader';
+import { IQuerablePageReader } from '../IQuerablePageReader';
+import { ProjectionComposer } from './ProjectionComposer';
+import { FilterComposer } from './FilterComposer';
+import { QueryParser } from './QueryParser';
+import { SortComposer } from './SortComposer';
+import { AggregateComposer } from './AggregateComposer';
+import { PageComposer } from './PageComposer';
+import { SnapshotComposer } from './SnapshotComposer';
+import { MemoryIndex } from './MemoryIndex';
+import { IndexTracker } from './IndexTracker';
+import { CapacityTracker } from './CapacityTracker';
+import { SaveScheduler } from './SaveScheduler';
+import { ItemValidator } from './ItemValidator';
+import { ChangeNotifier } from './ChangeNotifier';
+import { JournalTracker } from './JournalTracker';
+import { TransactionCoordinator } from './TransactionCoordinator';
+import { AsyncMemoryPersistence } from './AsyncMemoryPersistence';
 
 /**
  * Abstract persistence component that stores data in memory.
@@ -27,14 +60,92 @@ import { ISaver } from '../ISaver';
  * That allows to use it as a base class for file and other types
  * of persistence components that cache all data in memory. 
  * 
+ * Out of the box the component can retrieve items using text queries
+ * defined in [[QueryParser]] syntax via [[getListByQuery]] and [[getPageByQuery]] methods.
+ * 
+ * When a validation [[schema]] is set, written items are validated, and invalid writes fail
+ * with ValidationException. Items are also validated on load. Invalid loaded items are reported in logs,
+ * quarantined or fail the load according to the configured action. Quarantined items are removed
+ * from the data source and kept aside (see [[quarantineItems]] and [[getQuarantinedItems]]).
+ * Validation is implemented by [[ItemValidator]].
+ * 
+ * Child classes can expose reporting queries using [[getAggregateByFilter]] and [[getDistinctValues]]
+ * that group items and calculate aggregated values like MongoDB aggregation pipelines.
+ * 
+ * Pages can be requested by skip and take in PagingParams or by cursors in [[CursorPagingParams]]
+ * (see [[PageComposer]]).
+ * Cursor pages are returned as [[CursorDataPage]] with a cursor to the next page. The cursor
+ * holds sort values and the key of the last returned item (see [[getCursorKey]]), so the next page starts
+ * right after that item even when other items were inserted or deleted. Items with equal sort values
+ * and items without sorting are ordered by their keys.
+ * 
+ * Public and protected methods that take callbacks have promise-returning variants with <code>Async</code>
+ * suffix, like [[getPageByQueryAsync]] or [[runInTransactionAsync]]. Errors are returned as rejected promises.
+ * The variants are inherited from [[AsyncMemoryPersistence]].
+ * Child classes can wrap their own methods the same way with [[PromiseAdapter]].
+ * 
+ * The full state can be captured with [[createSnapshot]] and restored with [[restoreSnapshot]],
+ * for instance to reset tests to known fixtures. [[exportSnapshot]] and [[importSnapshot]] write
+ * and read snapshots with any saver and loader, so backups can be taken while the component is running.
+ * [[diffSnapshots]] returns changes between two snapshots.
+ * 
+ * Child classes can declare hash indexes with [[defineIndex]] method. The indexes
+ * are used to find items by equality conditions in filters and to enforce unique constraints.
+ * Indexes are rebuilt automatically when <code>this._items</code> is replaced or its length changes.
+ * Child classes that replace items inside <code>this._items</code> directly must call [[rebuildIndexes]].
+ * Positions of items and indexes are tracked by [[IndexTracker]].
+ * 
+ * Changes are written by [[save]] method according to the configured save policy
+ * (see [[SaveScheduler]]): right away, once in an interval, in batches or on close.
+ * Regardless of the policy all unsaved changes are saved on [[close]] or by calling [[flush]].
+ * 
+ * When the saver implements [[IJournalSaver]] (like [[JsonJournalPersister]]) only the changes
+ * made since the last save are passed to it (see [[JournalTracker]]). Items are tracked when they
+ * are changed via [[insertItem]], [[replaceItem]], [[removeItem]] and the standard operations.
+ * When <code>this._items</code> is replaced, or items are added, removed or replaced in it directly, or [[rebuildIndexes]] is called,
+ * all items are saved on the next save. Stored items changed in place are not detected: child classes
+ * shall replace them with changed copies or call [[rebuildIndexes]] before [[save]].
+ * 
+ * Several writes can be applied atomically in a transaction started by [[beginTransaction]] or
+ * [[runInTransaction]] (see [[TransactionCoordinator]]). Changes made in the transaction are saved once on [[commitTransaction]].
+ * [[rollbackTransaction]] restores items to the state they had when the transaction began.
+ * Only one transaction can be active at a time, and all writes made while it is active become part of it.
+ * Transactions are not isolated: writes are applied to items in memory right away, so all reads
+ * made while the transaction is active, including reads of other callers, see its uncommitted changes.
+ * 
+ * Components that implement [[IChangeListener]] receive events about created, updated and deleted items
+ * (see [[ChangeNotifier]]).
+ * They can be added with [[addChangeListener]] method or via references. Events are sent right after
+ * items are changed in memory, before the changes are saved.
+ * Events of a transaction are sent after it is committed and saved.
+ * 
+ * The number of items and their approximate memory size can be limited. When a write
+ * exceeds the limits, items chosen by the eviction policy are removed and <code>evicted</code>
+ * events are sent about them. Built-in policies evict least recently used (<code>lru</code>),
+ * least frequently used (<code>lfu</code>) or earliest added (<code>fifo</code>) items,
+ * and custom policies can be set via [[evictionPolicy]] property. Items are used when they are written
+ * and when they are read by child classes via [[accessItem]], like <code>getOneById</code> does.
+ * Numbers of hits, misses and evictions are returned by [[getCacheStats]] and sent to counters.
+ * The limits are supported only by persistences without a saver, since evicted items
+ * would be removed from the data source on the next save. Limits and stats are tracked by [[CapacityTracker]].
+ * 
  * ### Configuration parameters ###
  * 
  * - options:
  *     - max_page_size:       Maximum number of items returned in a single page (default: 100)
+ *     - save_policy:         Policy to save changes: immediate, debounce, batch or close (default: immediate)
+ *     - save_interval:       Interval in milliseconds to save changes with debounce policy (default: 1000)
+ *     - save_changes:        Number of changes to save them with batch policy (default: 100)
+ *     - max_items:           Maximum number of stored items, 0 for no limit. Not supported with a saver (default: 0)
+ *     - max_memory:          Approximate maximum size of stored items in bytes, 0 for no limit. Not supported with a saver (default: 0)
+ *     - eviction_policy:     Policy to evict items when limits are exceeded: lru, lfu or fifo (default: lru)
+ *     - invalid_load_action: Action with invalid items on load: report, quarantine or fail (default: report)
  * 
  * ### References ###
  * 
  * - <code>\*:logger:\*:\*:1.0</code>       (optional) [[https://pip-services3-node.github.io/pip-services3-components-node/interfaces/log.ilogger.html ILogger]] components to pass log messages
+ * - <code>\*:counters:\*:\*:1.0</code>     (optional) [[https://pip-services3-node.github.io/pip-services3-components-node/interfaces/count.icounters.html ICounters]] components to pass <code>persistence.hits</code>, <code>persistence.misses</code> and <code>persistence.evictions</code> counters
+ * - <code>\*:change-listener:\*:\*:1.0</code>  (optional) [[IChangeListener]] components to receive notifications about changed items
  * 
  * ### Example ###
  * 
@@ -61,14 +172,30 @@ import { ISaver } from '../ISaver';
  *         });
  *     });
  */
-export class MemoryPersistence<T> implements IConfigurable, IReferenceable, IOpenable, ICleanable {
+export class MemoryPersistence<T> extends AsyncMemoryPersistence<T>
+    implements IConfigurable, IReferenceable, IOpenable, ICleanable, IQuerableReader<T>, IQuerablePageReader<T> {
     protected _logger: CompositeLogger = new CompositeLogger();
+    protected _counters: CompositeCounters = new CompositeCounters();
     protected _items: T[] = [];
     protected _loader: ILoader<T>;
     protected _saver: ISaver<T>;
     protected _opened: boolean = false;
     protected _maxPageSize: number = 100;
 
+    private _notifier = new ChangeNotifier<T>(this._logger);
+    private _transactions = new TransactionCoordinator<T>(this._logger, this._notifier, {
+        capture: () => this.captureState(),
+        restore: (state, invalidate) => this.restoreState(state, invalidate),
+        save: (correlationId, callback) => this.save(correlationId, callback)
+    });
+    private _saveScheduler = new SaveScheduler();
+    private _validator = new ItemValidator<T>(this._logger);
+
+    private _indexer = new IndexTracker<T>(this._items);
+    private _changes = new JournalTracker<T>();
+
+    private _capacity = new CapacityTracker<T>((item) => this.estimateItemSize(item));
+
     /**
      * Creates a new instance of the persistence.
      * 
@@ -76,6 +203,7 @@ export class MemoryPersistence<T> implements IConfigurable, IReferenceable, IOpe
      * @param saver     (optional) a saver to save items to external datasource.
      */
     public constructor(loader?: ILoader<T>, saver?: ISaver<T>) {
+        super();
         this._loader = loader;
         this._saver = saver;
     }
@@ -87,6 +215,103 @@ export class MemoryPersistence<T> implements IConfigurable, IReferenceable, IOpe
      */
     public configure(config: ConfigParams): void {
         this._maxPageSize = config.getAsIntegerWithDefault("options.max_page_size", this._maxPageSize);
+        this._saveScheduler.configure(config);
+
+        let maxItems = config.getAsIntegerWithDefault("options.max_items", this._capacity.maxItems);
+        let maxMemory = config.getAsLongWithDefault("options.max_memory", this._capacity.maxMemory);
+        if ((maxItems > 0 || maxMemory > 0) && this._saver != null) {
+            throw new ConfigException(
+                null, "EVICTION_NOT_SUPPORTED", "Capacity limits are not supported by persistences that save items"
+            ).withDetails("max_items", maxItems).withDetails("max_memory", maxMemory);
+        }
+        this._capacity.setLimits(maxItems, maxMemory);
+
+        let evictionPolicy = config.getAsNullableString("options.eviction_policy");
+        if (evictionPolicy != null)
+            this._capacity.policy = CapacityTracker.createPolicy<T>(evictionPolicy.toLowerCase());
+
+        this._capacity.reset(this._items);
+
+        this._validator.configure(config);
+    }
+
+    /**
+     * Gets the schema to validate items on write and load.
+     * 
+     * @returns the validation schema or null if items are not validated.
+     */
+    public get schema(): Schema {
+        return this._validator.schema;
+    }
+
+    /**
+     * Sets the schema to validate items on write and load.
+     * 
+     * @param value     the validation schema or null to turn validation off.
+     */
+    public set schema(value: Schema) {
+        this._validator.schema = value;
+    }
+
+    /**
+     * Validates a data item with the schema before it is written.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param item              an item to be validated.
+     * @returns a ValidationException or null if the item is valid or the schema is not set.
+     */
+    protected validateItem(correlationId: string, item: T): ValidationException {
+        return this._validator.validate(correlationId, item);
+    }
+
+    /**
+     * Gets invalid items that were quarantined on load.
+     * 
+     * @returns a list of quarantined items.
+     */
+    public getQuarantinedItems(): T[] {
+        return this._validator.getQuarantinedItems();
+    }
+
+    /**
+     * Quarantines invalid items found on load. By default the items are kept in memory
+     * and returned by [[getQuarantinedItems]]. Child classes can also save them elsewhere.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param items             a list of invalid items.
+     * @param callback          callback function that receives error or null for success.
+     */
+    protected quarantineItems(correlationId: string, items: T[], callback: (err: any) => void): void {
+        this._validator.quarantine(items);
+        callback(null);
+    }
+
+    /**
+     * Gets the policy that chooses items to evict when limits are exceeded.
+     * 
+     * @returns the eviction policy.
+     */
+    public get evictionPolicy(): IEvictionPolicy<T> {
+        return this._capacity.policy;
+    }
+
+    /**
+     * Sets the policy that chooses items to evict when limits are exceeded.
+     * 
+     * @param value     the eviction policy.
+     */
+    public set evictionPolicy(value: IEvictionPolicy<T>) {
+        this._capacity.policy = value;
+        this._capacity.reset(this._items);
+    }
+
+    /**
+     * Gets numbers of hits, misses and evictions since the component was created.
+     * 
+     * @returns an object with numbers of hits, misses and evictions.
+     */
+    public getCacheStats(): { hits: number, misses: number, evictions: number } {
+        return this._capacity.getStats();
     }
 
     /**
@@ -96,6 +321,46 @@ export class MemoryPersistence<T> implements IConfigurable, IReferenceable, IOpe
      */
     public setReferences(references: IReferences): void {
         this._logger.setReferences(references);
+        this._counters.setReferences(references);
+        this._notifier.setReferences(references);
+    }
+
+    /**
+     * Adds a listener to receive notifications about changed items.
+     * 
+     * @param listener  a listener to be added.
+     */
+    public addChangeListener(listener: IChangeListener<T>): void {
+        this._notifier.add(listener);
+    }
+
+    /**
+     * Removes a previously added change listener.
+     * 
+     * @param listener  a listener to be removed.
+     */
+    public removeChangeListener(listener: IChangeListener<T>): void {
+        this._notifier.remove(listener);
+    }
+
+    /**
+     * Notifies change listeners about a changed item.
+     * Errors raised by listeners are logged and do not affect the operation.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param type              an event type: created, updated or deleted.
+     * @param oldItem           an item before the change or null if it was created.
+     * @param newItem           an item after the change or null if it was deleted.
+     */
+    protected notifyChange(correlationId: string, type: string, oldItem: T, newItem: T): void {
+        if (!this._notifier.hasListeners()) return;
+
+        let event = new ChangeEvent<T>(type, correlationId, oldItem, newItem);
+
+        // Events are sent when the transaction is committed
+        if (this._transactions.postponeEvent(event)) return;
+
+        this._notifier.send(event);
     }
 
     /**
@@ -120,6 +385,45 @@ export class MemoryPersistence<T> implements IConfigurable, IReferenceable, IOpe
         });
     }
 
+    /**
+     * Reloads items from external data source and replaces items in memory.
+     * Change events are sent about items that were created, updated or deleted in the data source
+     * since they were loaded. Items are matched by keys returned by [[getCursorKey]].
+     * 
+     * Unsaved changes, including changes waiting to be saved by the debounce timer, are discarded
+     * and a warning is logged about them. Call [[flush]] before to keep them, unless the data source
+     * was modified by another process that shall not be overwritten.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param callback          (optional) callback function that receives error or null for success.
+     */
+    public reload(correlationId: string, callback?: (err: any) => void): void {
+        if (this._transactions.isActive()) {
+            let err = new InvalidStateException(
+                correlationId, "TRANSACTION_ACTIVE", "Items cannot be reloaded during a transaction"
+            );
+            if (callback) callback(err);
+            return;
+        }
+
+        let oldItems = this._items;
+        let unsavedChanges = this._saveScheduler.unsavedChanges;
+        this.load(correlationId, (err) => {
+            if (err == null) {
+                if (unsavedChanges > 0)
+                    this._logger.warn(correlationId, "Discarded %d unsaved changes on reload", unsavedChanges);
+                this._saveScheduler.cancel();
+                this._saveScheduler.reset();
+                let changes = SnapshotComposer.diff(correlationId, oldItems, this._items, (item) => this.getCursorKey(item));
+                for (let event of changes)
+                    this._notifier.send(event);
+                this._logger.debug(correlationId, "Reloaded %d items", this._items.length);
+            }
+
+            if (callback) callback(err);
+        });
+    }
+
     private load(correlationId: string, callback?: (err: any) => void): void {
         if (this._loader == null) {
             if (callback) callback(null);
@@ -127,11 +431,32 @@ export class MemoryPersistence<T> implements IConfigurable, IReferenceable, IOpe
         }
             
         this._loader.load(correlationId, (err: any, items: T[]) => {
-            if (err == null) {
-                this._items = items;
-                this._logger.trace(correlationId, "Loaded %d items", this._items.length);
+            if (err != null) {
+                if (callback) callback(err);
+                return;
             }
-            if (callback) callback(err);
+
+            items = items || [];
+            this._validator.checkLoadedItems(correlationId, items, (invalidItems, callback) => {
+                this.quarantineItems(correlationId, invalidItems, callback);
+            }, (err, validItems) => {
+                if (err != null) {
+                    if (callback) callback(err);
+                    return;
+                }
+
+                this._items = validItems;
+                this.rebuildIndexes();
+                let quarantined = validItems.length < items.length;
+                // Loaded items are in sync with the saver
+                if (!quarantined) this._changes.reset();
+                this._logger.trace(correlationId, "Loaded %d items", this._items.length);
+                this.evictItems(correlationId);
+
+                // Remove quarantined items from the data source
+                if (quarantined) this.flush(correlationId, callback);
+                else if (callback) callback(null);
+            });
         });
     }
 
@@ -142,7 +467,7 @@ export class MemoryPersistence<T> implements IConfigurable, IReferenceable, IOpe
      * @param callback 			callback function that receives error or null no errors occured.
      */
     public close(correlationId: string, callback?: (err: any) => void): void {
-        this.save(correlationId, (err) => {
+        this.flush(correlationId, (err) => {
             this._opened = false;
             
             if (callback) callback(err);
@@ -150,25 +475,184 @@ export class MemoryPersistence<T> implements IConfigurable, IReferenceable, IOpe
     }
 
     /**
-     * Saves items to external data source using configured saver component.
+     * Saves items to external data source using configured saver component
+     * according to the configured save policy. When saving is postponed
+     * the callback is called right away.
      * 
      * @param correlationId     (optional) transaction id to trace execution through call chain.
      * @param callback          (optional) callback function that receives error or null for success.
      */
     public save(correlationId: string, callback?: (err: any) => void): void {
+        // Changes are saved when the transaction is committed
+        if (this._transactions.postponeSave()) {
+            if (callback) callback(null);
+            return;
+        }
+
+        this.evictItems(correlationId);
+
+        if (this._saver == null) {
+            if (callback) callback(null);
+            return;
+        }
+
+        let postponed = this._saveScheduler.postpone(() => {
+            this.flush(correlationId, (err) => {
+                if (err) this._logger.error(correlationId, err, "Failed to save changes");
+            });
+        });
+
+        if (postponed) {
+            if (callback) callback(null);
+            return;
+        }
+
+        this.flush(correlationId, callback);
+    }
+
+    /**
+     * Saves all items to external data source right away regardless of the save policy.
+     * Changes of an active transaction are not saved until it is committed.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param callback          (optional) callback function that receives error or null for success.
+     */
+    public flush(correlationId: string, callback?: (err: any) => void): void {
+        if (this._transactions.isActive()) {
+            if (callback) callback(null);
+            return;
+        }
+
+        this._saveScheduler.cancel();
+
         if (this._saver == null) {
             if (callback) callback(null);
             return;
         }
 
-        let task = this._saver.save(correlationId, this._items, (err: any) => {
-            if (err == null)
+        let journal = JournalTracker.getJournal(this._saver);
+        // Items changed outside of the standard operations are not tracked, so all of them are saved
+        if (journal != null && this._changes.isTracking() && !this._indexer.isIndexed(this._items))
+            this.rebuildIndexes();
+
+        if (journal != null && this._changes.isTracking()) {
+            let changes = this._changes.take();
+
+            journal.append(correlationId, changes, this._items, (err: any) => {
+                if (err == null) {
+                    this._saveScheduler.reset();
+                    this._logger.trace(correlationId, "Saved %d changes", changes.length);
+                } else {
+                    // The journal may be partially written, so save all items next time
+                    this._changes.invalidate();
+                }
+
+                if (callback) callback(err);
+            });
+            return;
+        }
+
+        this._saver.save(correlationId, this._items, (err: any) => {
+            if (err == null) {
+                this._saveScheduler.reset();
+                this._changes.reset();
                 this._logger.trace(correlationId, "Saved %d items", this._items.length);
+            }
 
             if (callback) callback(err);
         });
     }
 
+    /**
+     * Begins a transaction. Writes made until the transaction is committed or rolled back
+     * are not saved and do not send change events. Reads see the uncommitted changes.
+     * 
+     * Only the list of items is copied to roll the transaction back. Stored items
+     * are never changed in place: all writes replace them with updated copies.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * 
+     * @throws an InvalidStateException when another transaction is active.
+     */
+    public beginTransaction(correlationId: string): void {
+        this._transactions.begin(correlationId);
+    }
+
+    /**
+     * Commits the active transaction and saves all its changes at once.
+     * When saving fails the changes are rolled back.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param callback          (optional) callback function that receives error or null for success.
+     */
+    public commitTransaction(correlationId: string, callback?: (err: any) => void): void {
+        this._transactions.commit(correlationId, callback);
+    }
+
+    /**
+     * Rolls back the active transaction and restores items to the state
+     * they had when the transaction began.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     */
+    public rollbackTransaction(correlationId: string): void {
+        this._transactions.rollback(correlationId);
+    }
+
+    /**
+     * Runs an action in a transaction. The transaction is committed when the action succeeds
+     * and rolled back when it returns an error.
+     * 
+     * When another transaction is already active the action joins it. In this case
+     * the changes are committed or rolled back together with the active transaction.
+     * When the action fails only its own changes are rolled back, and the active transaction continues.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param action            an action that makes writes and calls the callback when it is done.
+     * @param callback          (optional) callback function that receives error or null for success.
+     * 
+     * ### Example ###
+     * 
+     *     persistence.runInTransaction("123", (callback) => {
+     *         persistence.update("123", item1, (err) => {
+     *             if (err) callback(err);
+     *             else persistence.update("123", item2, callback);
+     *         });
+     *     }, (err) => {
+     *         // Either both items are updated or none of them
+     *     });
+     */
+    public runInTransaction(correlationId: string, action: (callback: (err?: any) => void) => void,
+        callback?: (err: any) => void): void {
+        this._transactions.run(correlationId, action, callback);
+    }
+
+    private captureState(): { items: T[], changes: IJournalEntry<T>[] } {
+        this.ensureIndexes();
+        return { items: this._items.slice(), changes: this._changes.checkpoint() };
+    }
+
+    private restoreState(state: { items: T[], changes: IJournalEntry<T>[] }, invalidate: boolean): void {
+        this.restoreItems(state.items);
+        if (invalidate) this._changes.invalidate();
+        else this._changes.restore(state.changes);
+    }
+
+    private restoreItems(items: T[]): void {
+        this._items = items;
+        this.rebuildIndexes();
+    }
+
+    /**
+     * Records a change of items to be passed to a journal saver.
+     * 
+     * @param change    a change of items.
+     */
+    protected recordChange(change: IJournalEntry<T>): void {
+        if (JournalTracker.getJournal(this._saver) != null)
+            this._changes.record(change);
+    }
+
     /**
 	 * Clears component state.
 	 * 
@@ -177,125 +661,616 @@ export class MemoryPersistence<T> implements IConfigurable, IReferenceable, IOpe
      */
     public clear(correlationId: string, callback?: (err?: any) => void): void {
         this._items = [];
+        this.rebuildIndexes();
+
+        // Clearing overrides all previous changes
+        this._changes.reset();
+        this.recordChange({ operation: "clear" });
+
         this._logger.trace(correlationId, "Cleared items");
         this.save(correlationId, callback);
     }
 
+    /**
+     * Creates a snapshot with copies of all items. Items are copied, so later changes
+     * do not affect the snapshot.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @returns a snapshot of items.
+     */
+    public createSnapshot(correlationId: string): Snapshot<T> {
+        let snapshot = new Snapshot<T>(_.cloneDeep(this._items));
+        this._logger.trace(correlationId, "Created snapshot with %d items", snapshot.count);
+        return snapshot;
+    }
+
+    /**
+     * Replaces all items with copies of items from a snapshot and saves them like [[clear]] does.
+     * Change events are not sent.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param snapshot          a snapshot to be restored.
+     * @param callback          (optional) callback function that receives error or null for success.
+     */
+    public restoreSnapshot(correlationId: string, snapshot: Snapshot<T>, callback?: (err: any) => void): void {
+        let err = SnapshotComposer.check(correlationId, snapshot);
+        if (err != null) {
+            if (callback) callback(err);
+            return;
+        }
+
+        // Rebuilding indexes also makes the journal save all items
+        this._items = _.cloneDeep(snapshot.items);
+        this.rebuildIndexes();
+
+        this._logger.trace(correlationId, "Restored snapshot with %d items", this._items.length);
+        this.save(correlationId, callback);
+    }
+
+    /**
+     * Compares two snapshots and returns changes that turn the old snapshot into the new one.
+     * Items are matched by keys returned by [[getCursorKey]]. When keys are items in JSON
+     * changed items are returned as deleted and created.
+     * 
+     * @param oldSnapshot   an earlier snapshot.
+     * @param newSnapshot   a later snapshot.
+     * @returns a list of created, updated and deleted events with the time of the new snapshot.
+     */
+    public diffSnapshots(oldSnapshot: Snapshot<T>, newSnapshot: Snapshot<T>): ChangeEvent<T>[] {
+        return SnapshotComposer.diff(null, oldSnapshot.items, newSnapshot.items,
+            (item) => this.getCursorKey(item), newSnapshot.time);
+    }
+
+    /**
+     * Creates a snapshot and writes it with a saver, like a [[JsonFilePersister]].
+     * The saver receives a list with the only snapshot. Items can be changed while
+     * the snapshot is written, so the component does not have to be stopped.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param saver             a saver to write the snapshot.
+     * @param callback          (optional) callback function that receives the written snapshot or error.
+     */
+    public exportSnapshot(correlationId: string, saver: ISaver<Snapshot<T>>,
+        callback?: (err: any, snapshot: Snapshot<T>) => void): void {
+        let snapshot = this.createSnapshot(correlationId);
+
+        saver.save(correlationId, [snapshot], (err) => {
+            if (callback) callback(err, err == null ? snapshot : null);
+        });
+    }
+
+    /**
+     * Reads a snapshot with a loader, like a [[JsonFilePersister]], and restores it.
+     * The loader shall return a list with the only snapshot.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param loader            a loader to read the snapshot.
+     * @param callback          (optional) callback function that receives the restored snapshot or error.
+     */
+    public importSnapshot(correlationId: string, loader: ILoader<Snapshot<T>>,
+        callback?: (err: any, snapshot: Snapshot<T>) => void): void {
+        loader.load(correlationId, (err, snapshots) => {
+            if (err == null && (snapshots == null || snapshots.length != 1)) {
+                err = new BadRequestException(
+                    correlationId, "INVALID_SNAPSHOT", "Loader must return a single snapshot"
+                );
+            }
+
+            if (err != null) {
+                if (callback) callback(err, null);
+                return;
+            }
+
+            let value: any = snapshots[0];
+            let snapshot = new Snapshot<T>(
+                value.items, DateTimeConverter.toNullableDateTime(value.time), value.version
+            );
+
+            this.restoreSnapshot(correlationId, snapshot, (err) => {
+                if (callback) callback(err, err == null ? snapshot : null);
+            });
+        });
+    }
+
+    /**
+     * Declares a hash index over one or more item fields.
+     * 
+     * @param name      a name of the index.
+     * @param fields    a field or a list of fields to index. Nested fields are defined using dot notation.
+     * @param unique    (optional) true to reject writes of items with duplicate field values. Default: false
+     * 
+     * @returns the created index.
+     * 
+     * @see [[MemoryIndex]]
+     */
+    protected defineIndex(name: string, fields: string | string[], unique: boolean = false): MemoryIndex<T> {
+        fields = _.isArray(fields) ? <string[]>fields : [<string>fields];
+        let index = new MemoryIndex<T>(name, <string[]>fields, unique);
+
+        this.ensureIndexes();
+        this._indexer.define(index, this._items);
+
+        return index;
+    }
+
+    /**
+     * Rebuilds all indexes from scratch. Since the changes of items are unknown
+     * all items are saved on the next save.
+     */
+    protected rebuildIndexes(): void {
+        this._changes.invalidate();
+        this._indexer.rebuild(this._items);
+        this._capacity.reset(this._items);
+    }
+
+    /**
+     * Estimates the memory size of an item to enforce the memory limit.
+     * By default it is the size of the item in JSON with two bytes per character.
+     * 
+     * @param item  an item to be measured.
+     * @returns the approximate item size in bytes.
+     */
+    protected estimateItemSize(item: T): number {
+        let json = JsonConverter.toJson(item);
+        return json != null ? json.length * 2 : 0;
+    }
+
+    /**
+     * Registers a read of an item by a key to count hits and misses
+     * and to let the eviction policy know that the item is used.
+     * 
+     * @param item  a found item or null if it was not found.
+     */
+    protected accessItem(item: T): void {
+        this._capacity.access(item);
+        this._counters.increment(item != null ? "persistence.hits" : "persistence.misses", 1);
+    }
+
+    private evictItems(correlationId: string): void {
+        if (!this._capacity.isBounded()) return;
+
+        this.ensureIndexes();
+
+        let evicted = this._capacity.evict(() => this._items.length, (item) => {
+            let position = this.getItemPosition(item);
+            if (position < 0) return false;
+
+            this.removeItem(position);
+            this.notifyChange(correlationId, ChangeEvent.Evicted, item, null);
+            return true;
+        });
+
+        if (evicted > 0) {
+            this._counters.increment("persistence.evictions", evicted);
+            this._logger.trace(correlationId, "Evicted %d items", evicted);
+        }
+    }
+
+    /**
+     * Rebuilds indexes when items were changed outside of the standard operations.
+     */
+    protected ensureIndexes(): void {
+        if (this._indexer.isStale(this._items))
+            this.rebuildIndexes();
+    }
+
+    /**
+     * Gets the position of an item in <code>this._items</code>.
+     * 
+     * @param item  an item stored in the persistence.
+     * @returns the item position or -1 if the item is not stored.
+     */
+    protected getItemPosition(item: T): number {
+        this.ensureIndexes();
+
+        let position = this._indexer.getPosition(item);
+
+        // Items were moved inside this._items outside of the standard operations
+        if (position >= 0 && this._items[position] !== item) {
+            this.rebuildIndexes();
+            position = this._indexer.getPosition(item);
+        }
+
+        return position;
+    }
+
+    /**
+     * Checks if an item violates unique indexes.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param item              an item to be written.
+     * @param replaced          (optional) a stored item that is going to be replaced.
+     * @returns a ConflictException or null if there are no violations.
+     */
+    protected checkUniqueIndexes(correlationId: string, item: T, replaced?: T): ConflictException {
+        this.ensureIndexes();
+        return this._indexer.checkUnique(correlationId, item, replaced);
+    }
+
+    /**
+     * Adds a new item to the end of <code>this._items</code> and to all indexes.
+     * 
+     * @param item  an item to be added.
+     */
+    protected insertItem(item: T): void {
+        this.ensureIndexes();
+
+        this._items.push(item);
+        this._indexer.add(item, this._items.length - 1);
+        this._capacity.add(item);
+
+        this.recordChange({ operation: "create", item: item });
+    }
+
+    /**
+     * Replaces an item at a given position in <code>this._items</code> and in all indexes.
+     * 
+     * @param position  a position of the item to be replaced.
+     * @param item      a new item.
+     */
+    protected replaceItem(position: number, item: T): void {
+        this.ensureIndexes();
+
+        let oldItem = this._items[position];
+        this._items[position] = item;
+        this._indexer.replace(oldItem, item, position);
+        this._capacity.replace(oldItem, item);
+
+        this.recordChange({ operation: "update", position: position, item: item });
+    }
+
+    /**
+     * Removes an item at a given position from <code>this._items</code> and from all indexes.
+     * 
+     * @param position  a position of the item to be removed.
+     * @returns the removed item.
+     */
+    protected removeItem(position: number): T {
+        this.ensureIndexes();
+
+        let item = this._items[position];
+        this._indexer.remove(item);
+        this._capacity.remove(item);
+
+        this._items.splice(position, 1);
+        this._indexer.updatePositions(this._items, position);
+
+        this.recordChange({ operation: "delete", position: position });
+
+        return item;
+    }
+
+    /**
+     * Converts filter parameters into a predicate function.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param filter            (optional) a filter function, FilterParams or a condition object.
+     * @returns a predicate function or null if filter is not defined.
+     * 
+     * @throws a BadRequestException when the filter is invalid.
+     */
+    protected composeFilter(correlationId: string, filter: any): (item: T) => boolean {
+        try {
+            return FilterComposer.compose(filter);
+        } catch (ex) {
+            throw ex.withCorrelationId ? ex.withCorrelationId(correlationId) : ex;
+        }
+    }
+
+    /**
+     * Composes a predicate that selects items to be deleted.
+     * Unlike reads, deletes require a filter, so a missing filter does not delete all items.
+     * To delete all items pass an empty condition object or call [[clear]].
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param filter            a filter function, FilterParams or a condition object to filter items.
+     * @returns a predicate function or null if all items shall be deleted.
+     * @throws a BadRequestException when the filter is missing or invalid.
+     */
+    protected composeDeleteFilter(correlationId: string, filter: any): (item: T) => boolean {
+        if (filter == null) {
+            throw new BadRequestException(
+                correlationId, "FILTER_REQUIRED", "Filter is required to delete items"
+            );
+        }
+
+        return this.composeFilter(correlationId, filter);
+    }
+
+    /**
+     * Composes a predicate that selects items visible to read operations.
+     * Child classes can override it to hide some items, for instance, soft deleted ones.
+     * 
+     * @param filter    (optional) a filter of the read operation.
+     * @returns a predicate function or null if all items are visible.
+     */
+    protected composeVisibilityFilter(filter: any): (item: T) => boolean {
+        return null;
+    }
+
+    private filterItems(correlationId: string, filter: any): T[] {
+        let predicate = this.composeFilter(correlationId, filter);
+
+        let visible = this.composeVisibilityFilter(filter);
+        if (visible != null) {
+            let matches = predicate;
+            predicate = matches != null ? (item) => visible(item) && matches(item) : visible;
+        }
+
+        if (predicate == null) return this._items;
+
+        this.ensureIndexes();
+        let items = this._indexer.find(filter);
+        return _.filter(items != null ? items : this._items, predicate);
+    }
+
     /**
      * Gets a page of data items retrieved by a given filter and sorted according to sort parameters.
      * 
      * This method shall be called by a public getPageByFilter method from child class that
-     * receives FilterParams and converts them into a filter function.
+     * receives FilterParams and converts them into a filter function or passes them as they are.
      * 
      * @param correlationId     (optional) transaction id to trace execution through call chain.
-     * @param filter            (optional) a filter function to filter items
-     * @param paging            (optional) paging parameters
-     * @param sort              (optional) sorting parameters
-     * @param select            (optional) projection parameters (not used yet)
+     * @param filter            (optional) a filter function, FilterParams or a condition object to filter items.
+     *                          See [[FilterComposer]] for supported formats.
+     * @param paging            (optional) paging parameters: PagingParams or [[CursorPagingParams]].
+     * @param sort              (optional) sorting parameters: SortParams or a function that returns values to sort by.
+     *                          See [[SortComposer]] for supported formats.
+     * @param select            (optional) projection parameters: a list of fields or a projection function.
+     *                          See [[ProjectionComposer]] for supported formats.
      * @param callback          callback function that receives a data page or error.
+     *                          Pages requested with a cursor are returned as [[CursorDataPage]].
      */
     protected getPageByFilter(correlationId: string, filter: any, 
         paging: PagingParams, sort: any, select: any, 
         callback: (err: any, page: DataPage<T>) => void): void {
         
-        let items = this._items;
-
-        // Filter and sort
-        if (_.isFunction(filter))
-            items = _.filter(items, filter);
-        if (_.isFunction(sort))
-            items = _.sortBy(items, sort);
-
-        // Extract a page
-        paging = paging != null ? paging : new PagingParams();
-        let skip = paging.getSkip(-1);
-        let take = paging.getTake(this._maxPageSize);
-
-        let total = null;
-        if (paging.total)
-            total = items.length;
-        
-        if (skip > 0)
-            items = _.slice(items, skip);
-        items = _.take(items, take);
-        
-        this._logger.trace(correlationId, "Retrieved %d items", items.length);
-        
-        let page = new DataPage<T>(items, total);
+        let page: DataPage<T>;
+        try {
+            let items = this.filterItems(correlationId, filter);
+            page = this.composePage(correlationId, items, paging, sort, select);
+        } catch (err) {
+            callback(err, null);
+            return;
+        }
+
         callback(null, page);
     }
 
+    private composePage(correlationId: string, items: T[], paging: PagingParams, sort: any, select: any): DataPage<T> {
+        let page = PageComposer.apply(correlationId, items, paging, sort, select,
+            (item) => this.getCursorKey(item), this._maxPageSize);
+
+        this._logger.trace(correlationId, "Retrieved %d items", page.data.length);
+
+        return page;
+    }
+
+    /**
+     * Gets a key that distinguishes an item from other items with the same sort values in cursor paging.
+     * By default it is the item in JSON, so different items with the same content are not distinguished,
+     * and changed items move to other positions. Child classes shall return unique and immutable keys.
+     * 
+     * @param item  an item to get the key.
+     * @returns the item key.
+     */
+    protected getCursorKey(item: T): any {
+        return JsonConverter.toJson(item);
+    }
+
     /**
      * Gets a number of items retrieved by a given filter.
      * 
      * This method shall be called by a public getCountByFilter method from child class that
-     * receives FilterParams and converts them into a filter function.
+     * receives FilterParams and converts them into a filter function or passes them as they are.
      * 
      * @param correlationId     (optional) transaction id to trace execution through call chain.
-     * @param filter            (optional) a filter function to filter items
+     * @param filter            (optional) a filter function, FilterParams or a condition object to filter items.
+     *                          See [[FilterComposer]] for supported formats.
      * @param callback          callback function that receives a data page or error.
      */
     protected getCountByFilter(correlationId: string, filter: any, 
         callback: (err: any, count: number) => void): void {
         
-        let items = this._items;
-
-        // Filter and sort
-        if (_.isFunction(filter))
-            items = _.filter(items, filter);
+        let items: T[];
+        try {
+            items = this.filterItems(correlationId, filter);
+        } catch (err) {
+            callback(err, null);
+            return;
+        }
 
         this._logger.trace(correlationId, "Counted %d items", items.length);
         
         callback(null, items.length);
     }
 
+    /**
+     * Groups data items retrieved by a given filter and calculates aggregated values for every group.
+     * 
+     * This method shall be called by public reporting methods from child class that
+     * receive FilterParams and convert them into a filter function or pass them as they are.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param filter            (optional) a filter function, FilterParams or a condition object to filter items.
+     *                          See [[FilterComposer]] for supported formats.
+     * @param groupBy           (optional) a field or a list of fields to group by. Null puts all items into one group.
+     * @param aggregates        an object with result fields as keys and aggregate operators like
+     *                          <code>{ $sum: "amount" }</code> as values. See [[AggregateComposer]] for supported operators.
+     * @param callback          callback function that receives a list of results or error.
+     *                          Every result has group values in <code>_id</code> and aggregated values.
+     */
+    protected getAggregateByFilter(correlationId: string, filter: any, groupBy: string | string[], aggregates: any,
+        callback: (err: any, results: any[]) => void): void {
+
+        let results: any[];
+        try {
+            let items = this.filterItems(correlationId, filter);
+            results = AggregateComposer.apply(items, groupBy, aggregates);
+        } catch (err) {
+            callback(err.withCorrelationId ? err.withCorrelationId(correlationId) : err, null);
+            return;
+        }
+
+        this._logger.trace(correlationId, "Aggregated items into %d groups", results.length);
+
+        callback(null, results);
+    }
+
+    /**
+     * Gets distinct values of a field in data items retrieved by a given filter.
+     * Elements of array values are treated as separate values. Null and missing values are skipped.
+     * 
+     * This method shall be called by public reporting methods from child class that
+     * receive FilterParams and convert them into a filter function or pass them as they are.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param field             a field name. Nested fields are defined using dot notation.
+     * @param filter            (optional) a filter function, FilterParams or a condition object to filter items.
+     *                          See [[FilterComposer]] for supported formats.
+     * @param callback          callback function that receives a list of distinct values or error.
+     */
+    protected getDistinctValues(correlationId: string, field: string, filter: any,
+        callback: (err: any, values: any[]) => void): void {
+
+        let values: any[];
+        try {
+            let items = this.filterItems(correlationId, filter);
+            values = AggregateComposer.distinct(items, field);
+        } catch (err) {
+            callback(err.withCorrelationId ? err.withCorrelationId(correlationId) : err, null);
+            return;
+        }
+
+        this._logger.trace(correlationId, "Retrieved %d distinct values of %s", values.length, field);
+
+        callback(null, values);
+    }
+
     /**
      * Gets a list of data items retrieved by a given filter and sorted according to sort parameters.
      * 
      * This method shall be called by a public getListByFilter method from child class that
-     * receives FilterParams and converts them into a filter function.
+     * receives FilterParams and converts them into a filter function or passes them as they are.
      * 
      * @param correlationId    (optional) transaction id to trace execution through call chain.
-     * @param filter           (optional) a filter function to filter items
+     * @param filter           (optional) a filter function, FilterParams or a condition object to filter items.
+     *                         See [[FilterComposer]] for supported formats.
      * @param paging           (optional) paging parameters
-     * @param sort             (optional) sorting parameters
-     * @param select           (optional) projection parameters (not used yet)
+     * @param sort             (optional) sorting parameters: SortParams or a function that returns values to sort by.
+     *                         See [[SortComposer]] for supported formats.
+     * @param select           (optional) projection parameters: a list of fields or a projection function.
+     *                         See [[ProjectionComposer]] for supported formats.
      * @param callback         callback function that receives a data list or error.
      */
     protected getListByFilter(correlationId: string, filter: any, sort: any, select: any,
         callback: (err: any, items: T[]) => void): void {
         
-        let items = this._items;
-
-        // Apply filter
-        if (_.isFunction(filter))
-            items = _.filter(items, filter);
+        let items: T[];
+        try {
+            items = this.filterItems(correlationId, filter);
+        } catch (err) {
+            callback(err, null);
+            return;
+        }
 
         // Apply sorting
-        if (_.isFunction(sort))
-            items = _.sortBy(items, sort);
+        items = SortComposer.apply(items, sort);
+
+        // Apply projection
+        items = ProjectionComposer.apply(items, select);
         
         this._logger.trace(correlationId, "Retrieved %d items", items.length);
         
         callback(null, items);
     }
 
-        /**
+    /**
+     * Gets a page of data items retrieved by a query string.
+     * 
+     * The query is parsed by [[QueryParser]], for example:
+     * <code>status = 'active' AND age > 30 ORDER BY name</code>
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param query             (optional) a query string
+     * @param paging            (optional) paging parameters: PagingParams or [[CursorPagingParams]].
+     * @param sort              (optional) sort parameters. When set they override the ORDER BY clause.
+     * @param callback          callback function that receives a data page or error.
+     */
+    public getPageByQuery(correlationId: string, query: string, paging: PagingParams, sort: SortParams,
+        callback: (err: any, page: DataPage<T>) => void): void {
+
+        let page: DataPage<T>;
+        try {
+            let parsed = this.parseQuery(correlationId, query, sort);
+            page = this.composePage(correlationId, parsed.items, paging, parsed.sort, null);
+        } catch (err) {
+            callback(err, null);
+            return;
+        }
+
+        callback(null, page);
+    }
+
+    /**
+     * Gets a list of data items retrieved by a query string.
+     * 
+     * The query is parsed by [[QueryParser]], for example:
+     * <code>status = 'active' AND age > 30 ORDER BY name</code>
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param query             (optional) a query string
+     * @param sort              (optional) sort parameters. When set they override the ORDER BY clause.
+     * @param callback          callback function that receives a data list or error.
+     */
+    public getListByQuery(correlationId: string, query: string, sort: SortParams,
+        callback: (err: any, items: T[]) => void): void {
+
+        let items: T[];
+        try {
+            items = this.queryItems(correlationId, query, sort);
+        } catch (err) {
+            callback(err, null);
+            return;
+        }
+
+        this._logger.trace(correlationId, "Retrieved %d items", items.length);
+
+        callback(null, items);
+    }
+
+    private parseQuery(correlationId: string, query: string, sort: SortParams): { items: T[], sort: SortParams } {
+        let parsed = QueryParser.parse(correlationId, query);
+        let items = this.filterItems(correlationId, parsed.filter);
+
+        sort = sort != null && sort.length > 0 ? sort : parsed.sort;
+        return { items: items, sort: sort };
+    }
+
+    private queryItems(correlationId: string, query: string, sort: SortParams): T[] {
+        let parsed = this.parseQuery(correlationId, query, sort);
+        return SortComposer.apply(parsed.items, parsed.sort);
+    }
+
+    /**
      * Gets a random item from items that match to a given filter.
      * 
      * This method shall be called by a public getOneRandom method from child class that
-     * receives FilterParams and converts them into a filter function.
+     * receives FilterParams and converts them into a filter function or passes them as they are.
      * 
      * @param correlationId     (optional) transaction id to trace execution through call chain.
-     * @param filter            (optional) a filter function to filter items.
+     * @param filter            (optional) a filter function, FilterParams or a condition object to filter items.
+     *                          See [[FilterComposer]] for supported formats.
      * @param callback          callback function that receives a random item or error.
      */
     protected getOneRandom(correlationId: string, filter: any, callback: (err: any, item: T) => void): void {
-        let items = this._items;
-
-        // Apply filter
-        if (_.isFunction(filter))
-            items = _.filter(items, filter);
+        let items: T[];
+        try {
+            items = this.filterItems(correlationId, filter);
+        } catch (err) {
+            callback(err, null);
+            return;
+        }
 
         let item: T = items.length > 0 ? _.sample(items) : null;
         
@@ -317,9 +1292,18 @@ export class MemoryPersistence<T> implements IConfigurable, IReferenceable, IOpe
     public create(correlationId: string, item: T, callback?: (err: any, item: T) => void): void {
         item = _.clone(item);
 
-        this._items.push(item);
+        let err = this.validateItem(correlationId, item)
+            || this.checkUniqueIndexes(correlationId, item);
+        if (err != null) {
+            if (callback) callback(err, null);
+            return;
+        }
+
+        this.insertItem(item);
         this._logger.trace(correlationId, "Created item %s", item['id']);
 
+        this.notifyChange(correlationId, ChangeEvent.Created, null, item);
+
         this.save(correlationId, (err) => {
             if (callback) callback(err, item)
         });
@@ -329,28 +1313,50 @@ export class MemoryPersistence<T> implements IConfigurable, IReferenceable, IOpe
      * Deletes data items that match to a given filter.
      * 
      * This method shall be called by a public deleteByFilter method from child class that
-     * receives FilterParams and converts them into a filter function.
+     * receives FilterParams and converts them into a filter function or passes them as they are.
      * 
      * @param correlationId     (optional) transaction id to trace execution through call chain.
-     * @param filter            (optional) a filter function to filter items.
+     * @param filter            a filter function, FilterParams or a condition object to filter items.
+     *                          See [[FilterComposer]] for supported formats. An empty condition deletes all items.
      * @param callback          (optional) callback function that receives error or null for success.
      */
     protected deleteByFilter(correlationId: string, filter: any, callback?: (err: any) => void): void {
-        let deleted = 0;
-        for (let index = this._items.length - 1; index>= 0; index--) {
-            let item = this._items[index];
-            if (filter(item)) {
-                this._items.splice(index, 1);
-                deleted++;
+        let predicate: (item: T) => boolean;
+        try {
+            predicate = this.composeDeleteFilter(correlationId, filter);
+        } catch (err) {
+            if (callback) callback(err);
+            return;
+        }
+
+        this.ensureIndexes();
+
+        let deleted: T[] = [];
+        let firstPosition = this._items.length;
+        for (let position = this._items.length - 1; position >= 0; position--) {
+            let item = this._items[position];
+            if (predicate == null || predicate(item)) {
+                this._indexer.remove(item);
+                this._capacity.remove(item);
+                this._items.splice(position, 1);
+                firstPosition = position;
+
+                this.recordChange({ operation: "delete", position: position });
+                deleted.push(item);
             }
         }
+        this._indexer.updatePositions(this._items, firstPosition);
 
-        if (deleted == 0) {
-            callback(null);
+        if (deleted.length == 0) {
+            if (callback) callback(null);
             return;
         }
 
-        this._logger.trace(correlationId, "Deleted %s items", deleted);
+        this._logger.trace(correlationId, "Deleted %s items", deleted.length);
+
+        // Send events in the natural order of items
+        for (let index = deleted.length - 1; index >= 0; index--)
+            this.notifyChange(correlationId, ChangeEvent.Deleted, deleted[index], null);
 
         this.save(correlationId, (err) => {
             if (callback) callback(err)
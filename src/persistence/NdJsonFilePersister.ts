@@ -0,0 +1,72 @@
+/** @module persistence */
+import { JsonConverter } from 'pip-services3-commons-node';
+
+import { FilePersister } from './FilePersister';
+
+/**
+ * Persistence component that loads and saves data from/to flat file
+ * in newline-delimited JSON format, where every line contains a single data item.
+ * 
+ * Empty lines are ignored.
+ * 
+ * ### Configuration parameters ###
+ * 
+ * - path:              path to the file where data is stored
+ * - options:
+ *     - backup_count:  number of backup copies of previous data files to keep (default: 0)
+ *     - watch_interval: interval in milliseconds to check the watched data file (default: 1000)
+ *     - locking:       true to lock the data file when it is read or written (default: false)
+ *     - lock_timeout:  time in milliseconds to wait for locks of other processes (default: 5000)
+ *     - lock_stale_timeout: age in milliseconds after which locks are considered stale (default: 30000)
+ *     - read_modify_write: true to detect modifications made by other processes before writes (default: false)
+ * 
+ * ### Example ###
+ * 
+ *     let persister = new NdJsonFilePersister("./data/data.ndjson");
+ * 
+ *     persister.save("123", [{ id: "1" }, { id: "2" }], (err) => {
+ *         // The file contains two lines: {"id":"1"} and {"id":"2"}
+ *     });
+ */
+export class NdJsonFilePersister<T> extends FilePersister<T> {
+
+    /**
+     * Creates a new instance of the persistence.
+     * 
+     * @param path  (optional) a path to the file where data is stored.
+     */
+    public constructor(path?: string) {
+        super(path);
+    }
+
+    /**
+     * Converts the content of a newline-delimited JSON file into data items.
+     * 
+     * @param data  the content of a data file.
+     * @returns a list of data items.
+     */
+    protected parseData(data: string): T[] {
+        let items: T[] = [];
+
+        for (let line of data.split(/\r?\n/)) {
+            if (line.trim() == "") continue;
+            items.push(JSON.parse(line));
+        }
+
+        return items;
+    }
+
+    /**
+     * Converts data items into newline-delimited JSON.
+     * 
+     * @param items     a list of data items.
+     * @returns the content of a data file.
+     */
+    protected formatData(items: T[]): string {
+        let data = "";
+        for (let item of items || [])
+            data += JsonConverter.toJson(item) + "\n";
+        return data;
+    }
+
+}
@@ -0,0 +1,74 @@
+/** @module persistence */
+/** @hidden */
+let _ = require('lodash');
+
+import { PagingParams } from 'pip-services3-commons-node';
+import { DataPage } from 'pip-services3-commons-node';
+
+import { CursorPagingParams } from '../CursorPagingParams';
+import { CursorComposer } from './CursorComposer';
+import { ProjectionComposer } from './ProjectionComposer';
+import { SortComposer } from './SortComposer';
+
+/**
+ * Helper class that extracts pages of data items.
+ *
+ * Items are sorted, a page is taken by skip and take values of
+ * [[https://pip-services3-node.github.io/pip-services3-commons-node/classes/data.pagingparams.html PagingParams]]
+ * or by a cursor of [[CursorPagingParams]], and the projection is applied to the page items.
+ * Pages are limited by a maximum page size when take is not set.
+ *
+ * @see [[CursorComposer]]
+ * @see [[MemoryPersistence]]
+ *
+ * ### Example ###
+ *
+ *     let getKey = (item) => item.id;
+ *     let page = PageComposer.apply("123", items, new PagingParams(20, 10, true), sort, ["id", "name"], getKey, 100);
+ */
+export class PageComposer {
+
+    /**
+     * Extracts a page of items.
+     *
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param items             a list of items to take the page from.
+     * @param paging            (optional) paging parameters or cursor paging parameters.
+     * @param sort              (optional) sorting parameters. See [[SortComposer]] for supported formats.
+     * @param select            (optional) projection parameters. See [[ProjectionComposer]] for supported formats.
+     * @param getKey            a function that returns unique keys of items for cursor paging.
+     * @param maxPageSize       a maximum number of items in a page when take is not set.
+     * @returns the requested page.
+     *
+     * @throws a BadRequestException when a cursor is invalid.
+     */
+    public static apply<T>(correlationId: string, items: T[], paging: PagingParams, sort: any, select: any,
+        getKey: (item: T) => any, maxPageSize: number): DataPage<T> {
+        if (paging instanceof CursorPagingParams) {
+            let page = CursorComposer.apply(correlationId, items, paging, sort, getKey, maxPageSize);
+            page.data = ProjectionComposer.apply(page.data, select);
+            return page;
+        }
+
+        // Apply sorting
+        items = SortComposer.apply(items, sort);
+
+        paging = paging != null ? paging : new PagingParams();
+        let skip = paging.getSkip(-1);
+        let take = paging.getTake(maxPageSize);
+
+        let total = null;
+        if (paging.total)
+            total = items.length;
+
+        if (skip > 0)
+            items = _.slice(items, skip);
+        items = _.take(items, take);
+
+        // Apply projection
+        items = ProjectionComposer.apply(items, select);
+
+        return new DataPage<T>(items, total);
+    }
+
+}
@@ -0,0 +1,148 @@
+/** @module persistence */
+/** @hidden */
+let _ = require('lodash');
+
+import { ProjectionParams } from 'pip-services3-commons-node';
+
+/**
+ * Helper class that converts projection parameters into a function
+ * that returns projected copies of data items.
+ *
+ * Projection can be defined as:
+ * - a list of fields to include. Nested fields can be defined using dot notation
+ *   <code>"field1,field2.field21"</code> or nested notation <code>"field1,field2(field21)"</code>
+ * - a list of fields to exclude marked with minus sign <code>"-field2.field22"</code>.
+ *   When included fields are also defined, the exclusions are applied to their result.
+ * - a custom function that receives an item and returns its projection.
+ *
+ * When a nested path goes through an array, the projection is applied
+ * to every object in that array.
+ *
+ * @see [[MemoryPersistence]]
+ *
+ * ### Example ###
+ *
+ *     let projection = ProjectionComposer.compose("name,address(city,zip),-address.zip");
+ *     let result = projection({ id: "1", name: "ABC", address: { city: "Tucson", zip: "85701" } });
+ *     console.log(result);     // Result: { name: "ABC", address: { city: "Tucson" } }
+ */
+export class ProjectionComposer {
+
+    /**
+     * Composes a projection function from projection parameters.
+     *
+     * @param select    projection parameters: a comma-separated string, an array of field names,
+     *                  [[https://pip-services3-node.github.io/pip-services3-commons-node/classes/data.projectionparams.html ProjectionParams]]
+     *                  or a projection function.
+     * @returns a function that returns a projected copy of an item or <code>null</code> if projection is not defined.
+     */
+    public static compose(select: any): (item: any) => any {
+        if (select == null) return null;
+        if (_.isFunction(select)) return select;
+
+        let values: string[] = _.isArray(select) ? _.map(select, (v) => "" + v) : ["" + select];
+        let fields = ProjectionParams.fromString(...values);
+
+        let includes: string[][] = [];
+        let excludes: string[][] = [];
+
+        for (let field of fields) {
+            field = field.trim();
+            if (field == "") continue;
+
+            if (field[0] == '-')
+                excludes.push(ProjectionComposer.splitPath(field.substring(1)));
+            else
+                includes.push(ProjectionComposer.splitPath(field));
+        }
+
+        if (includes.length == 0 && excludes.length == 0)
+            return null;
+
+        return (item: any) => {
+            if (item == null || !_.isObject(item))
+                return item;
+
+            let result: any;
+            if (includes.length > 0) {
+                result = {};
+                for (let path of includes)
+                    ProjectionComposer.includePath(item, result, path, 0);
+            } else {
+                result = _.cloneDeep(item);
+            }
+
+            for (let path of excludes)
+                ProjectionComposer.excludePath(result, path, 0);
+
+            return result;
+        };
+    }
+
+    /**
+     * Applies projection to a list of items.
+     *
+     * @param items     a list of items to be projected.
+     * @param select    projection parameters. See [[compose]] for supported formats.
+     * @returns a list with projected copies of the items or the original list if projection is not defined.
+     */
+    public static apply<T>(items: T[], select: any): any[] {
+        let projection = ProjectionComposer.compose(select);
+        if (projection == null) return items;
+        return _.map(items, projection);
+    }
+
+    private static splitPath(field: string): string[] {
+        return _.filter(field.split('.'), (part) => part != "");
+    }
+
+    private static includePath(source: any, target: any, path: string[], index: number): void {
+        let name = path[index];
+        if (!_.has(source, name)) return;
+
+        let value = source[name];
+        if (index == path.length - 1) {
+            target[name] = _.cloneDeep(value);
+            return;
+        }
+
+        if (_.isArray(value)) {
+            let array = _.isArray(target[name]) ? target[name] : [];
+            for (let pos = 0; pos < value.length; pos++) {
+                let element = value[pos];
+                // Simple values have no fields to select and are kept as they are
+                if (!_.isObject(element) || _.isArray(element)) {
+                    array[pos] = _.cloneDeep(element);
+                    continue;
+                }
+                array[pos] = _.isObject(array[pos]) ? array[pos] : {};
+                ProjectionComposer.includePath(element, array[pos], path, index + 1);
+            }
+            target[name] = array;
+        } else if (_.isObject(value)) {
+            target[name] = _.isObject(target[name]) ? target[name] : {};
+            ProjectionComposer.includePath(value, target[name], path, index + 1);
+        }
+    }
+
+    private static excludePath(target: any, path: string[], index: number): void {
+        if (target == null || !_.isObject(target)) return;
+
+        let name = path[index];
+        if (!_.has(target, name)) return;
+
+        if (index == path.length - 1) {
+            delete target[name];
+            return;
+        }
+
+        let value = target[name];
+        if (_.isArray(value)) {
+            for (let element of value)
+                ProjectionComposer.excludePath(element, path, index + 1);
+        } else {
+            ProjectionComposer.excludePath(value, path, index + 1);
+        }
+    }
+
+}
@@ -0,0 +1,33 @@
+/** @module persistence */
+
+/**
+ * Helper class that adapts callback-style methods to promises.
+ *
+ * It is used by persistence components to implement promise-returning variants
+ * of their methods, and it can be used by child classes for their own methods.
+ *
+ * ### Example ###
+ *
+ *     public getByNameAsync(correlationId: string, name: string): Promise<MyData> {
+ *         return PromiseAdapter.invoke<MyData>((callback) => this.getByName(correlationId, name, callback));
+ *     }
+ */
+export class PromiseAdapter {
+
+    /**
+     * Invokes a callback-style action and returns its result as a promise.
+     * The promise is rejected when the action calls the callback with an error or throws an exception.
+     *
+     * @param action    an action that receives a callback with an error and a result.
+     * @returns a promise that is resolved with the action result.
+     */
+    public static invoke<T>(action: (callback: (err: any, result?: T) => void) => void): Promise<T> {
+        return new Promise<T>((resolve, reject) => {
+            action((err, result) => {
+                if (err != null) reject(err);
+                else resolve(result);
+            });
+        });
+    }
+
+}
@@ -0,0 +1,386 @@
+/** @module persistence */
+/** @hidden */
+let _ = require('lodash');
+
+import { SortParams } from 'pip-services3-commons-node';
+import { SortField } from 'pip-services3-commons-node';
+import { BadRequestException } from 'pip-services3-commons-node';
+
+/** @hidden */
+enum TokenType { Identifier, String, Number, Operator, LeftParen, RightParen, Comma, End }
+
+/** @hidden */
+class Token {
+    public constructor(
+        public type: TokenType,
+        public value: any,
+        public text: string,
+        public position: number
+    ) {}
+}
+
+/**
+ * Parser of a simple textual query language that converts queries
+ * into condition objects supported by [[FilterComposer]] and sort parameters.
+ *
+ * The query consists of an optional condition followed by an optional <code>ORDER BY</code> clause:
+ *
+ *     status = 'active' AND (age > 30 OR name LIKE 'A%') ORDER BY name, age DESC
+ *
+ * Supported elements:
+ * - comparisons: <code>=</code>, <code>!=</code>, <code>&lt;&gt;</code>, <code>&lt;</code>,
+ *   <code>&lt;=</code>, <code>&gt;</code>, <code>&gt;=</code>
+ * - <code>[NOT] IN (value1, value2, ...)</code>, <code>[NOT] LIKE 'pattern'</code> with
+ *   <code>%</code> and <code>_</code> wildcards, <code>IS [NOT] NULL</code>
+ * - logical <code>AND</code>, <code>OR</code>, <code>NOT</code> and parentheses
+ * - values: strings in single or double quotes, numbers, <code>TRUE</code>, <code>FALSE</code>, <code>NULL</code>
+ * - fields: names with dot notation for nested fields, or names in backticks
+ *
+ * Keywords are case insensitive.
+ *
+ * @see [[MemoryPersistence]]
+ *
+ * ### Example ###
+ *
+ *     let query = QueryParser.parse("123", "status = 'active' AND age > 30 ORDER BY name");
+ *     console.log(query.filter);   // Result: { $and: [ { status: { $eq: 'active' } }, { age: { $gt: 30 } } ] }
+ *     console.log(query.sort);     // Result: [ { name: 'name', ascending: true } ]
+ */
+export class QueryParser {
+    private static readonly Operators: string[] = ["==", "!=", "<>", "<=", ">=", "=", "<", ">"];
+
+    private _correlationId: string;
+    private _query: string;
+    private _tokens: Token[];
+    private _index: number = 0;
+
+    private constructor(correlationId: string, query: string) {
+        this._correlationId = correlationId;
+        this._query = query;
+    }
+
+    /**
+     * Parses a query string.
+     *
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param query             a query string to parse.
+     * @returns an object with a condition object (or null if query has no condition)
+     *          and sort parameters (or null if query has no ORDER BY clause).
+     *
+     * @throws a BadRequestException when the query has syntax errors.
+     */
+    public static parse(correlationId: string, query: string): { filter: any, sort: SortParams } {
+        let parser = new QueryParser(correlationId, query || "");
+        return parser.parseQuery();
+    }
+
+    private parseQuery(): { filter: any, sort: SortParams } {
+        this._tokens = this.tokenize();
+
+        let filter = null;
+        let sort = null;
+
+        if (!this.isEnd() && !this.isKeyword("ORDER"))
+            filter = this.parseOr();
+
+        if (this.isKeyword("ORDER")) {
+            this.next();
+            this.expectKeyword("BY");
+            sort = this.parseSort();
+        }
+
+        if (!this.isEnd())
+            throw this.syntaxError("Unexpected '" + this.peek().text + "'", this.peek());
+
+        return { filter: filter, sort: sort };
+    }
+
+    private parseSort(): SortParams {
+        let sort = new SortParams();
+        do {
+            let name = this.parseField();
+            let ascending = true;
+            if (this.isKeyword("ASC")) {
+                this.next();
+            } else if (this.isKeyword("DESC")) {
+                this.next();
+                ascending = false;
+            }
+            sort.push(new SortField(name, ascending));
+        } while (this.accept(TokenType.Comma));
+        return sort;
+    }
+
+    private parseOr(): any {
+        let conditions = [this.parseAnd()];
+        while (this.isKeyword("OR")) {
+            this.next();
+            conditions.push(this.parseAnd());
+        }
+        return conditions.length == 1 ? conditions[0] : { $or: conditions };
+    }
+
+    private parseAnd(): any {
+        let conditions = [this.parseNot()];
+        while (this.isKeyword("AND")) {
+            this.next();
+            conditions.push(this.parseNot());
+        }
+        return conditions.length == 1 ? conditions[0] : { $and: conditions };
+    }
+
+    private parseNot(): any {
+        if (this.isKeyword("NOT")) {
+            this.next();
+            return { $nor: [this.parseNot()] };
+        }
+        return this.parsePrimary();
+    }
+
+    private parsePrimary(): any {
+        if (this.accept(TokenType.LeftParen)) {
+            let condition = this.parseOr();
+            this.expect(TokenType.RightParen, "')'");
+            return condition;
+        }
+        return this.parseComparison();
+    }
+
+    private parseComparison(): any {
+        let field = this.parseField();
+        let token = this.peek();
+
+        if (token.type == TokenType.Operator) {
+            this.next();
+            let value = this.parseValue();
+            return this.composeComparison(field, token.value, value);
+        }
+
+        if (this.isKeyword("IS")) {
+            this.next();
+            let negate = this.acceptKeyword("NOT");
+            this.expectKeyword("NULL");
+            return { [field]: negate ? { $ne: null } : { $eq: null } };
+        }
+
+        let negate = this.acceptKeyword("NOT");
+
+        if (this.isKeyword("IN")) {
+            this.next();
+            this.expect(TokenType.LeftParen, "'('");
+            let values = [];
+            do {
+                values.push(this.parseValue());
+            } while (this.accept(TokenType.Comma));
+            this.expect(TokenType.RightParen, "')'");
+            return { [field]: negate ? { $nin: values } : { $in: values } };
+        }
+
+        if (this.isKeyword("LIKE")) {
+            this.next();
+            let patternToken = this.peek();
+            if (patternToken.type != TokenType.String)
+                throw this.syntaxError("Expected a string pattern after LIKE", patternToken);
+            this.next();
+            let regex = this.likeToRegExp(patternToken.value);
+            return { [field]: negate ? { $not: regex } : { $regex: regex } };
+        }
+
+        throw this.syntaxError(
+            "Expected a comparison operator, IN, LIKE or IS after '" + field + "'", this.peek()
+        );
+    }
+
+    private composeComparison(field: string, operator: string, value: any): any {
+        switch (operator) {
+            case "=": case "==": return { [field]: { $eq: value } };
+            case "!=": case "<>": return { [field]: { $ne: value } };
+            case "<": return { [field]: { $lt: value } };
+            case "<=": return { [field]: { $lte: value } };
+            case ">": return { [field]: { $gt: value } };
+            case ">=": return { [field]: { $gte: value } };
+        }
+    }
+
+    private parseField(): string {
+        let token = this.peek();
+        if (token.type != TokenType.Identifier || (token.text[0] != '`' && this.isReserved(token.value)))
+            throw this.syntaxError("Expected a field name", token);
+        this.next();
+        return token.value;
+    }
+
+    private parseValue(): any {
+        let token = this.peek();
+
+        if (token.type == TokenType.String || token.type == TokenType.Number) {
+            this.next();
+            return token.value;
+        }
+
+        if (token.type == TokenType.Identifier && token.text[0] != '`') {
+            let keyword = token.value.toUpperCase();
+            if (keyword == "TRUE" || keyword == "FALSE" || keyword == "NULL") {
+                this.next();
+                return keyword == "TRUE" ? true : keyword == "FALSE" ? false : null;
+            }
+        }
+
+        throw this.syntaxError("Expected a value", token);
+    }
+
+    private likeToRegExp(pattern: string): RegExp {
+        let source = "";
+        for (let chr of pattern) {
+            if (chr == '%') source += ".*";
+            else if (chr == '_') source += ".";
+            else source += _.escapeRegExp(chr);
+        }
+        return new RegExp("^" + source + "$");
+    }
+
+    private isReserved(value: string): boolean {
+        return _.includes(
+            ["AND", "OR", "NOT", "IN", "LIKE", "IS", "NULL", "TRUE", "FALSE", "ORDER", "BY", "ASC", "DESC"],
+            value.toUpperCase()
+        );
+    }
+
+    private peek(): Token {
+        return this._tokens[this._index];
+    }
+
+    private next(): Token {
+        let token = this._tokens[this._index];
+        if (token.type != TokenType.End)
+            this._index++;
+        return token;
+    }
+
+    private isEnd(): boolean {
+        return this.peek().type == TokenType.End;
+    }
+
+    private accept(type: TokenType): boolean {
+        if (this.peek().type != type) return false;
+        this.next();
+        return true;
+    }
+
+    private expect(type: TokenType, expected: string): void {
+        if (!this.accept(type))
+            throw this.syntaxError("Expected " + expected, this.peek());
+    }
+
+    private isKeyword(keyword: string): boolean {
+        let token = this.peek();
+        return token.type == TokenType.Identifier && token.text[0] != '`'
+            && token.value.toUpperCase() == keyword;
+    }
+
+    private acceptKeyword(keyword: string): boolean {
+        if (!this.isKeyword(keyword)) return false;
+        this.next();
+        return true;
+    }
+
+    private expectKeyword(keyword: string): void {
+        if (!this.acceptKeyword(keyword))
+            throw this.syntaxError("Expected " + keyword, this.peek());
+    }
+
+    private tokenize(): Token[] {
+        let tokens: Token[] = [];
+        let query = this._query;
+        let pos = 0;
+
+        while (pos < query.length) {
+            let chr = query[pos];
+
+            if (/\s/.test(chr)) {
+                pos++;
+                continue;
+            }
+
+            let start = pos;
+
+            if (chr == '(' || chr == ')' || chr == ',') {
+                let type = chr == '(' ? TokenType.LeftParen : chr == ')' ? TokenType.RightParen : TokenType.Comma;
+                tokens.push(new Token(type, chr, chr, start));
+                pos++;
+                continue;
+            }
+
+            if (chr == '\'' || chr == '"') {
+                let value = "";
+                pos++;
+                while (true) {
+                    if (pos >= query.length)
+                        throw this.syntaxError("Unterminated string", new Token(TokenType.End, null, "", start));
+                    let c = query[pos];
+                    if (c == '\\' && pos + 1 < query.length) {
+                        value += query[pos + 1];
+                        pos += 2;
+                    } else if (c == chr && query[pos + 1] == chr) {
+                        value += chr;
+                        pos += 2;
+                    } else if (c == chr) {
+                        pos++;
+                        break;
+                    } else {
+                        value += c;
+                        pos++;
+                    }
+                }
+                tokens.push(new Token(TokenType.String, value, query.substring(start, pos), start));
+                continue;
+            }
+
+            if (chr == '`') {
+                let end = query.indexOf('`', pos + 1);
+                if (end < 0)
+                    throw this.syntaxError("Unterminated field name", new Token(TokenType.End, null, "", start));
+                pos = end + 1;
+                tokens.push(new Token(TokenType.Identifier, query.substring(start + 1, end), query.substring(start, pos), start));
+                continue;
+            }
+
+            let match = /^-?\d+(\.\d+)?([eE][+-]?\d+)?/.exec(query.substring(pos));
+            if (match != null) {
+                pos += match[0].length;
+                tokens.push(new Token(TokenType.Number, parseFloat(match[0]), match[0], start));
+                continue;
+            }
+
+            match = /^[A-Za-z_$][\w$]*(\.[\w$]+)*/.exec(query.substring(pos));
+            if (match != null) {
+                pos += match[0].length;
+                tokens.push(new Token(TokenType.Identifier, match[0], match[0], start));
+                continue;
+            }
+
+            let operator = _.find(QueryParser.Operators, (op) => query.startsWith(op, pos));
+            if (operator != null) {
+                pos += operator.length;
+                tokens.push(new Token(TokenType.Operator, operator, operator, start));
+                continue;
+            }
+
+            throw this.syntaxError("Unexpected character '" + chr + "'", new Token(TokenType.End, null, chr, start));
+        }
+
+        tokens.push(new Token(TokenType.End, null, "end of query", query.length));
+        return tokens;
+    }
+
+    private syntaxError(message: string, token: Token): BadRequestException {
+        return <BadRequestException>new BadRequestException(
+            this._correlationId,
+            "INVALID_QUERY",
+            "Invalid query: " + message + " at position " + token.position
+        )
+        .withDetails("query", this._query)
+        .withDetails("position", token.position);
+    }
+
+}
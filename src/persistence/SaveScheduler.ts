@@ -0,0 +1,114 @@
+/** @module persistence */
+/** @hidden */
+let _ = require('lodash');
+
+import { ConfigParams } from 'pip-services3-commons-node';
+import { ConfigException } from 'pip-services3-commons-node';
+
+/**
+ * Scheduler that decides when changes of items are saved according to a save policy:
+ * - <code>immediate</code>: every change is saved right away (default)
+ * - <code>debounce</code>: changes are saved once in a given interval after the first unsaved change
+ * - <code>batch</code>: changes are saved after a given number of changes
+ * - <code>close</code>: changes are saved only when the component is closed
+ *
+ * It is used by [[MemoryPersistence]] to postpone saves.
+ *
+ * ### Configuration parameters ###
+ *
+ * - options:
+ *     - save_policy:     Policy to save changes: immediate, debounce, batch or close (default: immediate)
+ *     - save_interval:   Interval in milliseconds to save changes with debounce policy (default: 1000)
+ *     - save_changes:    Number of changes to save them with batch policy (default: 100)
+ *
+ * ### Example ###
+ *
+ *     let scheduler = new SaveScheduler();
+ *     scheduler.configure(ConfigParams.fromTuples("options.save_policy", "batch"));
+ *
+ *     if (!scheduler.postpone(() => flush()))
+ *         flush();
+ */
+export class SaveScheduler {
+    private _policy: string = "immediate";
+    private _interval: number = 1000;
+    private _changes: number = 100;
+    private _unsavedChanges: number = 0;
+    private _timer: any = null;
+
+    /**
+     * Configures component by passing configuration parameters.
+     *
+     * @param config    configuration parameters to be set.
+     *
+     * @throws a ConfigException when the save policy is not supported.
+     */
+    public configure(config: ConfigParams): void {
+        this._interval = config.getAsIntegerWithDefault("options.save_interval", this._interval);
+        this._changes = config.getAsIntegerWithDefault("options.save_changes", this._changes);
+
+        let policy = config.getAsStringWithDefault("options.save_policy", this._policy).toLowerCase();
+        if (!_.includes(["immediate", "debounce", "batch", "close"], policy)) {
+            throw new ConfigException(
+                null, "INVALID_SAVE_POLICY", "Save policy " + policy + " is not supported"
+            ).withDetails("save_policy", policy);
+        }
+        this._policy = policy;
+    }
+
+    /**
+     * Gets the save policy: immediate, debounce, batch or close.
+     */
+    public get policy(): string {
+        return this._policy;
+    }
+
+    /**
+     * Gets the number of changes made since the last save.
+     */
+    public get unsavedChanges(): number {
+        return this._unsavedChanges;
+    }
+
+    /**
+     * Registers a change and checks if saving it shall be postponed.
+     * With debounce policy the first postponed change starts a timer that calls a flush function
+     * after the save interval. Later changes do not restart the timer.
+     *
+     * @param flush     a function that saves all changes when the timer fires.
+     * @returns true if saving is postponed and false if changes shall be saved right away.
+     */
+    public postpone(flush: () => void): boolean {
+        this._unsavedChanges++;
+
+        let postponed = this._policy == "debounce" || this._policy == "close"
+            || (this._policy == "batch" && this._unsavedChanges < this._changes);
+
+        if (postponed && this._policy == "debounce" && this._timer == null) {
+            this._timer = setTimeout(() => {
+                this._timer = null;
+                flush();
+            }, this._interval);
+        }
+
+        return postponed;
+    }
+
+    /**
+     * Stops the debounce timer, so postponed changes are not saved by it.
+     */
+    public cancel(): void {
+        if (this._timer != null) {
+            clearTimeout(this._timer);
+            this._timer = null;
+        }
+    }
+
+    /**
+     * Forgets unsaved changes after they were saved or discarded.
+     */
+    public reset(): void {
+        this._unsavedChanges = 0;
+    }
+
+}
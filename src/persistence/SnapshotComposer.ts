@@ -0,0 +1,88 @@
+/** @module persistence */
+/** @hidden */
+let _ = require('lodash');
+
+import { BadRequestException } from 'pip-services3-commons-node';
+import { JsonConverter } from 'pip-services3-commons-node';
+
+import { ChangeEvent } from '../ChangeEvent';
+import { Snapshot } from '../Snapshot';
+
+/**
+ * Helper class that checks snapshots and compares lists of data items.
+ *
+ * Items in compared lists are matched by keys. Matched items that are not deeply equal
+ * are returned as updated, unmatched items are returned as created or deleted.
+ *
+ * @see [[Snapshot]]
+ * @see [[MemoryPersistence]]
+ *
+ * ### Example ###
+ *
+ *     let changes = SnapshotComposer.diff("123", snapshot1.items, snapshot2.items, (item) => item.id);
+ *     console.log(changes.map((change) => change.type));   // Result: [ 'updated', 'deleted' ]
+ */
+export class SnapshotComposer {
+
+    /**
+     * Checks that a snapshot contains a list of items in a supported format.
+     *
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param snapshot          a snapshot to be checked.
+     * @returns a BadRequestException or null if the snapshot is valid.
+     */
+    public static check<T>(correlationId: string, snapshot: Snapshot<T>): BadRequestException {
+        if (snapshot == null || !_.isArray(snapshot.items)) {
+            return new BadRequestException(
+                correlationId, "INVALID_SNAPSHOT", "Snapshot must contain a list of items"
+            );
+        }
+
+        if (snapshot.version == null || snapshot.version > Snapshot.CurrentVersion) {
+            return <BadRequestException>new BadRequestException(
+                correlationId, "UNSUPPORTED_SNAPSHOT_VERSION", "Snapshot version " + snapshot.version + " is not supported"
+            ).withDetails("version", snapshot.version);
+        }
+
+        return null;
+    }
+
+    /**
+     * Compares two lists of items and returns changes that turn the old list into the new one.
+     *
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param oldList           an earlier list of items.
+     * @param newList           a later list of items.
+     * @param getKey            a function that returns a key to match items.
+     * @param time              (optional) time of the changes. Default: current time.
+     * @returns a list of created, updated and deleted events.
+     */
+    public static diff<T>(correlationId: string, oldList: T[], newList: T[],
+        getKey: (item: T) => any, time?: Date): ChangeEvent<T>[] {
+        let oldItems = new Map<string, T>();
+        for (let item of oldList)
+            oldItems.set(JsonConverter.toJson(getKey(item)), item);
+
+        let changes: ChangeEvent<T>[] = [];
+
+        for (let newItem of newList) {
+            let key = JsonConverter.toJson(getKey(newItem));
+            let oldItem = oldItems.get(key);
+
+            if (oldItem === undefined) {
+                changes.push(new ChangeEvent<T>(ChangeEvent.Created, correlationId, null, newItem, time));
+            } else {
+                oldItems.delete(key);
+                if (!_.isEqual(oldItem, newItem))
+                    changes.push(new ChangeEvent<T>(ChangeEvent.Updated, correlationId, oldItem, newItem, time));
+            }
+        }
+
+        oldItems.forEach((oldItem) => {
+            changes.push(new ChangeEvent<T>(ChangeEvent.Deleted, correlationId, oldItem, null, time));
+        });
+
+        return changes;
+    }
+
+}
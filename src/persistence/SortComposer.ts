@@ -0,0 +1,172 @@
+/** @module persistence */
+/** @hidden */
+let _ = require('lodash');
+
+import { SortParams } from 'pip-services3-commons-node';
+import { SortField } from 'pip-services3-commons-node';
+
+/**
+ * Helper class that sorts data items according to sort parameters.
+ *
+ * Sorting can be defined as:
+ * - [[https://pip-services3-node.github.io/pip-services3-commons-node/classes/data.sortparams.html SortParams]]
+ *   or an array of objects with <code>name</code> and <code>ascending</code> properties.
+ *   Items are sorted by the first field, then by the second one and so on.
+ *   Nested fields are defined using dot notation.
+ * - a function that receives an item and returns a value to sort by (as in lodash <code>sortBy</code>).
+ *
+ * Sorting is stable: items with equal sort values keep their original order.
+ * Values of different types are ordered like in MongoDB:
+ * missing and null values go first, followed by numbers, strings, objects, arrays, booleans and dates.
+ *
+ * @see [[MemoryPersistence]]
+ *
+ * ### Example ###
+ *
+ *     let sort = new SortParams(new SortField("status"), new SortField("address.city", false));
+ *     let sorted = SortComposer.apply(items, sort);
+ */
+export class SortComposer {
+
+    /**
+     * Composes a comparator function from sort parameters.
+     *
+     * @param sort  sort parameters: SortParams, an array of sort fields or a function that returns values to sort by.
+     * @returns a comparator function or <code>null</code> if sorting is not defined.
+     */
+    public static compose(sort: any): (item1: any, item2: any) => number {
+        if (sort == null) return null;
+
+        if (_.isFunction(sort)) {
+            return (item1, item2) => SortComposer.compareValues(sort(item1), sort(item2));
+        }
+
+        let fields = SortComposer.getFields(sort);
+        if (fields.length == 0) return null;
+
+        let paths = _.map(fields, (field) => field.name.split("."));
+        let directions = _.map(fields, (field) => field.ascending === false ? -1 : 1);
+
+        return (item1, item2) => {
+            for (let index = 0; index < paths.length; index++) {
+                let result = SortComposer.compareValues(
+                    SortComposer.getValue(item1, paths[index]),
+                    SortComposer.getValue(item2, paths[index])
+                );
+                if (result != 0) return result * directions[index];
+            }
+            return 0;
+        };
+    }
+
+    /**
+     * Composes a function that extracts a sort key from an item: a list of values the item is sorted by.
+     * Keys allow to find a position of an item in a sorted list without the item itself,
+     * for instance, to continue paging after the last returned item.
+     *
+     * @param sort  sort parameters. See [[compose]] for supported formats.
+     * @returns a function that returns a list of sort values or an empty list if sorting is not defined.
+     *
+     * @see [[composeKeyComparator]]
+     */
+    public static composeKey(sort: any): (item: any) => any[] {
+        if (sort == null) return (item) => [];
+        if (_.isFunction(sort)) return (item) => [sort(item)];
+
+        let paths = _.map(SortComposer.getFields(sort), (field) => field.name.split("."));
+        return (item) => _.map(paths, (path) => SortComposer.getValue(item, path));
+    }
+
+    /**
+     * Composes a comparator function for sort keys extracted by [[composeKey]].
+     * Keys can contain extra values after the sort values. They are compared
+     * in ascending order to distinguish items with equal sort values.
+     *
+     * @param sort  sort parameters. See [[compose]] for supported formats.
+     * @returns a comparator function of sort keys.
+     */
+    public static composeKeyComparator(sort: any): (key1: any[], key2: any[]) => number {
+        let directions = sort == null || _.isFunction(sort)
+            ? [] : _.map(SortComposer.getFields(sort), (field) => field.ascending === false ? -1 : 1);
+
+        return (key1, key2) => {
+            let length = Math.max(key1.length, key2.length);
+            for (let index = 0; index < length; index++) {
+                let result = SortComposer.compareValues(key1[index], key2[index]);
+                if (result != 0) return index < directions.length ? result * directions[index] : result;
+            }
+            return 0;
+        };
+    }
+
+    /**
+     * Sorts a list of items. The original list is not changed.
+     *
+     * @param items     a list of items to be sorted.
+     * @param sort      sort parameters. See [[compose]] for supported formats.
+     * @returns a sorted copy of the list or the original list if sorting is not defined.
+     */
+    public static apply<T>(items: T[], sort: any): T[] {
+        let comparator = SortComposer.compose(sort);
+        if (comparator == null) return items;
+
+        // Positions are used to keep the sort stable
+        let entries = _.map(items, (item, index) => ({ item: item, index: index }));
+        entries.sort((entry1, entry2) => comparator(entry1.item, entry2.item) || entry1.index - entry2.index);
+        return _.map(entries, (entry) => entry.item);
+    }
+
+    private static getFields(sort: any): SortField[] {
+        let fields: SortField[] = _.isArray(sort) ? sort : [sort];
+        return _.filter(fields, (field) => field != null && field.name != null && field.name != "");
+    }
+
+    private static getValue(item: any, path: string[]): any {
+        let value = item;
+        for (let name of path) {
+            if (value == null || !_.isObject(value)) return null;
+            value = value[name];
+        }
+        return value;
+    }
+
+    private static getTypeRank(value: any): number {
+        if (value == null) return 0;
+        if (_.isNumber(value)) return 1;
+        if (_.isString(value)) return 2;
+        if (_.isBoolean(value)) return 5;
+        if (_.isDate(value)) return 6;
+        if (_.isArray(value)) return 4;
+        return 3;
+    }
+
+    /**
+     * Compares two values of any types in sort order.
+     *
+     * @param value1    the first value to compare.
+     * @param value2    the second value to compare.
+     * @returns a negative number when the first value goes first, a positive number when it goes last and 0 when they are equal.
+     */
+    public static compareValues(value1: any, value2: any): number {
+        let rank1 = SortComposer.getTypeRank(value1);
+        let rank2 = SortComposer.getTypeRank(value2);
+        if (rank1 != rank2) return rank1 - rank2;
+
+        switch (rank1) {
+            case 0:
+                return 0;
+            case 3:
+            case 4:
+                value1 = JSON.stringify(value1);
+                value2 = JSON.stringify(value2);
+                break;
+            case 6:
+                value1 = value1.getTime();
+                value2 = value2.getTime();
+                break;
+        }
+
+        return value1 < value2 ? -1 : value1 > value2 ? 1 : 0;
+    }
+
+}
@@ -0,0 +1,224 @@
+/** @module persistence */
+import { InvalidStateException } from 'pip-services3-commons-node';
+import { ILogger } from 'pip-services3-components-node';
+
+import { ChangeEvent } from '../ChangeEvent';
+import { ChangeNotifier } from './ChangeNotifier';
+
+/**
+ * Coordinator of transactions over data items stored in memory.
+ *
+ * A transaction captures the state of items when it begins and restores it when it is rolled back.
+ * Saves and change events are postponed until the transaction is committed. When an action
+ * runs in an active transaction it joins it, and only its own changes are rolled back when it fails.
+ *
+ * The coordinator changes items only via functions of the store passed to the constructor.
+ * It is used by [[MemoryPersistence]] to implement its transactions.
+ *
+ * ### Example ###
+ *
+ *     let transactions = new TransactionCoordinator<MyData>(logger, notifier, {
+ *         capture: () => items.slice(),
+ *         restore: (state, invalidate) => { items = state; },
+ *         save: (correlationId, callback) => saver.save(correlationId, items, callback)
+ *     });
+ *
+ *     transactions.run("123", (callback) => {
+ *         items.push(item);
+ *         callback();
+ *     }, (err) => {
+ *         // The item is added and saved or not added at all
+ *     });
+ */
+export class TransactionCoordinator<T> {
+    private _logger: ILogger;
+    private _notifier: ChangeNotifier<T>;
+    private _store: {
+        capture: () => any,
+        restore: (state: any, invalidate: boolean) => void,
+        save: (correlationId: string, callback: (err: any) => void) => void
+    };
+    private _transaction: { state: any, events: ChangeEvent<T>[], saves: number } = null;
+
+    /**
+     * Creates a new instance of the coordinator.
+     *
+     * @param logger    a logger to trace transactions.
+     * @param notifier  a notifier to send change events when transactions are committed.
+     * @param store     functions that capture the state of items, restore a captured state and save items.
+     *                  Restored states are invalidated when changes may be partially saved.
+     */
+    public constructor(logger: ILogger, notifier: ChangeNotifier<T>, store: {
+        capture: () => any,
+        restore: (state: any, invalidate: boolean) => void,
+        save: (correlationId: string, callback: (err: any) => void) => void
+    }) {
+        this._logger = logger;
+        this._notifier = notifier;
+        this._store = store;
+    }
+
+    /**
+     * Checks if a transaction is active.
+     *
+     * @returns true if a transaction is active and false otherwise.
+     */
+    public isActive(): boolean {
+        return this._transaction != null;
+    }
+
+    /**
+     * Postpones a save until the active transaction is committed.
+     *
+     * @returns true if the save is postponed and false if no transaction is active.
+     */
+    public postponeSave(): boolean {
+        if (this._transaction == null) return false;
+
+        this._transaction.saves++;
+        return true;
+    }
+
+    /**
+     * Postpones a change event until the active transaction is committed.
+     *
+     * @param event     an event to be sent.
+     * @returns true if the event is postponed and false if no transaction is active.
+     */
+    public postponeEvent(event: ChangeEvent<T>): boolean {
+        if (this._transaction == null) return false;
+
+        this._transaction.events.push(event);
+        return true;
+    }
+
+    /**
+     * Begins a transaction and captures the state of items to roll it back.
+     *
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     *
+     * @throws an InvalidStateException when another transaction is active.
+     */
+    public begin(correlationId: string): void {
+        if (this._transaction != null) {
+            throw new InvalidStateException(
+                correlationId, "TRANSACTION_ACTIVE", "Another transaction is already active"
+            );
+        }
+
+        this._transaction = { state: this._store.capture(), events: [], saves: 0 };
+
+        this._logger.trace(correlationId, "Began transaction");
+    }
+
+    /**
+     * Commits the active transaction, saves its changes at once and sends postponed events.
+     * When saving fails the changes are rolled back.
+     *
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param callback          (optional) callback function that receives error or null for success.
+     */
+    public commit(correlationId: string, callback?: (err: any) => void): void {
+        let transaction = this._transaction;
+        if (transaction == null) {
+            let err = new InvalidStateException(correlationId, "NO_TRANSACTION", "No transaction is active");
+            if (callback) callback(err);
+            return;
+        }
+
+        this._transaction = null;
+
+        let complete = (err: any) => {
+            if (err != null) {
+                // It is not known what was written, so all items are saved next time
+                this._store.restore(transaction.state, true);
+            } else {
+                this._logger.trace(correlationId, "Committed transaction");
+                for (let event of transaction.events)
+                    this._notifier.send(event);
+            }
+
+            if (callback) callback(err);
+        };
+
+        if (transaction.saves > 0) this._store.save(correlationId, complete);
+        else complete(null);
+    }
+
+    /**
+     * Rolls back the active transaction and restores the state of items captured when it began.
+     *
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     */
+    public rollback(correlationId: string): void {
+        let transaction = this._transaction;
+        if (transaction == null) return;
+
+        this._transaction = null;
+        this._store.restore(transaction.state, false);
+
+        this._logger.trace(correlationId, "Rolled back transaction");
+    }
+
+    /**
+     * Runs an action in a transaction. The transaction is committed when the action succeeds
+     * and rolled back when it returns an error.
+     *
+     * When another transaction is already active the action joins it. When the action fails
+     * only its own changes are rolled back, and the active transaction continues.
+     *
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param action            an action that makes writes and calls the callback when it is done.
+     * @param callback          (optional) callback function that receives error or null for success.
+     */
+    public run(correlationId: string, action: (callback: (err?: any) => void) => void,
+        callback?: (err: any) => void): void {
+        if (this._transaction != null) {
+            this.runInSavepoint(correlationId, action, callback);
+            return;
+        }
+
+        this.begin(correlationId);
+
+        let done = (err?: any) => {
+            if (err != null) {
+                this.rollback(correlationId);
+                if (callback) callback(err);
+                return;
+            }
+
+            this.commit(correlationId, callback);
+        };
+
+        try {
+            action(done);
+        } catch (err) {
+            done(err);
+        }
+    }
+
+    private runInSavepoint(correlationId: string, action: (callback: (err?: any) => void) => void,
+        callback?: (err: any) => void): void {
+        let transaction = this._transaction;
+        let state = this._store.capture();
+        let events = transaction.events.length;
+
+        let done = (err?: any) => {
+            // Changes of the failed action are rolled back, while earlier changes stay in the transaction
+            if (err != null && this._transaction === transaction) {
+                this._store.restore(state, false);
+                transaction.events.splice(events);
+                this._logger.trace(correlationId, "Rolled back to savepoint");
+            }
+
+            if (callback) callback(err);
+        };
+
+        try {
+            action(done);
+        } catch (err) {
+            done(err);
+        }
+    }
+
+}
@@ -0,0 +1,260 @@
+/** @module persistence */
+/** @hidden */
+let _ = require('lodash');
+
+import { BadRequestException } from 'pip-services3-commons-node';
+
+import { FilterComposer } from './FilterComposer';
+
+/** @hidden */
+const ForbiddenFields = ["__proto__", "constructor", "prototype"];
+
+/**
+ * Helper class that applies partial updates to data items.
+ *
+ * An update is an object where keys are field names and values are new field values.
+ * Nested fields are defined using dot notation, so <code>{ "address.city": "Tucson" }</code>
+ * changes only the city and keeps other address fields.
+ *
+ * Like in MongoDB the update can also contain operators:
+ * - <code>$set</code>: sets field values
+ * - <code>$unset</code>: removes fields
+ * - <code>$inc</code>, <code>$mul</code>: increments or multiplies numeric fields
+ * - <code>$min</code>, <code>$max</code>: sets fields when the new value is less or greater than the current one
+ * - <code>$rename</code>: renames fields
+ * - <code>$push</code>, <code>$addToSet</code>: adds values to arrays (multiple values can be added with <code>$each</code>)
+ * - <code>$pull</code>: removes array elements that are equal to a value or match a condition
+ * - <code>$pop</code>: removes the last (1) or the first (-1) array element
+ * - <code>$setOnInsert</code>: sets field values only when a new item is inserted
+ *
+ * Updates are applied to a deep copy, so the original item is never changed.
+ * Fields named <code>__proto__</code>, <code>constructor</code> or <code>prototype</code> are not allowed.
+ *
+ * @see [[IdentifiableMemoryPersistence.updatePartially]]
+ *
+ * ### Example ###
+ *
+ *     let updated = UpdateComposer.apply(item, {
+ *         "address.city": "Tucson",
+ *         $inc: { visits: 1 },
+ *         $push: { tags: { $each: ["new", "vip"] } },
+ *         $unset: { nickname: "" }
+ *     });
+ */
+export class UpdateComposer {
+
+    /**
+     * Applies a partial update to a copy of a data item.
+     *
+     * @param item          an item to be updated.
+     * @param update        an update object or AnyValueMap with field values and update operators.
+     * @param inserting     (optional) true when the item is inserted to apply <code>$setOnInsert</code> operator. Default: false
+     * @returns an updated copy of the item.
+     *
+     * @throws a BadRequestException when the update contains unsupported operators or invalid arguments.
+     */
+    public static apply<T>(item: T, update: any, inserting: boolean = false): T {
+        if (update != null && _.isFunction(update.getAsObject))
+            update = update.getAsObject();
+
+        if (update != null && (!_.isObject(update) || _.isArray(update))) {
+            throw new BadRequestException(
+                null, "INVALID_UPDATE", "Update must be an object with field values or update operators"
+            ).withDetails("update", update);
+        }
+
+        let result: any = _.cloneDeep(item != null ? item : {});
+
+        for (let key of Object.keys(update || {})) {
+            let arg = update[key];
+
+            if (key[0] != "$") {
+                UpdateComposer.applyOperator(result, "$set", UpdateComposer.splitPath(key), arg);
+                continue;
+            }
+
+            if (key == "$setOnInsert" && !inserting) continue;
+
+            if (!_.isPlainObject(arg))
+                throw UpdateComposer.invalidArgument(key, "an object with field names as keys");
+
+            for (let field of Object.keys(arg))
+                UpdateComposer.applyOperator(result, key, UpdateComposer.splitPath(field), arg[field]);
+        }
+
+        return result;
+    }
+
+    private static splitPath(field: string): string[] {
+        let path = _.filter(field.split('.'), (part) => part != "");
+
+        // Updating these fields would change prototypes of all objects
+        if (_.some(path, (part) => _.includes(ForbiddenFields, part))) {
+            throw new BadRequestException(
+                null, "INVALID_UPDATE_FIELD", "Update field " + field + " is not allowed"
+            ).withDetails("field", field);
+        }
+
+        return path;
+    }
+
+    private static getOwn(target: any, name: string): any {
+        return Object.prototype.hasOwnProperty.call(target, name) ? target[name] : null;
+    }
+
+    private static getParent(item: any, path: string[], operator: string, create: boolean): any {
+        let target = item;
+
+        for (let index = 0; index < path.length - 1; index++) {
+            let name = path[index];
+            let value = UpdateComposer.getOwn(target, name);
+
+            if (value == null) {
+                if (!create) return null;
+                value = {};
+                target[name] = value;
+            } else if (!_.isObject(value)) {
+                throw UpdateComposer.invalidArgument(operator, "field " + path.slice(0, index + 1).join(".") + " to be an object");
+            }
+
+            target = value;
+        }
+
+        return target;
+    }
+
+    private static getArray(parent: any, name: string, path: string[], operator: string): any[] {
+        let value = UpdateComposer.getOwn(parent, name);
+        if (value == null) {
+            value = [];
+            parent[name] = value;
+        } else if (!_.isArray(value)) {
+            throw UpdateComposer.invalidArgument(operator, "field " + path.join(".") + " to be an array");
+        }
+        return value;
+    }
+
+    private static applyOperator(item: any, operator: string, path: string[], arg: any): void {
+        if (path.length == 0)
+            throw UpdateComposer.invalidArgument(operator, "non-empty field names");
+
+        let name = path[path.length - 1];
+
+        switch (operator) {
+            case "$set":
+            case "$setOnInsert": {
+                let parent = UpdateComposer.getParent(item, path, operator, true);
+                parent[name] = _.cloneDeep(arg);
+                return;
+            }
+            case "$unset": {
+                let parent = UpdateComposer.getParent(item, path, operator, false);
+                if (parent == null) return;
+                // Removing array elements would shift positions of others
+                if (_.isArray(parent)) parent[name] = null;
+                else delete parent[name];
+                return;
+            }
+            case "$inc":
+            case "$mul": {
+                if (!_.isNumber(arg))
+                    throw UpdateComposer.invalidArgument(operator, "numeric values");
+
+                let parent = UpdateComposer.getParent(item, path, operator, true);
+                let value = UpdateComposer.getOwn(parent, name);
+                if (value != null && !_.isNumber(value))
+                    throw UpdateComposer.invalidArgument(operator, "field " + path.join(".") + " to be a number");
+
+                value = value != null ? value : 0;
+                parent[name] = operator == "$inc" ? value + arg : value * arg;
+                return;
+            }
+            case "$min":
+            case "$max": {
+                let parent = UpdateComposer.getParent(item, path, operator, true);
+                let value = UpdateComposer.getOwn(parent, name);
+                let replace = value == null
+                    || (operator == "$min" ? arg < value : arg > value);
+                if (replace) parent[name] = _.cloneDeep(arg);
+                return;
+            }
+            case "$rename": {
+                if (!_.isString(arg) || arg == "")
+                    throw UpdateComposer.invalidArgument(operator, "new field names");
+
+                let parent = UpdateComposer.getParent(item, path, operator, false);
+                if (parent == null || !_.has(parent, name)) return;
+
+                let value = parent[name];
+                delete parent[name];
+                UpdateComposer.applyOperator(item, "$set", UpdateComposer.splitPath(arg), value);
+                return;
+            }
+            case "$push":
+            case "$addToSet": {
+                let parent = UpdateComposer.getParent(item, path, operator, true);
+                let array = UpdateComposer.getArray(parent, name, path, operator);
+
+                let values = _.isPlainObject(arg) && _.has(arg, "$each") ? arg.$each : [arg];
+                if (!_.isArray(values))
+                    throw UpdateComposer.invalidArgument(operator, "an array in $each");
+
+                for (let value of values) {
+                    if (operator == "$addToSet" && _.some(array, (element) => _.isEqual(element, value)))
+                        continue;
+                    array.push(_.cloneDeep(value));
+                }
+                return;
+            }
+            case "$pull": {
+                let parent = UpdateComposer.getParent(item, path, operator, false);
+                if (parent == null || UpdateComposer.getOwn(parent, name) == null) return;
+
+                let array = UpdateComposer.getArray(parent, name, path, operator);
+                let matches = UpdateComposer.composeMatch(arg);
+                parent[name] = _.filter(array, (element) => !matches(element));
+                return;
+            }
+            case "$pop": {
+                if (arg !== 1 && arg !== -1)
+                    throw UpdateComposer.invalidArgument(operator, "1 or -1");
+
+                let parent = UpdateComposer.getParent(item, path, operator, false);
+                if (parent == null || UpdateComposer.getOwn(parent, name) == null) return;
+
+                let array = UpdateComposer.getArray(parent, name, path, operator);
+                if (arg == 1) array.pop();
+                else array.shift();
+                return;
+            }
+        }
+
+        throw new BadRequestException(
+            null, "UNSUPPORTED_UPDATE_OPERATOR", "Update operator " + operator + " is not supported"
+        ).withDetails("operator", operator);
+    }
+
+    private static composeMatch(arg: any): (element: any) => boolean {
+        if (!_.isPlainObject(arg))
+            return (element) => _.isEqual(element, arg);
+
+        // Operators like { $gte: 5 } are applied to elements themselves
+        let keys = Object.keys(arg);
+        let logical = ["$and", "$or", "$nor"];
+        if (keys.length > 0 && _.every(keys, (key) => key[0] == "$" && !_.includes(logical, key))) {
+            let predicate = FilterComposer.compose({ value: arg });
+            return (element) => predicate({ value: element });
+        }
+
+        // Conditions like { name: "ABC" } are applied to fields of elements
+        let predicate = FilterComposer.compose(arg);
+        return (element) => _.isObject(element) && predicate(element);
+    }
+
+    private static invalidArgument(operator: string, expected: string): BadRequestException {
+        return <BadRequestException>new BadRequestException(
+            null, "INVALID_UPDATE_ARGUMENT", "Update operator " + operator + " expects " + expected
+        ).withDetails("operator", operator);
+    }
+
+}
@@ -0,0 +1,69 @@
+/** @module persistence */
+/** @hidden */
+const yaml = require('js-yaml');
+
+import { FilePersister } from './FilePersister';
+
+/**
+ * Persistence component that loads and saves data from/to flat file in YAML format.
+ * 
+ * The file shall contain a list of data items at the top level. An empty file means no items.
+ * 
+ * ### Configuration parameters ###
+ * 
+ * - path:              path to the file where data is stored
+ * - options:
+ *     - backup_count:  number of backup copies of previous data files to keep (default: 0)
+ *     - watch_interval: interval in milliseconds to check the watched data file (default: 1000)
+ *     - locking:       true to lock the data file when it is read or written (default: false)
+ *     - lock_timeout:  time in milliseconds to wait for locks of other processes (default: 5000)
+ *     - lock_stale_timeout: age in milliseconds after which locks are considered stale (default: 30000)
+ *     - read_modify_write: true to detect modifications made by other processes before writes (default: false)
+ * 
+ * ### Example ###
+ * 
+ *     let persister = new YamlFilePersister("./data/data.yml");
+ * 
+ *     persister.load("123", (err, items) => {
+ *         ...
+ *     });
+ */
+export class YamlFilePersister<T> extends FilePersister<T> {
+
+    /**
+     * Creates a new instance of the persistence.
+     * 
+     * @param path  (optional) a path to the file where data is stored.
+     */
+    public constructor(path?: string) {
+        super(path);
+    }
+
+    /**
+     * Converts the content of a YAML file into data items.
+     * 
+     * @param data  the content of a data file.
+     * @returns a list of data items.
+     */
+    protected parseData(data: string): T[] {
+        let items = yaml.safeLoad(data);
+        if (items == null) return [];
+
+        if (!Array.isArray(items))
+            throw new Error("YAML file does not contain a list of items");
+
+        return items;
+    }
+
+    /**
+     * Converts data items into YAML.
+     * 
+     * @param items     a list of data items.
+     * @returns the content of a data file.
+     */
+    protected formatData(items: T[]): string {
+        // Skip undefined values and functions instead of failing
+        return yaml.safeDump(items || [], { skipInvalid: true });
+    }
+
+}
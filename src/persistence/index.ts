@@ -13,8 +13,39 @@
  * operations are defined by default for these objects: reading arrays and data pages; searching for 
  * an object by its id; and creating, updating, and deleting records of objects. 
  */
+export { AsyncMemoryPersistence } from './AsyncMemoryPersistence';
 export { MemoryPersistence } from './MemoryPersistence';
+export { AsyncIdentifiableMemoryPersistence } from './AsyncIdentifiableMemoryPersistence';
 export { IdentifiableMemoryPersistence } from './IdentifiableMemoryPersistence';
 export { FilePersistence } from './FilePersistence';
 export { IdentifiableFilePersistence } from './IdentifiableFilePersistence';
+export { FilePersister } from './FilePersister';
 export { JsonFilePersister } from './JsonFilePersister';
+export { YamlFilePersister } from './YamlFilePersister';
+export { CsvFilePersister } from './CsvFilePersister';
+export { NdJsonFilePersister } from './NdJsonFilePersister';
+export { FilePersisterFactory } from './FilePersisterFactory';
+export { FilePersisterBinding } from './FilePersisterBinding';
+export { JsonJournalPersister } from './JsonJournalPersister';
+export { ProjectionComposer } from './ProjectionComposer';
+export { FilterComposer } from './FilterComposer';
+export { QueryParser } from './QueryParser';
+export { SortComposer } from './SortComposer';
+export { UpdateComposer } from './UpdateComposer';
+export { AggregateComposer } from './AggregateComposer';
+export { CursorComposer } from './CursorComposer';
+export { PageComposer } from './PageComposer';
+export { SnapshotComposer } from './SnapshotComposer';
+export { MemoryIndex } from './MemoryIndex';
+export { IndexTracker } from './IndexTracker';
+export { CapacityTracker } from './CapacityTracker';
+export { ExpirationTracker } from './ExpirationTracker';
+export { SaveScheduler } from './SaveScheduler';
+export { ItemValidator } from './ItemValidator';
+export { ChangeNotifier } from './ChangeNotifier';
+export { JournalTracker } from './JournalTracker';
+export { TransactionCoordinator } from './TransactionCoordinator';
+export { LruEvictionPolicy } from './LruEvictionPolicy';
+export { LfuEvictionPolicy } from './LfuEvictionPolicy';
+export { FifoEvictionPolicy } from './FifoEvictionPolicy';
+export { PromiseAdapter } from './PromiseAdapter';
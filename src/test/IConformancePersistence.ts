@@ -0,0 +1,43 @@
+/** @module test */
+import { IIdentifiable } from 'pip-services3-commons-node';
+import { FilterParams } from 'pip-services3-commons-node';
+import { PagingParams } from 'pip-services3-commons-node';
+import { SortParams } from 'pip-services3-commons-node';
+import { DataPage } from 'pip-services3-commons-node';
+
+import { IGetter } from '../IGetter';
+import { IWriter } from '../IWriter';
+import { ISetter } from '../ISetter';
+import { IPartialUpdater } from '../IPartialUpdater';
+
+/**
+ * Interface for persistence components that can be verified by [[PersistenceConformanceFixture]].
+ * 
+ * Besides standard data interfaces it requires methods to read pages and count items.
+ * Persistences can implement them by exposing <code>getPageByFilter</code> and <code>getCountByFilter</code>
+ * methods of [[MemoryPersistence]] or similar methods of database persistences.
+ * Filters shall support equality conditions on fields, like <code>FilterParams.fromTuples("name", "ABC")</code>.
+ */
+export interface IConformancePersistence<T extends IIdentifiable<K>, K> extends IGetter<T, K>, IWriter<T, K>,
+    ISetter<T>, IPartialUpdater<T, K> {
+    /**
+     * Gets a page of data items retrieved by a given filter and sorted according to sort parameters.
+     * 
+     * @param correlation_id    (optional) transaction id to trace execution through call chain.
+     * @param filter            (optional) a filter parameters.
+     * @param paging            (optional) paging parameters.
+     * @param sort              (optional) sort parameters.
+     * @param callback          callback function that receives a data page or error.
+     */
+    getPageByFilter(correlation_id: string, filter: FilterParams, paging: PagingParams, sort: SortParams,
+        callback: (err: any, page: DataPage<T>) => void): void;
+
+    /**
+     * Gets a number of data items retrieved by a given filter.
+     * 
+     * @param correlation_id    (optional) transaction id to trace execution through call chain.
+     * @param filter            (optional) a filter parameters.
+     * @param callback          callback function that receives a data count or error.
+     */
+    getCountByFilter(correlation_id: string, filter: FilterParams, callback: (err: any, count: number) => void): void;
+}
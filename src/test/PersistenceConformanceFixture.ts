@@ -0,0 +1,398 @@
+/** @module test */
+/** @hidden */
+const assert = require('assert');
+/** @hidden */
+let _ = require('lodash');
+
+import { IIdentifiable } from 'pip-services3-commons-node';
+import { AnyValueMap } from 'pip-services3-commons-node';
+import { FilterParams } from 'pip-services3-commons-node';
+import { PagingParams } from 'pip-services3-commons-node';
+import { SortParams } from 'pip-services3-commons-node';
+import { SortField } from 'pip-services3-commons-node';
+import { DataPage } from 'pip-services3-commons-node';
+
+import { SortComposer } from '../persistence/SortComposer';
+import { IConformancePersistence } from './IConformancePersistence';
+
+/**
+ * Reusable test fixture that verifies a persistence component against the common data contract:
+ * reading by id, creating, updating, setting, partial updates, deleting, paging, counting, filtering and sorting.
+ *
+ * The fixture is not tied to a data type. Data items are produced by a factory that receives
+ * an item index and must return different field values for different indexes. Ids are assigned
+ * by the persistence, so the fixture works with any id type. Only fields returned by the factory
+ * are compared, so persistences may add their own fields like versions or timestamps.
+ *
+ * Every test expects an empty persistence, so tests shall clear it or create a new one before each run.
+ * The fixture uses Node.js assertions and does not depend on a test framework.
+ *
+ * @see [[IConformancePersistence]]
+ *
+ * ### Example ###
+ *
+ *     suite('MyMemoryPersistence', () => {
+ *         let persistence: MyMemoryPersistence;
+ *         let fixture: PersistenceConformanceFixture<MyData, string>;
+ *
+ *         setup(() => {
+ *             persistence = new MyMemoryPersistence();
+ *             fixture = new PersistenceConformanceFixture<MyData, string>(
+ *                 persistence, (index) => { return { id: null, name: "Name " + index }; }, "name"
+ *             );
+ *         });
+ *
+ *         test('Crud Operations', (done) => {
+ *             fixture.testCrudOperations(done);
+ *         });
+ *     });
+ */
+export class PersistenceConformanceFixture<T extends IIdentifiable<K>, K> {
+    private _persistence: IConformancePersistence<T, K>;
+    private _createItem: (index: number) => T;
+    private _sortField: string;
+    private _filterField: string;
+
+    /**
+     * Creates a new instance of the fixture.
+     *
+     * @param persistence   a persistence component to be verified.
+     * @param createItem    a factory that creates a new data item without id for a given index.
+     * @param sortField     (optional) a field used to verify sorting. Default: "id"
+     * @param filterField   (optional) a field used to verify filtering. Default: the first field returned by the factory
+     */
+    public constructor(persistence: IConformancePersistence<T, K>, createItem: (index: number) => T,
+        sortField: string = "id", filterField: string = null) {
+        this._persistence = persistence;
+        this._createItem = createItem;
+        this._sortField = sortField;
+        this._filterField = filterField;
+    }
+
+    private runSteps(steps: ((callback: (err?: any) => void) => void)[], callback: (err: any) => void): void {
+        let index = 0;
+        let next = (err?: any) => {
+            if (err != null || index >= steps.length) {
+                callback(err || null);
+                return;
+            }
+
+            let step = steps[index++];
+            let completed = false;
+            let complete = (err?: any) => {
+                // Steps that throw after calling back are not completed twice
+                if (completed) return;
+                completed = true;
+                next(err);
+            };
+
+            try {
+                step(complete);
+            } catch (ex) {
+                // Failed assertions are returned as errors
+                complete(ex);
+            }
+        };
+        next();
+    }
+
+    /**
+     * Wraps checks of a result into a callback for persistence methods.
+     * Checks are called only when there is no error, and failed assertions
+     * are passed to the step callback even when persistences call back asynchronously.
+     */
+    private verify<R>(callback: (err?: any) => void, check?: (result: R) => void): (err: any, result: R) => void {
+        return (err: any, result: R) => {
+            if (err == null && check != null) {
+                try {
+                    check(result);
+                } catch (ex) {
+                    err = ex;
+                }
+            }
+            callback(err);
+        };
+    }
+
+    private newItem(index: number): T {
+        let item: any = this._createItem(index);
+        delete item.id;
+        return item;
+    }
+
+    private assertItem(expected: T, actual: T, message: string): void {
+        assert.ok(actual != null, message + ": item is missing");
+        for (let field of Object.keys(expected)) {
+            if (field == "id") continue;
+            assert.deepEqual(actual[field], expected[field], message + ": field " + field + " does not match");
+        }
+    }
+
+    private createItems(count: number, callback: (err: any, items: T[]) => void): void {
+        let items: T[] = [];
+        let steps = _.times(count, (index) => (callback) => {
+            this._persistence.create(null, this.newItem(index), this.verify<T>(callback, (item) => {
+                assert.ok(item != null, "Created item is missing");
+                items.push(item);
+            }));
+        });
+        this.runSteps(steps, (err) => callback(err, err == null ? items : null));
+    }
+
+    /**
+     * Verifies creating, reading, updating and deleting of data items.
+     *
+     * @param callback  callback function that receives error or null when the test passes.
+     */
+    public testCrudOperations(callback: (err: any) => void): void {
+        let item1: T;
+        let item2: T;
+
+        this.runSteps([
+            (callback) => {
+                // Create items
+                this.createItems(2, (err, items) => {
+                    if (err == null) [item1, item2] = items;
+                    callback(err);
+                });
+            },
+            (callback) => {
+                this.assertItem(this.newItem(0), item1, "Created item");
+                this.assertItem(this.newItem(1), item2, "Created item");
+                assert.ok(item1.id != null, "Created item must have an id");
+                assert.notDeepEqual(item1.id, item2.id, "Created items must have different ids");
+                callback();
+            },
+            (callback) => {
+                // Get item by id
+                this._persistence.getOneById(null, item1.id, this.verify<T>(callback, (item) => {
+                    this.assertItem(this.newItem(0), item, "Retrieved item");
+                    assert.deepEqual(item.id, item1.id, "Retrieved item has a wrong id");
+                }));
+            },
+            (callback) => {
+                // Update item
+                let update: any = this.newItem(2);
+                update.id = item1.id;
+
+                this._persistence.update(null, update, this.verify<T>(callback, (item) => {
+                    this.assertItem(this.newItem(2), item, "Updated item");
+                    assert.deepEqual(item.id, item1.id, "Updated item has a wrong id");
+                }));
+            },
+            (callback) => {
+                this._persistence.getOneById(null, item1.id, this.verify<T>(callback, (item) => {
+                    this.assertItem(this.newItem(2), item, "Retrieved updated item");
+                }));
+            },
+            (callback) => {
+                // Delete item
+                this._persistence.deleteById(null, item1.id, this.verify<T>(callback, (item) => {
+                    this.assertItem(this.newItem(2), item, "Deleted item");
+                    assert.deepEqual(item.id, item1.id, "Deleted item has a wrong id");
+                }));
+            },
+            (callback) => {
+                this._persistence.getOneById(null, item1.id, this.verify<T>(callback, (item) => {
+                    assert.ok(item == null, "Deleted item must not be found");
+                }));
+            },
+            (callback) => {
+                // The other item is not affected
+                this._persistence.getOneById(null, item2.id, this.verify<T>(callback, (item) => {
+                    this.assertItem(this.newItem(1), item, "Remaining item");
+                }));
+            }
+        ], callback);
+    }
+
+    /**
+     * Verifies setting of new and existing data items.
+     *
+     * @param callback  callback function that receives error or null when the test passes.
+     */
+    public testSetOperations(callback: (err: any) => void): void {
+        let item1: T;
+
+        this.runSteps([
+            (callback) => {
+                // Set a new item
+                this._persistence.set(null, this.newItem(0), this.verify<T>(callback, (item) => {
+                    this.assertItem(this.newItem(0), item, "Set new item");
+                    assert.ok(item.id != null, "Set item must have an id");
+                    item1 = item;
+                }));
+            },
+            (callback) => {
+                // Set an existing item
+                let update: any = this.newItem(1);
+                update.id = item1.id;
+
+                this._persistence.set(null, update, this.verify<T>(callback, (item) => {
+                    this.assertItem(this.newItem(1), item, "Set existing item");
+                    assert.deepEqual(item.id, item1.id, "Set item has a wrong id");
+                }));
+            },
+            (callback) => {
+                this._persistence.getCountByFilter(null, null, this.verify<number>(callback, (count) => {
+                    assert.equal(count, 1, "Setting an existing item must not add items");
+                }));
+            }
+        ], callback);
+    }
+
+    /**
+     * Verifies partial updates of data items.
+     *
+     * @param callback  callback function that receives error or null when the test passes.
+     */
+    public testPartialUpdates(callback: (err: any) => void): void {
+        let item1: T;
+        let expected: any;
+
+        this.runSteps([
+            (callback) => {
+                this.createItems(1, (err, items) => {
+                    if (err == null) item1 = items[0];
+                    callback(err);
+                });
+            },
+            (callback) => {
+                // Update only the first field returned by the factory
+                let data: any = this.newItem(1);
+                let field = this.getFirstField();
+
+                expected = this.newItem(0);
+                expected[field] = data[field];
+
+                this._persistence.updatePartially(null, item1.id, AnyValueMap.fromTuples(field, data[field]), this.verify<T>(callback, (item) => {
+                    this.assertItem(expected, item, "Partially updated item");
+                    assert.deepEqual(item.id, item1.id, "Partially updated item has a wrong id");
+                }));
+            },
+            (callback) => {
+                this._persistence.getOneById(null, item1.id, this.verify<T>(callback, (item) => {
+                    this.assertItem(expected, item, "Retrieved partially updated item");
+                }));
+            }
+        ], callback);
+    }
+
+    private getFirstField(): string {
+        let field = _.find(Object.keys(this.newItem(0)), (key) => key != "id");
+        assert.ok(field != null, "Created items must have fields besides id");
+        return field;
+    }
+
+    /**
+     * Verifies paging and counting of data items.
+     *
+     * @param callback  callback function that receives error or null when the test passes.
+     */
+    public testPaging(callback: (err: any) => void): void {
+        let ids: K[] = [];
+
+        this.runSteps([
+            (callback) => {
+                this.createItems(5, callback);
+            },
+            (callback) => {
+                this._persistence.getCountByFilter(null, null, this.verify<number>(callback, (count) => {
+                    assert.equal(count, 5, "Count of items does not match");
+                }));
+            },
+            (callback) => {
+                // Read the first page with total
+                this._persistence.getPageByFilter(null, null, new PagingParams(0, 2, true), null, this.verify<DataPage<T>>(callback, (page) => {
+                    assert.equal(page.total, 5, "Total number of items does not match");
+                    assert.equal(page.data.length, 2, "Page size does not match");
+                    ids.push(..._.map(page.data, (item) => item.id));
+                }));
+            },
+            (callback) => {
+                // Read the following pages
+                this._persistence.getPageByFilter(null, null, new PagingParams(2, 2), null, this.verify<DataPage<T>>(callback, (page) => {
+                    assert.equal(page.data.length, 2, "Page size does not match");
+                    ids.push(..._.map(page.data, (item) => item.id));
+                }));
+            },
+            (callback) => {
+                this._persistence.getPageByFilter(null, null, new PagingParams(4, 2), null, this.verify<DataPage<T>>(callback, (page) => {
+                    assert.equal(page.data.length, 1, "The last page size does not match");
+                    ids.push(..._.map(page.data, (item) => item.id));
+                    assert.equal(_.uniqWith(ids, _.isEqual).length, 5, "Pages must not contain the same items");
+                }));
+            }
+        ], callback);
+    }
+
+    /**
+     * Verifies filtering of data items by equality of the filter field.
+     * The persistence shall support FilterParams with the filter field, like <code>{ name: "Name 1" }</code>.
+     *
+     * @param callback  callback function that receives error or null when the test passes.
+     */
+    public testFiltering(callback: (err: any) => void): void {
+        let field = this._filterField || this.getFirstField();
+        let value = this.newItem(2)[field];
+        let expected = _.filter(_.times(5, (index) => this.newItem(index)), (item) => _.isEqual(item[field], value)).length;
+        let filter = FilterParams.fromTuples(field, value);
+
+        this.runSteps([
+            (callback) => {
+                this.createItems(5, callback);
+            },
+            (callback) => {
+                this._persistence.getPageByFilter(null, filter, null, null, this.verify<DataPage<T>>(callback, (page) => {
+                    assert.equal(page.data.length, expected, "Number of filtered items does not match");
+                    for (let item of page.data)
+                        assert.deepEqual(item[field], value, "Filtered items must have field " + field + " equal to the filter");
+                }));
+            },
+            (callback) => {
+                this._persistence.getCountByFilter(null, filter, this.verify<number>(callback, (count) => {
+                    assert.equal(count, expected, "Count of filtered items does not match");
+                }));
+            },
+            (callback) => {
+                // Filters with empty values are ignored
+                this._persistence.getCountByFilter(null, new FilterParams(), this.verify<number>(callback, (count) => {
+                    assert.equal(count, 5, "Count of items with an empty filter does not match");
+                }));
+            }
+        ], callback);
+    }
+
+    /**
+     * Verifies sorting of data items in ascending and descending order.
+     *
+     * @param callback  callback function that receives error or null when the test passes.
+     */
+    public testSorting(callback: (err: any) => void): void {
+        let checkOrder = (ascending: boolean, callback: (err: any) => void) => {
+            let sort = new SortParams(new SortField(this._sortField, ascending));
+            let compare = SortComposer.compose(sort);
+
+            this._persistence.getPageByFilter(null, null, null, sort, this.verify<DataPage<T>>(callback, (page) => {
+                assert.equal(page.data.length, 5, "Sorted page size does not match");
+                for (let index = 1; index < page.data.length; index++) {
+                    assert.ok(compare(page.data[index - 1], page.data[index]) <= 0,
+                        "Items are not sorted by " + this._sortField + (ascending ? " ascending" : " descending"));
+                }
+            }));
+        };
+
+        this.runSteps([
+            (callback) => {
+                this.createItems(5, callback);
+            },
+            (callback) => {
+                checkOrder(true, callback);
+            },
+            (callback) => {
+                checkOrder(false, callback);
+            }
+        ], callback);
+    }
+
+}
@@ -0,0 +1,8 @@
+/** 
+ * @module test 
+ * 
+ * Contains reusable test fixtures that verify persistence components against
+ * the common data contract. They can be used to test memory, file and database persistences.
+ */
+export { IConformancePersistence } from './IConformancePersistence';
+export { PersistenceConformanceFixture } from './PersistenceConformanceFixture';
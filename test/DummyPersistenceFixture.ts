@@ -1,7 +1,7 @@
 var assert = require('chai').assert;
 var async = require('async');
 
-import { AnyValueMap, RandomString, DataPage } from 'pip-services3-commons-node';
+import { AnyValueMap, RandomString, DataPage, PagingParams, BadRequestException } from 'pip-services3-commons-node';
 import { Dummy } from './Dummy';
 import { IDummyPersistence } from './IDummyPersistence';
 import { AssertionError } from 'assert';
@@ -258,4 +258,49 @@ export class DummyPersistenceFixture {
         ], callback);
     }
 
-}
\ No newline at end of file
+    public testQueryOperations(callback: (err: any) => void): void {
+        async.series([
+            (callback) => {
+                this._persistence.create(null, this._dummy1, callback);
+            },
+            (callback) => {
+                this._persistence.create(null, this._dummy2, callback);
+            },
+            (callback) => {
+                // Query a page with condition and sorting
+                this._persistence.getPageByQuery(
+                    null, "key IN ('Key 1', 'Key 2') AND content LIKE 'Content%' ORDER BY key DESC",
+                    new PagingParams(0, 1, true), null,
+                    (err, page) => {
+                        assert.isNull(err);
+                        assert.equal(2, page.total);
+                        assert.lengthOf(page.data, 1);
+                        assert.equal("Key 2", page.data[0].key);
+
+                        callback(err);
+                    }
+                );
+            },
+            (callback) => {
+                // Query a list
+                this._persistence.getListByQuery(null, "NOT key = 'Key 2'", null, (err, items) => {
+                    assert.isNull(err);
+                    assert.lengthOf(items, 1);
+                    assert.equal("Key 1", items[0].key);
+
+                    callback(err);
+                });
+            },
+            (callback) => {
+                // Query with a syntax error
+                this._persistence.getListByQuery(null, "key = ", null, (err, items) => {
+                    assert.instanceOf(err, BadRequestException);
+                    assert.isNull(items);
+
+                    callback();
+                });
+            }
+        ], callback);
+    }
+
+}
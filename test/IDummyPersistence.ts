@@ -6,9 +6,12 @@ import { AnyValueMap } from 'pip-services3-commons-node';
 import { IGetter } from '../src/IGetter';
 import { IWriter } from '../src/IWriter';
 import { IPartialUpdater } from '../src/IPartialUpdater';
+import { IQuerablePageReader } from '../src/IQuerablePageReader';
+import { IQuerableReader } from '../src/IQuerableReader';
 import { Dummy } from './Dummy';
 
-export interface IDummyPersistence extends IGetter<Dummy, String>, IWriter<Dummy, String>, IPartialUpdater<Dummy, String> {
+export interface IDummyPersistence extends IGetter<Dummy, String>, IWriter<Dummy, String>, IPartialUpdater<Dummy, String>,
+    IQuerablePageReader<Dummy>, IQuerableReader<Dummy> {
     getPageByFilter(correlationId: string, filter: FilterParams, paging: PagingParams, callback: (err: any, page: DataPage<Dummy>) => void): void;
     getCountByFilter(correlationId: string, filter: FilterParams, callback: (err: any, count: number) => void): void;
     getSortedPage(correlationId: string, sort : any, callback: (err: any, page: DataPage<Dummy>) => void): void;
@@ -0,0 +1,151 @@
+let assert = require('chai').assert;
+let async = require('async');
+
+import { BadRequestException } from 'pip-services3-commons-node';
+import { ConfigParams } from 'pip-services3-commons-node';
+import { FilterParams } from 'pip-services3-commons-node';
+
+import { AggregateComposer } from '../../src/persistence/AggregateComposer';
+import { IdentifiableMemoryPersistence } from '../../src/persistence/IdentifiableMemoryPersistence';
+import { Dummy } from '../Dummy';
+
+class ReportingDummyMemoryPersistence extends IdentifiableMemoryPersistence<Dummy, string> {
+    public getTotals(correlationId: string, filter: any, groupBy: string | string[], aggregates: any,
+        callback: (err: any, results: any[]) => void): void {
+        this.getAggregateByFilter(correlationId, filter, groupBy, aggregates, callback);
+    }
+
+    public getContentTotals(correlationId: string, filter: any, callback: (err: any, results: any[]) => void): void {
+        this.getAggregateByFilter(correlationId, filter, "content", { count: { $count: {} } }, callback);
+    }
+
+    public getContents(correlationId: string, filter: any, callback: (err: any, values: any[]) => void): void {
+        this.getDistinctValues(correlationId, "content", filter, callback);
+    }
+}
+
+suite('AggregateComposer', ()=> {
+    let items = [
+        { id: "1", status: "new", amount: 10, region: { name: "west" }, tags: ["a", "b"] },
+        { id: "2", status: "paid", amount: 5, region: { name: "east" }, tags: ["b"] },
+        { id: "3", status: "new", amount: 2.5, region: { name: "east" }, tags: null },
+        { id: "4", status: "new", amount: null, region: { name: "west" }, tags: ["c", "a"] }
+    ];
+
+    test('Group By Field', () => {
+        let results = AggregateComposer.apply(items, "$status", {
+            count: { $count: {} },
+            total: { $sum: "amount" },
+            average: { $avg: "$amount" },
+            smallest: { $min: "amount" },
+            largest: { $max: "amount" }
+        });
+
+        assert.deepEqual(results, [
+            { _id: "new", count: 3, total: 12.5, average: 6.25, smallest: 2.5, largest: 10 },
+            { _id: "paid", count: 1, total: 5, average: 5, smallest: 5, largest: 5 }
+        ]);
+    });
+
+    test('Group By Multiple Fields', () => {
+        let results = AggregateComposer.apply(items, ["status", "region.name"], { count: { $sum: 1 } });
+
+        assert.deepEqual(results, [
+            { _id: { status: "new", "region.name": "west" }, count: 2 },
+            { _id: { status: "paid", "region.name": "east" }, count: 1 },
+            { _id: { status: "new", "region.name": "east" }, count: 1 }
+        ]);
+
+        let total = AggregateComposer.apply(items, null, { count: { $count: {} } });
+        assert.deepEqual(total, [ { _id: null, count: 4 } ]);
+    });
+
+    test('Distinct Values', () => {
+        assert.deepEqual(AggregateComposer.distinct(items, "region.name"), ["west", "east"]);
+        assert.deepEqual(AggregateComposer.distinct(items, "tags"), ["a", "b", "c"]);
+    });
+
+    test('Invalid Aggregates', () => {
+        assert.throws(() => AggregateComposer.apply(items, "status", { total: { $median: "amount" } }), BadRequestException);
+        assert.throws(() => AggregateComposer.apply(items, "status", { total: "amount" }), BadRequestException);
+        assert.throws(() => AggregateComposer.distinct(items, ""), BadRequestException);
+    });
+
+    suite('MemoryPersistence', () => {
+        let persistence: ReportingDummyMemoryPersistence;
+
+        setup((done) => {
+            persistence = new ReportingDummyMemoryPersistence();
+            persistence.configure(ConfigParams.fromTuples("options.soft_delete", true));
+
+            persistence.createMany(null, [
+                { id: "1", key: "Key 1", content: "A" },
+                { id: "2", key: "Key 2", content: "B" },
+                { id: "3", key: "Key 3", content: "A" },
+                { id: "4", key: "Key 4", content: "C" }
+            ], (err) => done(err));
+        });
+
+        test('Group By Field', (done) => {
+            persistence.getContentTotals(null, { key: { $ne: "Key 4" } }, (err, results) => {
+                assert.deepEqual(results, [ { _id: "A", count: 2 }, { _id: "B", count: 1 } ]);
+                done(err);
+            });
+        });
+
+        test('Filter Params', (done) => {
+            persistence.getContentTotals(null, FilterParams.fromTuples("content", "A"), (err, results) => {
+                assert.deepEqual(results, [ { _id: "A", count: 2 } ]);
+                done(err);
+            });
+        });
+
+        test('Totals Without Groups', (done) => {
+            persistence.getTotals(null, null, null, { count: { $count: {} }, last: { $max: "key" } }, (err, results) => {
+                assert.deepEqual(results, [ { _id: null, count: 4, last: "Key 4" } ]);
+                done(err);
+            });
+        });
+
+        test('Distinct Values', (done) => {
+            async.series([
+                (callback) => {
+                    persistence.getContents(null, null, (err, values) => {
+                        assert.deepEqual(values, ["A", "B", "C"]);
+                        callback(err);
+                    });
+                },
+                (callback) => {
+                    persistence.getContents(null, { key: { $in: ["Key 1", "Key 3"] } }, (err, values) => {
+                        assert.deepEqual(values, ["A"]);
+                        callback(err);
+                    });
+                }
+            ], done);
+        });
+
+        test('Deleted Items', (done) => {
+            async.series([
+                (callback) => {
+                    persistence.deleteById(null, "4", callback);
+                },
+                (callback) => {
+                    persistence.getContents(null, null, (err, values) => {
+                        assert.deepEqual(values, ["A", "B"]);
+                        callback(err);
+                    });
+                }
+            ], done);
+        });
+
+        test('Invalid Aggregates', (done) => {
+            persistence.getTotals(null, null, null, { middle: { $median: "key" } }, (err, results) => {
+                assert.instanceOf(err, BadRequestException);
+                assert.isNull(results);
+                done();
+            });
+        });
+
+    });
+
+});
@@ -0,0 +1,20 @@
+import { AnyValueMap } from 'pip-services3-commons-node';
+
+import { IdentifiableMemoryPersistence } from '../../src/persistence/IdentifiableMemoryPersistence';
+import { Dummy } from '../Dummy';
+
+export class BulkDummyMemoryPersistence extends IdentifiableMemoryPersistence<Dummy, string> {
+    public updateByFilter(correlationId: string, filter: any, data: AnyValueMap,
+        callback?: (err: any, items: Dummy[]) => void): void {
+        super.updateByFilter(correlationId, filter, data, callback);
+    }
+
+    public upsertByFilter(correlationId: string, filter: any, data: AnyValueMap,
+        callback?: (err: any, items: Dummy[]) => void): void {
+        super.upsertByFilter(correlationId, filter, data, callback);
+    }
+
+    public deleteByFilter(correlationId: string, filter: any, callback?: (err: any) => void): void {
+        super.deleteByFilter(correlationId, filter, callback);
+    }
+}
@@ -0,0 +1,220 @@
+let assert = require('chai').assert;
+let async = require('async');
+
+import { ConfigParams } from 'pip-services3-commons-node';
+import { ConfigException } from 'pip-services3-commons-node';
+
+import { CapacityTracker } from '../../src/persistence/CapacityTracker';
+import { FifoEvictionPolicy } from '../../src/persistence/FifoEvictionPolicy';
+import { LfuEvictionPolicy } from '../../src/persistence/LfuEvictionPolicy';
+import { IdentifiableMemoryPersistence } from '../../src/persistence/IdentifiableMemoryPersistence';
+import { ChangeEvent } from '../../src/ChangeEvent';
+import { Dummy } from '../Dummy';
+import { CountingSaver } from './CountingSaver';
+import { CollectingListener } from './CollectingListener';
+
+suite('CapacityTracker', ()=> {
+    let item1 = { id: "1", size: 10 };
+    let item2 = { id: "2", size: 20 };
+    let item3 = { id: "3", size: 30 };
+
+    let tracker: CapacityTracker<any>;
+    let saver: CountingSaver;
+    let persistence: IdentifiableMemoryPersistence<Dummy, string>;
+
+    let createDummies = (count: number, callback: (err: any) => void) => {
+        let index = 0;
+        async.whilst(
+            () => index < count,
+            (callback) => {
+                index++;
+                persistence.create(null, { id: null, key: "Key " + index, content: null }, callback);
+            },
+            callback
+        );
+    };
+
+    setup(() => {
+        tracker = new CapacityTracker<any>((item) => item.size);
+        saver = new CountingSaver();
+        persistence = new IdentifiableMemoryPersistence<Dummy, string>(null, saver);
+    });
+
+    test('Unbounded Items', () => {
+        assert.isFalse(tracker.isBounded());
+
+        tracker.reset([item1, item2]);
+        tracker.add(item3);
+
+        assert.isFalse(tracker.isOverLimits(3));
+        assert.equal(0, tracker.memorySize);
+        assert.isNull(tracker.select());
+    });
+
+    test('Item Limit', () => {
+        tracker.setLimits(2, 0);
+        tracker.reset([item1, item2]);
+        assert.isFalse(tracker.isOverLimits(2));
+
+        tracker.access(item1);
+        tracker.add(item3);
+        assert.isTrue(tracker.isOverLimits(3));
+        assert.equal(item2, tracker.select());
+        // Sizes are not calculated without memory limit
+        assert.equal(0, tracker.memorySize);
+    });
+
+    test('Memory Limit', () => {
+        tracker.setLimits(0, 50);
+        tracker.reset([item1, item2]);
+        assert.equal(30, tracker.memorySize);
+
+        tracker.add(item3);
+        assert.equal(60, tracker.memorySize);
+        assert.isTrue(tracker.isOverLimits(3));
+
+        tracker.replace(item3, { id: "3", size: 5 });
+        assert.equal(35, tracker.memorySize);
+
+        tracker.remove(item1);
+        assert.equal(25, tracker.memorySize);
+
+        // At least one item is kept
+        tracker.reset([{ id: "4", size: 100 }]);
+        assert.isFalse(tracker.isOverLimits(1));
+    });
+
+    test('Policies', () => {
+        assert.instanceOf(CapacityTracker.createPolicy("fifo"), FifoEvictionPolicy);
+        assert.instanceOf(CapacityTracker.createPolicy("lfu"), LfuEvictionPolicy);
+        assert.throws(() => CapacityTracker.createPolicy("random"), ConfigException);
+
+        tracker.setLimits(2, 0);
+        tracker.policy = new FifoEvictionPolicy<any>();
+        tracker.reset([item1, item2]);
+        tracker.access(item1);
+        assert.equal(item1, tracker.select());
+
+        // Default policy is used without a policy
+        tracker.policy = null;
+        assert.isNotNull(tracker.policy);
+    });
+
+    test('Evict Items', () => {
+        let items = [item1, item2, item3];
+        tracker.setLimits(1, 0);
+        tracker.reset(items);
+        tracker.access(item1);
+        tracker.access(null);
+
+        let evicted = tracker.evict(() => items.length, (item) => {
+            tracker.remove(item);
+            items.splice(items.indexOf(item), 1);
+            return true;
+        });
+        assert.equal(2, evicted);
+        assert.deepEqual(items, [item1]);
+
+        // Eviction stops when chosen items are not stored
+        tracker.add(item2);
+        assert.equal(0, tracker.evict(() => 2, (item) => false));
+        assert.deepEqual(tracker.getStats(), { hits: 1, misses: 1, evictions: 2 });
+    });
+
+    test('Eviction', (done) => {
+        let persistence = new IdentifiableMemoryPersistence<Dummy, string>();
+        persistence.configure(ConfigParams.fromTuples("options.max_items", 2));
+        let listener = new CollectingListener();
+        persistence.addChangeListener(listener);
+
+        async.series([
+            (callback) => {
+                persistence.create(null, { id: "1", key: "Key 1", content: null }, callback);
+            },
+            (callback) => {
+                persistence.create(null, { id: "2", key: "Key 2", content: null }, callback);
+            },
+            (callback) => {
+                // Reading makes the first item recently used
+                persistence.getOneById(null, "1", callback);
+            },
+            (callback) => {
+                persistence.create(null, { id: "3", key: "Key 3", content: null }, callback);
+            },
+            (callback) => {
+                assert.equal(ChangeEvent.Evicted, listener.events[3].type);
+                assert.equal("2", listener.events[3].oldItem.id);
+
+                persistence.getOneById(null, "2", (err, item) => {
+                    assert.isNull(item);
+                    assert.deepEqual(persistence.getCacheStats(), { hits: 1, misses: 1, evictions: 1 });
+                    callback(err);
+                });
+            },
+            (callback) => {
+                persistence.getListByIds(null, ["1", "2", "3"], (err, items) => {
+                    assert.deepEqual(items.map((item) => item.id), ["1", "3"]);
+                    callback(err);
+                });
+            }
+        ], done);
+    });
+
+    test('Eviction In Transactions', (done) => {
+        let persistence = new IdentifiableMemoryPersistence<Dummy, string>();
+        persistence.configure(ConfigParams.fromTuples("options.max_items", 1));
+
+        async.series([
+            (callback) => {
+                persistence.runInTransaction(null, (callback) => {
+                    async.series([
+                        (callback) => persistence.create(null, { id: "1", key: "Key 1", content: null }, callback),
+                        (callback) => persistence.create(null, { id: "2", key: "Key 2", content: null }, callback),
+                        (callback) => {
+                            // Items are evicted when the transaction is committed
+                            persistence.getListByIds(null, ["1", "2"], (err, items) => {
+                                assert.lengthOf(items, 2);
+                                callback(err);
+                            });
+                        }
+                    ], callback);
+                }, callback);
+            },
+            (callback) => {
+                persistence.getListByIds(null, ["1", "2"], (err, items) => {
+                    assert.deepEqual(items.map((item) => item.id), ["2"]);
+                    callback(err);
+                });
+            }
+        ], done);
+    });
+
+    test('Eviction With Saver', () => {
+        assert.throws(() => persistence.configure(ConfigParams.fromTuples("options.max_items", 2)), ConfigException);
+        persistence = new IdentifiableMemoryPersistence<Dummy, string>(null, saver);
+        assert.throws(() => persistence.configure(ConfigParams.fromTuples("options.max_memory", 1000)), ConfigException);
+    });
+
+    test('Memory Limit', (done) => {
+        persistence = new IdentifiableMemoryPersistence<Dummy, string>();
+        persistence.configure(ConfigParams.fromTuples(
+            "options.max_memory", 300,
+            "options.eviction_policy", "fifo"
+        ));
+
+        async.series([
+            (callback) => {
+                createDummies(5, callback);
+            },
+            (callback) => {
+                persistence.getListByQuery(null, null, null, (err, items) => {
+                    assert.isAbove(items.length, 0);
+                    assert.isBelow(items.length, 5);
+                    assert.equal("Key 5", items[items.length - 1].key);
+                    callback(err);
+                });
+            }
+        ], done);
+    });
+
+});
@@ -0,0 +1,98 @@
+let assert = require('chai').assert;
+let async = require('async');
+
+import { AnyValueMap } from 'pip-services3-commons-node';
+import { Descriptor } from 'pip-services3-commons-node';
+import { References } from 'pip-services3-commons-node';
+import { CompositeLogger } from 'pip-services3-components-node';
+
+import { ChangeNotifier } from '../../src/persistence/ChangeNotifier';
+import { IdentifiableMemoryPersistence } from '../../src/persistence/IdentifiableMemoryPersistence';
+import { ChangeEvent } from '../../src/ChangeEvent';
+import { Dummy } from '../Dummy';
+import { CollectingListener } from './CollectingListener';
+
+suite('ChangeNotifier', ()=> {
+    let persistence: IdentifiableMemoryPersistence<Dummy, string>;
+
+    setup(() => {
+        persistence = new IdentifiableMemoryPersistence<Dummy, string>();
+    });
+
+    test('Send Events', () => {
+        let notifier = new ChangeNotifier<Dummy>(new CompositeLogger());
+        assert.isFalse(notifier.hasListeners());
+
+        let listener1 = new CollectingListener();
+        let listener2 = new CollectingListener();
+        notifier.setReferences(References.fromTuples(
+            new Descriptor("pip-services", "change-listener", "test", "default", "1.0"), listener1
+        ));
+        notifier.add(listener1);
+        notifier.add({ onChange: () => { throw new Error("Failed"); } });
+        notifier.add(listener2);
+        assert.isTrue(notifier.hasListeners());
+
+        let event = new ChangeEvent<Dummy>(ChangeEvent.Created, "123", null, { id: "1", key: "Key 1", content: null });
+        notifier.send(event);
+
+        // Listeners are added once and failing listeners do not stop others
+        assert.deepEqual(listener1.events, [event]);
+        assert.deepEqual(listener2.events, [event]);
+
+        notifier.remove(listener1);
+        notifier.send(event);
+        assert.lengthOf(listener1.events, 1);
+        assert.lengthOf(listener2.events, 2);
+    });
+
+    test('Change Notifications', (done) => {
+        let listener = new CollectingListener();
+        persistence.setReferences(References.fromTuples(
+            new Descriptor("pip-services", "change-listener", "test", "default", "1.0"), listener
+        ));
+        // Failing listeners do not break operations
+        persistence.addChangeListener({ onChange: () => { throw new Error("Failed"); } });
+
+        async.series([
+            (callback) => {
+                persistence.create("123", { id: "1", key: "Key 1", content: null }, callback);
+            },
+            (callback) => {
+                persistence.update("123", { id: "1", key: "Key 2", content: null }, callback);
+            },
+            (callback) => {
+                persistence.updatePartially("123", "1", AnyValueMap.fromTuples("content", "Content 1"), callback);
+            },
+            (callback) => {
+                persistence.set("123", { id: "2", key: "Key 3", content: null }, callback);
+            },
+            (callback) => {
+                persistence.deleteById("123", "1", callback);
+            },
+            (callback) => {
+                persistence.deleteByIds("123", ["2", "3"], callback);
+            },
+            (callback) => {
+                assert.deepEqual(listener.events.map((e) => e.type),
+                    ["created", "updated", "updated", "created", "deleted", "deleted"]);
+
+                let event = listener.events[2];
+                assert.equal("123", event.correlationId);
+                assert.instanceOf(event.time, Date);
+                assert.isNull(event.oldItem.content);
+                assert.equal("Content 1", event.newItem.content);
+                assert.equal("2", listener.events[5].oldItem.id);
+                assert.isNull(listener.events[5].newItem);
+
+                persistence.removeChangeListener(listener);
+                persistence.create("123", { id: "3", key: "Key 4", content: null }, callback);
+            },
+            (callback) => {
+                assert.lengthOf(listener.events, 6);
+                callback();
+            }
+        ], done);
+    });
+
+});
@@ -0,0 +1,11 @@
+import { IChangeListener } from '../../src/IChangeListener';
+import { ChangeEvent } from '../../src/ChangeEvent';
+import { Dummy } from '../Dummy';
+
+export class CollectingListener implements IChangeListener<Dummy> {
+    public events: ChangeEvent<Dummy>[] = [];
+
+    public onChange(event: ChangeEvent<Dummy>): void {
+        this.events.push(event);
+    }
+}
@@ -0,0 +1,13 @@
+import { ISaver } from '../../src/ISaver';
+import { Dummy } from '../Dummy';
+
+export class CountingSaver implements ISaver<Dummy> {
+    public saves: number = 0;
+    public items: Dummy[] = [];
+
+    public save(correlationId: string, items: Dummy[], callback?: (err?: any) => void): void {
+        this.saves++;
+        this.items = items.slice();
+        if (callback) callback(null);
+    }
+}
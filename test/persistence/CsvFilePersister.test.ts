@@ -0,0 +1,93 @@
+let assert = require('chai').assert;
+let fs = require('fs');
+
+import { ConfigParams } from 'pip-services3-commons-node';
+import { ConfigException } from 'pip-services3-commons-node';
+import { FileException } from 'pip-services3-commons-node';
+
+import { CsvFilePersister } from '../../src/persistence/CsvFilePersister';
+
+suite('CsvFilePersister', ()=> {
+    let path = "./data/persister.csv";
+    let persister: CsvFilePersister<any>;
+
+    let cleanup = () => {
+        for (let file of [path, path + ".tmp"]) {
+            if (fs.existsSync(file)) fs.unlinkSync(file);
+        }
+    };
+
+    setup(() => {
+        cleanup();
+        persister = new CsvFilePersister<any>(path);
+    });
+
+    teardown(cleanup);
+
+    test('Load With Column Mapping', (done) => {
+        fs.writeFileSync(path,
+            '\uFEFFUser Id;Name;City;Age;Active;Notes\r\n' +
+            '1;"Doe; John";Tucson;30;true;"Said ""hi""\ntwice"\r\n' +
+            '\r\n' +
+            '2;Smith;;41;false;\r\n'
+        );
+
+        persister.configure(ConfigParams.fromTuples(
+            "options.delimiter", ";",
+            "columns.User Id", "id",
+            "columns.Name", "name",
+            "columns.City", "address.city",
+            "columns.Age", "age",
+            "columns.Active", "active",
+            "types.age", "integer",
+            "types.active", "boolean"
+        ));
+
+        persister.load(null, (err, items) => {
+            assert.isNull(err);
+            assert.deepEqual(items, [
+                { id: "1", name: "Doe; John", address: { city: "Tucson" }, age: 30, active: true },
+                { id: "2", name: "Smith", age: 41, active: false }
+            ]);
+            done();
+        });
+    });
+
+    test('Save And Load', (done) => {
+        persister.configure(ConfigParams.fromTuples(
+            "types.count", "integer",
+            "types.tags", "array"
+        ));
+        let items = [
+            { id: "1", content: "A, \"B\"", count: 1, tags: ["x", "y"], address: { city: "Tucson", zip: "85701" } },
+            { id: "2", count: 2, address: { city: "Phoenix" } }
+        ];
+
+        persister.save(null, items, (err) => {
+            assert.isNull(err);
+            assert.equal(
+                fs.readFileSync(path, "utf8").split("\n")[0],
+                "id,content,count,tags,address.city,address.zip"
+            );
+
+            persister.load(null, (err, loaded) => {
+                assert.isNull(err);
+                assert.deepEqual(loaded, items);
+                done();
+            });
+        });
+    });
+
+    test('Invalid Values', (done) => {
+        assert.throws(() => persister.configure(ConfigParams.fromTuples("types.age", "number")), ConfigException);
+
+        persister.configure(ConfigParams.fromTuples("types.age", "integer"));
+        fs.writeFileSync(path, "id,age\n1,old\n");
+
+        persister.load(null, (err, items) => {
+            assert.instanceOf(err, FileException);
+            done();
+        });
+    });
+
+});
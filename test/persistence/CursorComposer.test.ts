@@ -0,0 +1,63 @@
+let assert = require('chai').assert;
+
+import { BadRequestException } from 'pip-services3-commons-node';
+import { SortParams } from 'pip-services3-commons-node';
+import { SortField } from 'pip-services3-commons-node';
+
+import { CursorComposer } from '../../src/persistence/CursorComposer';
+import { CursorPagingParams } from '../../src/CursorPagingParams';
+
+suite('CursorComposer', ()=> {
+    let items = [
+        { id: "1", status: "new" },
+        { id: "2", status: "paid" },
+        { id: "3", status: "new" },
+        { id: "4", status: "paid" },
+        { id: "5", status: "new" }
+    ];
+    let getKey = (item) => item.id;
+
+    test('Encode And Decode', () => {
+        let time = new Date();
+        let cursor = CursorComposer.encode(["ABC", time, 1]);
+
+        assert.deepEqual(CursorComposer.decode(null, cursor), ["ABC", time, 1]);
+    });
+
+    test('Extract Pages', () => {
+        let sort = new SortParams(new SortField("status", false));
+
+        let page = CursorComposer.apply(null, items, new CursorPagingParams(null, 3, true), sort, getKey, 100);
+        assert.deepEqual(page.data.map((item) => item.id), ["2", "4", "1"]);
+        assert.equal(5, page.total);
+        assert.isNotNull(page.cursor);
+
+        page = CursorComposer.apply(null, items, new CursorPagingParams(page.cursor, 3), sort, getKey, 100);
+        assert.deepEqual(page.data.map((item) => item.id), ["3", "5"]);
+        assert.isNull(page.total);
+        assert.isNull(page.cursor);
+    });
+
+    test('Max Page Size', () => {
+        let page = CursorComposer.apply(null, items, new CursorPagingParams(), null, getKey, 2);
+        assert.deepEqual(page.data.map((item) => item.id), ["1", "2"]);
+
+        // Deleted items do not shift the next page
+        let rest = items.filter((item) => item.id != "1");
+        page = CursorComposer.apply(null, rest, new CursorPagingParams(page.cursor), null, getKey, 2);
+        assert.deepEqual(page.data.map((item) => item.id), ["3", "4"]);
+    });
+
+    test('Invalid Cursors', () => {
+        assert.throws(() => CursorComposer.decode("123", "ABC"), BadRequestException);
+
+        try {
+            CursorComposer.apply("123", items, new CursorPagingParams(Buffer.from("{}").toString("base64")), null, getKey, 100);
+            assert.fail("Expected the cursor to be rejected");
+        } catch (err) {
+            assert.equal("INVALID_CURSOR", err.code);
+            assert.equal("123", err.correlation_id);
+        }
+    });
+
+});
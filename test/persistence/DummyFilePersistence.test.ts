@@ -1,4 +1,7 @@
+let assert = require('chai').assert;
+
 import { ConfigParams } from 'pip-services3-commons-node';
+import { ConfigException } from 'pip-services3-commons-node';
 import { Dummy } from '../Dummy';
 import { DummyPersistenceFixture } from '../DummyPersistenceFixture';
 import { DummyFilePersistence } from './DummyFilePersistence';
@@ -37,4 +40,17 @@ suite('DummyFilePersistence', ()=> {
     test('List Sort Operations', (done) =>{
         fixture.testListSortingOperations(done);
     })
-});
\ No newline at end of file
+
+    test('Query Operations', (done) => {
+        fixture.testQueryOperations(done);
+    });
+
+    test('Capacity Limits', () => {
+        // Evicted items would be removed from the data file
+        assert.throws(() => persistence.configure(ConfigParams.fromTuples(
+            "path", "./data/dummies.json",
+            "options.max_items", 2
+        )), ConfigException);
+    });
+
+});
\ No newline at end of file
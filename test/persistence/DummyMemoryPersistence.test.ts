@@ -1,4 +1,9 @@
+let assert = require('chai').assert;
+let async = require('async');
+
 import { ConfigParams } from 'pip-services3-commons-node';
+import { AnyValueMap } from 'pip-services3-commons-node';
+import { ConflictException } from 'pip-services3-commons-node';
 import { DummyPersistenceFixture } from '../DummyPersistenceFixture';
 import { DummyMemoryPersistence } from './DummyMemoryPersistence';
 
@@ -29,4 +34,68 @@ suite('DummyMemoryPersistence', ()=> {
         fixture.testListSortingOperations(done);
     })
 
-});
\ No newline at end of file
+    test('Query Operations', (done) => {
+        fixture.testQueryOperations(done);
+    });
+
+    test('Versioned Operations', (done) => {
+        persistence.configure(ConfigParams.fromTuples("options.versioned", true));
+        let dummy: any;
+
+        async.series([
+            (callback) => {
+                persistence.create(null, { id: null, key: "Key 1", content: "Content 1" }, (err, item: any) => {
+                    dummy = item;
+                    assert.equal("1", item.version);
+                    callback(err);
+                });
+            },
+            (callback) => {
+                dummy.content = "Content 2";
+                persistence.update(null, dummy, (err, item: any) => {
+                    assert.equal("2", item.version);
+                    callback(err);
+                });
+            },
+            (callback) => {
+                // Update with stale version
+                persistence.update(null, dummy, (err, item) => {
+                    assert.instanceOf(err, ConflictException);
+                    assert.equal("VERSION_CONFLICT", err.code);
+                    assert.isNull(item);
+                    callback();
+                });
+            },
+            (callback) => {
+                persistence.updatePartially(null, dummy.id, AnyValueMap.fromTuples("content", "Content 3", "version", "1"),
+                    (err, item) => {
+                        assert.instanceOf(err, ConflictException);
+                        callback();
+                    }
+                );
+            },
+            (callback) => {
+                persistence.updatePartially(null, dummy.id, AnyValueMap.fromTuples("content", "Content 3", "version", "2"),
+                    (err, item: any) => {
+                        assert.equal("Content 3", item.content);
+                        assert.equal("3", item.version);
+                        callback(err);
+                    }
+                );
+            },
+            (callback) => {
+                persistence.deleteByIdAndVersion(null, dummy.id, "2", (err, item) => {
+                    assert.instanceOf(err, ConflictException);
+                    callback();
+                });
+            },
+            (callback) => {
+                persistence.deleteByIdAndVersion(null, dummy.id, "3", (err, item) => {
+                    assert.equal(dummy.id, item.id);
+                    callback(err);
+                });
+            }
+        ], done);
+    });
+
+});
\ No newline at end of file
@@ -0,0 +1,64 @@
+let assert = require('chai').assert;
+
+import { LruEvictionPolicy } from '../../src/persistence/LruEvictionPolicy';
+import { LfuEvictionPolicy } from '../../src/persistence/LfuEvictionPolicy';
+import { FifoEvictionPolicy } from '../../src/persistence/FifoEvictionPolicy';
+
+suite('EvictionPolicy', ()=> {
+    let item1 = { id: "1" };
+    let item2 = { id: "2" };
+    let item3 = { id: "3" };
+
+    test('LRU', () => {
+        let policy = new LruEvictionPolicy<any>();
+        policy.add(item1);
+        policy.add(item2);
+        policy.add(item3);
+
+        policy.access(item1);
+        assert.equal(item2, policy.select());
+
+        policy.remove(item2);
+        assert.equal(item3, policy.select());
+
+        policy.clear();
+        assert.isNull(policy.select());
+    });
+
+    test('LFU', () => {
+        let policy = new LfuEvictionPolicy<any>();
+        policy.add(item1);
+        policy.add(item2);
+        policy.add(item3);
+        policy.access(item1);
+        assert.equal(item2, policy.select());
+
+        // The last added item is not selected while there are others
+        policy.access(item2);
+        policy.access(item2);
+        assert.equal(item1, policy.select());
+
+        // Replaced items keep their counts
+        let item4 = { id: "2" };
+        policy.replace(item2, item4);
+        policy.access(item1);
+        policy.access(item1);
+        assert.equal(item4, policy.select());
+    });
+
+    test('FIFO', () => {
+        let policy = new FifoEvictionPolicy<any>();
+        policy.add(item1);
+        policy.add(item2);
+        policy.add(item3);
+
+        policy.access(item1);
+        let item4 = { id: "1" };
+        policy.replace(item1, item4);
+        assert.equal(item4, policy.select());
+
+        policy.remove(item4);
+        assert.equal(item2, policy.select());
+    });
+
+});
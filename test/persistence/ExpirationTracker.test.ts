@@ -0,0 +1,289 @@
+let assert = require('chai').assert;
+let async = require('async');
+
+import { ConfigParams } from 'pip-services3-commons-node';
+import { AnyValueMap } from 'pip-services3-commons-node';
+
+import { ExpirationTracker } from '../../src/persistence/ExpirationTracker';
+import { IdentifiableMemoryPersistence } from '../../src/persistence/IdentifiableMemoryPersistence';
+import { ChangeEvent } from '../../src/ChangeEvent';
+import { Dummy } from '../Dummy';
+import { CountingSaver } from './CountingSaver';
+import { CollectingListener } from './CollectingListener';
+
+suite('ExpirationTracker', ()=> {
+    let saver: CountingSaver;
+    let persistence: IdentifiableMemoryPersistence<Dummy, string>;
+
+    let expired = (id: string): any => {
+        return { id: id, key: "Key " + id, content: null, expire_time: new Date(Date.now() - 1000) };
+    };
+
+    setup(() => {
+        saver = new CountingSaver();
+        persistence = new IdentifiableMemoryPersistence<Dummy, string>(null, saver);
+    });
+
+    test('Expire Times', () => {
+        let tracker = new ExpirationTracker<any>();
+        let item: any = { id: "1" };
+        tracker.setExpireTime(item);
+        assert.isFalse(tracker.isEnabled());
+        assert.isUndefined(item.expire_time);
+
+        tracker.configure(ConfigParams.fromTuples("options.ttl", 60000, "options.expire_time_field", "expires"));
+        assert.isTrue(tracker.isEnabled());
+        assert.equal(60000, tracker.ttl);
+
+        tracker.setExpireTime(item);
+        assert.instanceOf(item.expires, Date);
+        assert.isFalse(tracker.isExpired(item));
+        assert.isTrue(tracker.isExpired(item, item.expires.getTime()));
+
+        // Own expire times are kept, while expire times of stored items are renewed
+        let own = { id: "1", expires: new Date(1000) };
+        tracker.setExpireTime(own, item);
+        assert.equal(1000, own.expires.getTime());
+
+        let passed = { id: "1", expires: item.expires };
+        tracker.setExpireTime(passed, { id: "1", expires: new Date(item.expires.getTime()) });
+        assert.notStrictEqual(item.expires, passed.expires);
+    });
+
+    test('Sweeper', (done) => {
+        let tracker = new ExpirationTracker<any>();
+        let sweeps = 0;
+
+        // The sweeper is not started without expiration
+        tracker.startSweeper(() => sweeps++);
+        tracker.configure(ConfigParams.fromTuples("options.expiration", true, "options.sweep_interval", 10));
+        tracker.startSweeper(() => sweeps++);
+
+        setTimeout(() => {
+            tracker.stopSweeper();
+            assert.isAbove(sweeps, 0);
+
+            let stopped = sweeps;
+            setTimeout(() => {
+                assert.equal(stopped, sweeps);
+                done();
+            }, 30);
+        }, 50);
+    });
+
+    test('Expire Items', (done) => {
+        persistence.configure(ConfigParams.fromTuples(
+            "options.ttl", 100,
+            "options.sweep_interval", 50
+        ));
+
+        async.series([
+            (callback) => {
+                persistence.open(null, callback);
+            },
+            (callback) => {
+                persistence.createMany(null, [
+                    { id: "1", key: "Key 1", content: null },
+                    <any>{ id: "2", key: "Key 2", content: null, expire_time: new Date(Date.now() + 60000) },
+                    <any>{ id: "3", key: "Key 3", content: null, expire_time: new Date(Date.now() - 1000) }
+                ], (err, results) => {
+                    assert.instanceOf((<any>results[0].item).expire_time, Date);
+                    callback(err);
+                });
+            },
+            (callback) => {
+                persistence.getPageByQuery(null, null, null, null, (err, page) => {
+                    assert.deepEqual(page.data.map((item) => item.id), ["1", "2"]);
+                    callback(err);
+                });
+            },
+            (callback) => {
+                persistence.getOneById(null, "3", (err, item) => {
+                    assert.isNull(item);
+                    callback(err);
+                });
+            },
+            (callback) => {
+                // Expired item is replaced by a new one with the same id
+                persistence.create(null, { id: "3", key: "Key 3", content: "New" }, (err, item) => {
+                    assert.equal("New", item.content);
+                    callback(err);
+                });
+            },
+            (callback) => {
+                setTimeout(callback, 200);
+            },
+            (callback) => {
+                assert.deepEqual(saver.items.map((item) => item.id), ["2"]);
+
+                persistence.getOneById(null, "1", (err, item) => {
+                    assert.isNull(item);
+                    callback(err);
+                });
+            }
+        ], (err) => {
+            // Stop the sweeper even when the test fails
+            persistence.close(null, () => done(err));
+        });
+    });
+
+    test('Expiration Renewal', (done) => {
+        persistence.configure(ConfigParams.fromTuples(
+            "options.ttl", 60000,
+            "options.sweep_interval", 0
+        ));
+
+        let stored: any;
+        let expireTime = new Date(Date.now() + 1000);
+
+        async.series([
+            (callback) => {
+                persistence.create(null, { id: "1", key: "Key 1", content: null }, (err, item) => {
+                    stored = item;
+                    callback(err);
+                });
+            },
+            (callback) => {
+                setTimeout(callback, 10);
+            },
+            (callback) => {
+                // Whole item with the stored expire time starts a new period
+                persistence.update(null, stored, (err, item: any) => {
+                    assert.isAbove(item.expire_time.getTime(), stored.expire_time.getTime());
+                    stored = item;
+                    callback(err);
+                });
+            },
+            (callback) => {
+                setTimeout(callback, 10);
+            },
+            (callback) => {
+                persistence.set(null, stored, (err, item: any) => {
+                    assert.isAbove(item.expire_time.getTime(), stored.expire_time.getTime());
+                    stored = item;
+                    callback(err);
+                });
+            },
+            (callback) => {
+                // Partial updates keep the expire time
+                persistence.updatePartially(null, "1", AnyValueMap.fromTuples("content", "A"), (err, item: any) => {
+                    assert.equal(item.expire_time.getTime(), stored.expire_time.getTime());
+                    callback(err);
+                });
+            },
+            (callback) => {
+                // Changed expire time is kept
+                persistence.update(null, <any>{ id: "1", key: "Key 1", content: "B", expire_time: expireTime }, (err, item: any) => {
+                    assert.equal(item.expire_time.getTime(), expireTime.getTime());
+                    callback(err);
+                });
+            }
+        ], done);
+    });
+
+    test('Sweep Expired', (done) => {
+        persistence.configure(ConfigParams.fromTuples("options.expiration", true));
+        let listener = new CollectingListener();
+
+        async.series([
+            (callback) => {
+                persistence.createMany(null, [
+                    expired("1"),
+                    { id: "2", key: "Key 2", content: null },
+                    expired("3")
+                ], callback);
+            },
+            (callback) => {
+                persistence.addChangeListener(listener);
+                let saves = saver.saves;
+
+                persistence.sweepExpired(null, (err, count) => {
+                    assert.equal(2, count);
+                    assert.equal(saves + 1, saver.saves);
+                    assert.deepEqual(saver.items.map((item) => item.id), ["2"]);
+                    assert.deepEqual(listener.events.map((event) => event.type), [ChangeEvent.Deleted, ChangeEvent.Deleted]);
+                    assert.deepEqual(listener.events.map((event) => event.oldItem.id), ["1", "3"]);
+                    callback(err);
+                });
+            },
+            (callback) => {
+                let saves = saver.saves;
+
+                // Nothing to remove, nothing to save
+                persistence.sweepExpired(null, (err, count) => {
+                    assert.equal(0, count);
+                    assert.equal(saves, saver.saves);
+                    assert.lengthOf(listener.events, 2);
+                    callback(err);
+                });
+            }
+        ], done);
+    });
+
+    test('Sweeper Lifecycle', (done) => {
+        persistence.configure(ConfigParams.fromTuples(
+            "options.expiration", true,
+            "options.sweep_interval", 20
+        ));
+
+        async.series([
+            (callback) => {
+                persistence.open(null, callback);
+            },
+            (callback) => {
+                persistence.create(null, expired("1"), callback);
+            },
+            (callback) => {
+                setTimeout(callback, 100);
+            },
+            (callback) => {
+                // The sweeper runs while the component is opened
+                assert.equal(0, persistence.createSnapshot(null).count);
+                persistence.close(null, callback);
+            },
+            (callback) => {
+                persistence.create(null, expired("2"), callback);
+            },
+            (callback) => {
+                setTimeout(callback, 100);
+            },
+            (callback) => {
+                // The sweeper is stopped on close
+                assert.equal(1, persistence.createSnapshot(null).count);
+                callback();
+            }
+        ], (err) => {
+            persistence.close(null, () => done(err));
+        });
+    });
+
+    test('Disabled Sweeper', (done) => {
+        persistence.configure(ConfigParams.fromTuples(
+            "options.expiration", true,
+            "options.sweep_interval", 0
+        ));
+
+        async.series([
+            (callback) => {
+                persistence.open(null, callback);
+            },
+            (callback) => {
+                persistence.create(null, expired("1"), callback);
+            },
+            (callback) => {
+                setTimeout(callback, 50);
+            },
+            (callback) => {
+                // Expired items are hidden until they are swept
+                assert.equal(1, persistence.createSnapshot(null).count);
+                persistence.getOneById(null, "1", (err, item) => {
+                    assert.isNull(item);
+                    callback(err);
+                });
+            }
+        ], (err) => {
+            persistence.close(null, () => done(err));
+        });
+    });
+
+});
@@ -0,0 +1,392 @@
+let assert = require('chai').assert;
+let fs = require('fs');
+let async = require('async');
+let os = require('os');
+
+import { ConfigParams } from 'pip-services3-commons-node';
+import { ConflictException } from 'pip-services3-commons-node';
+import { References } from 'pip-services3-commons-node';
+import { Descriptor } from 'pip-services3-commons-node';
+import { ObjectSchema } from 'pip-services3-commons-node';
+import { TypeCode } from 'pip-services3-commons-node';
+import { Logger } from 'pip-services3-components-node';
+import { LogLevel } from 'pip-services3-components-node';
+
+import { JsonFilePersister } from '../../src/persistence/JsonFilePersister';
+import { FilePersister } from '../../src/persistence/FilePersister';
+import { IdentifiableFilePersistence } from '../../src/persistence/IdentifiableFilePersistence';
+import { ChangeEvent } from '../../src/ChangeEvent';
+import { Dummy } from '../Dummy';
+
+class CollectingLogger extends Logger {
+    public errors: Error[] = [];
+    public warnings: string[] = [];
+
+    public constructor() {
+        super();
+    }
+
+    protected write(level: LogLevel, correlationId: string, error: Error, message: string): void {
+        if (error != null) this.errors.push(error);
+        if (level == LogLevel.Warn) this.warnings.push(message);
+    }
+}
+
+class LockStealingPersister extends JsonFilePersister<Dummy> {
+    protected formatData(items: Dummy[]): string {
+        // Another process takes over the lock while the data is written
+        fs.writeFileSync(this.path + ".lock", JSON.stringify({ pid: process.pid, host: os.hostname(), token: "other" }));
+        return super.formatData(items);
+    }
+}
+
+class WatchedDummyFilePersistence extends IdentifiableFilePersistence<Dummy, string> {
+    public get persister(): FilePersister<Dummy> {
+        return this._persister;
+    }
+}
+
+suite('FilePersister', ()=> {
+    let path = "./data/persister.json";
+    let dummy1: Dummy = { id: "1", key: "Key 1", content: "Content 1" };
+    let dummy2: Dummy = { id: "2", key: "Key 2", content: "Content 2" };
+
+    let cleanup = () => {
+        for (let file of [path, path + ".tmp", path + ".lock", path + ".quarantine"]) {
+            if (fs.existsSync(file)) fs.unlinkSync(file);
+        }
+    };
+
+    let getLockedConfig = () => {
+        return ConfigParams.fromTuples(
+            "path", path,
+            "options.locking", true,
+            "options.lock_timeout", 100,
+            "options.lock_retry_interval", 10
+        );
+    };
+
+    setup(cleanup);
+    teardown(cleanup);
+
+    suite('Locking', () => {
+
+        test('Locks Of Other Processes', (done) => {
+            let persister = new JsonFilePersister<Dummy>();
+            persister.configure(getLockedConfig());
+
+            // Lock of another running process
+            fs.writeFileSync(path + ".lock", JSON.stringify({ pid: process.ppid, host: os.hostname() }));
+
+            persister.save(null, [dummy1], (err) => {
+                assert.instanceOf(err, ConflictException);
+                assert.equal("FILE_LOCKED", err.code);
+                assert.isFalse(fs.existsSync(path));
+
+                let time = new Date(Date.now() - 60000);
+                fs.utimesSync(path + ".lock", time, time);
+
+                // Stale locks are taken over
+                persister.save(null, [dummy1], (err) => {
+                    assert.isNull(err);
+                    assert.isFalse(fs.existsSync(path + ".lock"));
+                    assert.lengthOf(fs.readdirSync("./data").filter((file) => file.endsWith(".stale")), 0);
+
+                    persister.load(null, (err, items) => {
+                        assert.lengthOf(items, 1);
+                        done(err);
+                    });
+                });
+            });
+        });
+
+        test('Locks Of Other Persisters In Process', (done) => {
+            let persister = new JsonFilePersister<Dummy>();
+            persister.configure(getLockedConfig());
+
+            // Lock of another persister in this process is alive
+            fs.writeFileSync(path + ".lock", JSON.stringify({ pid: process.pid, host: os.hostname(), token: "other" }));
+
+            persister.save(null, [dummy1], (err) => {
+                assert.instanceOf(err, ConflictException);
+                assert.equal("FILE_LOCKED", err.code);
+                assert.isTrue(fs.existsSync(path + ".lock"));
+                done();
+            });
+        });
+
+        test('Lost Locks', (done) => {
+            let persister = new LockStealingPersister();
+            persister.configure(getLockedConfig());
+
+            persister.save(null, [dummy1], (err) => {
+                assert.instanceOf(err, ConflictException);
+                assert.equal("LOCK_LOST", err.code);
+                assert.isFalse(fs.existsSync(path));
+
+                // The lock of the new owner is kept
+                assert.equal("other", JSON.parse(fs.readFileSync(path + ".lock", "utf8")).token);
+                done();
+            });
+        });
+
+        test('Save Errors Without Callback', (done) => {
+            let logger = new CollectingLogger();
+            let persister = new JsonFilePersister<Dummy>();
+            persister.configure(getLockedConfig());
+            persister.setReferences(References.fromTuples(
+                new Descriptor("pip-services", "logger", "collecting", "default", "1.0"), logger
+            ));
+
+            fs.writeFileSync(path + ".lock", JSON.stringify({ pid: process.pid, host: os.hostname(), token: "other" }));
+
+            // Errors after waiting for locks are logged instead of thrown from timers
+            persister.save(null, [dummy1]);
+
+            let timeout = Date.now() + 2000;
+            let check = () => {
+                if (logger.errors.length == 0 && Date.now() < timeout) {
+                    setTimeout(check, 20);
+                    return;
+                }
+
+                assert.lengthOf(logger.errors, 1);
+                assert.equal("FILE_LOCKED", (<any>logger.errors[0]).code);
+                done();
+            };
+            check();
+        });
+
+    });
+
+    suite('Read-Modify-Write', () => {
+        let config = ConfigParams.fromTuples(
+            "path", path,
+            "options.locking", true,
+            "options.read_modify_write", true
+        );
+
+        test('Concurrent Modifications', (done) => {
+            let persister1 = new JsonFilePersister<Dummy>();
+            persister1.configure(config);
+            let persister2 = new JsonFilePersister<Dummy>();
+            persister2.configure(config);
+
+            async.series([
+                (callback) => {
+                    persister1.load(null, (err) => callback(err));
+                },
+                (callback) => {
+                    persister2.load(null, (err) => callback(err));
+                },
+                (callback) => {
+                    persister1.save(null, [dummy1], callback);
+                },
+                (callback) => {
+                    persister2.save(null, [dummy2], (err) => {
+                        assert.instanceOf(err, ConflictException);
+                        assert.equal("CONCURRENT_MODIFICATION", err.code);
+                        callback();
+                    });
+                },
+                (callback) => {
+                    // Changes are retried after the data is loaded again
+                    persister2.load(null, (err, items) => {
+                        assert.lengthOf(items, 1);
+                        persister2.save(null, items.concat([dummy2]), callback);
+                    });
+                },
+                (callback) => {
+                    persister1.load(null, (err, items) => {
+                        assert.lengthOf(items, 2);
+                        callback(err);
+                    });
+                }
+            ], done);
+        });
+
+        test('Recover Persistences', (done) => {
+            let persistence1 = new IdentifiableFilePersistence<Dummy, string>();
+            persistence1.configure(config);
+            let persistence2 = new IdentifiableFilePersistence<Dummy, string>();
+            persistence2.configure(config);
+
+            async.series([
+                (callback) => {
+                    persistence1.open(null, callback);
+                },
+                (callback) => {
+                    persistence2.open(null, callback);
+                },
+                (callback) => {
+                    persistence1.create(null, dummy1, callback);
+                },
+                (callback) => {
+                    persistence2.create(null, dummy2, (err) => {
+                        assert.instanceOf(err, ConflictException);
+                        callback();
+                    });
+                },
+                (callback) => {
+                    // Reload discards unsaved changes and the write is retried
+                    persistence2.reload(null, callback);
+                },
+                (callback) => {
+                    persistence2.getOneById(null, "2", (err, item) => {
+                        assert.isNull(item);
+                        persistence2.create(null, dummy2, callback);
+                    });
+                },
+                (callback) => {
+                    persistence1.reload(null, callback);
+                },
+                (callback) => {
+                    persistence1.getListByIds(null, ["1", "2"], (err, items) => {
+                        assert.deepEqual(items.map((item) => item.id), ["1", "2"]);
+                        callback(err);
+                    });
+                }
+            ], (err) => {
+                persistence1.close(null, () => {
+                    persistence2.close(null, () => done(err));
+                });
+            });
+        });
+
+    });
+
+    suite('Watching', () => {
+
+        test('Hot Reload', (done) => {
+            let persistence = new WatchedDummyFilePersistence();
+            persistence.configure(ConfigParams.fromTuples(
+                "path", path,
+                "options.watch", true,
+                // Changes are checked by the test
+                "options.watch_interval", 60000
+            ));
+
+            let events: ChangeEvent<Dummy>[] = [];
+            persistence.addChangeListener({ onChange: (event) => events.push(event) });
+
+            async.series([
+                (callback) => {
+                    persistence.open(null, callback);
+                },
+                (callback) => {
+                    persistence.create(null, dummy1, callback);
+                },
+                (callback) => {
+                    // Own writes are not reloaded
+                    persistence.persister.checkChanges(null);
+                    assert.deepEqual(events.map((e) => e.type), [ChangeEvent.Created]);
+
+                    fs.writeFileSync(path, JSON.stringify([
+                        { id: "1", key: "Key 1", content: "Content 2" },
+                        dummy2
+                    ]));
+
+                    persistence.persister.checkChanges(null);
+                    assert.sameMembers(events.slice(1).map((e) => e.type), [ChangeEvent.Updated, ChangeEvent.Created]);
+                    callback();
+                },
+                (callback) => {
+                    persistence.getOneById(null, "1", (err, item) => {
+                        assert.equal("Content 2", item.content);
+                        callback(err);
+                    });
+                }
+            ], (err) => {
+                persistence.close(null, () => done(err));
+            });
+        });
+
+        test('Reload With Unsaved Changes', (done) => {
+            let logger = new CollectingLogger();
+            let persistence = new IdentifiableFilePersistence<Dummy, string>();
+            persistence.configure(ConfigParams.fromTuples(
+                "path", path,
+                "options.save_policy", "debounce",
+                "options.save_interval", 60000
+            ));
+            persistence.setReferences(References.fromTuples(
+                new Descriptor("pip-services", "logger", "collecting", "default", "1.0"), logger
+            ));
+
+            async.series([
+                (callback) => {
+                    persistence.open(null, callback);
+                },
+                (callback) => {
+                    persistence.create(null, dummy1, callback);
+                },
+                (callback) => {
+                    // Changes waiting for the debounce timer are discarded with a warning
+                    persistence.reload(null, callback);
+                },
+                (callback) => {
+                    assert.lengthOf(logger.warnings, 1);
+
+                    persistence.getOneById(null, "1", (err, item) => {
+                        assert.isNull(item);
+                        callback(err);
+                    });
+                },
+                (callback) => {
+                    persistence.close(null, callback);
+                },
+                (callback) => {
+                    assert.deepEqual(JSON.parse(fs.readFileSync(path, "utf8")), []);
+                    callback();
+                }
+            ], done);
+        });
+
+    });
+
+    suite('Quarantine', () => {
+
+        test('Append Quarantined Items', (done) => {
+            let persister = new JsonFilePersister<Dummy>(path);
+
+            async.series([
+                (callback) => {
+                    persister.quarantine(null, [dummy1], callback);
+                },
+                (callback) => {
+                    persister.quarantine(null, [dummy2], callback);
+                },
+                (callback) => {
+                    let lines = fs.readFileSync(path + ".quarantine", "utf8").trim().split("\n");
+                    assert.deepEqual(lines.map((line) => JSON.parse(line).id), ["1", "2"]);
+                    callback();
+                }
+            ], done);
+        });
+
+        test('Quarantine Invalid Items', (done) => {
+            fs.writeFileSync(path, JSON.stringify([
+                { id: "1", key: "Key 1", content: null },
+                { id: "2", key: 123, content: null }
+            ]));
+
+            let persistence = new IdentifiableFilePersistence<Dummy, string>();
+            persistence.configure(ConfigParams.fromTuples(
+                "path", path,
+                "options.invalid_load_action", "quarantine"
+            ));
+            persistence.schema = new ObjectSchema(true).withRequiredProperty("key", TypeCode.String);
+
+            persistence.open(null, (err) => {
+                assert.isNull(err);
+                assert.lengthOf(persistence.getQuarantinedItems(), 1);
+                assert.deepEqual(JSON.parse(fs.readFileSync(path, "utf8")).map((item) => item.id), ["1"]);
+                assert.equal("2", JSON.parse(fs.readFileSync(path + ".quarantine", "utf8").trim()).id);
+
+                persistence.close(null, done);
+            });
+        });
+
+    });
+
+});
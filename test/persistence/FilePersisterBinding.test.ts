@@ -0,0 +1,112 @@
+let assert = require('chai').assert;
+let fs = require('fs');
+
+import { ConfigParams } from 'pip-services3-commons-node';
+
+import { FilePersisterBinding } from '../../src/persistence/FilePersisterBinding';
+import { JsonFilePersister } from '../../src/persistence/JsonFilePersister';
+import { CsvFilePersister } from '../../src/persistence/CsvFilePersister';
+import { YamlFilePersister } from '../../src/persistence/YamlFilePersister';
+import { Dummy } from '../Dummy';
+
+suite('FilePersisterBinding', ()=> {
+    let path = "./data/binding.json";
+
+    let dummy1: Dummy = { id: "1", key: "Key 1", content: "Content 1" };
+
+    let cleanup = () => {
+        for (let file of [path, path + ".quarantine"]) {
+            if (fs.existsSync(file)) fs.unlinkSync(file);
+        }
+    };
+
+    setup(cleanup);
+    teardown(cleanup);
+
+    test('Configure', () => {
+        let persister = new JsonFilePersister<Dummy>();
+
+        let selected = FilePersisterBinding.configure(persister, ConfigParams.fromTuples("path", "./data/binding.csv"), true);
+        assert.instanceOf(selected, CsvFilePersister);
+        assert.equal("./data/binding.csv", selected.path);
+
+        selected = FilePersisterBinding.configure(persister, ConfigParams.fromTuples(
+            "path", "./data/binding.csv",
+            "format", "yaml"
+        ), true);
+        assert.instanceOf(selected, YamlFilePersister);
+
+        selected = FilePersisterBinding.configure(persister, ConfigParams.fromTuples("path", "./data/binding.csv"), false);
+        assert.strictEqual(selected, persister);
+        assert.equal("./data/binding.csv", persister.path);
+
+        selected = FilePersisterBinding.configure(persister, ConfigParams.fromTuples("path", "./data/binding"), true);
+        assert.strictEqual(selected, persister);
+    });
+
+    test('Open And Close', (done) => {
+        let persister = new JsonFilePersister<Dummy>(path);
+        persister.configure(ConfigParams.fromTuples("options.watch", true));
+        let reloads = 0;
+
+        FilePersisterBinding.open(null, persister,
+            (callback) => callback("Open failed"),
+            (callback) => { reloads++; callback(null); },
+            (err) => {
+                assert.equal("Open failed", err);
+
+                // Watching is not started when the component failed to open
+                fs.writeFileSync(path, "[]");
+                persister.checkChanges(null);
+                assert.equal(0, reloads);
+
+                FilePersisterBinding.open(null, persister,
+                    (callback) => callback(null),
+                    (callback) => { reloads++; callback(null); },
+                    (err) => {
+                        assert.isNull(err);
+
+                        fs.writeFileSync(path, "[ ]");
+                        persister.checkChanges(null);
+                        assert.equal(1, reloads);
+
+                        let closed = false;
+                        FilePersisterBinding.close(null, persister, (callback) => { closed = true; callback(null); }, (err) => {
+                            assert.isNull(err);
+                            assert.isTrue(closed);
+
+                            fs.writeFileSync(path, "[  ]");
+                            persister.checkChanges(null);
+                            assert.equal(1, reloads);
+                            done();
+                        });
+                    }
+                );
+            }
+        );
+    });
+
+    test('Quarantine', (done) => {
+        let persister = new JsonFilePersister<Dummy>(path);
+
+        FilePersisterBinding.quarantine(null, persister, [dummy1], (callback) => {
+            // Items are written to the file before they are quarantined in the component
+            assert.equal("1", JSON.parse(fs.readFileSync(path + ".quarantine", "utf8").trim()).id);
+            callback(null);
+        }, (err) => {
+            assert.isNull(err);
+
+            let failing = new JsonFilePersister<Dummy>("./data/missing/binding.json");
+            let quarantined = false;
+            FilePersisterBinding.quarantine(null, failing, [dummy1], (callback) => {
+                quarantined = true;
+                callback(null);
+            }, (err) => {
+                assert.isNotNull(err);
+                assert.isFalse(quarantined);
+                done();
+            });
+        });
+    });
+
+});
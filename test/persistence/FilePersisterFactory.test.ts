@@ -0,0 +1,103 @@
+let assert = require('chai').assert;
+let async = require('async');
+let fs = require('fs');
+
+import { ConfigParams } from 'pip-services3-commons-node';
+import { ConfigException } from 'pip-services3-commons-node';
+
+import { FilePersisterFactory } from '../../src/persistence/FilePersisterFactory';
+import { YamlFilePersister } from '../../src/persistence/YamlFilePersister';
+import { NdJsonFilePersister } from '../../src/persistence/NdJsonFilePersister';
+import { IdentifiableFilePersistence } from '../../src/persistence/IdentifiableFilePersistence';
+import { Dummy } from '../Dummy';
+
+suite('FilePersisterFactory', ()=> {
+    let yamlPath = "./data/persister.yml";
+    let ndjsonPath = "./data/persister.ndjson";
+
+    let dummy1: Dummy = { id: "1", key: "Key 1", content: "Content 1" };
+    let dummy2: Dummy = { id: "2", key: "Key 2", content: "Content: 2" };
+
+    let cleanup = () => {
+        for (let file of [yamlPath, ndjsonPath]) {
+            if (fs.existsSync(file)) fs.unlinkSync(file);
+        }
+    };
+
+    setup(cleanup);
+    teardown(cleanup);
+
+    test('Detect Format', () => {
+        assert.equal("json", FilePersisterFactory.detectFormat("./data/data.JSON"));
+        assert.equal("yaml", FilePersisterFactory.detectFormat("data.yml"));
+        assert.equal("csv", FilePersisterFactory.detectFormat("data.csv"));
+        assert.equal("ndjson", FilePersisterFactory.detectFormat("data.jsonl"));
+        assert.isNull(FilePersisterFactory.detectFormat("./data.d/data"));
+        assert.isNull(FilePersisterFactory.detectFormat(null));
+
+        assert.instanceOf(FilePersisterFactory.create("yaml"), YamlFilePersister);
+        assert.throws(() => FilePersisterFactory.create("xml"), ConfigException);
+    });
+
+    test('Save And Load YAML', (done) => {
+        let persister = new YamlFilePersister<Dummy>(yamlPath);
+
+        persister.save(null, [dummy1, dummy2], (err) => {
+            assert.isNull(err);
+            assert.include(fs.readFileSync(yamlPath, "utf8"), "- id: '1'");
+
+            persister.load(null, (err, items) => {
+                assert.isNull(err);
+                assert.deepEqual(items, [dummy1, dummy2]);
+                done();
+            });
+        });
+    });
+
+    test('Save And Load NDJSON', (done) => {
+        let persister = new NdJsonFilePersister<Dummy>(ndjsonPath);
+
+        persister.save(null, [dummy1, dummy2], (err) => {
+            assert.isNull(err);
+            assert.lengthOf(fs.readFileSync(ndjsonPath, "utf8").split("\n"), 3);
+
+            persister.load(null, (err, items) => {
+                assert.isNull(err);
+                assert.deepEqual(items, [dummy1, dummy2]);
+                done();
+            });
+        });
+    });
+
+    test('Select Format In Persistence', (done) => {
+        fs.writeFileSync(yamlPath, "- id: '1'\n  key: Key 1\n  content: Content 1\n");
+
+        let persistence = new IdentifiableFilePersistence<Dummy, string>();
+        persistence.configure(ConfigParams.fromTuples("path", yamlPath));
+
+        async.series([
+            (callback) => {
+                persistence.open(null, callback);
+            },
+            (callback) => {
+                persistence.getOneById(null, "1", (err, item) => {
+                    assert.deepEqual(item, dummy1);
+                    callback(err);
+                });
+            },
+            (callback) => {
+                persistence.create(null, dummy2, callback);
+            },
+            (callback) => {
+                new YamlFilePersister<Dummy>(yamlPath).load(null, (err, items) => {
+                    assert.lengthOf(items, 2);
+                    callback(err);
+                });
+            },
+            (callback) => {
+                persistence.close(null, callback);
+            }
+        ], done);
+    });
+
+});
@@ -0,0 +1,70 @@
+let assert = require('chai').assert;
+let _ = require('lodash');
+
+import { FilterParams } from 'pip-services3-commons-node';
+import { BadRequestException } from 'pip-services3-commons-node';
+
+import { FilterComposer } from '../../src/persistence/FilterComposer';
+
+suite('FilterComposer', ()=> {
+    let items = [
+        { id: "1", name: "Alice", age: 35, status: "active", address: { city: "Tucson" }, tags: ["a", "b"] },
+        { id: "2", name: "Bob", age: 25, status: "pending", address: { city: "Phoenix" }, tags: ["b"] },
+        { id: "3", name: "alex", age: 40, status: "blocked", roles: [ { name: "admin" }, { name: "user" } ] }
+    ];
+
+    let filter = (condition: any): string[] => {
+        return _.map(_.filter(items, FilterComposer.compose(condition)), (item) => item.id);
+    };
+
+    test('Empty Filter', () => {
+        assert.isNull(FilterComposer.compose(null));
+        assert.deepEqual(filter({}), ["1", "2", "3"]);
+    });
+
+    test('Filter Params', () => {
+        assert.deepEqual(filter(FilterParams.fromTuples("status", "active")), ["1"]);
+        assert.deepEqual(filter(FilterParams.fromTuples("age", 25)), ["2"]);
+        assert.deepEqual(filter(FilterParams.fromTuples("address.city", "Phoenix")), ["2"]);
+        assert.deepEqual(filter(FilterParams.fromTuples("roles.name", "admin")), ["3"]);
+    });
+
+    test('Comparison Operators', () => {
+        assert.deepEqual(filter({ age: 25 }), ["2"]);
+        assert.deepEqual(filter({ age: { $ne: 25 } }), ["1", "3"]);
+        assert.deepEqual(filter({ age: { $gt: 30 } }), ["1", "3"]);
+        assert.deepEqual(filter({ age: { $gte: 25, $lt: 40 } }), ["1", "2"]);
+        assert.deepEqual(filter({ status: { $in: ["active", "blocked"] } }), ["1", "3"]);
+        assert.deepEqual(filter({ status: { $nin: ["active", "blocked"] } }), ["2"]);
+        assert.deepEqual(filter({ name: { $regex: "^al", $options: "i" } }), ["1", "3"]);
+        assert.deepEqual(filter({ name: /^B/ }), ["2"]);
+        // Global and sticky flags do not make matching depend on previous items
+        assert.deepEqual(filter({ name: { $regex: "[ab]", $options: "gi" } }), ["1", "2", "3"]);
+        assert.deepEqual(filter({ name: /[ab]/gi }), ["1", "2", "3"]);
+        assert.deepEqual(filter({ name: { $in: [/^al/gi, /^x/y] } }), ["1", "3"]);
+    });
+
+    test('Nested Fields And Arrays', () => {
+        assert.deepEqual(filter({ "address.city": "Tucson" }), ["1"]);
+        assert.deepEqual(filter({ address: { $exists: false } }), ["3"]);
+        assert.deepEqual(filter({ tags: "b" }), ["1", "2"]);
+        assert.deepEqual(filter({ tags: { $size: 2 } }), ["1"]);
+        assert.deepEqual(filter({ tags: { $all: ["a", "b"] } }), ["1"]);
+        assert.deepEqual(filter({ roles: { $elemMatch: { name: "user" } } }), ["3"]);
+        assert.deepEqual(filter({ "roles.name": "admin" }), ["3"]);
+    });
+
+    test('Logical Operators', () => {
+        assert.deepEqual(filter({ $or: [ { age: { $lt: 30 } }, { status: "blocked" } ] }), ["2", "3"]);
+        assert.deepEqual(filter({ $and: [ { age: { $gt: 30 } }, { status: "active" } ] }), ["1"]);
+        assert.deepEqual(filter({ $nor: [ { status: "active" }, { status: "pending" } ] }), ["3"]);
+        assert.deepEqual(filter({ age: { $not: { $gt: 30 } } }), ["2"]);
+    });
+
+    test('Invalid Filter', () => {
+        assert.throws(() => FilterComposer.compose({ age: { $between: [1, 2] } }), BadRequestException);
+        assert.throws(() => FilterComposer.compose({ $or: {} }), BadRequestException);
+        assert.throws(() => FilterComposer.compose({ status: { $in: "active" } }), BadRequestException);
+    });
+
+});
@@ -0,0 +1,82 @@
+let assert = require('chai').assert;
+
+import { ConflictException } from 'pip-services3-commons-node';
+import { FilterParams } from 'pip-services3-commons-node';
+
+import { IndexTracker } from '../../src/persistence/IndexTracker';
+import { MemoryIndex } from '../../src/persistence/MemoryIndex';
+
+suite('IndexTracker', ()=> {
+    let items: any[];
+    let tracker: IndexTracker<any>;
+
+    setup(() => {
+        items = [
+            { id: "1", key: "A", status: "new" },
+            { id: "2", key: "B", status: "paid" },
+            { id: "3", key: "C", status: "new" }
+        ];
+        tracker = new IndexTracker<any>([]);
+    });
+
+    test('Track Positions', () => {
+        assert.isTrue(tracker.isStale(items));
+        tracker.rebuild(items);
+        assert.isFalse(tracker.isStale(items));
+        assert.isTrue(tracker.isIndexed(items));
+        assert.equal(2, tracker.getPosition(items[2]));
+        assert.equal(-1, tracker.getPosition({ id: "4" }));
+
+        let item = { id: "4", key: "D", status: "new" };
+        items.push(item);
+        tracker.add(item, items.length - 1);
+        assert.equal(3, tracker.getPosition(item));
+
+        let removed = items.splice(1, 1)[0];
+        tracker.remove(removed);
+        tracker.updatePositions(items, 1);
+        assert.equal(-1, tracker.getPosition(removed));
+        assert.equal(2, tracker.getPosition(item));
+        assert.isTrue(tracker.isIndexed(items));
+
+        // Items replaced directly are detected only by the full check
+        items[0] = { id: "1", key: "A", status: "paid" };
+        assert.isFalse(tracker.isStale(items));
+        assert.isFalse(tracker.isIndexed(items));
+    });
+
+    test('Find Items', () => {
+        tracker.rebuild(items);
+        assert.isNull(tracker.find({ status: "new" }));
+
+        tracker.define(new MemoryIndex<any>("status", ["status"]), items);
+        tracker.define(new MemoryIndex<any>("key", ["key"], true), items);
+        assert.lengthOf(tracker.indexes, 2);
+
+        assert.deepEqual(tracker.find({ status: "new" }).map((item) => item.id), ["1", "3"]);
+        assert.deepEqual(tracker.find(FilterParams.fromTuples("key", "B")).map((item) => item.id), ["2"]);
+        assert.isNull(tracker.find((item) => item.status == "new"));
+
+        let item = { id: "4", key: "D", status: "new" };
+        tracker.replace(items[0], item, 0);
+        items[0] = item;
+        assert.deepEqual(tracker.find({ status: "new" }).map((item) => item.id), ["4", "3"]);
+
+        // Indexes with the same name are replaced
+        tracker.define(new MemoryIndex<any>("status", ["status"]), items);
+        assert.lengthOf(tracker.indexes, 2);
+    });
+
+    test('Unique Indexes', () => {
+        tracker.define(new MemoryIndex<any>("key", ["key"], true), items);
+        tracker.rebuild(items);
+
+        let err = tracker.checkUnique("123", { id: "4", key: "A" });
+        assert.instanceOf(err, ConflictException);
+        assert.equal("DUPLICATE_KEY", err.code);
+
+        assert.isNull(tracker.checkUnique("123", { id: "1", key: "A" }, items[0]));
+        assert.isNull(tracker.checkUnique("123", { id: "4", key: "D" }));
+    });
+
+});
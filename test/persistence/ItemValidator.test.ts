@@ -0,0 +1,178 @@
+let assert = require('chai').assert;
+let async = require('async');
+
+import { ConfigParams } from 'pip-services3-commons-node';
+import { ConfigException } from 'pip-services3-commons-node';
+import { AnyValueMap } from 'pip-services3-commons-node';
+import { ObjectSchema } from 'pip-services3-commons-node';
+import { TypeCode } from 'pip-services3-commons-node';
+import { CompositeLogger } from 'pip-services3-components-node';
+
+import { ItemValidator } from '../../src/persistence/ItemValidator';
+import { IdentifiableMemoryPersistence } from '../../src/persistence/IdentifiableMemoryPersistence';
+import { Dummy } from '../Dummy';
+import { CountingSaver } from './CountingSaver';
+
+suite('ItemValidator', ()=> {
+    let saver: CountingSaver;
+    let persistence: IdentifiableMemoryPersistence<Dummy, string>;
+
+    let schema = new ObjectSchema(true)
+        .withRequiredProperty("key", TypeCode.String);
+
+    let createLoaded = (action: string): IdentifiableMemoryPersistence<Dummy, string> => {
+        let loader = {
+            load: (correlationId, callback) => callback(null, [
+                { id: "1", key: "Key 1", content: null },
+                <any>{ id: "2", content: null }
+            ])
+        };
+        let restored = new IdentifiableMemoryPersistence<Dummy, string>(loader, saver);
+        restored.schema = schema;
+        restored.configure(ConfigParams.fromTuples("options.invalid_load_action", action));
+        return restored;
+    };
+
+    setup(() => {
+        saver = new CountingSaver();
+        persistence = new IdentifiableMemoryPersistence<Dummy, string>(null, saver);
+        persistence.schema = schema;
+    });
+
+    test('Validate Items', () => {
+        let validator = new ItemValidator<Dummy>(new CompositeLogger());
+        assert.isNull(validator.validate(null, <any>{ id: "1" }));
+
+        validator.schema = schema;
+        assert.isNull(validator.validate(null, { id: "1", key: "Key 1", content: null }));
+        assert.equal("INVALID_DATA", validator.validate(null, <any>{ id: "1" }).code);
+
+        validator.quarantine([{ id: "1", key: "Key 1", content: null }]);
+        validator.quarantine([{ id: "2", key: "Key 2", content: null }]);
+        assert.deepEqual(validator.getQuarantinedItems().map((item) => item.id), ["1", "2"]);
+    });
+
+    test('Check Loaded Items', (done) => {
+        let validator = new ItemValidator<Dummy>(new CompositeLogger());
+        validator.schema = schema;
+        validator.configure(ConfigParams.fromTuples("options.invalid_load_action", "quarantine"));
+
+        let items: Dummy[] = [
+            { id: "1", key: "Key 1", content: null },
+            <any>{ id: "2", content: null }
+        ];
+
+        async.series([
+            (callback) => {
+                validator.checkLoadedItems(null, items, (invalidItems, callback) => {
+                    assert.deepEqual(invalidItems.map((item) => item.id), ["2"]);
+                    callback(null);
+                }, (err, validItems) => {
+                    assert.deepEqual(validItems.map((item) => item.id), ["1"]);
+                    callback(err);
+                });
+            },
+            (callback) => {
+                // Errors of quarantine fail the check
+                validator.checkLoadedItems(null, items, (invalidItems, callback) => {
+                    callback(new Error("Failed"));
+                }, (err, validItems) => {
+                    assert.isNotNull(err);
+                    assert.isNull(validItems);
+                    callback();
+                });
+            }
+        ], done);
+    });
+
+    test('Create And Update', (done) => {
+        async.series([
+            (callback) => {
+                persistence.create(null, <any>{ id: "1", content: null }, (err, item) => {
+                    assert.equal("INVALID_DATA", err.code);
+                    assert.equal(0, saver.saves);
+                    callback();
+                });
+            },
+            (callback) => {
+                persistence.create(null, { id: "1", key: "Key 1", content: null }, callback);
+            },
+            (callback) => {
+                persistence.set(null, <any>{ id: "1", key: 1, content: null }, (err, item) => {
+                    assert.equal("INVALID_DATA", err.code);
+                    callback();
+                });
+            },
+            (callback) => {
+                persistence.update(null, <any>{ id: "1", content: "Content 1" }, (err, item) => {
+                    assert.equal("INVALID_DATA", err.code);
+                    callback();
+                });
+            },
+            (callback) => {
+                persistence.updatePartially(null, "1", AnyValueMap.fromTuples("$unset", { key: "" }), (err, item) => {
+                    assert.equal("INVALID_DATA", err.code);
+                    assert.equal(1, saver.saves);
+                    callback();
+                });
+            },
+            (callback) => {
+                persistence.getOneById(null, "1", (err, item) => {
+                    assert.equal("Key 1", item.key);
+                    assert.isNull(item.content);
+                    callback(err);
+                });
+            }
+        ], done);
+    });
+
+    test('Invalid Load Action', () => {
+        assert.throws(() => {
+            persistence.configure(ConfigParams.fromTuples("options.invalid_load_action", "ignore"));
+        }, ConfigException);
+    });
+
+    test('Report Invalid Loaded Items', (done) => {
+        let restored = createLoaded("report");
+
+        restored.open(null, (err) => {
+            assert.isNull(err);
+            assert.lengthOf(restored.getQuarantinedItems(), 0);
+            assert.equal(0, saver.saves);
+
+            restored.getListByIds(null, ["1", "2"], (err, items) => {
+                assert.lengthOf(items, 2);
+                restored.close(null, done);
+            });
+        });
+    });
+
+    test('Quarantine Invalid Loaded Items', (done) => {
+        let restored = createLoaded("quarantine");
+
+        restored.open(null, (err) => {
+            assert.isNull(err);
+            assert.deepEqual(restored.getQuarantinedItems().map((item) => item.id), ["2"]);
+            // Quarantined items are removed from the data source
+            assert.equal(1, saver.saves);
+            assert.deepEqual(saver.items.map((item) => item.id), ["1"]);
+
+            restored.getListByIds(null, ["1", "2"], (err, items) => {
+                assert.lengthOf(items, 1);
+                restored.close(null, done);
+            });
+        });
+    });
+
+    test('Fail On Invalid Loaded Items', (done) => {
+        let restored = createLoaded("fail");
+
+        restored.open(null, (err) => {
+            assert.equal("INVALID_DATA", err.code);
+            assert.equal(1, err.details.invalid_items);
+            assert.equal(0, saver.saves);
+            done();
+        });
+    });
+
+});
@@ -0,0 +1,41 @@
+let assert = require('chai').assert;
+
+import { JournalTracker } from '../../src/persistence/JournalTracker';
+import { JsonJournalPersister } from '../../src/persistence/JsonJournalPersister';
+import { Dummy } from '../Dummy';
+import { CountingSaver } from './CountingSaver';
+
+suite('JournalTracker', ()=> {
+    let dummy1: Dummy = { id: "1", key: "Key 1", content: "Content 1" };
+
+    test('Get Journal', () => {
+        let journal = new JsonJournalPersister<Dummy>();
+        assert.strictEqual(JournalTracker.getJournal(journal), journal);
+        assert.isNull(JournalTracker.getJournal(new CountingSaver()));
+        assert.isNull(JournalTracker.getJournal(null));
+    });
+
+    test('Track Changes', () => {
+        let tracker = new JournalTracker<Dummy>();
+        assert.isTrue(tracker.isTracking());
+
+        tracker.record({ operation: "create", item: dummy1 });
+        let checkpoint = tracker.checkpoint();
+        tracker.record({ operation: "delete", position: 0 });
+
+        tracker.restore(checkpoint);
+        assert.deepEqual(tracker.take(), [{ operation: "create", item: dummy1 }]);
+        assert.deepEqual(tracker.take(), []);
+
+        // Changes are not recorded until items are in sync again
+        tracker.invalidate();
+        tracker.record({ operation: "create", item: dummy1 });
+        assert.isFalse(tracker.isTracking());
+        assert.isNull(tracker.checkpoint());
+
+        tracker.reset();
+        assert.isTrue(tracker.isTracking());
+        assert.deepEqual(tracker.take(), []);
+    });
+
+});
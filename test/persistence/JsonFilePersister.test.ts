@@ -1,9 +1,12 @@
 let assert = require('chai').assert;
+let fs = require('fs');
+let async = require('async');
 
 import { JsonFilePersister } from '../../src/persistence/JsonFilePersister';
 import { Dummy } from '../Dummy';
 import { ConfigParams } from 'pip-services3-commons-node';
 import { ConfigException } from 'pip-services3-commons-node';
+import { FileException } from 'pip-services3-commons-node';
 
 suite('JsonFilePersister', ()=> {
     var _persister: JsonFilePersister<Dummy>;
@@ -27,4 +30,74 @@ suite('JsonFilePersister', ()=> {
         assert.equal(fileName, _persister.path);
     });
 
-});
\ No newline at end of file
+    suite('Saving And Loading', () => {
+        let path = "./data/persister.json";
+        let files = [path, path + ".tmp", path + ".1.bak", path + ".2.bak", path + ".3.bak", path + ".quarantine",
+            path + ".lock"];
+
+        let cleanup = () => {
+            for (let file of files) {
+                if (fs.existsSync(file)) fs.unlinkSync(file);
+            }
+        };
+
+        setup(cleanup);
+        teardown(cleanup);
+
+        test('Save And Load', (done) => {
+            _persister.configure(ConfigParams.fromTuples("path", path));
+            let dummy: Dummy = { id: "1", key: "Key 1", content: "Content 1" };
+
+            _persister.save(null, [dummy], (err) => {
+                assert.isNull(err);
+                assert.isFalse(fs.existsSync(path + ".tmp"));
+
+                _persister.load(null, (err, items) => {
+                    assert.isNull(err);
+                    assert.deepEqual(items, [dummy]);
+                    done();
+                });
+            });
+        });
+
+        test('Fail On Corrupted File', (done) => {
+            _persister.configure(ConfigParams.fromTuples("path", path));
+            fs.writeFileSync(path, '[{"id":"1","key":"Ke');
+
+            _persister.load(null, (err, items) => {
+                assert.instanceOf(err, FileException);
+                assert.equal("READ_FAILED", err.code);
+                done();
+            });
+        });
+
+        test('Rotate Backups And Recover', (done) => {
+            _persister.configure(ConfigParams.fromTuples(
+                "path", path,
+                "options.backup_count", 2
+            ));
+
+            for (let index = 1; index <= 4; index++)
+                _persister.save(null, [{ id: "" + index, key: null, content: null }]);
+
+            assert.isFalse(fs.existsSync(path + ".3.bak"));
+            assert.deepEqual(JSON.parse(fs.readFileSync(path + ".1.bak", "utf8")), [{ id: "3", key: null, content: null }]);
+            assert.deepEqual(JSON.parse(fs.readFileSync(path + ".2.bak", "utf8")), [{ id: "2", key: null, content: null }]);
+
+            // Simulate a truncated file
+            fs.writeFileSync(path, '[{"id":"4"');
+
+            _persister.load(null, (err, items) => {
+                assert.isNull(err);
+                assert.equal("3", items[0].id);
+
+                // Saving after recovery must not overwrite valid backups
+                _persister.save(null, items);
+                assert.deepEqual(JSON.parse(fs.readFileSync(path + ".1.bak", "utf8")), [{ id: "3", key: null, content: null }]);
+
+                done();
+            });
+        });
+    });
+
+});
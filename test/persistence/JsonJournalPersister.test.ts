@@ -0,0 +1,196 @@
+let assert = require('chai').assert;
+let async = require('async');
+let fs = require('fs');
+
+import { ConfigParams } from 'pip-services3-commons-node';
+
+import { JsonJournalPersister } from '../../src/persistence/JsonJournalPersister';
+import { IdentifiableMemoryPersistence } from '../../src/persistence/IdentifiableMemoryPersistence';
+import { Dummy } from '../Dummy';
+
+class DirectDummyMemoryPersistence extends IdentifiableMemoryPersistence<Dummy, string> {
+    public setDirectly(correlationId: string, item: Dummy, callback: (err: any) => void): void {
+        this._items = this._items.filter((d) => d.id != item.id);
+        this._items.push(item);
+        this.save(correlationId, callback);
+    }
+
+    public replaceDirectly(correlationId: string, item: Dummy, callback: (err: any) => void): void {
+        let position = this._items.findIndex((d) => d.id == item.id);
+        this._items[position] = item;
+        this.save(correlationId, callback);
+    }
+}
+
+suite('JsonJournalPersister', ()=> {
+    let path = "./data/journal.json";
+    let files = [path, path + ".tmp", path + ".journal"];
+    let persister: JsonJournalPersister<Dummy>;
+
+    let cleanup = () => {
+        for (let file of files) {
+            if (fs.existsSync(file)) fs.unlinkSync(file);
+        }
+    };
+
+    let dummy1: Dummy = { id: "1", key: "Key 1", content: "Content 1" };
+    let dummy2: Dummy = { id: "2", key: "Key 2", content: "Content 2" };
+
+    setup(() => {
+        cleanup();
+        persister = new JsonJournalPersister<Dummy>();
+        persister.configure(ConfigParams.fromTuples("path", path));
+    });
+
+    teardown(cleanup);
+
+    test('Append And Replay', (done) => {
+        let dummy3 = { id: "1", key: "Key 3", content: "Content 3" };
+
+        persister.append(null, [
+            { operation: "create", item: dummy1 },
+            { operation: "create", item: dummy2 },
+            { operation: "update", position: 0, item: dummy3 },
+            { operation: "delete", position: 1 }
+        ], [dummy3], (err) => {
+            assert.isNull(err);
+            assert.isFalse(fs.existsSync(path));
+
+            new JsonJournalPersister<Dummy>(path).load(null, (err, items) => {
+                assert.isNull(err);
+                assert.deepEqual(items, [dummy3]);
+                done();
+            });
+        });
+    });
+
+    test('Compact Journal', (done) => {
+        persister.compactChanges = 2;
+
+        async.series([
+            (callback) => {
+                persister.append(null, [{ operation: "create", item: dummy1 }], [dummy1], callback);
+            },
+            (callback) => {
+                persister.append(null, [{ operation: "create", item: dummy2 }], [dummy1, dummy2], (err) => {
+                    assert.isTrue(fs.existsSync(path));
+                    assert.equal(0, fs.statSync(path + ".journal").size);
+                    callback(err);
+                });
+            },
+            (callback) => {
+                persister.append(null, [{ operation: "delete", position: 0 }], [dummy2], callback);
+            },
+            (callback) => {
+                new JsonJournalPersister<Dummy>(path).load(null, (err, items) => {
+                    assert.deepEqual(items, [dummy2]);
+                    callback(err);
+                });
+            }
+        ], done);
+    });
+
+    test('Skip Compacted And Broken Entries', (done) => {
+        persister.append(null, [{ operation: "create", item: dummy1 }], [dummy1], (err) => {
+            // Emulate a stop before the journal was truncated and a partially written line
+            let journal = fs.readFileSync(path + ".journal", "utf8");
+            persister.save(null, [dummy1]);
+            fs.writeFileSync(path + ".journal", journal + '{"sequence":2,"operation":"cre');
+
+            persister.load(null, (err, items) => {
+                assert.isNull(err);
+                assert.deepEqual(items, [dummy1]);
+                assert.equal(0, fs.statSync(path + ".journal").size);
+                done();
+            });
+        });
+    });
+
+    test('Journal In Memory Persistence', (done) => {
+        let persistence = new IdentifiableMemoryPersistence<Dummy, string>(persister, persister);
+
+        async.series([
+            (callback) => {
+                persistence.open(null, callback);
+            },
+            (callback) => {
+                persistence.create(null, dummy1, callback);
+            },
+            (callback) => {
+                persistence.create(null, dummy2, callback);
+            },
+            (callback) => {
+                persistence.update(null, { id: "2", key: "Key 2", content: "Content 3" }, callback);
+            },
+            (callback) => {
+                persistence.deleteById(null, "1", callback);
+            },
+            (callback) => {
+                let lines = fs.readFileSync(path + ".journal", "utf8").trim().split("\n");
+                assert.lengthOf(lines, 4);
+                persistence.close(null, callback);
+            },
+            (callback) => {
+                let reader = new JsonJournalPersister<Dummy>(path);
+                let restored = new IdentifiableMemoryPersistence<Dummy, string>(reader, reader);
+                restored.open(null, (err) => {
+                    restored.getOneById(null, "2", (err, item) => {
+                        assert.equal("Content 3", item.content);
+                        callback(err);
+                    });
+                });
+            }
+        ], done);
+    });
+
+    test('Direct Changes Of Items', (done) => {
+        let persistence = new DirectDummyMemoryPersistence(persister, persister);
+
+        let load = (callback: (err: any, items: Dummy[]) => void) => {
+            new JsonJournalPersister<Dummy>(path).load(null, callback);
+        };
+
+        async.series([
+            (callback) => {
+                persistence.open(null, callback);
+            },
+            (callback) => {
+                persistence.create(null, dummy1, callback);
+            },
+            (callback) => {
+                persistence.create(null, dummy2, callback);
+            },
+            (callback) => {
+                // Replaced list of items
+                persistence.setDirectly(null, { id: "1", key: "Key 1", content: "Content 3" }, callback);
+            },
+            (callback) => {
+                load((err, items) => {
+                    assert.deepEqual(items.map((item) => item.content), ["Content 2", "Content 3"]);
+                    callback(err);
+                });
+            },
+            (callback) => {
+                // Item replaced inside the list
+                persistence.replaceDirectly(null, { id: "2", key: "Key 2", content: "Content 4" }, callback);
+            },
+            (callback) => {
+                load((err, items) => {
+                    assert.deepEqual(items.map((item) => item.content), ["Content 4", "Content 3"]);
+                    callback(err);
+                });
+            },
+            (callback) => {
+                // Later changes are journaled again
+                persistence.deleteById(null, "1", callback);
+            },
+            (callback) => {
+                load((err, items) => {
+                    assert.deepEqual(items.map((item) => item.content), ["Content 4"]);
+                    persistence.close(null, callback);
+                });
+            }
+        ], done);
+    });
+
+});
@@ -0,0 +1,168 @@
+let assert = require('chai').assert;
+let async = require('async');
+
+import { FilterParams } from 'pip-services3-commons-node';
+import { ConflictException } from 'pip-services3-commons-node';
+
+import { MemoryIndex } from '../../src/persistence/MemoryIndex';
+import { DummyMemoryPersistence } from './DummyMemoryPersistence';
+import { Dummy } from '../Dummy';
+
+class IndexedDummyMemoryPersistence extends DummyMemoryPersistence {
+    public constructor() {
+        super();
+        this.defineIndex("key", "key", true);
+    }
+}
+
+class ContentIndexedDummyMemoryPersistence extends IndexedDummyMemoryPersistence {
+    public constructor() {
+        super();
+        this.defineIndex("content", "content");
+    }
+}
+
+suite('MemoryIndex', ()=> {
+
+    test('Find Items', () => {
+        let index = new MemoryIndex<any>("name_tags", ["name", "tags"]);
+        let item1 = { id: "1", name: "A", tags: ["x", "y"] };
+        let item2 = { id: "2", name: "A", tags: ["y"] };
+        let item3 = { id: "3", tags: ["x"] };
+
+        index.add(item1);
+        index.add(item2);
+        index.add(item3);
+
+        assert.sameMembers(index.find({ name: "A", tags: "y" }), [item1, item2]);
+        assert.sameMembers(index.find({ name: "A", tags: "x" }), [item1]);
+        assert.lengthOf(index.find({ name: "B", tags: "x" }), 0);
+        assert.isNull(index.find({ tags: "x" }));
+
+        index.remove(item1);
+        assert.sameMembers(index.find({ name: "A", tags: "y" }), [item2]);
+    });
+
+    test('Find Conflicts', () => {
+        let index = new MemoryIndex<any>("key", ["key"], true);
+        let item1 = { id: "1", key: 1 };
+        index.add(item1);
+
+        assert.strictEqual(item1, index.findConflict({ id: "2", key: 1 }));
+        assert.isNull(index.findConflict({ id: "2", key: "1" }));
+        assert.isNull(index.findConflict({ id: "1", key: 1 }, item1));
+        assert.isNull(index.findConflict({ id: "3" }));
+    });
+
+    test('Find Typed Values', () => {
+        let index = new MemoryIndex<any>("key", ["key"]);
+        let item1 = { id: "1", key: 1 };
+        let item2 = { id: "2", key: "1" };
+        let item3 = { id: "3", key: true };
+
+        index.add(item1);
+        index.add(item2);
+        index.add(item3);
+
+        assert.sameMembers(index.find({ key: 1 }), [item1]);
+        assert.sameMembers(index.find({ key: "1" }), [item2]);
+        assert.sameMembers(index.find({ key: "1" }, true), [item1, item2]);
+        assert.sameMembers(index.find({ key: "true" }, true), [item3]);
+    });
+
+    test('Unique Index In Persistence', (done) => {
+        let persistence = new IndexedDummyMemoryPersistence();
+        let dummy1: Dummy;
+
+        async.series([
+            (callback) => {
+                persistence.create(null, { id: null, key: "Key 1", content: "Content 1" }, (err, item) => {
+                    dummy1 = item;
+                    callback(err);
+                });
+            },
+            (callback) => {
+                persistence.create(null, { id: null, key: "Key 2", content: "Content 2" }, callback);
+            },
+            (callback) => {
+                // Duplicate key
+                persistence.create(null, { id: null, key: "Key 1", content: "Content 3" }, (err, item) => {
+                    assert.instanceOf(err, ConflictException);
+                    assert.isNull(item);
+                    callback();
+                });
+            },
+            (callback) => {
+                // Duplicate id
+                persistence.create(null, { id: dummy1.id, key: "Key 3", content: "Content 3" }, (err, item) => {
+                    assert.instanceOf(err, ConflictException);
+                    callback();
+                });
+            },
+            (callback) => {
+                // Update into duplicate key
+                persistence.update(null, { id: dummy1.id, key: "Key 2", content: "Content 1" }, (err, item) => {
+                    assert.instanceOf(err, ConflictException);
+                    callback();
+                });
+            },
+            (callback) => {
+                // Update into a new key
+                persistence.update(null, { id: dummy1.id, key: "Key 3", content: "Content 1" }, callback);
+            },
+            (callback) => {
+                persistence.getPageByFilter(null, FilterParams.fromTuples("key", "Key 1"), null, (err, page) => {
+                    assert.lengthOf(page.data, 0);
+                    callback(err);
+                });
+            },
+            (callback) => {
+                persistence.deleteById(null, dummy1.id, callback);
+            },
+            (callback) => {
+                persistence.getPageByFilter(null, FilterParams.fromTuples("key", "Key 3"), null, (err, page) => {
+                    assert.lengthOf(page.data, 0);
+                    callback(err);
+                });
+            },
+            (callback) => {
+                persistence.getCountByFilter(null, FilterParams.fromTuples("key", "Key 2"), (err, count) => {
+                    assert.equal(1, count);
+                    callback(err);
+                });
+            }
+        ], done);
+    });
+
+    test('Keep Order After Deletes', (done) => {
+        let persistence = new ContentIndexedDummyMemoryPersistence();
+        let dummies: Dummy[] = [];
+
+        async.series([
+            (callback) => {
+                async.timesSeries(5, (index, callback) => {
+                    persistence.create(null, { id: null, key: "Key " + index, content: "Content" }, (err, item) => {
+                        dummies.push(item);
+                        callback(err);
+                    });
+                }, callback);
+            },
+            (callback) => {
+                persistence.deleteById(null, dummies[1].id, callback);
+            },
+            (callback) => {
+                persistence.update(null, { id: dummies[4].id, key: "Key 4", content: "Content" }, callback);
+            },
+            (callback) => {
+                persistence.deleteById(null, dummies[3].id, callback);
+            },
+            (callback) => {
+                persistence.getPageByFilter(null, FilterParams.fromTuples("content", "Content"), null, (err, page) => {
+                    assert.deepEqual(page.data.map((item) => item.key), ["Key 0", "Key 2", "Key 4"]);
+                    callback(err);
+                });
+            }
+        ], done);
+    });
+
+});
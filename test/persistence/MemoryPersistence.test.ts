@@ -0,0 +1,328 @@
+let assert = require('chai').assert;
+let async = require('async');
+
+import { ConfigParams } from 'pip-services3-commons-node';
+import { ConflictException } from 'pip-services3-commons-node';
+import { BadRequestException } from 'pip-services3-commons-node';
+import { AnyValueMap } from 'pip-services3-commons-node';
+import { FilterParams } from 'pip-services3-commons-node';
+
+import { IdentifiableMemoryPersistence } from '../../src/persistence/IdentifiableMemoryPersistence';
+import { Dummy } from '../Dummy';
+import { CountingSaver } from './CountingSaver';
+import { BulkDummyMemoryPersistence } from './BulkDummyMemoryPersistence';
+
+class FilteredBulkDummyMemoryPersistence extends BulkDummyMemoryPersistence {
+    private composeKeyFilter(filter: FilterParams): (item: Dummy) => boolean {
+        let key = filter != null ? filter.getAsNullableString("key") : null;
+        return (item) => key == null || item.key == key;
+    }
+
+    public getListByFilter(correlationId: string, filter: FilterParams,
+        callback: (err: any, items: Dummy[]) => void): void {
+        super.getListByFilter(correlationId, this.composeKeyFilter(filter), null, null, callback);
+    }
+
+    public getCountByFilter(correlationId: string, filter: FilterParams,
+        callback: (err: any, count: number) => void): void {
+        super.getCountByFilter(correlationId, this.composeKeyFilter(filter), callback);
+    }
+}
+
+suite('MemoryPersistence', ()=> {
+    let saver: CountingSaver;
+    let persistence: IdentifiableMemoryPersistence<Dummy, string>;
+
+    setup(() => {
+        saver = new CountingSaver();
+        persistence = new IdentifiableMemoryPersistence<Dummy, string>(null, saver);
+    });
+
+    test('Bulk Operations', (done) => {
+        let persistence = new BulkDummyMemoryPersistence(null, saver);
+        persistence.configure(new ConfigParams());
+
+        async.series([
+            (callback) => {
+                persistence.createMany(null, [
+                    { id: "1", key: "Key 1", content: "A" },
+                    { id: "2", key: "Key 2", content: "A" },
+                    { id: "1", key: "Key 3", content: "B" }
+                ], (err, results) => {
+                    assert.equal("2", results[1].item.id);
+                    assert.isNull(results[1].error);
+                    assert.isNull(results[2].item);
+                    assert.instanceOf(results[2].error, ConflictException);
+                    assert.equal(1, saver.saves);
+                    callback(err);
+                });
+            },
+            (callback) => {
+                persistence.updateMany(null, [
+                    { id: "1", key: "Key 1", content: "C" },
+                    { id: "3", key: "Key 3", content: "C" }
+                ], (err, results) => {
+                    assert.equal("C", results[0].item.content);
+                    assert.isNull(results[1].item);
+                    assert.isNull(results[1].error);
+                    callback(err);
+                });
+            },
+            (callback) => {
+                persistence.setMany(null, [
+                    { id: "2", key: "Key 2", content: "C" },
+                    { id: "3", key: "Key 3", content: "D" }
+                ], (err, results) => {
+                    assert.lengthOf(results, 2);
+                    assert.lengthOf(saver.items, 3);
+                    assert.equal(3, saver.saves);
+                    callback(err);
+                });
+            },
+            (callback) => {
+                persistence.updateByFilter(null, { content: "C" }, AnyValueMap.fromTuples("content", "E"), (err, items) => {
+                    assert.sameMembers(items.map((item) => item.id), ["1", "2"]);
+                    assert.equal(4, saver.saves);
+                    callback(err);
+                });
+            },
+            (callback) => {
+                persistence.upsertByFilter(null, FilterParams.fromTuples("key", "Key 4"), AnyValueMap.fromTuples("content", "F"), (err, items) => {
+                    assert.lengthOf(items, 1);
+                    assert.equal("Key 4", items[0].key);
+                    assert.equal("F", items[0].content);
+                    assert.isNotNull(items[0].id);
+                    callback(err);
+                });
+            },
+            (callback) => {
+                persistence.upsertByFilter(null, { key: "Key 4" }, AnyValueMap.fromTuples("content", "G"), (err, items) => {
+                    assert.equal("G", items[0].content);
+                    assert.lengthOf(saver.items, 4);
+                    callback(err);
+                });
+            }
+        ], done);
+    });
+
+    test('Bulk Operations With Overridden Filters', (done) => {
+        let persistence = new FilteredBulkDummyMemoryPersistence();
+
+        async.series([
+            (callback) => {
+                persistence.createMany(null, [
+                    { id: "1", key: "Key 1", content: "A" },
+                    { id: "2", key: "Key 2", content: "B" }
+                ], (err) => callback(err));
+            },
+            (callback) => {
+                persistence.updateByFilter(null, { content: "B" }, AnyValueMap.fromTuples("content", "C"), (err, items) => {
+                    assert.deepEqual(items.map((item) => item.id), ["2"]);
+                    callback(err);
+                });
+            },
+            (callback) => {
+                persistence.upsertByFilter(null, { content: "A" }, AnyValueMap.fromTuples("key", "Key 3"), (err, items) => {
+                    assert.deepEqual(items.map((item) => item.id), ["1"]);
+                    callback(err);
+                });
+            },
+            (callback) => {
+                persistence.getCountByFilter(null, null, (err, count) => {
+                    assert.equal(2, count);
+                    callback(err);
+                });
+            }
+        ], done);
+    });
+
+    test('Delete By Filter', (done) => {
+        let persistence = new BulkDummyMemoryPersistence(null, saver);
+
+        async.series([
+            (callback) => {
+                persistence.createMany(null, [
+                    { id: "1", key: "Key 1", content: "A" },
+                    { id: "2", key: "Key 2", content: "B" },
+                    { id: "3", key: "Key 3", content: "A" }
+                ], callback);
+            },
+            (callback) => {
+                // A missing filter does not delete all items
+                persistence.deleteByFilter(null, null, (err) => {
+                    assert.instanceOf(err, BadRequestException);
+                    assert.equal("FILTER_REQUIRED", err.code);
+                    assert.equal(1, saver.saves);
+                    callback();
+                });
+            },
+            (callback) => {
+                persistence.configure(ConfigParams.fromTuples("options.soft_delete", true));
+                persistence.deleteByFilter(null, null, (err) => {
+                    assert.equal("FILTER_REQUIRED", err.code);
+                    callback();
+                });
+            },
+            (callback) => {
+                persistence.deleteByFilter(null, { content: "A" }, callback);
+            },
+            (callback) => {
+                persistence.getListByIds(null, ["1", "2", "3"], (err, items) => {
+                    assert.deepEqual(items.map((item) => item.id), ["2"]);
+                    callback(err);
+                });
+            },
+            (callback) => {
+                // An empty condition deletes all items
+                persistence.deleteByFilter(null, {}, callback);
+            },
+            (callback) => {
+                persistence.getListByIds(null, ["1", "2", "3"], (err, items) => {
+                    assert.lengthOf(items, 0);
+                    callback(err);
+                });
+            }
+        ], done);
+    });
+
+    test('Operator Updates', (done) => {
+        let persistence = new IdentifiableMemoryPersistence<any, string>();
+        let stored: any;
+
+        async.series([
+            (callback) => {
+                persistence.create(null, { id: "1", name: "ABC", visits: 1, address: { city: "Tucson", zip: "85701" } }, (err, item) => {
+                    stored = item;
+                    callback(err);
+                });
+            },
+            (callback) => {
+                persistence.updatePartially(null, "1", AnyValueMap.fromTuples(
+                    "address.city", "Phoenix",
+                    "$inc", { visits: 2 }
+                ), (err, item) => {
+                    assert.deepEqual(item.address, { city: "Phoenix", zip: "85701" });
+                    assert.equal(3, item.visits);
+                    // Stored items are replaced, not changed in place
+                    assert.equal("Tucson", stored.address.city);
+                    callback(err);
+                });
+            },
+            (callback) => {
+                persistence.updatePartially(null, "1", AnyValueMap.fromTuples(
+                    "address.city", "Mesa",
+                    "$push", { name: "X" }
+                ), (err, item) => {
+                    assert.instanceOf(err, BadRequestException);
+                    callback();
+                });
+            },
+            (callback) => {
+                persistence.getOneById(null, "1", (err, item) => {
+                    assert.equal("Phoenix", item.address.city);
+                    callback(err);
+                });
+            }
+        ], done);
+    });
+
+    test('Soft Delete', (done) => {
+        persistence.configure(ConfigParams.fromTuples("options.soft_delete", true));
+
+        async.series([
+            (callback) => {
+                persistence.createMany(null, [
+                    { id: "1", key: "Key 1", content: null },
+                    { id: "2", key: "Key 2", content: null },
+                    { id: "3", key: "Key 3", content: null }
+                ], callback);
+            },
+            (callback) => {
+                persistence.deleteById(null, "1", (err, item) => {
+                    assert.isTrue((<any>item).deleted);
+                    assert.instanceOf((<any>item).delete_time, Date);
+                    callback(err);
+                });
+            },
+            (callback) => {
+                persistence.deleteByIds(null, ["2"], callback);
+            },
+            (callback) => {
+                assert.lengthOf(saver.items, 3);
+
+                persistence.getOneById(null, "1", (err, item) => {
+                    assert.isNull(item);
+                    callback(err);
+                });
+            },
+            (callback) => {
+                persistence.getListByIds(null, ["1", "2", "3"], (err, items) => {
+                    assert.deepEqual(items.map((item) => item.id), ["3"]);
+                    callback(err);
+                });
+            },
+            (callback) => {
+                persistence.update(null, { id: "2", key: "Key 2", content: "Changed" }, (err, item) => {
+                    assert.isNull(item);
+                    callback(err);
+                });
+            },
+            (callback) => {
+                persistence.getListByQuery(null, "deleted = true", null, (err, items) => {
+                    assert.lengthOf(items, 2);
+                    callback(err);
+                });
+            },
+            (callback) => {
+                persistence.restoreById(null, "1", (err, item) => {
+                    assert.isUndefined((<any>item).deleted);
+                    callback(err);
+                });
+            },
+            (callback) => {
+                persistence.purgeDeleted(null, new Date(Date.now() - 60000), (err, count) => {
+                    assert.equal(0, count);
+                    callback(err);
+                });
+            },
+            (callback) => {
+                persistence.purgeDeleted(null, null, (err, count) => {
+                    assert.equal(1, count);
+                    assert.deepEqual(saver.items.map((item) => item.id), ["1", "3"]);
+                    callback(err);
+                });
+            }
+        ], done);
+    });
+
+    test('Promises', async () => {
+        let item = await persistence.createAsync(null, { id: "1", key: "Key 1", content: "ABC" });
+        assert.equal("Key 1", item.key);
+
+        try {
+            await persistence.createAsync(null, { id: "1", key: "Key 2", content: "XYZ" });
+            assert.fail("Expected creating a duplicate to fail");
+        } catch (err) {
+            assert.instanceOf(err, ConflictException);
+        }
+
+        try {
+            await persistence.runInTransactionAsync(null, async () => {
+                await persistence.updatePartiallyAsync(null, "1", AnyValueMap.fromTuples("content", "DEF"));
+                throw new Error("Rollback");
+            });
+            assert.fail("Expected the transaction to fail");
+        } catch (err) {
+            assert.equal("Rollback", err.message);
+        }
+
+        let page = await persistence.getPageByQueryAsync(null, "key = 'Key 1'", null, null);
+        assert.lengthOf(page.data, 1);
+        assert.equal("ABC", page.data[0].content);
+
+        await persistence.deleteByIdAsync(null, "1");
+        item = await persistence.getOneByIdAsync(null, "1");
+        assert.isNull(item);
+    });
+
+});
@@ -0,0 +1,98 @@
+let assert = require('chai').assert;
+let async = require('async');
+
+import { BadRequestException } from 'pip-services3-commons-node';
+import { PagingParams } from 'pip-services3-commons-node';
+import { SortParams } from 'pip-services3-commons-node';
+import { SortField } from 'pip-services3-commons-node';
+
+import { PageComposer } from '../../src/persistence/PageComposer';
+import { IdentifiableMemoryPersistence } from '../../src/persistence/IdentifiableMemoryPersistence';
+import { CursorPagingParams } from '../../src/CursorPagingParams';
+import { CursorDataPage } from '../../src/CursorDataPage';
+import { Dummy } from '../Dummy';
+
+suite('PageComposer', ()=> {
+    let items = [
+        { id: "1", status: "b" },
+        { id: "2", status: "a" },
+        { id: "3", status: "b" },
+        { id: "4", status: "a" },
+        { id: "5", status: "b" }
+    ];
+    let getKey = (item) => item.id;
+
+    let persistence: IdentifiableMemoryPersistence<Dummy, string>;
+
+    setup(() => {
+        persistence = new IdentifiableMemoryPersistence<Dummy, string>();
+    });
+
+    test('Skip And Take', () => {
+        let sort = new SortParams(new SortField("status", true));
+
+        let page = PageComposer.apply(null, items, new PagingParams(1, 2, true), sort, ["id"], getKey, 100);
+        assert.deepEqual(page.data, [{ id: "4" }, { id: "1" }]);
+        assert.equal(5, page.total);
+
+        // Pages without take are limited by the maximum page size
+        page = PageComposer.apply(null, items, null, null, null, getKey, 3);
+        assert.deepEqual(page.data.map((item) => item.id), ["1", "2", "3"]);
+        assert.isNull(page.total);
+    });
+
+    test('Cursors', () => {
+        let page = PageComposer.apply(null, items, new CursorPagingParams(null, 3), null, ["id"], getKey, 100);
+        assert.instanceOf(page, CursorDataPage);
+        assert.deepEqual(page.data, [{ id: "1" }, { id: "2" }, { id: "3" }]);
+
+        page = PageComposer.apply(null, items, new CursorPagingParams((<CursorDataPage<any>>page).cursor, 3), null, null, getKey, 100);
+        assert.deepEqual(page.data.map((item) => item.id), ["4", "5"]);
+    });
+
+    test('Cursor Paging', (done) => {
+        let sort = new SortParams(new SortField("content", false));
+        let page: CursorDataPage<Dummy>;
+
+        async.series([
+            (callback) => {
+                persistence.createMany(null, [
+                    { id: "1", key: "Key 1", content: "A" },
+                    { id: "2", key: "Key 2", content: "B" },
+                    { id: "3", key: "Key 3", content: "B" },
+                    { id: "4", key: "Key 4", content: "C" }
+                ], callback);
+            },
+            (callback) => {
+                persistence.getPageByQuery(null, null, new CursorPagingParams(null, 2, true), sort, (err, result) => {
+                    page = <CursorDataPage<Dummy>>result;
+                    assert.deepEqual(page.data.map((item) => item.id), ["4", "2"]);
+                    assert.equal(4, page.total);
+                    assert.isString(page.cursor);
+                    callback(err);
+                });
+            },
+            (callback) => {
+                // Changes before the cursor do not shift the next page
+                persistence.deleteById(null, "4", (err) => {
+                    persistence.create(null, { id: "5", key: "Key 5", content: "D" }, callback);
+                });
+            },
+            (callback) => {
+                persistence.getPageByQuery(null, null, new CursorPagingParams(page.cursor, 2), sort, (err, result) => {
+                    page = <CursorDataPage<Dummy>>result;
+                    assert.deepEqual(page.data.map((item) => item.id), ["3", "1"]);
+                    assert.isNull(page.cursor);
+                    callback(err);
+                });
+            },
+            (callback) => {
+                persistence.getPageByQuery(null, null, new CursorPagingParams("invalid"), sort, (err, result) => {
+                    assert.instanceOf(err, BadRequestException);
+                    callback();
+                });
+            }
+        ], done);
+    });
+
+});
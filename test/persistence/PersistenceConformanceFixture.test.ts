@@ -0,0 +1,99 @@
+let assert = require('chai').assert;
+
+import { FilterParams } from 'pip-services3-commons-node';
+import { PagingParams } from 'pip-services3-commons-node';
+import { SortParams } from 'pip-services3-commons-node';
+import { DataPage } from 'pip-services3-commons-node';
+
+import { IdentifiableMemoryPersistence } from '../../src/persistence/IdentifiableMemoryPersistence';
+import { IConformancePersistence } from '../../src/test/IConformancePersistence';
+import { PersistenceConformanceFixture } from '../../src/test/PersistenceConformanceFixture';
+import { Dummy } from '../Dummy';
+
+class ConformingMemoryPersistence extends IdentifiableMemoryPersistence<Dummy, string>
+    implements IConformancePersistence<Dummy, string> {
+
+    public getPageByFilter(correlationId: string, filter: FilterParams, paging: PagingParams, sort: SortParams,
+        callback: (err: any, page: DataPage<Dummy>) => void): void {
+        super.getPageByFilter(correlationId, filter, paging, sort, null, callback);
+    }
+
+    public getCountByFilter(correlationId: string, filter: FilterParams,
+        callback: (err: any, count: number) => void): void {
+        super.getCountByFilter(correlationId, filter, callback);
+    }
+}
+
+class IgnoringUpdatesMemoryPersistence extends ConformingMemoryPersistence {
+    public update(correlationId: string, item: Dummy, callback?: (err: any, item: Dummy) => void): void {
+        this.getOneById(correlationId, item.id, callback);
+    }
+}
+
+class DelayedIgnoringUpdatesMemoryPersistence extends IgnoringUpdatesMemoryPersistence {
+    public getOneById(correlationId: string, id: string, callback: (err: any, item: Dummy) => void): void {
+        super.getOneById(correlationId, id, (err, item) => {
+            setImmediate(() => callback(err, item));
+        });
+    }
+}
+
+suite('PersistenceConformanceFixture', ()=> {
+    let createDummy = (index: number): Dummy => {
+        return { id: null, key: "Key " + index, content: "Content " + index };
+    };
+
+    let persistence: ConformingMemoryPersistence;
+    let fixture: PersistenceConformanceFixture<Dummy, string>;
+
+    setup(() => {
+        persistence = new ConformingMemoryPersistence();
+        fixture = new PersistenceConformanceFixture<Dummy, string>(persistence, createDummy, "key");
+    });
+
+    test('Crud Operations', (done) => {
+        fixture.testCrudOperations(done);
+    });
+
+    test('Set Operations', (done) => {
+        fixture.testSetOperations(done);
+    });
+
+    test('Partial Updates', (done) => {
+        fixture.testPartialUpdates(done);
+    });
+
+    test('Paging', (done) => {
+        fixture.testPaging(done);
+    });
+
+    test('Filtering', (done) => {
+        fixture.testFiltering(done);
+    });
+
+    test('Sorting', (done) => {
+        fixture.testSorting(done);
+    });
+
+    test('Contract Violations', (done) => {
+        fixture = new PersistenceConformanceFixture<Dummy, string>(new IgnoringUpdatesMemoryPersistence(), createDummy);
+
+        fixture.testCrudOperations((err) => {
+            assert.isNotNull(err);
+            assert.include(err.message, "Updated item");
+            done();
+        });
+    });
+
+    test('Asynchronous Contract Violations', (done) => {
+        fixture = new PersistenceConformanceFixture<Dummy, string>(new DelayedIgnoringUpdatesMemoryPersistence(), createDummy);
+
+        // Assertions failed in asynchronous callbacks are returned as errors
+        fixture.testCrudOperations((err) => {
+            assert.isNotNull(err);
+            assert.include(err.message, "Updated item");
+            done();
+        });
+    });
+
+});
@@ -0,0 +1,62 @@
+let assert = require('chai').assert;
+
+import { ProjectionParams } from 'pip-services3-commons-node';
+
+import { ProjectionComposer } from '../../src/persistence/ProjectionComposer';
+
+suite('ProjectionComposer', ()=> {
+    let item = {
+        id: "1",
+        name: "ABC",
+        address: { city: "Tucson", zip: "85701" },
+        tags: [ { name: "a", value: 1 }, { name: "b", value: 2 } ]
+    };
+
+    test('Empty Projection', () => {
+        assert.isNull(ProjectionComposer.compose(null));
+        assert.isNull(ProjectionComposer.compose(""));
+        assert.isNull(ProjectionComposer.compose([]));
+    });
+
+    test('Include Fields', () => {
+        let projection = ProjectionComposer.compose("id,address.city,tags(name)");
+        let result = projection(item);
+
+        assert.deepEqual(result, {
+            id: "1",
+            address: { city: "Tucson" },
+            tags: [ { name: "a" }, { name: "b" } ]
+        });
+
+        // Projection must not change the original item
+        result.address.city = "Phoenix";
+        assert.equal("Tucson", item.address.city);
+    });
+
+    test('Exclude Fields', () => {
+        let projection = ProjectionComposer.compose(["-address.zip", "-tags.value", "-name"]);
+        let result = projection(item);
+
+        assert.deepEqual(result, {
+            id: "1",
+            address: { city: "Tucson" },
+            tags: [ { name: "a" }, { name: "b" } ]
+        });
+        assert.equal("85701", item.address.zip);
+    });
+
+    test('Include And Exclude Fields', () => {
+        let projection = ProjectionComposer.compose(
+            ProjectionParams.fromValue(["name", "address", "-address.zip"])
+        );
+        let result = projection(item);
+
+        assert.deepEqual(result, { name: "ABC", address: { city: "Tucson" } });
+    });
+
+    test('Projection Function', () => {
+        let items = ProjectionComposer.apply([item], (x) => x.name);
+        assert.deepEqual(items, ["ABC"]);
+    });
+
+});
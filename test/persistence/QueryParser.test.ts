@@ -0,0 +1,82 @@
+let assert = require('chai').assert;
+
+import { BadRequestException } from 'pip-services3-commons-node';
+
+import { QueryParser } from '../../src/persistence/QueryParser';
+
+suite('QueryParser', ()=> {
+
+    test('Empty Query', () => {
+        let query = QueryParser.parse(null, "  ");
+        assert.isNull(query.filter);
+        assert.isNull(query.sort);
+    });
+
+    test('Comparisons', () => {
+        let query = QueryParser.parse(null, "status = 'active' and age >= 30 AND `order` != -1.5");
+        assert.deepEqual(query.filter, {
+            $and: [
+                { status: { $eq: "active" } },
+                { age: { $gte: 30 } },
+                { order: { $ne: -1.5 } }
+            ]
+        });
+    });
+
+    test('Logical Operators And Parentheses', () => {
+        let query = QueryParser.parse(null, "NOT deleted = TRUE AND (a.b IS NULL OR c NOT IN (1, 'x'))");
+        assert.deepEqual(query.filter, {
+            $and: [
+                { $nor: [ { deleted: { $eq: true } } ] },
+                { $or: [ { "a.b": { $eq: null } }, { c: { $nin: [1, "x"] } } ] }
+            ]
+        });
+    });
+
+    test('Like Patterns', () => {
+        let query = QueryParser.parse(null, "name LIKE 'A_c%' AND code NOT LIKE 'x.%'");
+        let regex = query.filter.$and[0].name.$regex;
+        assert.isTrue(regex.test("Abcdef"));
+        assert.isFalse(regex.test("Acdef"));
+
+        let not = query.filter.$and[1].code.$not;
+        assert.isTrue(not.test("x.1"));
+        assert.isFalse(not.test("xy1"));
+    });
+
+    test('Order By', () => {
+        let query = QueryParser.parse(null, "ORDER BY name, address.city DESC");
+        assert.isNull(query.filter);
+        assert.lengthOf(query.sort, 2);
+        assert.equal("name", query.sort[0].name);
+        assert.isTrue(query.sort[0].ascending);
+        assert.equal("address.city", query.sort[1].name);
+        assert.isFalse(query.sort[1].ascending);
+    });
+
+    test('Syntax Errors', () => {
+        let queries = [
+            "status =",
+            "status = 'active",
+            "= 'active'",
+            "(a = 1",
+            "a IN 1, 2",
+            "a = 1 b = 2",
+            "a LIKE 1",
+            "a = 1 ORDER name",
+            "a # 1"
+        ];
+
+        for (let query of queries) {
+            try {
+                QueryParser.parse("123", query);
+                assert.fail("Expected syntax error in " + query);
+            } catch (ex) {
+                assert.instanceOf(ex, BadRequestException, query);
+                assert.equal("INVALID_QUERY", ex.code);
+                assert.equal("123", ex.correlation_id);
+            }
+        }
+    });
+
+});
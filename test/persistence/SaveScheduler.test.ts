@@ -0,0 +1,281 @@
+let assert = require('chai').assert;
+let async = require('async');
+
+import { ConfigParams } from 'pip-services3-commons-node';
+import { ConfigException } from 'pip-services3-commons-node';
+
+import { SaveScheduler } from '../../src/persistence/SaveScheduler';
+import { IdentifiableMemoryPersistence } from '../../src/persistence/IdentifiableMemoryPersistence';
+import { Dummy } from '../Dummy';
+import { CountingSaver } from './CountingSaver';
+
+suite('SaveScheduler', ()=> {
+    let saver: CountingSaver;
+    let persistence: IdentifiableMemoryPersistence<Dummy, string>;
+
+    let createDummies = (count: number, callback: (err: any) => void) => {
+        let index = 0;
+        async.whilst(
+            () => index < count,
+            (callback) => {
+                index++;
+                persistence.create(null, { id: null, key: "Key " + index, content: null }, callback);
+            },
+            callback
+        );
+    };
+
+    setup(() => {
+        saver = new CountingSaver();
+        persistence = new IdentifiableMemoryPersistence<Dummy, string>(null, saver);
+    });
+
+    test('Postpone Changes', () => {
+        let scheduler = new SaveScheduler();
+        assert.equal("immediate", scheduler.policy);
+        assert.isFalse(scheduler.postpone(() => {}));
+
+        scheduler.configure(ConfigParams.fromTuples(
+            "options.save_policy", "Batch",
+            "options.save_changes", 3
+        ));
+        assert.equal("batch", scheduler.policy);
+        assert.isTrue(scheduler.postpone(() => {}));
+        assert.equal(2, scheduler.unsavedChanges);
+        assert.isFalse(scheduler.postpone(() => {}));
+
+        scheduler.reset();
+        assert.equal(0, scheduler.unsavedChanges);
+        assert.isTrue(scheduler.postpone(() => {}));
+
+        scheduler.configure(ConfigParams.fromTuples("options.save_policy", "close"));
+        assert.isTrue(scheduler.postpone(() => {}));
+
+        assert.throws(
+            () => scheduler.configure(ConfigParams.fromTuples("options.save_policy", "never")),
+            ConfigException
+        );
+        assert.equal("close", scheduler.policy);
+    });
+
+    test('Debounce Timer', (done) => {
+        let scheduler = new SaveScheduler();
+        scheduler.configure(ConfigParams.fromTuples(
+            "options.save_policy", "debounce",
+            "options.save_interval", 50
+        ));
+        let flushes = 0;
+
+        async.series([
+            (callback) => {
+                // Only the first postponed change starts the timer
+                assert.isTrue(scheduler.postpone(() => flushes++));
+                assert.isTrue(scheduler.postpone(() => flushes++));
+                setTimeout(callback, 100);
+            },
+            (callback) => {
+                assert.equal(1, flushes);
+                scheduler.postpone(() => flushes++);
+                scheduler.cancel();
+                setTimeout(callback, 100);
+            },
+            (callback) => {
+                // Cancelled timers do not flush changes
+                assert.equal(1, flushes);
+                callback();
+            }
+        ], done);
+    });
+
+    suite('Save Policies', () => {
+
+        test('Immediate Save Policy', (done) => {
+            persistence.configure(new ConfigParams());
+
+            createDummies(3, (err) => {
+                assert.equal(3, saver.saves);
+                done(err);
+            });
+        });
+
+        test('Batch Save Policy', (done) => {
+            persistence.configure(ConfigParams.fromTuples(
+                "options.save_policy", "batch",
+                "options.save_changes", 2
+            ));
+
+            createDummies(3, (err) => {
+                assert.equal(1, saver.saves);
+                assert.lengthOf(saver.items, 2);
+
+                persistence.close(null, (err) => {
+                    assert.equal(2, saver.saves);
+                    assert.lengthOf(saver.items, 3);
+                    done(err);
+                });
+            });
+        });
+
+        test('Debounce Save Policy', (done) => {
+            persistence.configure(ConfigParams.fromTuples(
+                "options.save_policy", "debounce",
+                "options.save_interval", 50
+            ));
+
+            createDummies(3, (err) => {
+                assert.equal(0, saver.saves);
+
+                setTimeout(() => {
+                    assert.equal(1, saver.saves);
+                    assert.lengthOf(saver.items, 3);
+                    done(err);
+                }, 100);
+            });
+        });
+
+        test('Close Save Policy', (done) => {
+            persistence.configure(ConfigParams.fromTuples("options.save_policy", "close"));
+
+            createDummies(3, (err) => {
+                assert.equal(0, saver.saves);
+
+                persistence.close(null, (err) => {
+                    assert.equal(1, saver.saves);
+                    assert.lengthOf(saver.items, 3);
+                    done(err);
+                });
+            });
+        });
+
+        test('Debounce Interval', (done) => {
+            persistence.configure(ConfigParams.fromTuples(
+                "options.save_policy", "debounce",
+                "options.save_interval", 100
+            ));
+
+            async.series([
+                (callback) => {
+                    createDummies(1, callback);
+                },
+                (callback) => {
+                    setTimeout(callback, 50);
+                },
+                (callback) => {
+                    createDummies(1, callback);
+                },
+                (callback) => {
+                    setTimeout(callback, 75);
+                },
+                (callback) => {
+                    // Later changes do not postpone the save
+                    assert.equal(1, saver.saves);
+                    assert.lengthOf(saver.items, 2);
+                    createDummies(1, callback);
+                },
+                (callback) => {
+                    setTimeout(callback, 150);
+                },
+                (callback) => {
+                    // Changes after the save start a new interval
+                    assert.equal(2, saver.saves);
+                    assert.lengthOf(saver.items, 3);
+                    callback();
+                }
+            ], done);
+        });
+
+        test('Debounce Flush', (done) => {
+            persistence.configure(ConfigParams.fromTuples(
+                "options.save_policy", "debounce",
+                "options.save_interval", 50
+            ));
+
+            async.series([
+                (callback) => {
+                    createDummies(2, callback);
+                },
+                (callback) => {
+                    persistence.flush(null, callback);
+                },
+                (callback) => {
+                    assert.equal(1, saver.saves);
+                    setTimeout(callback, 100);
+                },
+                (callback) => {
+                    // Flushed changes are not saved again by the timer
+                    assert.equal(1, saver.saves);
+                    callback();
+                }
+            ], done);
+        });
+
+        test('Debounce Close', (done) => {
+            persistence.configure(ConfigParams.fromTuples(
+                "options.save_policy", "debounce",
+                "options.save_interval", 50
+            ));
+
+            async.series([
+                (callback) => {
+                    createDummies(2, callback);
+                },
+                (callback) => {
+                    persistence.close(null, callback);
+                },
+                (callback) => {
+                    assert.equal(1, saver.saves);
+                    assert.lengthOf(saver.items, 2);
+                    setTimeout(callback, 100);
+                },
+                (callback) => {
+                    assert.equal(1, saver.saves);
+                    callback();
+                }
+            ], done);
+        });
+
+        test('Debounce Transactions', (done) => {
+            persistence.configure(ConfigParams.fromTuples(
+                "options.save_policy", "debounce",
+                "options.save_interval", 50
+            ));
+
+            async.series([
+                (callback) => {
+                    persistence.runInTransaction(null, (callback) => {
+                        createDummies(2, callback);
+                    }, callback);
+                },
+                (callback) => {
+                    // Committed changes are saved by the timer
+                    assert.equal(0, saver.saves);
+                    setTimeout(callback, 100);
+                },
+                (callback) => {
+                    assert.equal(1, saver.saves);
+                    assert.lengthOf(saver.items, 2);
+                    persistence.runInTransaction(null, (callback) => {
+                        createDummies(1, (err) => callback(err || new Error("Rollback")));
+                    }, (err) => callback());
+                },
+                (callback) => {
+                    setTimeout(callback, 100);
+                },
+                (callback) => {
+                    // Rolled back changes do not start the timer
+                    assert.equal(1, saver.saves);
+                    callback();
+                }
+            ], done);
+        });
+
+        test('Invalid Save Policy', () => {
+            assert.throws(
+                () => persistence.configure(ConfigParams.fromTuples("options.save_policy", "never")),
+                ConfigException
+            );
+        });
+
+    });
+
+});
@@ -0,0 +1,230 @@
+let assert = require('chai').assert;
+let async = require('async');
+let fs = require('fs');
+
+import { BadRequestException } from 'pip-services3-commons-node';
+
+import { SnapshotComposer } from '../../src/persistence/SnapshotComposer';
+import { IdentifiableMemoryPersistence } from '../../src/persistence/IdentifiableMemoryPersistence';
+import { JsonFilePersister } from '../../src/persistence/JsonFilePersister';
+import { ChangeEvent } from '../../src/ChangeEvent';
+import { Snapshot } from '../../src/Snapshot';
+import { Dummy } from '../Dummy';
+import { CountingSaver } from './CountingSaver';
+
+suite('SnapshotComposer', ()=> {
+    let getKey = (item) => item.id;
+
+    test('Check Snapshots', () => {
+        assert.isNull(SnapshotComposer.check(null, new Snapshot<any>([{ id: "1" }])));
+
+        assert.equal("INVALID_SNAPSHOT", SnapshotComposer.check("123", null).code);
+        assert.equal("INVALID_SNAPSHOT", SnapshotComposer.check("123", <any>{ version: 1, items: {} }).code);
+
+        let err = SnapshotComposer.check("123", new Snapshot<any>([], null, Snapshot.CurrentVersion + 1));
+        assert.equal("UNSUPPORTED_SNAPSHOT_VERSION", err.code);
+        assert.equal(Snapshot.CurrentVersion + 1, err.details.getAsInteger("version"));
+    });
+
+    test('Diff Items', () => {
+        let time = new Date();
+        let oldItems = [{ id: "1", name: "A" }, { id: "2", name: "B" }, { id: "3", name: { first: "C" } }];
+        let newItems = [{ id: "3", name: { first: "C" } }, { id: "1", name: "X" }, { id: "4", name: "D" }];
+
+        let changes = SnapshotComposer.diff("123", oldItems, newItems, getKey, time);
+
+        assert.deepEqual(changes.map((change) => change.type), [ChangeEvent.Updated, ChangeEvent.Created, ChangeEvent.Deleted]);
+        assert.equal("A", changes[0].oldItem.name);
+        assert.equal("X", changes[0].newItem.name);
+        assert.equal("4", changes[1].newItem.id);
+        assert.equal("2", changes[2].oldItem.id);
+        assert.equal(time, changes[2].time);
+        assert.equal("123", changes[2].correlationId);
+
+        assert.lengthOf(SnapshotComposer.diff(null, newItems, newItems, getKey), 0);
+    });
+
+    suite('MemoryPersistence', () => {
+        let path = "./data/snapshot.json";
+        let saver: CountingSaver;
+        let persistence: IdentifiableMemoryPersistence<Dummy, string>;
+
+        let createDummies = (count: number, callback: (err: any) => void) => {
+            let index = 0;
+            async.whilst(
+                () => index < count,
+                (callback) => {
+                    index++;
+                    persistence.create(null, { id: null, key: "Key " + index, content: null }, callback);
+                },
+                callback
+            );
+        };
+
+        let cleanup = () => {
+            for (let file of [path, path + ".tmp"]) {
+                if (fs.existsSync(file)) fs.unlinkSync(file);
+            }
+        };
+
+        setup((done) => {
+            saver = new CountingSaver();
+            persistence = new IdentifiableMemoryPersistence<Dummy, string>(null, saver);
+            cleanup();
+            createDummies(2, done);
+        });
+
+        teardown(cleanup);
+
+        test('Create And Restore', (done) => {
+            let snapshot = persistence.createSnapshot(null);
+            assert.equal(2, snapshot.count);
+            assert.equal(Snapshot.CurrentVersion, snapshot.version);
+
+            async.series([
+                (callback) => {
+                    let item = snapshot.items[0];
+                    persistence.update(null, { id: item.id, key: item.key, content: "ABC" }, callback);
+                },
+                (callback) => {
+                    // Snapshots are not affected by later changes
+                    assert.isNull(snapshot.items[0].content);
+                    persistence.create(null, { id: "3", key: "Key 3", content: null }, callback);
+                },
+                (callback) => {
+                    persistence.restoreSnapshot(null, snapshot, callback);
+                },
+                (callback) => {
+                    assert.lengthOf(saver.items, 2);
+                    persistence.getOneById(null, snapshot.items[0].id, (err, item) => {
+                        assert.isNull(item.content);
+                        callback(err);
+                    });
+                }
+            ], done);
+        });
+
+        test('Diff Snapshots', (done) => {
+            let snapshot1 = persistence.createSnapshot(null);
+            let snapshot2: Snapshot<Dummy>;
+
+            async.series([
+                (callback) => {
+                    let item = snapshot1.items[0];
+                    persistence.update(null, { id: item.id, key: item.key, content: "ABC" }, callback);
+                },
+                (callback) => {
+                    persistence.deleteById(null, snapshot1.items[1].id, callback);
+                },
+                (callback) => {
+                    persistence.create(null, { id: "3", key: "Key 3", content: null }, callback);
+                },
+                (callback) => {
+                    snapshot2 = persistence.createSnapshot(null);
+
+                    let changes = persistence.diffSnapshots(snapshot1, snapshot2);
+                    assert.sameMembers([ChangeEvent.Updated, ChangeEvent.Created, ChangeEvent.Deleted], changes.map((c) => c.type));
+                    let updated = changes.filter((c) => c.type == ChangeEvent.Updated)[0];
+                    assert.equal("ABC", updated.newItem.content);
+                    assert.equal(snapshot2.time, updated.time);
+
+                    // Reversed snapshots undo the changes
+                    let reversed = persistence.diffSnapshots(snapshot2, snapshot1);
+                    assert.sameMembers([ChangeEvent.Updated, ChangeEvent.Created, ChangeEvent.Deleted], reversed.map((c) => c.type));
+                    assert.lengthOf(persistence.diffSnapshots(snapshot2, snapshot2), 0);
+                    callback();
+                }
+            ], done);
+        });
+
+        test('Invalid Snapshots', (done) => {
+            async.series([
+                (callback) => {
+                    let snapshot = new Snapshot<Dummy>([], null, Snapshot.CurrentVersion + 1);
+                    persistence.restoreSnapshot(null, snapshot, (err) => {
+                        assert.instanceOf(err, BadRequestException);
+                        assert.equal("UNSUPPORTED_SNAPSHOT_VERSION", err.code);
+                        callback();
+                    });
+                },
+                (callback) => {
+                    persistence.restoreSnapshot(null, <any>{ version: Snapshot.CurrentVersion, items: null }, (err) => {
+                        assert.equal("INVALID_SNAPSHOT", err.code);
+                        callback();
+                    });
+                },
+                (callback) => {
+                    // Rejected snapshots do not change items
+                    assert.equal(2, saver.saves);
+                    assert.equal(2, persistence.createSnapshot(null).count);
+                    callback();
+                }
+            ], done);
+        });
+
+        test('Export And Import', (done) => {
+            let backup = new JsonFilePersister<Snapshot<Dummy>>(path);
+            let exported: Snapshot<Dummy>;
+
+            async.series([
+                (callback) => {
+                    persistence.exportSnapshot(null, backup, (err, snapshot) => {
+                        exported = snapshot;
+                        assert.isTrue(fs.existsSync(path));
+                        callback(err);
+                    });
+                },
+                (callback) => {
+                    persistence.clear(null, callback);
+                },
+                (callback) => {
+                    persistence.importSnapshot(null, backup, (err, snapshot) => {
+                        assert.equal(2, snapshot.count);
+                        // Times are parsed from JSON
+                        assert.equal(exported.time.getTime(), snapshot.time.getTime());
+                        callback(err);
+                    });
+                },
+                (callback) => {
+                    assert.lengthOf(saver.items, 2);
+                    persistence.getOneById(null, exported.items[0].id, (err, item) => {
+                        assert.deepEqual(exported.items[0], item);
+                        callback(err);
+                    });
+                }
+            ], done);
+        });
+
+        test('Import Errors', (done) => {
+            let loader = (result: any[]) => {
+                return { load: (correlationId, callback) => callback(null, result) };
+            };
+
+            async.series([
+                (callback) => {
+                    persistence.importSnapshot(null, loader([]), (err, snapshot) => {
+                        assert.equal("INVALID_SNAPSHOT", err.code);
+                        assert.isNull(snapshot);
+                        callback();
+                    });
+                },
+                (callback) => {
+                    // Missing files are loaded as empty lists
+                    persistence.importSnapshot(null, new JsonFilePersister<Snapshot<Dummy>>(path), (err, snapshot) => {
+                        assert.equal("INVALID_SNAPSHOT", err.code);
+                        callback();
+                    });
+                },
+                (callback) => {
+                    persistence.importSnapshot(null, loader([{ version: Snapshot.CurrentVersion + 1, items: [] }]), (err, snapshot) => {
+                        assert.equal("UNSUPPORTED_SNAPSHOT_VERSION", err.code);
+                        assert.equal(2, saver.saves);
+                        callback();
+                    });
+                }
+            ], done);
+        });
+
+    });
+
+});
@@ -0,0 +1,63 @@
+let assert = require('chai').assert;
+let _ = require('lodash');
+
+import { SortParams } from 'pip-services3-commons-node';
+import { SortField } from 'pip-services3-commons-node';
+
+import { SortComposer } from '../../src/persistence/SortComposer';
+
+suite('SortComposer', ()=> {
+    let items = [
+        { id: "1", status: "b", address: { city: "Tucson" } },
+        { id: "2", status: "a", address: { city: "Phoenix" } },
+        { id: "3", status: "b", address: { city: "Phoenix" } },
+        { id: "4", status: "a" },
+        { id: "5", status: "b", address: { city: "Phoenix" } }
+    ];
+
+    let ids = (list: any[]): string[] => _.map(list, (item) => item.id);
+
+    test('Empty Sort', () => {
+        assert.isNull(SortComposer.compose(null));
+        assert.isNull(SortComposer.compose(new SortParams()));
+        assert.strictEqual(items, SortComposer.apply(items, null));
+    });
+
+    test('Multiple Fields', () => {
+        let sort = new SortParams(new SortField("status", true), new SortField("address.city", false));
+        let sorted = SortComposer.apply(items, sort);
+
+        // Missing values go first, equal values keep their order
+        assert.deepEqual(ids(sorted), ["2", "4", "1", "3", "5"]);
+        assert.deepEqual(ids(items), ["1", "2", "3", "4", "5"]);
+    });
+
+    test('Plain Sort Fields', () => {
+        let sorted = SortComposer.apply(items, [ { name: "address.city" }, { name: "id", ascending: false } ]);
+        assert.deepEqual(ids(sorted), ["4", "5", "3", "2", "1"]);
+    });
+
+    test('Sort Function', () => {
+        let sorted = SortComposer.apply(items, (item) => -parseInt(item.id));
+        assert.deepEqual(ids(sorted), ["5", "4", "3", "2", "1"]);
+    });
+
+    test('Mixed Types', () => {
+        let values = [ { v: "x" }, { v: true }, { v: 2 }, { v: null }, { v: new Date(0) }, { v: 1 } ];
+        let sorted = SortComposer.apply(values, new SortParams(new SortField("v")));
+        assert.deepEqual(_.map(sorted, (x) => x.v), [null, 1, 2, "x", true, new Date(0)]);
+    });
+
+    test('Sort Keys', () => {
+        let sort = new SortParams(new SortField("status", false));
+        let composeKey = SortComposer.composeKey(sort);
+        let compare = SortComposer.composeKeyComparator(sort);
+
+        assert.deepEqual(composeKey(items[0]), ["b"]);
+        assert.isBelow(compare(["b"], ["a"]), 0);
+        // Extra values are compared in ascending order
+        assert.isBelow(compare(["b", "1"], ["b", "3"]), 0);
+        assert.deepEqual(SortComposer.composeKey(null)(items[0]), []);
+    });
+
+});
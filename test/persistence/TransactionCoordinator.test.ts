@@ -0,0 +1,264 @@
+let assert = require('chai').assert;
+let async = require('async');
+
+import { ConflictException } from 'pip-services3-commons-node';
+import { InvalidStateException } from 'pip-services3-commons-node';
+import { BadRequestException } from 'pip-services3-commons-node';
+import { AnyValueMap } from 'pip-services3-commons-node';
+import { CompositeLogger } from 'pip-services3-components-node';
+
+import { TransactionCoordinator } from '../../src/persistence/TransactionCoordinator';
+import { ChangeNotifier } from '../../src/persistence/ChangeNotifier';
+import { IdentifiableMemoryPersistence } from '../../src/persistence/IdentifiableMemoryPersistence';
+import { ChangeEvent } from '../../src/ChangeEvent';
+import { Dummy } from '../Dummy';
+import { CountingSaver } from './CountingSaver';
+import { CollectingListener } from './CollectingListener';
+import { BulkDummyMemoryPersistence } from './BulkDummyMemoryPersistence';
+
+suite('TransactionCoordinator', ()=> {
+    let saver: CountingSaver;
+    let persistence: IdentifiableMemoryPersistence<Dummy, string>;
+
+    let items: Dummy[];
+    let listener: CollectingListener;
+    let transactions: TransactionCoordinator<Dummy>;
+
+    let createEvent = (id: string): ChangeEvent<Dummy> => {
+        return new ChangeEvent<Dummy>(ChangeEvent.Created, null, null, { id: id, key: "Key " + id, content: null });
+    };
+
+    setup(() => {
+        saver = new CountingSaver();
+        persistence = new IdentifiableMemoryPersistence<Dummy, string>(null, saver);
+
+        items = [];
+        listener = new CollectingListener();
+        let notifier = new ChangeNotifier<Dummy>(new CompositeLogger());
+        notifier.add(listener);
+        transactions = new TransactionCoordinator<Dummy>(new CompositeLogger(), notifier, {
+            capture: () => items.slice(),
+            restore: (state, invalidate) => { items = state; },
+            save: (correlationId, callback) => saver.save(correlationId, items, callback)
+        });
+    });
+
+    test('Commit And Rollback', (done) => {
+        assert.isFalse(transactions.isActive());
+        assert.isFalse(transactions.postponeSave());
+        assert.isFalse(transactions.postponeEvent(createEvent("1")));
+
+        async.series([
+            (callback) => {
+                transactions.commit(null, (err) => {
+                    assert.instanceOf(err, InvalidStateException);
+                    assert.equal("NO_TRANSACTION", err.code);
+                    callback();
+                });
+            },
+            (callback) => {
+                transactions.begin(null);
+                assert.isTrue(transactions.isActive());
+                assert.throws(() => transactions.begin(null), InvalidStateException);
+
+                items.push({ id: "1", key: "Key 1", content: null });
+                assert.isTrue(transactions.postponeSave());
+                assert.isTrue(transactions.postponeEvent(createEvent("1")));
+
+                // Rolled back changes are not saved and events are not sent
+                transactions.rollback(null);
+                assert.isFalse(transactions.isActive());
+                assert.lengthOf(items, 0);
+                assert.equal(0, saver.saves);
+                assert.lengthOf(listener.events, 0);
+
+                transactions.begin(null);
+                items.push({ id: "2", key: "Key 2", content: null });
+                transactions.postponeSave();
+                transactions.postponeSave();
+                transactions.postponeEvent(createEvent("2"));
+
+                transactions.commit(null, callback);
+            },
+            (callback) => {
+                // Postponed saves are made at once
+                assert.equal(1, saver.saves);
+                assert.deepEqual(saver.items.map((item) => item.id), ["2"]);
+                assert.deepEqual(listener.events.map((e) => e.newItem.id), ["2"]);
+
+                // Transactions without saves do not save
+                transactions.begin(null);
+                transactions.commit(null, callback);
+            },
+            (callback) => {
+                assert.equal(1, saver.saves);
+                callback();
+            }
+        ], done);
+    });
+
+    test('Savepoints', (done) => {
+        async.series([
+            (callback) => {
+                transactions.run(null, (callback) => {
+                    items.push({ id: "1", key: "Key 1", content: null });
+                    transactions.postponeSave();
+                    transactions.postponeEvent(createEvent("1"));
+
+                    // A nested action rolls back only its own changes
+                    transactions.run(null, (callback) => {
+                        items.push({ id: "2", key: "Key 2", content: null });
+                        transactions.postponeEvent(createEvent("2"));
+                        throw new Error("Failed");
+                    }, (err) => {
+                        assert.isNotNull(err);
+                        assert.isTrue(transactions.isActive());
+                        assert.deepEqual(items.map((item) => item.id), ["1"]);
+                        callback();
+                    });
+                }, callback);
+            },
+            (callback) => {
+                assert.isFalse(transactions.isActive());
+                assert.equal(1, saver.saves);
+                assert.deepEqual(listener.events.map((e) => e.newItem.id), ["1"]);
+
+                transactions.run(null, (callback) => {
+                    items.push({ id: "3", key: "Key 3", content: null });
+                    callback(new Error("Failed"));
+                }, (err) => {
+                    assert.isNotNull(err);
+                    assert.isFalse(transactions.isActive());
+                    assert.deepEqual(items.map((item) => item.id), ["1"]);
+                    callback();
+                });
+            }
+        ], done);
+    });
+
+    test('Transactions', (done) => {
+        let listener = new CollectingListener();
+        persistence.addChangeListener(listener);
+
+        async.series([
+            (callback) => {
+                persistence.create(null, { id: "1", key: "Key 1", content: null }, callback);
+            },
+            (callback) => {
+                // Duplicate id fails the transaction
+                persistence.runInTransaction(null, (callback) => {
+                    async.series([
+                        (callback) => persistence.create(null, { id: "2", key: "Key 2", content: null }, callback),
+                        (callback) => persistence.deleteById(null, "1", callback),
+                        (callback) => persistence.create(null, { id: "2", key: "Key 3", content: null }, callback)
+                    ], callback);
+                }, (err) => {
+                    assert.instanceOf(err, ConflictException);
+                    callback();
+                });
+            },
+            (callback) => {
+                persistence.getListByIds(null, ["1", "2"], (err, items) => {
+                    assert.deepEqual(items.map((item) => item.id), ["1"]);
+                    assert.equal(1, saver.saves);
+                    assert.lengthOf(listener.events, 1);
+                    callback(err);
+                });
+            },
+            (callback) => {
+                persistence.beginTransaction(null);
+                assert.throws(() => persistence.beginTransaction(null), InvalidStateException);
+
+                persistence.create(null, { id: "2", key: "Key 2", content: null }, (err) => {
+                    persistence.update(null, { id: "1", key: "Key 3", content: null }, (err) => {
+                        // Changes are visible inside the transaction but not saved yet
+                        persistence.getOneById(null, "1", (err, item) => {
+                            assert.equal("Key 3", item.key);
+                            assert.equal(1, saver.saves);
+                            assert.lengthOf(listener.events, 1);
+
+                            persistence.commitTransaction(null, callback);
+                        });
+                    });
+                });
+            },
+            (callback) => {
+                assert.equal(2, saver.saves);
+                assert.lengthOf(saver.items, 2);
+                assert.deepEqual(listener.events.map((e) => e.type), ["created", "created", "updated"]);
+                callback();
+            }
+        ], done);
+    });
+
+    test('Uncommitted Reads', (done) => {
+        async.series([
+            (callback) => {
+                persistence.create(null, { id: "1", key: "Key 1", content: "A" }, callback);
+            },
+            (callback) => {
+                persistence.beginTransaction(null);
+
+                persistence.create(null, { id: "2", key: "Key 2", content: "A" }, (err) => {
+                    persistence.updatePartially(null, "1", AnyValueMap.fromTuples("content", "B"), (err) => {
+                        // Reads during the transaction see uncommitted changes
+                        persistence.getListByIds(null, ["1", "2"], (err, items) => {
+                            assert.deepEqual(items.map((item) => item.content), ["B", "A"]);
+
+                            persistence.rollbackTransaction(null);
+                            callback(err);
+                        });
+                    });
+                });
+            },
+            (callback) => {
+                persistence.getListByIds(null, ["1", "2"], (err, items) => {
+                    assert.deepEqual(items, [{ id: "1", key: "Key 1", content: "A" }]);
+                    assert.equal(1, saver.saves);
+                    callback(err);
+                });
+            }
+        ], done);
+    });
+
+    test('Failed Writes In Transactions', (done) => {
+        let persistence = new BulkDummyMemoryPersistence(null, saver);
+        let listener = new CollectingListener();
+        persistence.addChangeListener(listener);
+
+        async.series([
+            (callback) => {
+                persistence.createMany(null, [
+                    { id: "1", key: "Key 1", content: null },
+                    { id: "2", key: "Key 2", content: "A" }
+                ], callback);
+            },
+            (callback) => {
+                persistence.beginTransaction(null);
+                persistence.create(null, { id: "3", key: "Key 3", content: null }, callback);
+            },
+            (callback) => {
+                // The second item fails after the first one is updated
+                persistence.updateByFilter(null, {}, AnyValueMap.fromTuples("$inc", { content: 1 }), (err, items) => {
+                    assert.instanceOf(err, BadRequestException);
+                    callback();
+                });
+            },
+            (callback) => {
+                // Only the failed update is rolled back
+                persistence.getListByIds(null, ["1", "2", "3"], (err, items) => {
+                    assert.deepEqual(items.map((item) => item.content), [null, "A", null]);
+                    persistence.commitTransaction(null, callback);
+                });
+            },
+            (callback) => {
+                assert.equal(2, saver.saves);
+                assert.lengthOf(saver.items, 3);
+                assert.isNull(saver.items[0].content);
+                assert.deepEqual(listener.events.map((e) => e.type), ["created", "created", "created"]);
+                callback();
+            }
+        ], done);
+    });
+
+});
@@ -0,0 +1,92 @@
+let assert = require('chai').assert;
+
+import { AnyValueMap } from 'pip-services3-commons-node';
+import { BadRequestException } from 'pip-services3-commons-node';
+
+import { UpdateComposer } from '../../src/persistence/UpdateComposer';
+
+suite('UpdateComposer', ()=> {
+    let item = {
+        id: "1",
+        name: "ABC",
+        visits: 2,
+        tags: ["a", "b"],
+        scores: [3, 7, 9],
+        address: { city: "Tucson", zip: "85701" }
+    };
+
+    test('Dotted Paths', () => {
+        let updated: any = UpdateComposer.apply(item, AnyValueMap.fromTuples(
+            "address.city", "Phoenix",
+            "contact.email", "abc@example.com"
+        ));
+
+        assert.deepEqual(updated.address, { city: "Phoenix", zip: "85701" });
+        assert.deepEqual(updated.contact, { email: "abc@example.com" });
+        // The original item is not changed
+        assert.equal("Tucson", item.address.city);
+        assert.isUndefined((<any>item).contact);
+    });
+
+    test('Field Operators', () => {
+        let updated: any = UpdateComposer.apply(item, {
+            $inc: { visits: 3, count: 1 },
+            $mul: { "address.floor": 2 },
+            $min: { visits: 1 },
+            $unset: { "address.zip": "" },
+            $rename: { name: "title" }
+        });
+
+        assert.equal(1, updated.visits);
+        assert.equal(1, updated.count);
+        assert.equal(0, updated.address.floor);
+        assert.deepEqual(updated.address, { city: "Tucson", floor: 0 });
+        assert.equal("ABC", updated.title);
+        assert.isUndefined(updated.name);
+    });
+
+    test('Array Operators', () => {
+        let updated: any = UpdateComposer.apply(item, {
+            $push: { tags: "c", history: { $each: [1, 2] } },
+            $addToSet: { "scores": { $each: [3, 4] } },
+            $pull: { tags: "a" }
+        });
+
+        assert.deepEqual(updated.tags, ["b", "c"]);
+        assert.deepEqual(updated.history, [1, 2]);
+        assert.deepEqual(updated.scores, [3, 7, 9, 4]);
+
+        updated = UpdateComposer.apply(item, { $pull: { scores: { $gte: 7 } }, $pop: { tags: -1 } });
+        assert.deepEqual(updated.scores, [3]);
+        assert.deepEqual(updated.tags, ["b"]);
+        assert.deepEqual(item.tags, ["a", "b"]);
+    });
+
+    test('Set On Insert', () => {
+        let update = { status: "active", $setOnInsert: { created: true } };
+
+        assert.isUndefined((<any>UpdateComposer.apply(item, update)).created);
+        assert.isTrue((<any>UpdateComposer.apply(item, update, true)).created);
+    });
+
+    test('Invalid Updates', () => {
+        assert.throws(() => UpdateComposer.apply(item, { $inc: { name: 1 } }), BadRequestException);
+        assert.throws(() => UpdateComposer.apply(item, { $push: { name: "x" } }), BadRequestException);
+        assert.throws(() => UpdateComposer.apply(item, { "name.first": "x" }), BadRequestException);
+        assert.throws(() => UpdateComposer.apply(item, { $currentDate: { time: true } }), BadRequestException);
+    });
+
+    test('Prototype Pollution', () => {
+        assert.throws(() => UpdateComposer.apply({ id: "1" }, AnyValueMap.fromTuples("__proto__.polluted", "yes")), BadRequestException);
+        assert.throws(() => UpdateComposer.apply({ id: "1" }, AnyValueMap.fromTuples("constructor.prototype.x", "yes")), BadRequestException);
+        assert.throws(() => UpdateComposer.apply({ id: "1" }, { $set: { "a.__proto__.polluted": "yes" } }), BadRequestException);
+        assert.throws(() => UpdateComposer.apply({ id: "1" }, { $rename: { id: "__proto__" } }), BadRequestException);
+        assert.isUndefined(({} as any).polluted);
+        assert.isUndefined(({} as any).x);
+
+        // Inherited properties are not used as field values
+        let result: any = UpdateComposer.apply({ id: "1" }, { $inc: { toString: 1 } });
+        assert.equal(1, result.toString);
+    });
+
+});